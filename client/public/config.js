@@ -0,0 +1,7 @@
+// Runtime configuration, read before the app starts. Edit this file in a deployed build
+// to point the app at its server without rebuilding; leave a value unset to fall back to
+// the REACT_APP_API_BASE_URL build variable, then to http://localhost:8080.
+window.GEO_COMPARE_CONFIG = {
+  // apiBaseUrl: 'https://example.org/geo-compare',
+  // offlineCache: false, // Don't cache map tiles in the browser (no offline packs)
+};
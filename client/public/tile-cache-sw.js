@@ -0,0 +1,75 @@
+// Service worker caching map tiles from the Geo Compare server (registered by src/tileCache.js).
+// A tile URL names published COGs and fixed rendering options, so a cached tile is served
+// without asking the server again; offline packs fill the same cache ahead of time.
+// Kept free of build steps: this file is served as is from the public folder.
+
+const TILE_CACHE_NAME = 'geo-compare-tiles-v1'; // Must match TILE_CACHE_NAME in src/tileCache.js
+const TILE_PATHS = ['/api/tiles/', '/api/composite-tiles/', '/api/index-tiles/', '/api/snapshot'];
+// Past this many tiles the least recently used are dropped. Twice MAX_PACK_TILES (src/offlinePack.js),
+// so downloading an offline pack never evicts its own tiles.
+const MAX_TILE_ENTRIES = 6000;
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+  // Drop caches of earlier versions of this worker
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('geo-compare-tiles-') && name !== TILE_CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const isTileRequest = (request) => {
+  if (request.method !== 'GET') return false;
+  const { pathname } = new URL(request.url);
+  return TILE_PATHS.some(path => pathname.includes(path));
+};
+
+// Cache keys are listed in insertion order, and storing a tile again moves it to the end: the
+// first keys are the least recently used tiles
+const evictTiles = async (cache, maxEntries) => {
+  const keys = await cache.keys();
+  const evicted = keys.slice(0, Math.max(keys.length - maxEntries, 0));
+  await Promise.all(evicted.map(key => cache.delete(key)));
+  return keys.length - evicted.length;
+};
+
+// Number of cached tiles, counted once per worker start rather than listed on every put
+let tileCount = null;
+
+const storeTile = async (cache, url, response) => {
+  try {
+    await cache.put(url, response.clone());
+  } catch (error) {
+    if (error.name !== 'QuotaExceededError') return;
+    // The browser ran out of room first: drop the older half of the tiles and try once more
+    tileCount = await evictTiles(cache, MAX_TILE_ENTRIES / 2);
+    await cache.put(url, response);
+  }
+  if (tileCount === null) tileCount = (await cache.keys()).length;
+  else tileCount += 1;
+  if (tileCount > MAX_TILE_ENTRIES) tileCount = await evictTiles(cache, MAX_TILE_ENTRIES);
+};
+
+self.addEventListener('fetch', (event) => {
+  if (!isTileRequest(event.request)) return;
+
+  event.respondWith(caches.open(TILE_CACHE_NAME).then(async (cache) => {
+    const { url } = event.request;
+    const cached = await cache.match(url);
+    if (cached) {
+      // Storing it again marks the tile as recently used
+      event.waitUntil(cache.put(url, cached.clone()).catch(() => {}));
+      return cached;
+    }
+
+    // Map images request tiles without CORS, which would hide the status; the server allows
+    // CORS, so the worker asks with it and only caches tiles that were actually rendered
+    const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+    if (response.ok) event.waitUntil(storeTile(cache, url, response.clone()).catch(() => {}));
+    return response;
+  }));
+});
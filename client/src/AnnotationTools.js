@@ -0,0 +1,224 @@
+import { useEffect, useState } from 'react';
+import { useMap, useMapEvents, Marker, Polygon, Polyline, Tooltip } from 'react-leaflet';
+import L from 'leaflet';
+import { ANNOTATION_TYPES, describeMeasurement, formatArea, formatDistance, pathLengthM } from './annotations';
+import { geodesicArea } from './aoi';
+
+const ANNOTATION_COLORS = { distance: '#6f42c1', area: '#6f42c1', pin: '#007bff', outline: '#dc3545', note: '#343a40' };
+const SELECTED_COLOR = '#ffc107';
+
+const vertexIcon = L.divIcon({ className: 'aoi-vertex', iconSize: [12, 12] });
+const pinIcon = new L.Icon.Default();
+const noteIcon = L.divIcon({ className: 'annotation-note-icon', html: '✎', iconSize: [22, 22] });
+
+// Freehand outlines keep a point every few screen pixels, not one per mouse event
+const FREEHAND_MIN_PIXELS = 4;
+
+// --- Map component that turns clicks (or a freehand drag) into an annotation while a tool is active ---
+export function AnnotationDrawHandler({ tool, onDrawComplete }) {
+  const [points, setPoints] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [isSketching, setIsSketching] = useState(false);
+  const map = useMap();
+  const { points: requiredPoints } = ANNOTATION_TYPES[tool];
+
+  // Double-click finishes a measurement, and dragging draws an outline instead of panning
+  useEffect(() => {
+    map.doubleClickZoom.disable();
+    if (tool === 'outline') map.dragging.disable();
+    return () => {
+      map.doubleClickZoom.enable();
+      map.dragging.enable();
+    };
+  }, [map, tool]);
+
+  // A half-drawn shape doesn't carry over to another tool
+  useEffect(() => setPoints([]), [tool]);
+
+  const finish = (positions) => {
+    if (positions.length >= requiredPoints) onDrawComplete(positions);
+    setPoints([]);
+  };
+
+  useMapEvents({
+    click: (e) => {
+      const point = [e.latlng.lat, e.latlng.lng];
+      if (requiredPoints === 1) onDrawComplete([point]);
+      else if (tool !== 'outline') setPoints(prev => [...prev, point]);
+    },
+    // The two clicks of a double-click already added the final point twice
+    dblclick: () => tool !== 'outline' && finish(points.slice(0, -1)),
+    mousedown: (e) => {
+      if (tool !== 'outline') return;
+      setIsSketching(true);
+      setPoints([[e.latlng.lat, e.latlng.lng]]);
+    },
+    mousemove: (e) => {
+      const point = [e.latlng.lat, e.latlng.lng];
+      setCursor(point);
+      if (!isSketching || points.length === 0) return;
+      const last = map.latLngToContainerPoint(points[points.length - 1]);
+      if (last.distanceTo(e.containerPoint) >= FREEHAND_MIN_PIXELS) setPoints(prev => [...prev, point]);
+    },
+    mouseup: () => {
+      if (!isSketching) return;
+      setIsSketching(false);
+      finish(points);
+    },
+  });
+
+  if (points.length === 0) return null;
+  const pathOptions = { dashArray: '4', color: ANNOTATION_COLORS[tool] };
+  if (tool === 'outline') return <Polyline positions={points} pathOptions={pathOptions} />;
+  const positions = cursor ? [...points, cursor] : points;
+  const measurement = tool === 'distance' ? formatDistance(pathLengthM(positions)) : formatArea(geodesicArea(positions));
+  const Shape = tool === 'area' ? Polygon : Polyline;
+  return (
+    <Shape positions={positions} pathOptions={pathOptions}>
+      {positions.length >= 2 && <Tooltip permanent direction="right">{measurement}</Tooltip>}
+    </Shape>
+  );
+}
+
+function AnnotationShape({ annotation, selected, onSelect, onChange }) {
+  const { type, positions, label } = annotation;
+  const measurement = describeMeasurement(annotation);
+  const text = [label, measurement].filter(Boolean).join(': ');
+  const tooltip = text && <Tooltip permanent={selected} direction="top">{text}</Tooltip>;
+  const handleDrag = (index, event) => {
+    const { lat, lng } = event.target.getLatLng();
+    onChange({ positions: positions.map((position, i) => (i === index ? [lat, lng] : position)) });
+  };
+
+  if (ANNOTATION_TYPES[type].points === 1) {
+    return (
+      <Marker
+        position={positions[0]}
+        icon={type === 'note' ? noteIcon : pinIcon}
+        draggable={selected}
+        eventHandlers={{ click: onSelect, dragend: (e) => handleDrag(0, e) }}
+      >
+        {tooltip}
+      </Marker>
+    );
+  }
+
+  const Shape = type === 'distance' ? Polyline : Polygon;
+  const color = selected ? SELECTED_COLOR : ANNOTATION_COLORS[type];
+  return (
+    <>
+      {/* Clicking a shape selects it without also reaching the map */}
+      <Shape positions={positions} pathOptions={{ color, weight: 3, fillOpacity: 0.15 }} bubblingMouseEvents={false} eventHandlers={{ click: onSelect }}>
+        {tooltip}
+      </Shape>
+      {/* Freehand outlines have too many points to drag one by one */}
+      {selected && type !== 'outline' && positions.map((position, index) => (
+        <Marker key={index} position={position} icon={vertexIcon} draggable={true} eventHandlers={{ drag: (e) => handleDrag(index, e) }} />
+      ))}
+    </>
+  );
+}
+
+// --- Map component showing annotations; the selected one can be reshaped or moved ---
+export function AnnotationLayer({ annotations, selectedId, onSelect, onChange }) {
+  return annotations.map(annotation => (
+    <AnnotationShape
+      key={annotation.id}
+      annotation={annotation}
+      selected={annotation.id === selectedId}
+      onSelect={() => onSelect(annotation.id)}
+      onChange={(changes) => onChange(annotation.id, changes)}
+    />
+  ));
+}
+
+const TOOL_BUTTONS = [
+  ['distance', 'Measure Distance'],
+  ['area', 'Measure Area'],
+  ['pin', 'Drop Pin'],
+  ['outline', 'Draw Damage Outline'],
+  ['note', 'Add Note'],
+];
+
+function AnnotationItem({ annotation, selected, onSelect, onChange, onDelete }) {
+  const { type, label, image } = annotation;
+  const name = label || `Untitled ${ANNOTATION_TYPES[type].name.toLowerCase()}`;
+  const measurement = describeMeasurement(annotation);
+  const fieldId = `annotation-${annotation.id}`;
+
+  return (
+    <li className={`annotation-item ${selected ? 'selected' : ''}`}>
+      <div className="annotation-header">
+        <button type="button" className="annotation-name" onClick={onSelect} aria-pressed={selected}>
+          <span className="annotation-swatch" style={{ backgroundColor: ANNOTATION_COLORS[type] }} />
+          {name}
+        </button>
+        {measurement && <span className="annotation-measurement">{measurement}</span>}
+        <button type="button" className="annotation-delete" onClick={onDelete} aria-label={`Delete ${name}`}>×</button>
+      </div>
+      {selected && (
+        <div className="annotation-editor">
+          <label htmlFor={fieldId}>{type === 'note' ? 'Note' : 'Label'}</label>
+          {type === 'note' ? (
+            <textarea id={fieldId} rows={3} value={label} onChange={(e) => onChange({ label: e.target.value })} />
+          ) : (
+            <input id={fieldId} type="text" value={label} onChange={(e) => onChange({ label: e.target.value })} />
+          )}
+          {type === 'outline' && (
+            <>
+              <label htmlFor={`${fieldId}-image`}>Observed on</label>
+              <select id={`${fieldId}-image`} value={image} onChange={(e) => onChange({ image: Number(e.target.value) })}>
+                <option value={1}>Image 1</option>
+                <option value={2}>Image 2</option>
+              </select>
+            </>
+          )}
+          <p className="aoi-hint">{type === 'outline' ? 'Delete and redraw the outline to reshape it.' : 'Drag it on the map to move it.'}</p>
+        </div>
+      )}
+    </li>
+  );
+}
+
+// --- Sidebar panel: drawing tools and the list of annotations, with their export ---
+export function AnnotationPanel({ annotations, tool, selectedId, onToolChange, onSelect, onChange, onDelete, onExport }) {
+  return (
+    <div className="annotation-panel">
+      <label>Annotations</label>
+      <div className="aoi-buttons">
+        {TOOL_BUTTONS.map(([id, text]) => (
+          <button
+            key={id}
+            type="button"
+            className={`aoi-button ${tool === id ? 'active' : ''}`}
+            aria-pressed={tool === id}
+            onClick={() => onToolChange(tool === id ? null : id)}
+          >
+            {text}
+          </button>
+        ))}
+      </div>
+      {tool && <p className="aoi-hint">{ANNOTATION_TYPES[tool].hint}</p>}
+
+      {annotations.length === 0 ? (
+        <p className="aoi-hint">No annotations yet: they are saved and exported with this analysis.</p>
+      ) : (
+        <>
+          <ul className="annotation-list">
+            {annotations.map(annotation => (
+              <AnnotationItem
+                key={annotation.id}
+                annotation={annotation}
+                selected={annotation.id === selectedId}
+                onSelect={() => onSelect(annotation.id === selectedId ? null : annotation.id)}
+                onChange={(changes) => onChange(annotation.id, changes)}
+                onDelete={() => onDelete(annotation.id)}
+              />
+            ))}
+          </ul>
+          <button type="button" className="aoi-button" onClick={onExport}>Export Annotations (GeoJSON)</button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import { useEffect, useState } from 'react';
+import { useMap, useMapEvents, Polygon, Polyline, Marker } from 'react-leaflet';
+import L from 'leaflet';
+import { areaKm2, parseGeoJSONPolygon, rectangleVertices } from './aoi';
+
+const vertexIcon = L.divIcon({ className: 'aoi-vertex', iconSize: [12, 12] });
+
+// --- Map component that turns clicks into a rectangle or polygon while a draw mode is active ---
+export function AoiDrawHandler({ drawMode, onDrawComplete }) {
+  const [points, setPoints] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const map = useMap();
+
+  // Double-click finishes a polygon, so it must not zoom the map while drawing
+  useEffect(() => {
+    map.doubleClickZoom.disable();
+    return () => map.doubleClickZoom.enable();
+  }, [map]);
+
+  useMapEvents({
+    click: (e) => {
+      const point = [e.latlng.lat, e.latlng.lng];
+      if (drawMode === 'rectangle') {
+        if (points.length === 0) {
+          setPoints([point]);
+        } else {
+          onDrawComplete(rectangleVertices(points[0], point));
+          setPoints([]);
+        }
+      } else {
+        setPoints(prev => [...prev, point]);
+      }
+    },
+    dblclick: () => {
+      // The two clicks of a double-click already added the final vertex twice
+      const vertices = points.slice(0, -1);
+      if (drawMode === 'polygon' && vertices.length >= 3) {
+        onDrawComplete(vertices);
+        setPoints([]);
+      }
+    },
+    mousemove: (e) => setCursor([e.latlng.lat, e.latlng.lng]),
+  });
+
+  if (points.length === 0 || !cursor) return null;
+  if (drawMode === 'rectangle') {
+    return <Polygon positions={rectangleVertices(points[0], cursor)} pathOptions={{ dashArray: '4', color: '#ff7800' }} />;
+  }
+  return <Polyline positions={[...points, cursor]} pathOptions={{ dashArray: '4', color: '#ff7800' }} />;
+}
+
+// --- Map component showing the AOI, with draggable vertices while editing ---
+export function AoiLayer({ vertices, editable, onChange, fitRequest }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (fitRequest && vertices) map.fitBounds(vertices);
+    // Only refit when a new AOI is imported, not on every vertex drag
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [fitRequest, map]);
+
+  const handleVertexDrag = (index, event) => {
+    const { lat, lng } = event.target.getLatLng();
+    onChange(vertices.map((vertex, i) => (i === index ? [lat, lng] : vertex)));
+  };
+
+  return (
+    <>
+      <Polygon positions={vertices} pathOptions={{ color: '#ff7800', weight: 2, fillOpacity: 0.1 }} />
+      {editable && vertices.map((vertex, index) => (
+        <Marker
+          key={index}
+          position={vertex}
+          icon={vertexIcon}
+          draggable={true}
+          eventHandlers={{ drag: (e) => handleVertexDrag(index, e) }}
+        />
+      ))}
+    </>
+  );
+}
+
+// --- Form panel for drawing, editing, importing and clearing the AOI ---
+export function AoiPanel({ vertices, drawMode, isEditing, onDrawModeChange, onEditToggle, onImport, onClear }) {
+  const [geojsonText, setGeojsonText] = useState('');
+  const [importError, setImportError] = useState('');
+
+  const importGeoJSON = (text) => {
+    try {
+      onImport(parseGeoJSONPolygon(text));
+      setImportError('');
+      setGeojsonText('');
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  const handleFileUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => importGeoJSON(reader.result);
+    reader.readAsText(file);
+    event.target.value = ''; // Allow uploading the same file again
+  };
+
+  const toggleDrawMode = (mode) => onDrawModeChange(drawMode === mode ? null : mode);
+
+  return (
+    <div className="aoi-panel">
+      <label>Area of Interest</label>
+      <div className="aoi-buttons">
+        <button type="button" className={`aoi-button ${drawMode === 'rectangle' ? 'active' : ''}`} onClick={() => toggleDrawMode('rectangle')}>
+          Draw Rectangle
+        </button>
+        <button type="button" className={`aoi-button ${drawMode === 'polygon' ? 'active' : ''}`} onClick={() => toggleDrawMode('polygon')}>
+          Draw Polygon
+        </button>
+        {vertices && (
+          <>
+            <button type="button" className={`aoi-button ${isEditing ? 'active' : ''}`} onClick={onEditToggle}>
+              {isEditing ? 'Done Editing' : 'Edit Vertices'}
+            </button>
+            <button type="button" className="aoi-button" onClick={onClear}>Clear AOI</button>
+          </>
+        )}
+      </div>
+      {drawMode === 'rectangle' && <p className="aoi-hint">Click two opposite corners on the map.</p>}
+      {drawMode === 'polygon' && <p className="aoi-hint">Click to add vertices, double-click to finish.</p>}
+      {vertices
+        ? <p className="aoi-area">AOI area: {areaKm2(vertices).toFixed(3)} km²</p>
+        : <p className="aoi-hint">No AOI drawn: analyses use a ~1 km square around the marker.</p>}
+
+      <textarea
+        className="aoi-geojson-input"
+        value={geojsonText}
+        onChange={(e) => setGeojsonText(e.target.value)}
+        placeholder="Paste a GeoJSON Polygon or Feature"
+        rows={3}
+      />
+      <div className="aoi-buttons">
+        <button type="button" className="aoi-button" onClick={() => importGeoJSON(geojsonText)} disabled={!geojsonText.trim()}>
+          Import GeoJSON
+        </button>
+        <label className="aoi-button aoi-upload">
+          Upload File
+          <input type="file" accept=".geojson,.json,application/geo+json,application/json" onChange={handleFileUpload} hidden />
+        </label>
+      </div>
+      {importError && <p className="error-text">{importError}</p>}
+    </div>
+  );
+}
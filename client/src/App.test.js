@@ -1,8 +1,404 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MapContainer } from 'react-leaflet';
+import L from 'leaflet';
+import axe from 'axe-core';
 import App from './App';
+import { MapClickEventHandler } from './MapView';
+import { AnnotationDrawHandler } from './AnnotationTools';
+import { apiClient } from './apiClient';
+import { downloadFile } from './download';
+import { installMockBackend, mockBackendRoutes } from './mockBackend';
+import { serializeAnalysisState } from './permalink';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+jest.mock('./download', () => ({ downloadFile: jest.fn() }));
+
+// jsdom has no IndexedDB, so the saved analyses library is kept in memory
+const mockSavedAnalyses = new Map();
+jest.mock('./savedAnalyses', () => ({
+  ...jest.requireActual('./savedAnalyses'),
+  listSavedAnalyses: async () => [...mockSavedAnalyses.values()],
+  putSavedAnalysis: async (record) => { mockSavedAnalyses.set(record.id, record); },
+  deleteSavedAnalysis: async (id) => { mockSavedAnalyses.delete(id); },
+}));
+
+const originalFetch = global.fetch;
+
+beforeEach(async () => {
+  window.history.replaceState(null, '', '/');
+  window.localStorage.clear();
+  mockSavedAnalyses.clear();
+  await apiClient.clearCache();
+});
+
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+const searchCalls = (backend) => backend.calls.filter(call => call.path === '/api/change-detection');
+
+// Colour contrast needs a layout engine, which jsdom doesn't have
+const expectNoAxeViolations = async (container) => {
+  const { violations } = await axe.run(container, { rules: { 'color-contrast': { enabled: false } } });
+  expect(violations.map(({ id, nodes }) => `${id}: ${nodes.map(node => node.target).join(', ')}`)).toEqual([]);
+};
+
+const pressKey = (key, target = document.body) => fireEvent.keyDown(target, { key });
+
+// Renders the app, then lets the saved analyses library load and the map fly to the marker
+// (MapUpdater waits 100 ms for the layout)
+const renderApp = async () => {
+  const view = render(<App />);
+  await act(() => new Promise(resolve => setTimeout(resolve, 150)));
+  return view;
+};
+
+// Failed searches are logged as well as shown; tests expecting one keep the log quiet
+const expectLoggedSearchFailure = async (run) => {
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  try {
+    await run();
+    expect(consoleError).toHaveBeenCalledWith('Failed to fetch images:', expect.anything());
+  } finally {
+    consoleError.mockRestore();
+  }
+};
+
+test('renders the search form with a default location and dates', async () => {
+  installMockBackend();
+  await renderApp();
+  expect(screen.getByLabelText('Latitude')).toHaveValue(35.4393);
+  expect(screen.getByLabelText('Longitude')).toHaveValue(-82.2465);
+  expect(screen.getByLabelText('Image Date 1')).toHaveValue('2024-09-16');
+  expect(screen.getByRole('button', { name: 'Find Images' })).toBeEnabled();
+});
+
+test('reports missing and out-of-range inputs without searching', async () => {
+  const backend = installMockBackend();
+  await renderApp();
+
+  fireEvent.change(screen.getByLabelText('Latitude'), { target: { value: '' } });
+  fireEvent.change(screen.getByLabelText('Longitude'), { target: { value: '200' } });
+  fireEvent.change(screen.getByLabelText('Image Date 2'), { target: { value: '' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Find Images' }));
+
+  expect(screen.getByText('Latitude is required and must be a number.')).toBeInTheDocument();
+  expect(screen.getByText('Must be between -180 and 180.')).toBeInTheDocument();
+  expect(screen.getByText('Date 2 is required.')).toBeInTheDocument();
+  expect(searchCalls(backend)).toHaveLength(0);
+  // The first field in error takes the focus and describes its error
+  expect(screen.getByLabelText('Latitude')).toHaveFocus();
+  expect(screen.getByLabelText('Latitude')).toBeInvalid();
+  expect(screen.getByLabelText('Longitude')).toHaveAccessibleDescription('Must be between -180 and 180.');
+});
+
+test('undoes and redoes edits of the inputs', async () => {
+  installMockBackend();
+  await renderApp();
+  expect(screen.getByRole('button', { name: 'Undo' })).toBeDisabled();
+
+  fireEvent.change(screen.getByLabelText('Latitude'), { target: { value: '40' } });
+  fireEvent.change(screen.getByLabelText('Image Date 1'), { target: { value: '2024-08-01' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+  expect(screen.getByLabelText('Image Date 1')).toHaveValue('2024-09-16');
+  fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+  expect(screen.getByLabelText('Latitude')).toHaveValue(35.4393);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Redo' }));
+  expect(screen.getByLabelText('Latitude')).toHaveValue(40);
+});
+
+test('shows the loading state while searching, then the scenes found', async () => {
+  let respond;
+  const routes = mockBackendRoutes();
+  const backend = installMockBackend({
+    ...routes,
+    'GET /api/change-detection': (request) => new Promise(resolve => { respond = () => resolve(routes['GET /api/change-detection'](request)); }),
+  });
+  await renderApp();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Find Images' }));
+  expect(await screen.findByRole('button', { name: 'Searching...' })).toBeDisabled();
+  expect(searchCalls(backend)[0].params).toMatchObject({ lat: '35.4393', lon: '-82.2465', date1: '2024-09-16', date2: '2024-10-12', sensor: 'sentinel-2' });
+
+  await act(async () => respond());
+  expect(await screen.findByText(/Image 1 acquired/)).toHaveTextContent('on the requested date');
+  expect(screen.getByText(/Image 2 acquired/)).toHaveTextContent('1 day before the requested date');
+  expect(screen.getByRole('button', { name: 'Find Images' })).toBeEnabled();
+  expect(screen.getByRole('button', { name: 'Calculate Selected' })).toBeDisabled();
+});
+
+test('packs the tiles of the searched area, whatever the form holds since', async () => {
+  installMockBackend();
+  await renderApp();
+  fireEvent.click(screen.getByRole('button', { name: 'Find Images' }));
+  await screen.findByText(/Image 1 acquired/);
+  const tileCount = screen.getByText(/^\d+ tiles/).textContent;
+
+  fireEvent.change(screen.getByLabelText('Latitude'), { target: { value: '' } });
+  expect(screen.getByText(/^\d+ tiles/)).toHaveTextContent(tileCount);
+  expect(screen.queryByText(/NaN tiles/)).not.toBeInTheDocument();
+});
+
+test('shows the server error when no scene is found', async () => {
+  installMockBackend(mockBackendRoutes(undefined, {
+    'GET /api/change-detection': { status: 404, body: { error: 'No clear image found for Date 1 (2024-09-16) within 15 days, with cloud cover less than 20%.' } },
+  }));
+  await renderApp();
+
+  await expectLoggedSearchFailure(async () => {
+    fireEvent.click(screen.getByRole('button', { name: 'Find Images' }));
+    expect(await screen.findByText(/No clear image found for Date 1/)).toHaveClass('api-error');
+  });
+  expect(screen.queryByText(/Image 1 acquired/)).not.toBeInTheDocument();
+});
+
+test('searches with the chosen scene selection and keeps it in the link', async () => {
+  const backend = installMockBackend();
+  await renderApp();
+
+  fireEvent.change(screen.getByLabelText('Date 1 window (± days)'), { target: { value: '120' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Find Images' }));
+  expect(screen.getByText('Window must be between 1 and 90 days.')).toBeInTheDocument();
+  expect(searchCalls(backend)).toHaveLength(0);
+
+  fireEvent.change(screen.getByLabelText('Date 1 window (± days)'), { target: { value: '30' } });
+  fireEvent.change(screen.getByLabelText('Prefer'), { target: { value: 'closest' } });
+  fireEvent.change(screen.getByLabelText(/Min Area Coverage/), { target: { value: '90' } });
+  fireEvent.click(screen.getByLabelText('Same tile and relative orbit for both dates'));
+  fireEvent.click(screen.getByRole('button', { name: 'Find Images' }));
+
+  await screen.findByText(/Image 1 acquired/);
+  expect(searchCalls(backend)[0].params).toMatchObject({ window1: '30', ranking: 'closest', minCoverage: '90', sameOrbit: '1' });
+  expect(searchCalls(backend)[0].params.window2).toBeUndefined();
+  expect(window.location.search).toContain('w1=30&rank=closest&cov=90&orbit=1');
+  expect(screen.getAllByText('Area covered: 100%')).toHaveLength(2);
+});
+
+test('computes the selected indices over an AOI and exports them as escaped CSV', async () => {
+  window.localStorage.setItem('geo-compare-custom-indices', JSON.stringify([{
+    id: 'GREEN', name: 'Green ratio', expression: 'B08 / B03', range: [0, 10], interpretation: '', changeDirection: 'decrease',
+  }]));
+  // A permalink with an AOI restores the inputs and searches straight away
+  const aoiVertices = [[35.44, -82.25], [35.44, -82.24], [35.43, -82.24]];
+  window.history.replaceState(null, '', `/?${serializeAnalysisState({
+    latitude: '35.4393', longitude: '-82.2465', date1: '2024-09-16', date2: '2024-10-12', cloudCover: 20, aoiVertices,
+  })}`);
+  const backend = installMockBackend();
+  await renderApp();
+  await screen.findByText(/Image 1 acquired/);
+
+  fireEvent.click(screen.getByLabelText('NDVI (Normalized Difference Vegetation Index)'));
+  fireEvent.click(screen.getByLabelText('Green ratio (GREEN)'));
+  fireEvent.click(screen.getByRole('button', { name: 'Calculate Selected' }));
+
+  expect(await screen.findByText('Computation Results:')).toBeInTheDocument();
+  expect(backend.calls.some(call => call.path === '/api/band-pixels')).toBe(true);
+  // NDVI of the fixture scenes: (0.36 - 0.04) / 0.4 before, (0.16 - 0.1) / 0.26 after
+  expect(screen.getAllByText('0.8000').length).toBeGreaterThan(0);
+  expect(screen.getAllByText('0.2308').length).toBeGreaterThan(0);
+  expect(screen.getByText(/over the drawn AOI from Sentinel-2 L2A surface reflectance\./)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Export CSV' }));
+  expect(downloadFile).toHaveBeenCalledTimes(1);
+  const [csv, fileName] = downloadFile.mock.calls[0];
+  expect(fileName).toBe('geo_compare_35.4393_-82.2465_2024-09-16_2024-10-12.csv');
+  const lines = csv.trim().split('\n');
+  expect(lines).toHaveLength(3);
+  // The AOI GeoJSON cell keeps its commas inside one quoted cell, with its quotes doubled
+  expect(lines[1]).toContain('"{""type"":""Polygon"",""coordinates"":[[[-82.25,35.44],');
+  expect(lines[2]).toContain('"GREEN","6","6","6","6","2"');
+
+  // The report opens in its own window, and its URL is released once that window has loaded
+  const reportWindow = new EventTarget();
+  const openSpy = jest.spyOn(window, 'open').mockReturnValue(reportWindow);
+  const { createObjectURL, revokeObjectURL } = URL;
+  URL.createObjectURL = jest.fn(() => 'blob:report');
+  URL.revokeObjectURL = jest.fn();
+  try {
+    fireEvent.click(screen.getByRole('button', { name: 'Open Report' }));
+    expect(openSpy).toHaveBeenCalledWith('blob:report', '_blank');
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    reportWindow.dispatchEvent(new Event('load'));
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:report');
+  } finally {
+    openSpy.mockRestore();
+    Object.assign(URL, { createObjectURL, revokeObjectURL });
+  }
+});
+
+test('runs the guided wildfire workflow from an event date to the impact summary', async () => {
+  const backend = installMockBackend();
+  await renderApp();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Analyse Event' }));
+  expect(screen.getByText('Event date is required.')).toBeInTheDocument();
+  expect(searchCalls(backend)).toHaveLength(0);
+
+  fireEvent.change(screen.getByLabelText('Event Type'), { target: { value: 'wildfire' } });
+  fireEvent.change(screen.getByLabelText('Event Date'), { target: { value: '2024-10-01' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Analyse Event' }));
+
+  expect(await screen.findByText('Wildfire Impact')).toBeInTheDocument();
+  expect(searchCalls(backend)[0].params).toMatchObject({ date1: '2024-09-15', date2: '2024-10-17' });
+  expect(screen.getByLabelText('Image Date 1')).toHaveValue('2024-09-15');
+  // dNBR of the fixture scenes: 0.6 - (-0.2), high severity over the whole area
+  expect(screen.getByRole('row', { name: /High severity/ })).toHaveTextContent('100.0%');
+  expect(screen.getByText(/affected, 100.0% of the/)).toBeInTheDocument();
+  expect(screen.getByText(/the impact summary is with the computation results/)).toBeInTheDocument();
+});
+
+test('offers the annotation tools once scenes are loaded', async () => {
+  installMockBackend();
+  await renderApp();
+  expect(screen.queryByRole('button', { name: 'Drop Pin' })).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Find Images' }));
+  fireEvent.click(await screen.findByRole('button', { name: 'Drop Pin' }));
+  expect(screen.getByRole('button', { name: 'Drop Pin' })).toHaveAttribute('aria-pressed', 'true');
+  expect(screen.getByText('Click to drop a pin.')).toBeInTheDocument();
+  expect(screen.getByText(/No annotations yet/)).toBeInTheDocument();
+
+  // Drawing the AOI takes over from the annotation tool
+  fireEvent.click(screen.getByRole('button', { name: 'Draw Polygon' }));
+  expect(screen.getByRole('button', { name: 'Drop Pin' })).toHaveAttribute('aria-pressed', 'false');
+});
+
+test('draws a distance measurement from map clicks, finished by a double-click', async () => {
+  const onDrawComplete = jest.fn();
+  let map;
+  render(
+    <MapContainer center={[0, 0]} zoom={2} ref={(instance) => { map = instance; }}>
+      <AnnotationDrawHandler tool="distance" onDrawComplete={onDrawComplete} />
+    </MapContainer>
+  );
+  await waitFor(() => expect(map).toBeDefined());
+
+  act(() => map.fire('click', { latlng: L.latLng(35.4, -82.3) }));
+  act(() => map.fire('click', { latlng: L.latLng(35.5, -82.2) }));
+  act(() => map.fire('click', { latlng: L.latLng(35.5, -82.2) }));
+  act(() => map.fire('dblclick', { latlng: L.latLng(35.5, -82.2) }));
+  expect(onDrawComplete).toHaveBeenCalledWith([[35.4, -82.3], [35.5, -82.2]]);
+});
+
+test('passes axe checks and announces the search, the scenes and the results', async () => {
+  installMockBackend();
+  const { container } = await renderApp();
+  await expectNoAxeViolations(container);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Find Images' }));
+  expect(screen.getByRole('status')).toHaveTextContent('Searching for images…');
+  await screen.findByText(/Image 1 acquired/);
+  expect(screen.getByRole('status')).toHaveTextContent('Scenes found for both dates, acquired 2024-09-16 and 2024-10-11.');
+  await expectNoAxeViolations(container);
+
+  // The category checkbox is labelled by its category and selects or clears all of it
+  fireEvent.click(screen.getByLabelText('Agriculture & Forestry'));
+  expect(screen.getByLabelText('NDVI (Normalized Difference Vegetation Index)')).toBeChecked();
+  fireEvent.click(screen.getByLabelText('Agriculture & Forestry'));
+  fireEvent.click(screen.getByLabelText('NDVI (Normalized Difference Vegetation Index)'));
+  pressKey('c');
+  // Focus moves to the results once they are in
+  await waitFor(() => expect(screen.getByRole('heading', { name: 'Computation Results:' })).toHaveFocus());
+  expect(screen.getByRole('status')).toHaveTextContent('Results ready for 1 computation.');
+  await expectNoAxeViolations(container);
+
+  pressKey('e');
+  expect(downloadFile).toHaveBeenCalledWith(expect.any(String), expect.stringMatching(/\.csv$/), expect.any(String));
+}, 30000); // Three axe runs over the whole page
+
+test('announces search errors as alerts', async () => {
+  installMockBackend(mockBackendRoutes(undefined, {
+    'GET /api/change-detection': { status: 404, body: { error: 'No clear image found for Date 1 (2024-09-16) within 15 days, with cloud cover less than 20%.' } },
+  }));
+  await renderApp();
+
+  await expectLoggedSearchFailure(async () => {
+    fireEvent.click(screen.getByRole('button', { name: 'Find Images' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent(/No clear image found/);
+  });
+});
+
+test('drives the comparison from the keyboard', async () => {
+  const routes = mockBackendRoutes();
+  installMockBackend({
+    ...routes,
+    // A second, later scene for Date 2 to step to
+    'GET /api/change-detection': async (request) => {
+      const response = await routes['GET /api/change-detection'](request);
+      const later = { ...response.body.image2, id: 'S2A_17SNA_20241016_0_L2A', dateAcquired: '2024-10-16T16:07:00Z' };
+      return { ...response, body: { ...response.body, candidates2: [...response.body.candidates2, later] } };
+    },
+  });
+  await renderApp();
+
+  // Arrow keys move the marker...
+  pressKey('ArrowUp');
+  pressKey('ArrowRight');
+  expect(screen.getByLabelText('Latitude')).toHaveValue(35.4403);
+  expect(screen.getByLabelText('Longitude')).toHaveValue(-82.2455);
+  // ...but not while typing in a field
+  pressKey('ArrowUp', screen.getByLabelText('Latitude'));
+  expect(screen.getByLabelText('Latitude')).toHaveValue(35.4403);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Find Images' }));
+  await screen.findByText(/Image 1 acquired/);
+
+  pressKey('t');
+  expect(screen.getByRole('button', { name: 'Show Image 1' })).toBeInTheDocument();
+  pressKey('m');
+  expect(screen.getByRole('button', { name: 'Swipe' })).toHaveAttribute('aria-pressed', 'true');
+  // The swipe divider is a slider of its own, which keeps its arrow keys from the marker
+  pressKey('ArrowLeft', screen.getByRole('slider', { name: /Swipe divider/ }));
+  expect(screen.getByRole('slider', { name: /Swipe divider/ })).toHaveAttribute('aria-valuenow', '45');
+  expect(screen.getByLabelText('Longitude')).toHaveValue(-82.2455);
+
+  pressKey('}');
+  expect(screen.getByText(/Image 2 acquired/)).toHaveTextContent('4 days after the requested date');
+  pressKey('{');
+  expect(screen.getByText(/Image 2 acquired/)).toHaveTextContent('1 day before the requested date');
+  // The cloud cover of the scene stepped back to is measured again
+  expect(await screen.findByText(/Image 2: 100% valid pixels over the area/)).toBeInTheDocument();
+});
+
+test('opens the shortcut help as a dialog and gives the focus back when it closes', async () => {
+  installMockBackend();
+  await renderApp();
+  const helpButton = screen.getByRole('button', { name: 'Keyboard shortcuts' });
+  helpButton.focus();
+  fireEvent.click(helpButton);
+
+  const dialog = screen.getByRole('dialog', { name: 'Keyboard Shortcuts' });
+  expect(screen.getByRole('button', { name: 'Close' })).toHaveFocus();
+  expect(screen.getByRole('row', { name: /Move the marker/ })).toBeInTheDocument();
+  await expectNoAxeViolations(dialog);
+  // Shortcuts other than closing the help don't act behind it
+  pressKey('ArrowUp', screen.getByRole('button', { name: 'Close' }));
+  expect(screen.getByLabelText('Latitude')).toHaveValue(35.4393);
+
+  pressKey('Escape', screen.getByRole('button', { name: 'Close' }));
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(helpButton).toHaveFocus();
+
+  pressKey('?');
+  expect(screen.getByRole('dialog')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Close' }));
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+test('wraps the longitude of map clicks back into [-180, 180]', async () => {
+  const onLocate = jest.fn();
+  let map;
+  render(
+    <MapContainer center={[0, 0]} zoom={2} ref={(instance) => { map = instance; }}>
+      <MapClickEventHandler onLocate={onLocate} />
+    </MapContainer>
+  );
+  await waitFor(() => expect(map).toBeDefined());
+
+  act(() => map.fire('click', { latlng: L.latLng(35.4393, 277.7535) }));
+  expect(onLocate.mock.calls[0][0].latitude).toBe(35.4393);
+  expect(onLocate.mock.calls[0][0].longitude).toBeCloseTo(-82.2465);
+
+  act(() => map.fire('click', { latlng: L.latLng(-10, -442.5) }));
+  expect(onLocate.mock.calls[1][0].longitude).toBeCloseTo(-82.5);
 });
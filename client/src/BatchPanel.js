@@ -0,0 +1,248 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { CircleMarker, Popup } from 'react-leaflet';
+import { computationLabels, getComputation, supportedComputations } from './computationEngine';
+import {
+  DEFAULT_BATCH_CONCURRENCY,
+  analyzeSite,
+  batchRows,
+  filterBatchRows,
+  parseSitesFile,
+  runBatch,
+  sortBatchRows,
+} from './batch';
+import { buildBatchResultsCSV } from './exporters';
+import { downloadFile } from './download';
+
+
+const STATUS_COLORS = { pending: '#6c757d', running: '#007bff', done: '#28a745', failed: '#dc3545' };
+
+const TABLE_COLUMNS = [
+  { id: 'site', label: 'Site' },
+  { id: 'status', label: 'Status' },
+  { id: 'computation', label: 'Computation' },
+  { id: 'date1Mean', label: 'Date 1 Mean' },
+  { id: 'date2Mean', label: 'Date 2 Mean' },
+  { id: 'differenceMean', label: 'Difference Mean' },
+];
+
+const formatCell = (value) => (typeof value === 'number' ? value.toFixed(4) : value ?? 'N/A');
+
+// --- Panel for uploading a site list, running it in the background and browsing the results ---
+export function BatchPanel({ date1, date2, cloudCover, sensor, maskClasses, onSitesChange }) {
+  const [sites, setSites] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [parseErrors, setParseErrors] = useState([]);
+  const [siteStates, setSiteStates] = useState({}); // { [siteId]: { status, analysis?, error? } }
+  const [selectedComputations, setSelectedComputations] = useState(['NDVI (Normalized Difference Vegetation Index)']);
+  const [concurrency, setConcurrency] = useState(DEFAULT_BATCH_CONCURRENCY);
+  const [isRunning, setIsRunning] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [sort, setSort] = useState({ column: 'site', direction: 'asc' });
+  const [filterText, setFilterText] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const abortRef = useRef(null);
+
+  // Computations the sensor can produce statistics for, i.e. the ones worth running across sites
+  const computable = supportedComputations(computationLabels(), sensor);
+
+  // Stop the run when the panel goes away
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  useEffect(() => {
+    onSitesChange(sites.map(site => ({ site, state: siteStates[site.id] || { status: 'pending' } })));
+  }, [sites, siteStates, onSitesChange]);
+
+  const handleFileUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { sites: parsed, errors } = parseSitesFile(file.name, reader.result);
+      setSites(parsed);
+      setParseErrors(errors);
+      setSiteStates({});
+      setFileName(file.name);
+    };
+    reader.readAsText(file);
+    event.target.value = ''; // Allow uploading the same file again
+  };
+
+  const handleComputationToggle = (event) => {
+    const { value, checked } = event.target;
+    setSelectedComputations(prev => (checked ? [...prev, value] : prev.filter(label => label !== value)));
+  };
+
+  const handleRun = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsRunning(true);
+    try {
+      await runBatch(
+        sites,
+        siteStates,
+        (site, signal) => analyzeSite(site, { date1, date2, cloudCover, sensor, computations: supportedComputations(selectedComputations, sensor), maskClasses, signal }),
+        {
+          concurrency,
+          signal: controller.signal,
+          onUpdate: (siteId, state) => setSiteStates(prev => ({ ...prev, [siteId]: state })),
+        }
+      );
+    } finally {
+      setIsRunning(false);
+      setIsCancelling(false);
+    }
+  };
+
+  // Sites in flight finish their current request before the run stops
+  const handleCancel = () => {
+    abortRef.current?.abort();
+    setIsCancelling(true);
+  };
+
+  const handleSort = (column) => {
+    setSort(prev => ({ column, direction: prev.column === column && prev.direction === 'asc' ? 'desc' : 'asc' }));
+  };
+
+  const handleExport = () => {
+    const entries = sites.map(site => ({ site, state: siteStates[site.id] || { status: 'pending' } }));
+    downloadFile(buildBatchResultsCSV(entries), `geo_compare_batch_${date1}_${date2}.csv`, 'text/csv;charset=utf-8;');
+  };
+
+  const counts = { pending: 0, running: 0, done: 0, failed: 0 };
+  sites.forEach(site => { counts[siteStates[site.id]?.status || 'pending']++; });
+  const finished = counts.done + counts.failed;
+  const hasStarted = finished > 0;
+  const remaining = sites.length - counts.done; // Resuming retries failed sites too
+
+  const rows = useMemo(
+    () => sortBatchRows(filterBatchRows(batchRows(sites, siteStates), filterText, statusFilter), sort.column, sort.direction),
+    [sites, siteStates, filterText, statusFilter, sort]
+  );
+
+  return (
+    <div className="batch-panel">
+      <p className="aoi-hint">
+        Upload a CSV with a header row (name, lat, lon and optional date1, date2) or a GeoJSON FeatureCollection
+        of points or polygons. Sites without their own dates use Image Date 1 and 2 above.
+      </p>
+      <label className="aoi-button aoi-upload">
+        Upload Sites
+        <input type="file" accept=".csv,.geojson,.json,text/csv,application/geo+json,application/json" onChange={handleFileUpload} hidden disabled={isRunning} />
+      </label>
+      {fileName && <p className="aoi-area">{fileName}: {sites.length} site{sites.length === 1 ? '' : 's'}</p>}
+      {parseErrors.length > 0 && (
+        <ul className="batch-errors">
+          {parseErrors.map(error => <li key={error} className="error-text">{error}</li>)}
+        </ul>
+      )}
+
+      {sites.length > 0 && (
+        <>
+          <div className="input-group">
+            <label>Computations</label>
+            <div className="batch-computations">
+              {computable.map(label => (
+                <label key={label} className="computation-option" title={label}>
+                  <input
+                    type="checkbox"
+                    value={label}
+                    checked={selectedComputations.includes(label)}
+                    onChange={handleComputationToggle}
+                    disabled={isRunning}
+                    className="checkbox-input"
+                  />
+                  <span className="checkbox-label">{getComputation(label).key}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="input-group">
+            <label htmlFor="batchConcurrency">Sites at a Time: {concurrency}</label>
+            <input id="batchConcurrency" type="range" min="1" max="6" value={concurrency} onChange={(e) => setConcurrency(parseInt(e.target.value, 10))} disabled={isRunning} />
+          </div>
+
+          <div className="batch-buttons">
+            {isRunning ? (
+              <button type="button" className="series-button" onClick={handleCancel} disabled={isCancelling}>
+                {isCancelling ? 'Cancelling...' : 'Cancel'}
+              </button>
+            ) : (
+              <button type="button" className="series-button" onClick={handleRun} disabled={supportedComputations(selectedComputations, sensor).length === 0 || remaining === 0}>
+                {hasStarted ? `Resume (${remaining} left)` : 'Run Batch'}
+              </button>
+            )}
+            {hasStarted && !isRunning && (
+              <button type="button" className="aoi-button" onClick={() => setSiteStates({})}>Start Over</button>
+            )}
+          </div>
+          {(isRunning || hasStarted) && (
+            <div className="batch-progress">
+              <progress value={finished} max={sites.length} />
+              <span>{finished}/{sites.length} sites · {counts.done} done, {counts.failed} failed{counts.running > 0 && `, ${counts.running} running`}</span>
+            </div>
+          )}
+        </>
+      )}
+
+      {hasStarted && (
+        <div className="batch-results">
+          <div className="batch-filters">
+            <input type="search" value={filterText} onChange={(e) => setFilterText(e.target.value)} placeholder="Filter by site or computation" aria-label="Filter results" />
+            <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} aria-label="Filter by status">
+              <option value="all">All statuses</option>
+              <option value="done">Done</option>
+              <option value="failed">Failed</option>
+              <option value="pending">Pending</option>
+            </select>
+          </div>
+          <div className="batch-table-wrapper">
+            <table className="result-stats batch-table">
+              <thead>
+                <tr>
+                  {TABLE_COLUMNS.map(({ id, label }) => (
+                    <th key={id} aria-sort={sort.column === id ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}>
+                      <button type="button" className="batch-sort" onClick={() => handleSort(id)}>
+                        {label}{sort.column === id && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.key} title={row.error || undefined}>
+                    <td>{row.site}</td>
+                    <td className={`batch-status-${row.status}`}>{row.status}</td>
+                    <td>{row.computation ?? (row.error ? row.error : '–')}</td>
+                    <td>{formatCell(row.date1Mean)}</td>
+                    <td>{formatCell(row.date2Mean)}</td>
+                    <td>{formatCell(row.differenceMean)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button onClick={handleExport} className="export-csv-button">
+            Export Batch CSV
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- Map layer with one dot per batch site, coloured by run status ---
+export function BatchSitesLayer({ entries }) {
+  return entries.map(({ site, state }) => (
+    <CircleMarker
+      key={site.id}
+      center={[site.latitude, site.longitude]}
+      radius={6}
+      pathOptions={{ color: STATUS_COLORS[state.status], fillOpacity: 0.7 }}
+    >
+      <Popup>
+        {site.name} <br /> {state.status}{state.error && `: ${state.error}`}
+      </Popup>
+    </CircleMarker>
+  ));
+}
@@ -0,0 +1,121 @@
+import { Polygon, Popup } from 'react-leaflet';
+import L from 'leaflet';
+import { CHANGE_DIRECTIONS, LARGEST_PATCH_COUNT } from './changeDetection';
+
+const formatHa = (value) => `${value.toFixed(value < 10 ? 2 : 1)} ha`;
+const toLatLngRings = (geometry) => geometry.coordinates.map(ring => ring.map(([lng, lat]) => [lat, lng]));
+
+// --- Form-side controls and area statistics for the change mask ---
+export function ChangeDetectionPanel({ results, settings, resolved, change, selectedPatchId, onChange, onSelectPatch, onExport }) {
+  if (!resolved) return null;
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const eligible = Object.entries(results).filter(([, result]) => result.raster);
+
+  const handleThresholdChange = (value) => {
+    const threshold = parseFloat(value);
+    if (!isNaN(threshold)) update({ threshold });
+  };
+
+  return (
+    <div className="change-detection">
+      <h3 className="results-title">Change Areas</h3>
+      <div className="input-group">
+        <label htmlFor="changeResult">Difference</label>
+        {/* A new source resets the direction to that computation's own */}
+        <select id="changeResult" value={resolved.resultKey} onChange={(e) => update({ resultKey: e.target.value, direction: null })}>
+          {eligible.map(([key, result]) => (
+            <option key={key} value={key}>{result.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="input-group">
+        <label htmlFor="changeDirection">Change Is</label>
+        <select id="changeDirection" value={resolved.direction} onChange={(e) => update({ direction: e.target.value })}>
+          {Object.entries(CHANGE_DIRECTIONS).map(([direction, label]) => (
+            <option key={direction} value={direction}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="overlay-stretch">
+        <div className="input-group">
+          <label htmlFor="changeThresholdMode">Threshold</label>
+          <select id="changeThresholdMode" value={settings.thresholdMode} onChange={(e) => update({ thresholdMode: e.target.value })}>
+            <option value="otsu">Automatic (Otsu)</option>
+            <option value="manual">Manual</option>
+          </select>
+        </div>
+        <div className="input-group">
+          <label htmlFor="changeThreshold">Magnitude ≥</label>
+          <input
+            id="changeThreshold"
+            type="number"
+            step="0.05"
+            min="0"
+            value={settings.thresholdMode === 'otsu' ? (change.threshold?.toFixed(3) ?? '') : settings.threshold}
+            disabled={settings.thresholdMode === 'otsu'}
+            onChange={(e) => handleThresholdChange(e.target.value)}
+          />
+        </div>
+      </div>
+      <div className="input-group">
+        <label htmlFor="changeMinPatch">Ignore Patches Smaller Than (ha)</label>
+        <input id="changeMinPatch" type="number" step="0.1" min="0" value={settings.minPatchHa} onChange={(e) => update({ minPatchHa: Math.max(0, parseFloat(e.target.value) || 0) })} />
+      </div>
+
+      {change.threshold === null ? (
+        <p className="aoi-hint">The difference is uniform over the area, so no automatic threshold can be derived.</p>
+      ) : (
+        <>
+          <p className="change-summary">
+            {formatHa(change.changedHa)} changed ({change.changedPercent?.toFixed(1) ?? 'N/A'}% of {formatHa(change.validHa)} with valid pixels)
+            in {change.patches.length} patch{change.patches.length === 1 ? '' : 'es'}.
+          </p>
+          {change.patches.length > 0 && (
+            <ol className="change-patches">
+              {change.patches.slice(0, LARGEST_PATCH_COUNT).map(patch => (
+                <li key={patch.id}>
+                  <button
+                    type="button"
+                    className={`link-button ${patch.id === selectedPatchId ? 'active' : ''}`}
+                    onClick={() => onSelectPatch(patch.id === selectedPatchId ? null : patch.id)}
+                  >
+                    {formatHa(patch.areaHa)} ({patch.pixels} pixels)
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+          <button type="button" className="export-csv-button" onClick={onExport} disabled={change.patches.length === 0}>
+            Export Change Areas (GeoJSON)
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+// --- Map layer with one clickable polygon per change patch ---
+export function ChangeAreasLayer({ change, selectedPatchId, onSelectPatch }) {
+  return change.patches.map(patch => (
+    <Polygon
+      key={patch.id}
+      positions={toLatLngRings(patch.geometry)}
+      pathOptions={{
+        color: patch.id === selectedPatchId ? '#ffff00' : '#e60000',
+        weight: patch.id === selectedPatchId ? 3 : 1.5,
+        fillOpacity: 0.25,
+      }}
+      eventHandlers={{
+        click: (e) => {
+          // Keep the click from also moving the marker
+          L.DomEvent.stopPropagation(e);
+          onSelectPatch(patch.id);
+        },
+      }}
+    >
+      <Popup>
+        Change patch #{patch.id} <br /> {formatHa(patch.areaHa)} ({patch.pixels} pixels)
+      </Popup>
+    </Polygon>
+  ));
+}
@@ -0,0 +1,78 @@
+import { MASK_CATEGORIES, assessCoverage } from './cloudMask';
+
+const formatPercent = (value) => (value === null ? 'N/A' : `${value.toFixed(0)}%`);
+
+// --- Coverage of one scene over the AOI, flagged when it is too cloudy ---
+function SceneCoverage({ label, coverage, rejected, settings }) {
+  if (coverage === undefined) return null;
+  if (coverage === 'loading') return <p className="aoi-hint">{label}: measuring cloud cover over the area…</p>;
+  if (coverage === null) return <p className="aoi-hint">{label}: no scene classification band, pixels are not masked.</p>;
+
+  const isCloudy = assessCoverage(coverage, settings) === 'cloudy';
+  return (
+    <p className={isCloudy ? 'cloud-warning' : 'aoi-hint'}>
+      {label}: {formatPercent(coverage.validPercent)} valid pixels over the area, {formatPercent(coverage.cloudPercent)} cloud or shadow
+      {isCloudy && ` – above the ${settings.maxCloudPercent}% limit`}
+      {rejected > 0 && ` (skipped ${rejected} cloudier scene${rejected > 1 ? 's' : ''})`}
+    </p>
+  );
+}
+
+// --- Settings for per-pixel SCL masking, plus the local coverage of both scenes ---
+export default function CloudMaskControl({ settings, onChange, coverage, rejected }) {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const toggleCategory = (category, checked) => {
+    const categories = checked
+      ? [...settings.categories, category]
+      : settings.categories.filter(c => c !== category);
+    update({ categories });
+  };
+
+  return (
+    <div className="cloud-mask-control">
+      <h2 className="computation-title">Cloud Masking</h2>
+      <label className="checkbox-label">
+        <input type="checkbox" checked={settings.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+        Mask pixels using the scene classification (SCL)
+      </label>
+
+      {settings.enabled && (
+        <>
+          <div className="cloud-mask-categories">
+            {Object.entries(MASK_CATEGORIES).map(([category, { label }]) => (
+              <label key={category} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={settings.categories.includes(category)}
+                  onChange={(e) => toggleCategory(category, e.target.checked)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          <div className="input-group">
+            <label htmlFor="maxCloudPercent">Max Cloud Over Area: {settings.maxCloudPercent}%</label>
+            <input
+              id="maxCloudPercent"
+              type="range"
+              min="0"
+              max="100"
+              value={settings.maxCloudPercent}
+              onChange={(e) => update({ maxCloudPercent: parseInt(e.target.value, 10) })}
+            />
+          </div>
+          <div className="input-group">
+            <label htmlFor="cloudPolicy">When a scene is too cloudy</label>
+            <select id="cloudPolicy" value={settings.policy} onChange={(e) => update({ policy: e.target.value })}>
+              <option value="warn">Warn only</option>
+              <option value="reject">Skip to a clearer scene when searching</option>
+            </select>
+          </div>
+          <SceneCoverage label="Image 1" coverage={coverage.date1} rejected={rejected.date1} settings={settings} />
+          <SceneCoverage label="Image 2" coverage={coverage.date2} rejected={rejected.date2} settings={settings} />
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+
+export const COMPARE_MODES = [
+  { id: 'toggle', label: 'Toggle' },
+  { id: 'swipe', label: 'Swipe' },
+  { id: 'opacity', label: 'Opacity' },
+  { id: 'dual', label: 'Dual Map' },
+];
+
+// --- Map component clipping Image 1 to the left and Image 2 to the right of the swipe divider ---
+export function SwipeClipper({ position, leftLayerRef, rightLayerRef }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const updateClip = () => {
+      const size = map.getSize();
+      // Clip rects are in layer coordinates, which shift as the map pans
+      const nw = map.containerPointToLayerPoint([0, 0]);
+      const se = map.containerPointToLayerPoint(size);
+      const clipX = nw.x + size.x * position;
+
+      const left = leftLayerRef.current?.getContainer();
+      const right = rightLayerRef.current?.getContainer();
+      if (left) left.style.clip = `rect(${nw.y}px, ${clipX}px, ${se.y}px, ${nw.x}px)`;
+      if (right) right.style.clip = `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${clipX}px)`;
+    };
+
+    updateClip();
+    map.on('move', updateClip);
+    map.on('zoomend', updateClip);
+    map.on('resize', updateClip);
+    map.on('layeradd', updateClip);
+
+    return () => {
+      map.off('move', updateClip);
+      map.off('zoomend', updateClip);
+      map.off('resize', updateClip);
+      map.off('layeradd', updateClip);
+      [leftLayerRef, rightLayerRef].forEach(layerRef => {
+        const container = layerRef.current?.getContainer();
+        if (container) container.style.clip = '';
+      });
+    };
+  }, [map, position, leftLayerRef, rightLayerRef]);
+
+  return null;
+}
+
+// Fraction of the map width the swipe divider moves per arrow key press
+const SWIPE_KEY_STEP = 0.05;
+
+// --- Draggable vertical divider drawn over the map, reporting its position as a 0-1 fraction ---
+// Its handle is a slider, so it can also be moved with the arrow, Home and End keys.
+export function SwipeDivider({ position, onChange }) {
+  const dividerRef = useRef(null);
+
+  const handlePointerDown = (event) => {
+    event.preventDefault();
+    const container = dividerRef.current.parentElement;
+
+    const handlePointerMove = (moveEvent) => {
+      const rect = container.getBoundingClientRect();
+      const fraction = (moveEvent.clientX - rect.left) / rect.width;
+      onChange(Math.min(1, Math.max(0, fraction)));
+    };
+    const handlePointerUp = () => {
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+    };
+
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+  };
+
+  const keyPositions = {
+    ArrowLeft: position - SWIPE_KEY_STEP,
+    ArrowDown: position - SWIPE_KEY_STEP,
+    ArrowRight: position + SWIPE_KEY_STEP,
+    ArrowUp: position + SWIPE_KEY_STEP,
+    Home: 0,
+    End: 1,
+  };
+  const handleKeyDown = (event) => {
+    if (!(event.key in keyPositions)) return;
+    event.preventDefault(); // Keeps the arrow keys from also moving the marker
+    onChange(Math.min(1, Math.max(0, keyPositions[event.key])));
+  };
+
+  return (
+    <div ref={dividerRef} className="swipe-divider" style={{ left: `${position * 100}%` }}>
+      <div
+        className="swipe-handle"
+        role="slider"
+        tabIndex={0}
+        aria-label="Swipe divider: Image 1 to the left, Image 2 to the right"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(position * 100)}
+        aria-valuetext={`${Math.round(position * 100)}% of the map shows Image 1`}
+        onPointerDown={handlePointerDown}
+        onKeyDown={handleKeyDown}
+      >
+        <span aria-hidden="true">&#x2039;&#x203A;</span>
+      </div>
+      <span className="swipe-label swipe-label-left">Image 1</span>
+      <span className="swipe-label swipe-label-right">Image 2</span>
+    </div>
+  );
+}
+
+// --- Map component keeping every map in a sync group at the same centre and zoom ---
+// `syncGroup` is a ref shared by the linked maps: { current: { maps: [], syncing: false } }
+export function MapSync({ syncGroup }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const group = syncGroup.current;
+    const leader = group.maps[0];
+    if (leader) map.setView(leader.getCenter(), leader.getZoom(), { animate: false });
+    group.maps.push(map);
+    group.maps.forEach(m => m.invalidateSize());
+
+    const handleMove = () => {
+      if (group.syncing) return;
+      group.syncing = true;
+      group.maps.forEach(other => {
+        if (other !== map) other.setView(map.getCenter(), map.getZoom(), { animate: false });
+      });
+      group.syncing = false;
+    };
+    map.on('move', handleMove);
+
+    return () => {
+      map.off('move', handleMove);
+      group.maps = group.maps.filter(m => m !== map);
+      // The remaining maps change size once the linked map is gone
+      setTimeout(() => group.maps.forEach(m => m.invalidateSize()), 0);
+    };
+  }, [map, syncGroup]);
+
+  return null;
+}
+
+// --- Form-side toolbar choosing how Image 1 and Image 2 are compared ---
+export function CompareToolbar({ mode, onModeChange, isImage1Visible, onToggleImage1, opacity, onOpacityChange }) {
+  return (
+    <div className="compare-toolbar">
+      <div className="compare-modes" role="group" aria-label="Compare mode">
+        {COMPARE_MODES.map(({ id, label }) => (
+          <button
+            key={id}
+            type="button"
+            className={`compare-mode-button ${mode === id ? 'active' : ''}`}
+            aria-pressed={mode === id}
+            onClick={() => onModeChange(id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'toggle' && (
+        <button type="button" onClick={onToggleImage1} className="toggle-button" aria-keyshortcuts="T">
+          {isImage1Visible ? 'Hide Image 1' : 'Show Image 1'}
+        </button>
+      )}
+      {mode === 'swipe' && <p className="compare-hint">Drag the divider on the map: Image 1 is on the left, Image 2 on the right.</p>}
+      {mode === 'opacity' && (
+        <div className="input-group">
+          <label htmlFor="image1Opacity">Image 1 Opacity: {opacity}%</label>
+          <input
+            id="image1Opacity"
+            type="range"
+            min="0"
+            max="100"
+            value={opacity}
+            onChange={(e) => onOpacityChange(parseInt(e.target.value, 10))}
+          />
+        </div>
+      )}
+      {mode === 'dual' && <p className="compare-hint">Image 1 (left) and Image 2 (right) pan and zoom together.</p>}
+    </div>
+  );
+}
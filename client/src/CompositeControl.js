@@ -0,0 +1,74 @@
+import { COMPOSITE_BANDS, COMPOSITE_PRESETS, missingCompositeBands } from './composites';
+
+const CHANNELS = ['Red', 'Green', 'Blue'];
+const LAYERS = [
+  { id: 'image1', label: 'Image 1' },
+  { id: 'image2', label: 'Image 2' },
+];
+
+// --- Band composite picker, with contrast and gamma per imagery layer ---
+export default function CompositeControl({ settings, onChange, image1Info, image2Info }) {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const handleBandChange = (channel, bandId) => {
+    const customBands = [...settings.customBands];
+    customBands[channel] = bandId;
+    update({ customBands });
+  };
+
+  const handleAdjustmentChange = (layer, changes) => {
+    update({ adjustments: { ...settings.adjustments, [layer]: { ...settings.adjustments[layer], ...changes } } });
+  };
+
+  const missing = [...new Set([
+    ...missingCompositeBands(image1Info, settings),
+    ...missingCompositeBands(image2Info, settings),
+  ])];
+
+  return (
+    <div className="composite-control">
+      <h2 className="computation-title">Band Composite</h2>
+      <div className="input-group">
+        <label htmlFor="compositePreset">Bands Shown as Red/Green/Blue</label>
+        <select id="compositePreset" value={settings.preset} onChange={(e) => update({ preset: e.target.value })}>
+          {Object.entries(COMPOSITE_PRESETS).map(([id, preset]) => (
+            <option key={id} value={id}>{preset.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {settings.preset === 'custom' && (
+        <div className="composite-bands">
+          {CHANNELS.map((channel, i) => (
+            <div key={channel} className="input-group">
+              <label htmlFor={`compositeBand${channel}`}>{channel}</label>
+              <select id={`compositeBand${channel}`} value={settings.customBands[i]} onChange={(e) => handleBandChange(i, e.target.value)}>
+                {COMPOSITE_BANDS.map(bandId => <option key={bandId} value={bandId}>{bandId}</option>)}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+      {missing.length > 0 && (
+        <p className="error-text">Band(s) {missing.join(', ')} not available for this scene; showing true colour instead.</p>
+      )}
+
+      {LAYERS.map(({ id, label }) => {
+        const { contrast, gamma } = settings.adjustments[id];
+        return (
+          <div key={id} className="composite-adjustments">
+            <span className="font-bold">{label}</span>
+            <div className="input-group">
+              <label htmlFor={`${id}Contrast`}>Contrast: {contrast.toFixed(1)}×</label>
+              <input id={`${id}Contrast`} type="range" min="0.5" max="3" step="0.1" value={contrast} onChange={(e) => handleAdjustmentChange(id, { contrast: parseFloat(e.target.value) })} />
+            </div>
+            <div className="input-group">
+              <label htmlFor={`${id}Gamma`}>Gamma: {gamma.toFixed(1)}</label>
+              <input id={`${id}Gamma`} type="range" min="0.5" max="2.5" step="0.1" value={gamma} onChange={(e) => handleAdjustmentChange(id, { gamma: parseFloat(e.target.value) })} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
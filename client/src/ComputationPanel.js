@@ -0,0 +1,110 @@
+import { useEffect } from 'react';
+import { analysisRegion, computationCategoriesFor, runComputations } from './computationEngine';
+import { SENSORS } from './sensors';
+import { registerCustomIndices, saveCustomIndices } from './customIndices';
+import CustomIndexEditor from './CustomIndexEditor';
+import ResultsPanel from './ResultsPanel';
+import { useShortcuts } from './KeyboardShortcuts';
+import { useStore } from './StoreContext';
+import {
+  categoryToggled, computationFailed, computationFinished, computationRequested, computationToggled,
+  customIndicesChanged, selectAnalysisSensor,
+} from './store';
+
+/**
+ * Choice of the computations to run on the scene pair, the custom index editor and the
+ * results. Runs the computations whenever a calculation is requested.
+ */
+function ComputationPanel() {
+  const { state, dispatch } = useStore();
+  const { selected, isCalculating, error, pending } = state.computation;
+  const analysisSensor = selectAnalysisSensor(state);
+
+  // Available computation types, limited to those the scenes' sensor supports
+  const computationCategories = computationCategoriesFor(analysisSensor);
+
+  // --- Computation runner ---
+  useEffect(() => {
+    if (!pending) return;
+    let isCurrent = true;
+    const { id, computations, image1Info, image2Info, latitude, longitude, aoiVertices, maskClasses } = pending;
+    const region = analysisRegion(parseFloat(latitude), parseFloat(longitude), aoiVertices);
+    runComputations(computations, image1Info, image2Info, region, undefined, { maskClasses })
+      .then(results => {
+        if (isCurrent) dispatch(computationFinished(id, results));
+      })
+      .catch(error => {
+        console.error("Failed to compute indices:", error);
+        if (isCurrent) dispatch(computationFailed(id, error.message));
+      });
+    return () => { isCurrent = false; };
+  }, [pending, dispatch]);
+
+  const canCalculate = selected.length > 0 && !isCalculating;
+  useShortcuts({
+    calculate: () => canCalculate && dispatch(computationRequested()),
+  });
+
+  const handleCustomIndicesChange = (definitions) => {
+    let saveError = '';
+    try {
+      saveCustomIndices(definitions);
+    } catch (err) {
+      saveError = `Custom indices could not be saved in this browser: ${err.message}`;
+    }
+    dispatch(customIndicesChanged(registerCustomIndices(definitions), saveError));
+  };
+
+  return (
+    <div className="computation-section">
+      <h2 className="computation-title">Select Computations</h2>
+      <p className="subtitle">Choose which geospatial computations you'd like to perform on the selected area. Index values are computed from the {SENSORS[analysisSensor].name} bands of both images.</p>
+      {Object.entries(computationCategories).map(([category, computations]) => {
+        const categoryId = `category-${category.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+        return (
+          <div key={category} className="computation-category">
+            <h3>
+              <label htmlFor={categoryId} className="checkbox-label">{category}</label>
+              <input
+                id={categoryId}
+                type="checkbox"
+                checked={computations.every(comp => selected.includes(comp))}
+                onChange={(e) => dispatch(categoryToggled(computations, e.target.checked))}
+                className="checkbox-input"
+              />
+            </h3>
+            <div className="input-group" role="group" aria-label={`${category} computations`}>
+              {computations.map(option => (
+                <label key={option} className="computation-option">
+                  <input
+                    type="checkbox"
+                    value={option}
+                    checked={selected.includes(option)}
+                    onChange={(e) => dispatch(computationToggled(option, e.target.checked))}
+                    className="checkbox-input"
+                  />
+                  <span className="checkbox-label">{option}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+      <CustomIndexEditor indices={state.customIndices.definitions} onChange={handleCustomIndicesChange} error={state.customIndices.error} />
+      <button
+        className='calculate-button'
+        type='button'
+        onClick={() => dispatch(computationRequested())}
+        disabled={!canCalculate}
+        aria-keyshortcuts="C"
+        >
+        {isCalculating ? 'Calculating...' : 'Calculate Selected'}
+      </button>
+      {error && <p className="error-text api-error" role="alert">{error}</p>}
+
+      <ResultsPanel />
+    </div>
+  );
+}
+
+export default ComputationPanel;
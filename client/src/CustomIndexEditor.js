@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { EMPTY_CUSTOM_INDEX, validateCustomIndex } from './customIndices';
+import { FORMULA_FUNCTIONS } from './formula';
+import { SENSORS, missingSensorBands } from './sensors';
+
+// --- Editor for user-defined band-math indices, plus the list of saved ones ---
+export default function CustomIndexEditor({ indices, onChange, error }) {
+  const [draft, setDraft] = useState(null); // Definition being edited, null when closed
+  const [editingId, setEditingId] = useState(null); // Id of the saved index being edited
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+  const handleRangeChange = (position, value) => {
+    const range = [...draft.range];
+    range[position] = value === '' ? NaN : parseFloat(value);
+    update({ range });
+  };
+
+  const { errors, bands } = draft ? validateCustomIndex(draft) : { errors: {}, bands: [] };
+  const isValid = Object.keys(errors).length === 0;
+  const duplicate = draft && draft.id.trim() !== editingId && indices.some(index => index.id === draft.id.trim());
+  const sensorsWithBands = Object.entries(SENSORS)
+    .filter(([sensorId]) => missingSensorBands(sensorId, bands).length === 0)
+    .map(([, sensor]) => sensor.name);
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    if (!isValid || duplicate) return;
+    const definition = { ...draft, id: draft.id.trim(), name: draft.name.trim(), expression: draft.expression.trim() };
+    onChange(editingId === null
+      ? [...indices, definition]
+      : indices.map(index => (index.id === editingId ? definition : index)));
+    setDraft(null);
+    setEditingId(null);
+  };
+
+  const handleEdit = (index) => {
+    setDraft(index);
+    setEditingId(index.id);
+  };
+
+  const handleDelete = (index) => {
+    if (window.confirm(`Delete the custom index "${index.name}"?`)) {
+      onChange(indices.filter(other => other.id !== index.id));
+    }
+  };
+
+  return (
+    <details className="custom-index-editor">
+      <summary>Custom indices ({indices.length})</summary>
+      <p className="aoi-hint">Define your own index as a formula over band values; it is offered as a computation, in batch runs and in time series on every sensor with its bands.</p>
+      {indices.length > 0 && (
+        <ul className="custom-index-list">
+          {indices.map(index => (
+            <li key={index.id}>
+              <span className="font-bold">{index.id}</span> {index.name}
+              <code>{index.expression}</code>
+              <button type="button" className="link-button" onClick={() => handleEdit(index)}>Edit</button>
+              <button type="button" className="link-button" onClick={() => handleDelete(index)}>Delete</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <p className="error-text">{error}</p>}
+
+      {draft === null ? (
+        <button type="button" className="aoi-button" onClick={() => setDraft(EMPTY_CUSTOM_INDEX)}>New Custom Index</button>
+      ) : (
+        <form className="custom-index-form" onSubmit={handleSave} noValidate>
+          <div className="input-group">
+            <label htmlFor="customIndexId">Short Id</label>
+            <input id="customIndexId" value={draft.id} onChange={(e) => update({ id: e.target.value })} placeholder="e.g., SAVI" disabled={editingId !== null} />
+            {draft.id && (errors.id || (duplicate && `You already have an index called ${draft.id.trim()}.`)) && (
+              <p className="error-text">{errors.id || `You already have an index called ${draft.id.trim()}.`}</p>
+            )}
+          </div>
+          <div className="input-group">
+            <label htmlFor="customIndexName">Name</label>
+            <input id="customIndexName" value={draft.name} onChange={(e) => update({ name: e.target.value })} placeholder="e.g., Soil Adjusted Vegetation Index" />
+          </div>
+          <div className="input-group">
+            <label htmlFor="customIndexExpression">Formula</label>
+            <input
+              id="customIndexExpression"
+              className="custom-index-expression"
+              value={draft.expression}
+              onChange={(e) => update({ expression: e.target.value })}
+              placeholder="(B08-B04)/(B08+B04+0.5)*1.5"
+              spellCheck={false}
+            />
+            {draft.expression && errors.expression
+              ? <p className="error-text">{errors.expression}</p>
+              : bands.length > 0 && (
+                <p className="aoi-hint">
+                  Uses {bands.join(', ')} · {sensorsWithBands.length > 0 ? `available from ${sensorsWithBands.join(', ')}` : 'no sensor has all of these bands'}
+                </p>
+              )}
+            <p className="aoi-hint">
+              Bands such as B04 or TIR, numbers, + − × ÷ (* and /), ^ for powers, parentheses and {Object.keys(FORMULA_FUNCTIONS).map(name => `${name}()`).join(', ')}.
+            </p>
+          </div>
+          <div className="overlay-stretch">
+            <div className="input-group">
+              <label htmlFor="customIndexMin">Typical Min</label>
+              <input id="customIndexMin" type="number" step="0.1" value={Number.isNaN(draft.range[0]) ? '' : draft.range[0]} onChange={(e) => handleRangeChange(0, e.target.value)} />
+            </div>
+            <div className="input-group">
+              <label htmlFor="customIndexMax">Typical Max</label>
+              <input id="customIndexMax" type="number" step="0.1" value={Number.isNaN(draft.range[1]) ? '' : draft.range[1]} onChange={(e) => handleRangeChange(1, e.target.value)} />
+            </div>
+          </div>
+          {errors.range && <p className="error-text">{errors.range}</p>}
+          <div className="input-group">
+            <label htmlFor="customIndexInterpretation">Interpretation</label>
+            <input id="customIndexInterpretation" value={draft.interpretation} onChange={(e) => update({ interpretation: e.target.value })} placeholder="e.g., Higher values indicate denser vegetation" />
+          </div>
+          <div className="input-group">
+            <label htmlFor="customIndexDirection">Change of Interest</label>
+            <select id="customIndexDirection" value={draft.changeDirection} onChange={(e) => update({ changeDirection: e.target.value })}>
+              <option value="increase">Increase</option>
+              <option value="decrease">Decrease</option>
+            </select>
+          </div>
+          <div className="batch-buttons">
+            <button type="submit" className="series-button" disabled={!isValid || duplicate}>Save Index</button>
+            <button type="button" className="aoi-button" onClick={() => { setDraft(null); setEditingId(null); }}>Cancel</button>
+          </div>
+        </form>
+      )}
+    </details>
+  );
+}
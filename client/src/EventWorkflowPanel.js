@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { COMPOSITE_PRESETS } from './composites';
+import { EVENT_PRESETS } from './eventPresets';
+import { RANKING_STRATEGIES } from './sceneSelection';
+
+const STAGE_MESSAGES = {
+  searching: 'Finding the pre-event and post-event scenes…',
+  calculating: 'Computing the event indices…',
+  done: 'Done: the impact summary is with the computation results.',
+  failed: 'The guided run stopped; see the message below.',
+};
+
+const formatPercent = (value) => (value == null ? 'N/A' : `${value.toFixed(1)}%`);
+const formatHa = (value) => `${value.toFixed(value < 10 ? 2 : 1)} ha`;
+
+// --- Guided disaster response: pick an event type and date, the rest follows from its preset ---
+export function EventWorkflowPanel({ workflow, disabled, onStart }) {
+  const [eventType, setEventType] = useState(workflow?.eventType || 'wildfire');
+  const [eventDate, setEventDate] = useState(workflow?.eventDate || '');
+  const [error, setError] = useState('');
+  const preset = EVENT_PRESETS[eventType];
+
+  const handleStart = () => {
+    if (!eventDate) {
+      setError('Event date is required.');
+      return;
+    }
+    setError('');
+    onStart(eventType, eventDate);
+  };
+
+  return (
+    <details className="event-workflow">
+      <summary>Guided disaster response</summary>
+      <div className="input-group">
+        <label htmlFor="eventType">Event Type</label>
+        <select id="eventType" value={eventType} onChange={(e) => setEventType(e.target.value)}>
+          {Object.entries(EVENT_PRESETS).map(([id, { name }]) => <option key={id} value={id}>{name}</option>)}
+        </select>
+        <p className="aoi-hint">
+          {preset.description} Pre-event scene from the {preset.preEventDays} days before the event,
+          post-event scene from the {preset.postEventDays} days after ({RANKING_STRATEGIES[preset.ranking].label.toLowerCase()} first),
+          shown as {COMPOSITE_PRESETS[preset.composite].name}.
+        </p>
+      </div>
+      <div className="input-group">
+        <label htmlFor="eventDate">Event Date</label>
+        <input id="eventDate" type="date" value={eventDate} onChange={(e) => setEventDate(e.target.value)} />
+        {error && <p className="error-text">{error}</p>}
+      </div>
+      <button type="button" className="event-workflow-button" onClick={handleStart} disabled={disabled}>
+        Analyse Event
+      </button>
+      {workflow && <p className="aoi-hint">{STAGE_MESSAGES[workflow.stage]}</p>}
+    </details>
+  );
+}
+
+// --- Area per impact class of a guided run, and the share of the area affected ---
+export function ImpactSummary({ eventName, summary }) {
+  return (
+    <div className="impact-summary">
+      <h3 className="results-title">{eventName} Impact</h3>
+      <p className="change-summary">
+        {formatHa(summary.affectedHa)} affected, {formatPercent(summary.affectedPercent)} of the {formatHa(summary.validHa)} with valid pixels.
+      </p>
+      <table className="result-stats">
+        <thead>
+          <tr><th>Class</th><th>Area</th><th>Share</th></tr>
+        </thead>
+        <tbody>
+          {summary.classes.map(({ label, color, affected, areaHa, percent }) => (
+            <tr key={label} className={affected ? 'impact-affected' : undefined}>
+              <td><span className="impact-swatch" style={{ backgroundColor: color }} />{label}</td>
+              <td>{formatHa(areaHa)}</td>
+              <td>{formatPercent(percent)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
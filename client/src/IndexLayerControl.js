@@ -0,0 +1,129 @@
+import { SPECTRAL_INDICES } from './spectralIndices';
+import { COLOR_RAMPS, DIFFERENCE_DISPLAY_DEFAULTS, INDEX_DISPLAY_DEFAULTS } from './colorRamps';
+import { overlayClasses, overlayIndices } from './indexOverlay';
+
+// --- Form-side layer switcher for index overlays ---
+export function IndexLayerControl({ settings, onChange, error, sensor }) {
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const indexIds = overlayIndices(sensor);
+
+  const handleLayerChange = (event) => {
+    const layer = event.target.value;
+    if (layer === 'none' || layer === 'dNBR') {
+      update({ layer });
+      return;
+    }
+    // Reset ramp and stretch to the index's defaults when switching index
+    const defaults = settings.source === 'difference' ? DIFFERENCE_DISPLAY_DEFAULTS : INDEX_DISPLAY_DEFAULTS[layer];
+    update({ layer, ramp: defaults.ramp, stretch: defaults.stretch });
+  };
+
+  const handleSourceChange = (event) => {
+    const source = event.target.value;
+    const defaults = source === 'difference' ? DIFFERENCE_DISPLAY_DEFAULTS : INDEX_DISPLAY_DEFAULTS[settings.layer];
+    update({ source, ...(defaults && { ramp: defaults.ramp, stretch: defaults.stretch }) });
+  };
+
+  const handleStretchChange = (position, value) => {
+    const number = parseFloat(value);
+    if (isNaN(number)) return;
+    const stretch = [...settings.stretch];
+    stretch[position] = number;
+    if (stretch[0] < stretch[1]) update({ stretch });
+  };
+
+  const isCustomizable = settings.layer !== 'none' && settings.layer !== 'dNBR';
+
+  return (
+    <div className="index-layer-control">
+      <h2 className="computation-title">Index Overlay</h2>
+      <div className="input-group">
+        <label htmlFor="overlayLayer">Layer</label>
+        <select id="overlayLayer" value={settings.layer} onChange={handleLayerChange}>
+          <option value="none">None (imagery only)</option>
+          {indexIds.includes('NBR') && <option value="dNBR">dNBR burn severity (USGS classes)</option>}
+          {indexIds.map(id => (
+            <option key={id} value={id}>{id} – {SPECTRAL_INDICES[id].name}</option>
+          ))}
+        </select>
+      </div>
+
+      {isCustomizable && (
+        <>
+          <div className="input-group">
+            <label htmlFor="overlaySource">Show</label>
+            <select id="overlaySource" value={settings.source} onChange={handleSourceChange}>
+              <option value="date1">Image 1</option>
+              <option value="date2">Image 2</option>
+              <option value="difference">Difference (Image 2 − Image 1)</option>
+            </select>
+          </div>
+          <div className="input-group">
+            <label htmlFor="overlayRamp">Colour Ramp</label>
+            <select id="overlayRamp" value={settings.ramp} onChange={(e) => update({ ramp: e.target.value })}>
+              {Object.entries(COLOR_RAMPS).map(([id, ramp]) => (
+                <option key={id} value={id}>{ramp.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="overlay-stretch">
+            <div className="input-group">
+              <label htmlFor="stretchMin">Stretch Min</label>
+              <input id="stretchMin" type="number" step="0.05" value={settings.stretch[0]} onChange={(e) => handleStretchChange(0, e.target.value)} />
+            </div>
+            <div className="input-group">
+              <label htmlFor="stretchMax">Stretch Max</label>
+              <input id="stretchMax" type="number" step="0.05" value={settings.stretch[1]} onChange={(e) => handleStretchChange(1, e.target.value)} />
+            </div>
+          </div>
+          <div className="input-group">
+            <label htmlFor="overlayClasses">Classes: {settings.classCount === 0 ? 'continuous' : settings.classCount}</label>
+            <input id="overlayClasses" type="range" min="0" max="10" value={settings.classCount} onChange={(e) => update({ classCount: parseInt(e.target.value, 10) })} />
+          </div>
+        </>
+      )}
+
+      {settings.layer !== 'none' && (
+        <div className="input-group">
+          <label htmlFor="overlayOpacity">Overlay Opacity: {Math.round(settings.opacity * 100)}%</label>
+          <input id="overlayOpacity" type="range" min="0" max="100" value={Math.round(settings.opacity * 100)} onChange={(e) => update({ opacity: parseInt(e.target.value, 10) / 100 })} />
+        </div>
+      )}
+      {error && <p className="error-text api-error">{error}</p>}
+    </div>
+  );
+}
+
+// --- Legend drawn over the map for the active overlay ---
+export function IndexLegend({ settings }) {
+  if (settings.layer === 'none') return null;
+
+  const classes = overlayClasses(settings);
+  let title = settings.layer === 'dNBR' ? 'dNBR Burn Severity' : settings.layer;
+  if (settings.layer !== 'dNBR' && settings.source === 'difference') title = `Δ${settings.layer} (Image 2 − Image 1)`;
+  else if (settings.layer !== 'dNBR') title += settings.source === 'date1' ? ' (Image 1)' : ' (Image 2)';
+
+  return (
+    <div className="index-legend">
+      <span className="font-bold">{title}</span>
+      {classes ? (
+        <ul className="legend-classes">
+          {classes.map(cls => (
+            <li key={cls.label}>
+              <span className="legend-class-swatch" style={{ backgroundColor: cls.color }} />
+              {cls.label}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <>
+          <div className="legend-gradient" style={{ background: `linear-gradient(to right, ${COLOR_RAMPS[settings.ramp].colors.join(', ')})` }} />
+          <div className="legend-range">
+            <span>{settings.stretch[0]}</span>
+            <span>{settings.stretch[1]}</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
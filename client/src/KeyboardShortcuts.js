@@ -0,0 +1,68 @@
+import { useEffect, useRef } from 'react';
+import { SHORTCUTS, shortcutFor } from './shortcuts';
+
+/**
+ * Runs `handlers[id](shortcut)` for the keyboard shortcuts (see shortcuts.js) pressed while the
+ * calling component is mounted. A handler returning false leaves the key to the browser.
+ */
+export function useShortcuts(handlers) {
+  // The latest handlers, so the listener isn't re-added on every render
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const shortcut = shortcutFor(event);
+      const handler = shortcut && handlersRef.current[shortcut.id];
+      if (handler && handler(shortcut) !== false) event.preventDefault();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
+}
+
+// --- Modal list of the shortcuts; focus moves into it and back to where it was when closed ---
+export function ShortcutHelp({ onClose }) {
+  const closeButtonRef = useRef(null);
+
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    closeButtonRef.current.focus();
+    return () => previousFocus?.focus?.();
+  }, []);
+
+  // The close button is the only control, so Tab keeps focus on it
+  const handleKeyDown = (event) => {
+    if (event.key === 'Tab') event.preventDefault();
+  };
+
+  return (
+    // Clicking outside the dialog closes it too
+    <div className="shortcut-help-backdrop" onClick={onClose}>
+      <div
+        className="shortcut-help"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <h2 id="shortcut-help-title">Keyboard Shortcuts</h2>
+        <table className="shortcut-table">
+          <thead>
+            <tr><th scope="col">Keys</th><th scope="col">Action</th></tr>
+          </thead>
+          <tbody>
+            {SHORTCUTS.map(({ keys, description }) => (
+              <tr key={keys}>
+                <td><kbd>{keys}</kbd></td>
+                <td>{description}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button type="button" ref={closeButtonRef} className="aoi-button" onClick={onClose}>Close</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import { useEffect, useRef, useState } from 'react';
+import { parseCoordinates } from './coordinates';
+import { nominatimGeocoder } from './geocoding';
+
+const FORMAT_LABELS = { decimal: 'decimal degrees', dms: 'DMS', utm: 'UTM', mgrs: 'MGRS' };
+
+// --- Single search box: coordinates in any supported format, or a place name ---
+export default function LocationSearch({ onLocate, geocoder = nominatimGeocoder }) {
+  const [query, setQuery] = useState('');
+  const [places, setPlaces] = useState([]);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isSearching, setIsSearching] = useState(false);
+  const abortRef = useRef(null);
+
+  // Cancel a pending place search when the box unmounts
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const locate = (latitude, longitude, label) => {
+    setPlaces([]);
+    setMessage(label);
+    onLocate({ latitude, longitude, label });
+  };
+
+  const handleSearch = async (event) => {
+    event.preventDefault();
+    const text = query.trim();
+    if (!text) return;
+
+    abortRef.current?.abort();
+    setError('');
+    setMessage('');
+    setPlaces([]);
+
+    const coordinates = parseCoordinates(text);
+    if (coordinates) {
+      const { latitude, longitude, format } = coordinates;
+      locate(latitude, longitude, `${FORMAT_LABELS[format]}: ${latitude.toFixed(6)}, ${longitude.toFixed(6)}`);
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsSearching(true);
+    try {
+      const results = await geocoder(text, { signal: controller.signal });
+      if (results.length === 0) setError(`No places found for "${text}".`);
+      else if (results.length === 1) locate(results[0].latitude, results[0].longitude, results[0].label);
+      else setPlaces(results);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error("Place search failed:", err);
+      setError(err.message);
+    } finally {
+      if (abortRef.current === controller) setIsSearching(false);
+    }
+  };
+
+  return (
+    <div className="location-search">
+      <label htmlFor="locationSearch">Search Location</label>
+      {/* Not a nested <form>: this box lives inside the analysis form */}
+      <div className="location-search-row">
+        <input
+          id="locationSearch"
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleSearch(e); }}
+          placeholder={`Place, "lat, lon", 35°26'21"N 82°14'47"W, MGRS…`}
+        />
+        <button type="button" className="aoi-button" onClick={handleSearch} disabled={isSearching || !query.trim()}>
+          {isSearching ? 'Searching...' : 'Go'}
+        </button>
+      </div>
+      {places.length > 0 && (
+        <ul className="location-search-results">
+          {places.map(place => (
+            <li key={`${place.label}-${place.latitude}-${place.longitude}`}>
+              <button type="button" className="link-button" onClick={() => locate(place.latitude, place.longitude, place.label)}>
+                {place.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {message && <p className="aoi-hint">{message}</p>}
+      {error && <p className="error-text">{error}</p>}
+    </div>
+  );
+}
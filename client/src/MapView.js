@@ -0,0 +1,444 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { MapContainer, TileLayer, useMap, useMapEvents, Marker, Popup } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { analysisRegion, measureSceneCoverage } from './computationEngine';
+import { wrapLongitude } from './coordinates';
+import { AoiDrawHandler, AoiLayer } from './AoiTools';
+import { AnnotationDrawHandler, AnnotationLayer, AnnotationPanel } from './AnnotationTools';
+import { buildAnnotationsGeoJSON, createAnnotation } from './annotations';
+import { COMPARE_MODES, CompareToolbar, MapSync, SwipeClipper, SwipeDivider } from './CompareTools';
+import ScenePicker, { AcquisitionDate } from './ScenePicker';
+import { apiClient } from './apiClient';
+import { IndexLayerControl, IndexLegend } from './IndexLayerControl';
+import { buildIndexLayerRequest } from './indexOverlay';
+import { maskedTileUrl } from './cloudMask';
+import CloudMaskControl from './CloudMaskControl';
+import { ChangeAreasLayer } from './ChangeDetectionPanel';
+import { BatchSitesLayer } from './BatchPanel';
+import { compositeTileUrl } from './composites';
+import CompositeControl from './CompositeControl';
+import { inspectPixel } from './pixelInspector';
+import { PixelInspectorLayer, PixelInspectorPanel } from './PixelInspector';
+import OfflinePackPanel from './OfflinePackPanel';
+import { downloadFile } from './download';
+import { exportBaseName } from './exporters';
+import { useShortcuts } from './KeyboardShortcuts';
+import { adjacentScene } from './sceneSelection';
+import { useStore } from './StoreContext';
+import {
+  annotationAdded, annotationChanged, annotationDeleted, aoiDrawn, aoiEdited, inspectorToggled, locationPicked, mapZoomed, markerNudged,
+  overlayLayerChanged, patchSelected,
+  pixelInspected, pixelInspectionFailed, pixelInspectionRequested, sceneSelected, selectAnalysisSensor,
+  selectChangeAreas, selectHasScenes, selectMaskClasses, viewChanged,
+} from './store';
+
+// Fix for default marker icon issue in Webpack
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+  iconRetinaUrl: 'https://unpkg.com/leaflet@1.7.1/dist/images/marker-icon-2x.png',
+  iconUrl: 'https://unpkg.com/leaflet@1.7.1/dist/images/marker-icon.png',
+  shadowUrl: 'https://unpkg.com/leaflet@1.7.1/dist/images/marker-shadow.png',
+});
+
+// --- Helper Component to Update Map View ---
+function MapUpdater({ bounds, center, zoom = 13 }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      map.invalidateSize();
+      if (center) {
+        map.flyTo(center, zoom);
+      } else if (bounds) {
+        map.fitBounds(bounds);
+      }
+    }, 100);
+    return () => clearTimeout(timer);
+    // Zoom only applies to the next fly-to, so it doesn't retrigger one by itself
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [bounds, center, map]);
+  return null;
+}
+
+// --- Component Reporting the Map Zoom (for permalinks) ---
+function MapZoomTracker({ onZoomChange }) {
+  const map = useMapEvents({
+    zoomend: () => onZoomChange(map.getZoom()),
+  });
+  return null;
+}
+
+// --- Component to Handle Map Clicks and Set Marker ---
+export function MapClickEventHandler({ onLocate }) {
+  useMapEvents({
+    click: (e) => onLocate({ latitude: e.latlng.lat, longitude: wrapLongitude(e.latlng.lng) }),
+  });
+  return null;
+}
+
+/**
+ * Sidebar controls of the loaded scene pair: acquisition dates, scene picker, cloud masking,
+ * compare mode, pixel inspector, annotations, band composites, index overlay and offline packs.
+ */
+export function CompareControls() {
+  const { state, dispatch } = useStore();
+  const { scenes, view, inspector, overlay, activeAnalysis } = state;
+  const { image1Info, image2Info } = scenes;
+  const maskClasses = selectMaskClasses(state);
+
+  // --- Cloud masking: measure how clear each scene is over the analysed area ---
+  const [sceneCoverage, setSceneCoverage] = useState({}); // { date1, date2 }: coverage | null | 'loading'
+  useEffect(() => {
+    setSceneCoverage({});
+    if (!activeAnalysis || !image1Info || !image2Info || maskClasses.length === 0) return;
+
+    let isCurrent = true;
+    const region = analysisRegion(parseFloat(activeAnalysis.latitude), parseFloat(activeAnalysis.longitude), activeAnalysis.aoiVertices);
+    const measure = async (slot, imageInfo) => {
+      setSceneCoverage(prev => ({ ...prev, [slot]: 'loading' }));
+      try {
+        const coverage = await measureSceneCoverage(imageInfo, region, maskClasses);
+        if (isCurrent) setSceneCoverage(prev => ({ ...prev, [slot]: coverage }));
+      } catch (error) {
+        console.error("Failed to measure scene coverage:", error);
+        if (isCurrent) setSceneCoverage(prev => ({ ...prev, [slot]: undefined }));
+      }
+    };
+    measure('date1', image1Info);
+    measure('date2', image2Info);
+    return () => { isCurrent = false; };
+  }, [activeAnalysis, image1Info, image2Info, maskClasses]);
+
+  const setView = (changes) => dispatch(viewChanged(changes));
+
+  useShortcuts({
+    // Toggling from another compare mode switches to toggle mode
+    toggleImage: () => setView({ compareMode: 'toggle', isImage1Visible: !view.isImage1Visible }),
+    nextCompareMode: () => {
+      const index = COMPARE_MODES.findIndex(({ id }) => id === view.compareMode);
+      setView({ compareMode: COMPARE_MODES[(index + 1) % COMPARE_MODES.length].id });
+    },
+    stepDate: ({ slot, step }) => {
+      const current = slot === 1 ? image1Info : image2Info;
+      const scene = adjacentScene(scenes.candidates[`date${slot}`], current.id, step);
+      if (scene) dispatch(sceneSelected(slot, scene));
+    },
+  });
+
+  const handleExportAnnotations = () => {
+    const geojson = JSON.stringify(buildAnnotationsGeoJSON(state.annotations), null, 2);
+    downloadFile(geojson, `${exportBaseName({ inputs: activeAnalysis })}_annotations.geojson`, 'application/geo+json');
+  };
+
+  return (
+    <>
+      <AcquisitionDate label="Image 1" scene={image1Info} requestedDate={activeAnalysis?.date1} />
+      <AcquisitionDate label="Image 2" scene={image2Info} requestedDate={activeAnalysis?.date2} />
+      <ScenePicker
+        candidates1={scenes.candidates.date1}
+        candidates2={scenes.candidates.date2}
+        requestedDate1={activeAnalysis?.date1}
+        requestedDate2={activeAnalysis?.date2}
+        image1Id={image1Info.id}
+        image2Id={image2Info.id}
+        onSelect={(slot, scene) => dispatch(sceneSelected(slot, scene))}
+      />
+      <CloudMaskControl settings={view.cloudMask} onChange={(cloudMask) => setView({ cloudMask })} coverage={sceneCoverage} rejected={scenes.rejected} />
+      <CompareToolbar
+        mode={view.compareMode}
+        onModeChange={(compareMode) => setView({ compareMode })}
+        isImage1Visible={view.isImage1Visible}
+        onToggleImage1={() => setView({ isImage1Visible: !view.isImage1Visible })}
+        opacity={view.image1Opacity}
+        onOpacityChange={(image1Opacity) => setView({ image1Opacity })}
+      />
+      <PixelInspectorPanel
+        active={inspector.active}
+        followCursor={view.inspectFollowsCursor}
+        inspection={inspector.reading}
+        isLoading={inspector.isLoading}
+        error={inspector.error}
+        onToggle={() => dispatch(inspectorToggled())}
+        onFollowCursorChange={(inspectFollowsCursor) => setView({ inspectFollowsCursor })}
+      />
+      <AnnotationPanel
+        annotations={state.annotations}
+        tool={view.annotationTool}
+        selectedId={view.selectedAnnotationId}
+        onToolChange={(annotationTool) => setView({ annotationTool, aoiDrawMode: null })}
+        onSelect={(selectedAnnotationId) => setView({ selectedAnnotationId })}
+        onChange={(id, changes) => dispatch(annotationChanged(id, changes))}
+        onDelete={(id) => dispatch(annotationDeleted(id))}
+        onExport={handleExportAnnotations}
+      />
+      <CompositeControl settings={view.compositeSettings} onChange={(compositeSettings) => setView({ compositeSettings })} image1Info={image1Info} image2Info={image2Info} />
+      <IndexLayerControl settings={view.overlaySettings} onChange={(overlaySettings) => setView({ overlaySettings })} error={overlay.error} sensor={selectAnalysisSensor(state)} />
+      {/* The pack covers the area the scenes were searched for, not coordinates edited since */}
+      {activeAnalysis && (
+        <OfflinePackPanel
+          layers={[
+            { label: 'Image 1', url: compositeTileUrl(image1Info, view.compositeSettings, 'image1', maskClasses) },
+            { label: 'Image 2', url: compositeTileUrl(image2Info, view.compositeSettings, 'image2', maskClasses) },
+            ...(overlay.tileUrl ? [{ label: 'index overlay', url: overlay.tileUrl }] : []),
+          ]}
+          bbox={analysisRegion(parseFloat(activeAnalysis.latitude), parseFloat(activeAnalysis.longitude), activeAnalysis.aoiVertices).bbox}
+          areaLabel={activeAnalysis.aoiVertices ? 'the drawn area' : 'the area around the point'}
+        />
+      )}
+    </>
+  );
+}
+
+/**
+ * The map (two side by side in dual compare mode) with the scenes, overlays and drawing tools
+ * of the current analysis mode. Registers the index overlay with the tile server and reads
+ * the pixels the inspector asks for.
+ */
+function MapView() {
+  const { state, dispatch } = useStore();
+  const { scenes, view, map, inspector, overlay, computation } = state;
+  const { image1Info, image2Info } = scenes;
+  const { aoiVertices } = state.inputs;
+
+  // Arrow keys move the marker; over the focused map, Leaflet pans it with them instead
+  useShortcuts({
+    moveMarker: ({ latitudeStep, longitudeStep }) => {
+      if (view.mode === 'batch') return false;
+      dispatch(markerNudged(latitudeStep, longitudeStep));
+    },
+  });
+  const { compareMode, compositeSettings, overlaySettings } = view;
+  const maskClasses = selectMaskClasses(state);
+  const changeAreas = selectChangeAreas(state);
+
+  const image1LayerRef = useRef(null);
+  const image2LayerRef = useRef(null);
+  const mapSyncGroup = useRef({ maps: [], syncing: false });
+
+  // --- Index overlay: register the band-math layer with the tile server whenever its definition changes ---
+  useEffect(() => {
+    dispatch(overlayLayerChanged(null));
+    if (overlaySettings.layer === 'none' || !image1Info || !image2Info) return;
+
+    const controller = new AbortController();
+    const registerLayer = async () => {
+      try {
+        const data = await apiClient.createIndexLayer(
+          buildIndexLayerRequest(overlaySettings, image1Info, image2Info, maskClasses),
+          { signal: controller.signal }
+        );
+        if (!controller.signal.aborted) dispatch(overlayLayerChanged(data.tileUrlTemplate));
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error("Failed to create index layer:", error);
+        dispatch(overlayLayerChanged(null, error.message));
+      }
+    };
+    registerLayer();
+    // A newer definition supersedes this one
+    return () => controller.abort();
+  }, [overlaySettings, image1Info, image2Info, maskClasses, dispatch]);
+
+  // --- Pixel inspector: read the requested pixel; a newer point or new scenes abort the read ---
+  const { pending: pendingInspection } = inspector;
+  useEffect(() => {
+    if (!pendingInspection) return;
+    const { id, point, image1Info: scene1, image2Info: scene2 } = pendingInspection;
+    const controller = new AbortController();
+    inspectPixel(point[0], point[1], scene1, scene2, undefined, { signal: controller.signal })
+      .then(reading => dispatch(pixelInspected(id, reading)))
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        dispatch(pixelInspectionFailed(id, `Could not read the pixel: ${error.message}`));
+      });
+    return () => controller.abort();
+  }, [pendingInspection, dispatch]);
+
+  // --- Use useMemo to stabilize bounds for MapUpdater ---
+  const mapUpdaterBounds = useMemo(() => {
+    if (image1Info?.bounds) return image1Info.bounds;
+    if (image2Info?.bounds) return image2Info.bounds;
+    return null;
+  }, [image1Info?.bounds, image2Info?.bounds]);
+
+  let image1LayerOpacity = 1;
+  if (compareMode === 'toggle') image1LayerOpacity = view.isImage1Visible ? 1 : 0;
+  else if (compareMode === 'opacity') image1LayerOpacity = view.image1Opacity / 100;
+
+  const isPairMode = view.mode === 'pair';
+  const isDualMap = isPairMode && compareMode === 'dual' && selectHasScenes(state);
+
+  // Map clicks read pixels instead of moving the marker while the inspector is on
+  const isPixelInspectorOn = isPairMode && inspector.active && selectHasScenes(state);
+  const inspectorLayer = (
+    <PixelInspectorLayer
+      point={inspector.point}
+      followCursor={view.inspectFollowsCursor}
+      onInspect={(lat, lon) => dispatch(pixelInspectionRequested(lat, lon))}
+    />
+  );
+
+  // --- Annotations: drawn on either map; in dual mode outlines only show on the image they were seen on ---
+  const annotationTool = isPairMode && selectHasScenes(state) ? view.annotationTool : null;
+  const annotationDrawHandler = (image) => (
+    <AnnotationDrawHandler
+      tool={annotationTool}
+      onDrawComplete={(positions) => dispatch(annotationAdded(createAnnotation(annotationTool, positions, { image, existing: state.annotations })))}
+    />
+  );
+  const annotationLayer = (image) => isPairMode && (
+    <AnnotationLayer
+      annotations={isDualMap ? state.annotations.filter(annotation => annotation.type !== 'outline' || annotation.image === image) : state.annotations}
+      selectedId={view.selectedAnnotationId}
+      onSelect={(selectedAnnotationId) => dispatch(viewChanged({ selectedAnnotationId }))}
+      onChange={(id, changes) => dispatch(annotationChanged(id, changes))}
+    />
+  );
+  // Outside dual mode, outlines are taken to be drawn on the image mostly shown
+  const firstMapImage = image1LayerOpacity >= 0.5 ? 1 : 2;
+
+  const basemapLayer = (
+    <TileLayer
+      attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+      url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+    />
+  );
+
+  const handleAoiEdit = (vertices) => dispatch(aoiEdited(vertices));
+
+  const aoiLayer = aoiVertices && (
+    <AoiLayer
+      vertices={aoiVertices}
+      editable={view.isEditingAoi}
+      onChange={handleAoiEdit}
+      fitRequest={map.aoiFitRequest}
+    />
+  );
+
+  const markerLayer = map.marker && !aoiVertices && (
+    <Marker position={map.marker}>
+      <Popup>
+        Latitude: {map.marker[0].toFixed(4)} <br /> Longitude: {map.marker[1].toFixed(4)}
+      </Popup>
+    </Marker>
+  );
+
+  return (
+    <div className={`map-view-container ${isDualMap ? 'dual-map' : ''}`}>
+      <div className="map-pane" role="region" aria-label={isDualMap ? 'Map of Image 1' : 'Map'} aria-describedby="map-keyboard-hint">
+        <p id="map-keyboard-hint" className="visually-hidden">
+          Once focused, the map pans with the arrow keys and zooms with plus and minus. Press ? for all keyboard shortcuts.
+        </p>
+        <MapContainer className="leaflet-map" center={[35.4393, -82.2465]} zoom={10} scrollWheelZoom={true}>
+          {basemapLayer}
+
+          {isPairMode && image1Info && (
+            <TileLayer
+              ref={image1LayerRef}
+              url={compositeTileUrl(image1Info, compositeSettings, 'image1', maskClasses)}
+              bounds={image1Info.bounds}
+              opacity={image1LayerOpacity}
+              tms={false} // Important: Standard web maps use TMS=false
+              zIndex={3} // Ensure it's on top of the second image
+              noWrap={true}
+              keepBuffer={5}
+            />
+          )}
+
+          {isPairMode && image2Info && !isDualMap && (
+            <TileLayer
+              ref={image2LayerRef}
+              url={compositeTileUrl(image2Info, compositeSettings, 'image2', maskClasses)}
+              bounds={image2Info.bounds}
+              opacity={1}
+              tms={false}
+              zIndex={2}
+              noWrap={true}
+              keepBuffer={5}
+            />
+          )}
+
+          {isPairMode && overlay.tileUrl && (
+            <TileLayer
+              key={overlay.tileUrl}
+              url={overlay.tileUrl} // Tiles outside the scenes come back empty (204)
+              opacity={overlaySettings.opacity}
+              tms={false}
+              zIndex={4} // Above both images
+              noWrap={true}
+              keepBuffer={5}
+            />
+          )}
+
+          {!isPairMode && view.seriesScene && (
+            <TileLayer
+              key={view.seriesScene.id} // A new layer per step so tiles of the previous scene don't linger
+              url={maskedTileUrl(view.seriesScene, maskClasses)}
+              bounds={view.seriesScene.bounds}
+              tms={false}
+              zIndex={2}
+              noWrap={true}
+              keepBuffer={5}
+            />
+          )}
+
+          {isPairMode && computation.showResults && changeAreas && (
+            <ChangeAreasLayer change={changeAreas} selectedPatchId={view.selectedPatchId} onSelectPatch={(id) => dispatch(patchSelected(id))} />
+          )}
+
+          {view.mode === 'batch' ? (
+            <BatchSitesLayer entries={view.batchSites} />
+          ) : (
+            <>
+              {aoiLayer}
+              {markerLayer}
+              {annotationLayer(firstMapImage)}
+            </>
+          )}
+
+          <MapUpdater bounds={mapUpdaterBounds} center={map.center} zoom={map.flyToZoom} />
+          <MapZoomTracker onZoomChange={(zoom) => dispatch(mapZoomed(zoom))} />
+          {view.aoiDrawMode && <AoiDrawHandler drawMode={view.aoiDrawMode} onDrawComplete={(vertices) => dispatch(aoiDrawn(vertices))} />}
+          {!view.aoiDrawMode && annotationTool && annotationDrawHandler(firstMapImage)}
+          {!view.aoiDrawMode && !annotationTool && isPixelInspectorOn && inspectorLayer}
+          {!view.aoiDrawMode && !annotationTool && !isPixelInspectorOn && (
+            <MapClickEventHandler onLocate={({ latitude, longitude }) => dispatch(locationPicked(latitude, longitude))} />
+          )}
+          {isPairMode && compareMode === 'swipe' && (
+            <SwipeClipper position={view.swipePosition} leftLayerRef={image1LayerRef} rightLayerRef={image2LayerRef} />
+          )}
+          {isDualMap && <MapSync syncGroup={mapSyncGroup} />}
+        </MapContainer>
+        {isPairMode && compareMode === 'swipe' && selectHasScenes(state) && (
+          <SwipeDivider position={view.swipePosition} onChange={(swipePosition) => dispatch(viewChanged({ swipePosition }))} />
+        )}
+        {isPairMode && overlay.tileUrl && <IndexLegend settings={overlaySettings} />}
+      </div>
+
+      {isDualMap && (
+        <div className="map-pane" role="region" aria-label="Map of Image 2" aria-describedby="map-keyboard-hint">
+          <MapContainer className="leaflet-map" center={[35.4393, -82.2465]} zoom={10} scrollWheelZoom={true}>
+            {basemapLayer}
+            <TileLayer
+              url={compositeTileUrl(image2Info, compositeSettings, 'image2', maskClasses)}
+              bounds={image2Info.bounds}
+              tms={false}
+              zIndex={2}
+              noWrap={true}
+              keepBuffer={5}
+            />
+            {aoiVertices && <AoiLayer vertices={aoiVertices} editable={view.isEditingAoi} onChange={handleAoiEdit} />}
+            {markerLayer}
+            {annotationLayer(2)}
+            {annotationTool && annotationDrawHandler(2)}
+            {!annotationTool && isPixelInspectorOn && inspectorLayer}
+            <MapSync syncGroup={mapSyncGroup} />
+          </MapContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MapView;
@@ -0,0 +1,112 @@
+import { useEffect, useRef, useState } from 'react';
+import { MAX_PACK_TILES, PACK_ZOOM_LEVELS, countPackTiles, downloadOfflinePack, packTileUrls, zoomRange } from './offlinePack';
+import { clearOfflineData, isTileCacheActive, storageUsage } from './tileCache';
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+// --- Pre-downloads the tiles of the analysis area for use without a connection ---
+export default function OfflinePackPanel({ layers, bbox, areaLabel }) {
+  const [minZoom, setMinZoom] = useState(12);
+  const [maxZoom, setMaxZoom] = useState(16);
+  const [progress, setProgress] = useState(null); // { done, total } while downloading
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+  const [usage, setUsage] = useState(null);
+  const abortRef = useRef(null);
+
+  const refreshUsage = () => storageUsage().then(setUsage).catch(() => setUsage(null));
+  useEffect(() => {
+    refreshUsage();
+    return () => abortRef.current?.abort();
+  }, []);
+
+  const zooms = zoomRange(minZoom, maxZoom);
+  const tileCount = countPackTiles(bbox, zooms) * layers.length;
+  const isDownloading = progress !== null;
+
+  const handleDownload = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError('');
+    setSummary(null);
+    setProgress({ done: 0, total: tileCount });
+    try {
+      const urls = packTileUrls(layers.map(layer => layer.url), bbox, zooms);
+      setSummary(await downloadOfflinePack(urls, {
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress({ done, total }),
+      }));
+    } catch (e) {
+      if (e.name !== 'AbortError') setError(e.message);
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+      refreshUsage();
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete all cached tiles and scene searches? Saved analyses are kept.')) return;
+    try {
+      await clearOfflineData();
+      setSummary(null);
+      setError('');
+    } catch (e) {
+      setError(`Could not clear the cache: ${e.message}`);
+    }
+    refreshUsage();
+  };
+
+  return (
+    <details className="offline-pack">
+      <summary>Offline pack</summary>
+      <p className="aoi-hint">
+        Downloads the map tiles of {areaLabel} ({layers.map(layer => layer.label).join(', ')}) so the comparison
+        can be reopened without a connection. Scene searches and pixel reads are cached automatically.
+      </p>
+      {!isTileCacheActive() && (
+        <p className="error-text">Tiles are not being cached yet: reload the page once, or use a browser with service worker support.</p>
+      )}
+      <div className="overlay-stretch">
+        <div className="input-group">
+          <label htmlFor="packMinZoom">From Zoom</label>
+          <input id="packMinZoom" type="number" min={PACK_ZOOM_LEVELS.min} max={maxZoom} value={minZoom} disabled={isDownloading}
+            onChange={(e) => setMinZoom(Math.max(PACK_ZOOM_LEVELS.min, Math.min(maxZoom, parseInt(e.target.value, 10) || PACK_ZOOM_LEVELS.min)))} />
+        </div>
+        <div className="input-group">
+          <label htmlFor="packMaxZoom">To Zoom</label>
+          <input id="packMaxZoom" type="number" min={minZoom} max={PACK_ZOOM_LEVELS.max} value={maxZoom} disabled={isDownloading}
+            onChange={(e) => setMaxZoom(Math.min(PACK_ZOOM_LEVELS.max, Math.max(minZoom, parseInt(e.target.value, 10) || minZoom)))} />
+        </div>
+      </div>
+      <p className="aoi-hint">
+        {tileCount} tiles{tileCount > MAX_PACK_TILES && ` — more than the ${MAX_PACK_TILES} a pack can hold; lower the highest zoom or shrink the area`}
+      </p>
+
+      <div className="batch-buttons">
+        {isDownloading ? (
+          <button type="button" className="aoi-button" onClick={() => abortRef.current?.abort()}>Cancel</button>
+        ) : (
+          <button type="button" className="series-button" onClick={handleDownload} disabled={tileCount === 0 || tileCount > MAX_PACK_TILES}>
+            Download Pack
+          </button>
+        )}
+        <button type="button" className="aoi-button" onClick={handleClear} disabled={isDownloading}>Clear Cached Data</button>
+      </div>
+      {isDownloading && (
+        <div className="batch-progress">
+          <progress value={progress.done} max={progress.total} />
+          <span>{progress.done}/{progress.total} tiles</span>
+        </div>
+      )}
+      {summary && (
+        <p className="aoi-hint">
+          {summary.downloaded} tiles downloaded, {summary.alreadyCached} already cached
+          {summary.failed > 0 && `, ${summary.failed} failed (try again when the connection is better)`}.
+        </p>
+      )}
+      {usage !== null && <p className="aoi-hint">Stored in this browser: {formatMegabytes(usage)}</p>}
+      {error && <p className="error-text">{error}</p>}
+    </details>
+  );
+}
@@ -0,0 +1,160 @@
+import { useEffect, useRef } from 'react';
+import { CircleMarker, useMapEvents } from 'react-leaflet';
+import { getSpectralIndex } from './spectralIndices';
+import { spectralProfile } from './pixelInspector';
+
+// How long the cursor has to rest before the pixel under it is read
+const HOVER_DELAY_MS = 400;
+
+const DATE_COLORS = { date1: '#007bff', date2: '#fd7e14' };
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = { top: 10, right: 10, bottom: 24, left: 40 };
+
+const formatValue = (value) => (value === null ? 'N/A' : value.toFixed(4));
+const formatDifference = (value) => (value === null ? 'N/A' : `${value > 0 ? '+' : ''}${value.toFixed(4)}`);
+
+// --- SVG chart of reflectance against wavelength for both dates ---
+function SpectralProfileChart({ profile }) {
+  const values = profile.flatMap(({ date1, date2 }) => [date1, date2]).filter(v => v !== null);
+  if (values.length === 0) return <p className="compare-hint">No reflectance values at this point.</p>;
+
+  const minWavelength = profile[0].wavelength;
+  const wavelengthSpan = Math.max(1, profile[profile.length - 1].wavelength - minWavelength);
+  const maxValue = Math.max(...values, 0.01);
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const x = (wavelength) => CHART_PADDING.left + ((wavelength - minWavelength) / wavelengthSpan) * plotWidth;
+  const y = (value) => CHART_PADDING.top + (1 - Math.max(0, value) / maxValue) * plotHeight;
+
+  return (
+    <svg className="index-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label="Spectral profile of both dates">
+      <line x1={CHART_PADDING.left} y1={CHART_PADDING.top} x2={CHART_PADDING.left} y2={CHART_PADDING.top + plotHeight} className="chart-axis" />
+      <line x1={CHART_PADDING.left} y1={CHART_PADDING.top + plotHeight} x2={CHART_PADDING.left + plotWidth} y2={CHART_PADDING.top + plotHeight} className="chart-axis" />
+      <text x={CHART_PADDING.left - 4} y={CHART_PADDING.top + 4} textAnchor="end" className="chart-label">{maxValue.toFixed(2)}</text>
+      <text x={CHART_PADDING.left - 4} y={CHART_PADDING.top + plotHeight} textAnchor="end" className="chart-label">0</text>
+      <text x={CHART_PADDING.left} y={CHART_HEIGHT - 6} className="chart-label">{minWavelength} nm</text>
+      <text x={CHART_PADDING.left + plotWidth} y={CHART_HEIGHT - 6} textAnchor="end" className="chart-label">{profile[profile.length - 1].wavelength} nm</text>
+
+      {Object.entries(DATE_COLORS).map(([date, color]) => {
+        const points = profile.filter(band => band[date] !== null);
+        return (
+          <g key={date}>
+            <polyline points={points.map(band => `${x(band.wavelength)},${y(band[date])}`).join(' ')} fill="none" stroke={color} strokeWidth="1.5" />
+            {points.map(band => (
+              <circle key={band.id} cx={x(band.wavelength)} cy={y(band[date])} r="3" fill={color}>
+                <title>{`${band.id} (${band.wavelength} nm), ${date === 'date1' ? 'Date 1' : 'Date 2'}: ${band[date].toFixed(4)}`}</title>
+              </circle>
+            ))}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// --- Map handler that reads the pixel under a click, or under the resting cursor ---
+export function PixelInspectorLayer({ point, followCursor, onInspect }) {
+  const hoverTimerRef = useRef(null);
+
+  useMapEvents({
+    click: (e) => {
+      clearTimeout(hoverTimerRef.current);
+      const { lat, lng } = e.latlng.wrap();
+      onInspect(lat, lng);
+    },
+    mousemove: (e) => {
+      if (!followCursor) return;
+      clearTimeout(hoverTimerRef.current);
+      const { lat, lng } = e.latlng.wrap();
+      hoverTimerRef.current = setTimeout(() => onInspect(lat, lng), HOVER_DELAY_MS);
+    },
+    mouseout: () => clearTimeout(hoverTimerRef.current),
+  });
+
+  useEffect(() => () => clearTimeout(hoverTimerRef.current), []);
+
+  return point && (
+    <CircleMarker center={point} radius={6} pathOptions={{ color: '#dc3545', weight: 2, fillOpacity: 0.2 }} interactive={false} />
+  );
+}
+
+// --- Form-side controls and readout of the inspected pixel ---
+export function PixelInspectorPanel({ active, followCursor, inspection, isLoading, error, onToggle, onFollowCursorChange }) {
+  const profile = inspection ? spectralProfile(inspection) : [];
+
+  return (
+    <div className="pixel-inspector">
+      <div className="compare-modes">
+        <button type="button" className={`compare-mode-button ${active ? 'active' : ''}`} onClick={onToggle}>
+          {active ? 'Stop Inspecting Pixels' : 'Inspect Pixels'}
+        </button>
+      </div>
+      {active && (
+        <>
+          <p className="compare-hint">Click the map to read both images at that pixel.</p>
+          <label className="computation-option">
+            <input type="checkbox" className="checkbox-input" checked={followCursor} onChange={(e) => onFollowCursorChange(e.target.checked)} />
+            <span className="checkbox-label">Also read the pixel under the resting cursor</span>
+          </label>
+        </>
+      )}
+      {isLoading && <p className="compare-hint">Reading pixel...</p>}
+      {error && <p className="error-text">{error}</p>}
+
+      {active && inspection && (
+        <div className="pixel-readout">
+          <p className="font-bold">
+            {inspection.latitude.toFixed(6)}, {inspection.longitude.toFixed(6)}
+          </p>
+          {inspection.scl && (
+            <p>
+              Scene class: {inspection.scl.date1?.label ?? 'N/A'} (Date 1), {inspection.scl.date2?.label ?? 'N/A'} (Date 2)
+            </p>
+          )}
+          <table className="result-stats">
+            <thead>
+              <tr><th>Index</th><th>Date 1</th><th>Date 2</th><th>Difference</th></tr>
+            </thead>
+            <tbody>
+              {inspection.indices.map(row => (
+                <tr key={row.id}>
+                  <td title={getSpectralIndex(row.id)?.name}>{row.id}{getSpectralIndex(row.id)?.unit ? ` (${getSpectralIndex(row.id).unit})` : ''}</td>
+                  <td>{formatValue(row.date1)}</td>
+                  <td>{formatValue(row.date2)}</td>
+                  <td>{formatDifference(row.difference)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <table className="result-stats">
+            <thead>
+              <tr><th>Band</th><th>Date 1</th><th>Date 2</th><th>Difference</th></tr>
+            </thead>
+            <tbody>
+              {inspection.bands.map(row => (
+                <tr key={row.id}>
+                  <td>{row.id}</td>
+                  <td>{formatValue(row.date1)}</td>
+                  <td>{formatValue(row.date2)}</td>
+                  <td>{formatDifference(row.difference)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {profile.length > 1 && (
+            <>
+              <SpectralProfileChart profile={profile} />
+              <div className="chart-legend">
+                <span><span className="legend-swatch" style={{ backgroundColor: DATE_COLORS.date1 }} />Date 1</span>
+                <span><span className="legend-swatch" style={{ backgroundColor: DATE_COLORS.date2 }} />Date 2</span>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
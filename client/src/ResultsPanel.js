@@ -0,0 +1,178 @@
+import { useEffect, useRef } from 'react';
+import { analysisRegion } from './computationEngine';
+import { downloadFile } from './download';
+import { buildReportHTML, buildResultGeoTIFF, buildResultsCSV, buildResultsGeoJSON, exportBaseName } from './exporters';
+import { buildChangeAreasGeoJSON } from './changeDetection';
+import { ChangeDetectionPanel } from './ChangeDetectionPanel';
+import { ImpactSummary } from './EventWorkflowPanel';
+import { EVENT_PRESETS } from './eventPresets';
+import { useShortcuts } from './KeyboardShortcuts';
+import { sensorOf } from './sensors';
+import { useStore } from './StoreContext';
+import {
+  changeSettingsChanged, patchSelected, selectAnalysisSensor, selectChangeAreas, selectImpactSummary, selectResolvedChangeSettings,
+} from './store';
+
+// How long an opened report's URL is kept when its window never reports having loaded
+const REPORT_URL_LIFETIME_MS = 60 * 1000;
+
+const formatStat = (value) => (value === null ? 'N/A' : value.toFixed(4));
+const formatPercent = (value) => (value == null ? 'N/A' : `${value.toFixed(0)}%`);
+
+const statCells = (stats) => ['mean', 'median', 'min', 'max'].map(stat => (
+  <td key={stat}>{formatStat(stats[stat])}</td>
+));
+
+/**
+ * Statistics of the last calculation, the impact summary of a guided disaster response run, the
+ * change areas found in them and the exports of the analysis.
+ */
+function ResultsPanel() {
+  const { state, dispatch } = useStore();
+  const { results, showResults, isCalculating } = state.computation;
+  // Results and exports describe the searched analysis, whatever the form holds since
+  const { latitude, longitude, date1, date2, cloudCover, aoiVertices } = state.activeAnalysis || {};
+  const resolvedChangeSettings = selectResolvedChangeSettings(state);
+  const changeAreas = selectChangeAreas(state);
+  const impactSummary = selectImpactSummary(state);
+  const hasResults = showResults && Object.keys(results).length > 0;
+  const sensor = sensorOf(state.scenes.image1Info);
+
+  // Focus moves to the results when a calculation finishes, so they are read out next
+  const titleRef = useRef(null);
+  const wasCalculatingRef = useRef(false);
+  useEffect(() => {
+    if (wasCalculatingRef.current && !isCalculating) titleRef.current?.focus();
+    wasCalculatingRef.current = isCalculating;
+  }, [isCalculating]);
+
+  // --- Export Handlers ---
+  const currentAnalysis = () => ({
+    inputs: { latitude, longitude, date1, date2, cloudCover, sensor: selectAnalysisSensor(state), aoiVertices },
+    image1Info: state.scenes.image1Info,
+    image2Info: state.scenes.image2Info,
+    results,
+    annotations: state.annotations,
+  });
+
+  const handleExportToCSV = () => {
+    const analysis = currentAnalysis();
+    downloadFile(buildResultsCSV(analysis), `${exportBaseName(analysis)}.csv`, 'text/csv;charset=utf-8;');
+  };
+
+  const handleExportToGeoJSON = () => {
+    const analysis = currentAnalysis();
+    const geojson = JSON.stringify(buildResultsGeoJSON(analysis), null, 2);
+    downloadFile(geojson, `${exportBaseName(analysis)}.geojson`, 'application/geo+json');
+  };
+
+  const handleExportGeoTIFF = (key) => {
+    const analysis = currentAnalysis();
+    downloadFile(buildResultGeoTIFF(results[key]), `${exportBaseName(analysis)}_${key}.tif`, 'image/tiff');
+  };
+
+  const handleExportChangeAreas = () => {
+    const analysis = currentAnalysis();
+    const { resultKey } = resolvedChangeSettings;
+    const result = results[resultKey];
+    const geojson = buildChangeAreasGeoJSON(changeAreas, { resultKey, label: result.label, differenceOrder: result.differenceOrder });
+    downloadFile(JSON.stringify(geojson, null, 2), `${exportBaseName(analysis)}_${resultKey}_change.geojson`, 'application/geo+json');
+  };
+
+  const handleOpenReport = () => {
+    const analysis = currentAnalysis();
+    const { bbox } = analysisRegion(parseFloat(latitude), parseFloat(longitude), aoiVertices);
+    const html = buildReportHTML(analysis, bbox);
+    // The report is printed from its own window; fall back to a download when pop-ups are blocked
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    const reportWindow = window.open(url, '_blank');
+    if (!reportWindow) {
+      URL.revokeObjectURL(url);
+      downloadFile(html, `${exportBaseName(analysis)}_report.html`, 'text/html');
+      return;
+    }
+    // The loaded report holds its own copy, so the blob is released once it has loaded
+    const timeout = setTimeout(() => URL.revokeObjectURL(url), REPORT_URL_LIFETIME_MS);
+    reportWindow.addEventListener?.('load', () => {
+      clearTimeout(timeout);
+      URL.revokeObjectURL(url);
+    }, { once: true });
+  };
+
+  useShortcuts({
+    export: () => hasResults && handleExportToCSV(),
+  });
+
+  if (!hasResults) return null;
+
+  return (
+    <div className="computation-results">
+      <h3 className="results-title" ref={titleRef} tabIndex={-1}>Computation Results:</h3>
+      <ul className="results-list">
+      {Object.entries(results).map(([key, result]) => (
+        <li key={key}>
+          <span className="font-bold">{result.label}:</span>{' '}
+          {result.unsupported ? (
+            <span className="result-unsupported">{result.unsupported}</span>
+          ) : (
+            <>
+              {result.interpretation && <span>({result.interpretation})</span>}
+              <table className="result-stats">
+                <thead>
+                  <tr><th scope="col"><span className="visually-hidden">Date</span></th><th scope="col">Mean</th><th scope="col">Median</th><th scope="col">Min</th><th scope="col">Max</th></tr>
+                </thead>
+                <tbody>
+                  <tr><td>Date 1</td>{statCells(result.date1)}</tr>
+                  <tr><td>Date 2</td>{statCells(result.date2)}</tr>
+                  <tr className="result-difference">
+                    <td>{result.differenceOrder === 'date1-date2' ? 'Date 1 − Date 2' : 'Date 2 − Date 1'}</td>
+                    {statCells(result.difference)}
+                  </tr>
+                </tbody>
+              </table>
+              <span className="result-coverage">
+                {result.coverage
+                  ? `Valid pixels over the area: ${formatPercent(result.coverage.date1?.validPercent)} (Date 1), ${formatPercent(result.coverage.date2?.validPercent)} (Date 2)`
+                  : `Valid pixels: ${result.date1.validPixels}/${result.date1.totalPixels} (Date 1), ${result.date2.validPixels}/${result.date2.totalPixels} (Date 2)`}
+              </span>
+              {/* Results reopened from the library keep their statistics but not their rasters */}
+              {result.raster && (
+                <button type="button" className="link-button" onClick={() => handleExportGeoTIFF(key)}>
+                  Download GeoTIFF
+                </button>
+              )}
+            </>
+          )}
+        </li>
+      ))}
+      </ul>
+      <p className="results-note">
+        Statistics are computed per pixel over {aoiVertices ? 'the drawn AOI' : 'a ~1 km square around the marker'} from {sensor.name} {sensor.measures}.
+      </p>
+      {impactSummary && <ImpactSummary eventName={EVENT_PRESETS[state.workflow.eventType].name} summary={impactSummary} />}
+      <ChangeDetectionPanel
+        results={results}
+        settings={state.view.changeSettings}
+        resolved={resolvedChangeSettings}
+        change={changeAreas}
+        selectedPatchId={state.view.selectedPatchId}
+        onChange={(settings) => dispatch(changeSettingsChanged(settings))}
+        onSelectPatch={(id) => dispatch(patchSelected(id))}
+        onExport={handleExportChangeAreas}
+      />
+      <div className="export-buttons">
+        <button type="button" onClick={handleExportToCSV} className="export-csv-button" aria-keyshortcuts="E">
+          Export CSV
+        </button>
+        <button type="button" onClick={handleExportToGeoJSON} className="export-csv-button">
+          Export GeoJSON
+        </button>
+        <button type="button" onClick={handleOpenReport} className="export-csv-button">
+          Open Report
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ResultsPanel;
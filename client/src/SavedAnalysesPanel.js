@@ -0,0 +1,170 @@
+import { useEffect, useState } from 'react';
+import { downloadFile } from './download';
+import {
+  createSavedAnalysis,
+  defaultAnalysisName,
+  deleteSavedAnalysis,
+  duplicateSavedAnalysis,
+  listSavedAnalyses,
+  parseLibrary,
+  putSavedAnalysis,
+  renameSavedAnalysis,
+  serializeLibrary,
+} from './savedAnalyses';
+
+// --- One saved analysis in the library list, with inline renaming ---
+function SavedAnalysisItem({ record, onOpen, onRename, onDuplicate, onDelete }) {
+  const [draftName, setDraftName] = useState(null); // null when not renaming
+
+  const commitRename = (event) => {
+    event.preventDefault();
+    onRename(record, draftName);
+    setDraftName(null);
+  };
+
+  return (
+    <li className="saved-analysis">
+      {record.thumbnailUrl
+        ? <img className="saved-analysis-thumbnail" src={record.thumbnailUrl} alt="" loading="lazy" />
+        : <div className="saved-analysis-thumbnail" />}
+      <div className="saved-analysis-details">
+        {draftName === null ? (
+          <span className="font-bold">{record.name}</span>
+        ) : (
+          <form onSubmit={commitRename}>
+            <input
+              aria-label="Analysis name"
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+              autoFocus
+            />
+          </form>
+        )}
+        <span className="saved-analysis-meta">
+          {record.inputs.date1} → {record.inputs.date2} · {Object.keys(record.results || {}).length} result(s)
+        </span>
+        <div className="saved-analysis-actions">
+          <button type="button" className="link-button" onClick={() => onOpen(record)}>Open</button>
+          {draftName === null
+            ? <button type="button" className="link-button" onClick={() => setDraftName(record.name)}>Rename</button>
+            : <button type="button" className="link-button" onClick={commitRename}>Save Name</button>}
+          <button type="button" className="link-button" onClick={() => onDuplicate(record)}>Duplicate</button>
+          <button type="button" className="link-button" onClick={() => onDelete(record)}>Delete</button>
+        </div>
+      </div>
+    </li>
+  );
+}
+
+// --- Saved analyses library: save the current analysis, manage the list, import/export it ---
+export default function SavedAnalysesPanel({ currentAnalysis, onOpen }) {
+  const [records, setRecords] = useState([]);
+  const [saveName, setSaveName] = useState('');
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+
+  const refresh = async () => {
+    try {
+      setRecords(await listSavedAnalyses());
+    } catch (err) {
+      console.error("Failed to load saved analyses:", err);
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  // Runs a library change, then reloads the list and reports the outcome
+  const update = async (operation, message) => {
+    setError('');
+    setStatus('');
+    try {
+      await operation();
+      setStatus(message);
+    } catch (err) {
+      console.error("Saved analyses update failed:", err);
+      setError(err.message);
+    }
+    await refresh();
+  };
+
+  const handleSave = () => update(async () => {
+    await putSavedAnalysis(createSavedAnalysis({ ...currentAnalysis, name: saveName }));
+    setSaveName('');
+  }, 'Analysis saved.');
+
+  const handleRename = (record, name) => update(() => putSavedAnalysis(renameSavedAnalysis(record, name)), 'Analysis renamed.');
+
+  const handleDuplicate = (record) => update(() => putSavedAnalysis(duplicateSavedAnalysis(record)), 'Analysis duplicated.');
+
+  const handleDelete = (record) => {
+    if (!window.confirm(`Delete "${record.name}"?`)) return;
+    update(() => deleteSavedAnalysis(record.id), 'Analysis deleted.');
+  };
+
+  const handleExport = () => {
+    downloadFile(serializeLibrary(records), `geo_compare_library_${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    // Imported records keep their ids, so importing the same library twice updates rather than duplicates
+    reader.onload = () => update(async () => {
+      const { analyses, skipped } = parseLibrary(reader.result);
+      await Promise.all(analyses.map(putSavedAnalysis));
+      if (skipped > 0) throw new Error(`Imported ${analyses.length} analyses; skipped ${skipped} incomplete record(s).`);
+    }, 'Library imported.');
+    reader.readAsText(file);
+    event.target.value = ''; // Allow importing the same file again
+  };
+
+  return (
+    <div className="saved-analyses-panel">
+      <h2 className="computation-title">Saved Analyses</h2>
+      {currentAnalysis && (
+        <div className="saved-analyses-save">
+          <input
+            aria-label="Name for the saved analysis"
+            value={saveName}
+            onChange={(e) => setSaveName(e.target.value)}
+            placeholder={defaultAnalysisName(currentAnalysis.inputs)}
+          />
+          <button type="button" className="aoi-button" onClick={handleSave}>Save Current</button>
+        </div>
+      )}
+
+      {records.length === 0
+        ? <p className="aoi-hint">No saved analyses yet.</p>
+        : (
+          <ul className="saved-analyses-list">
+            {records.map(record => (
+              <SavedAnalysisItem
+                key={record.id}
+                record={record}
+                onOpen={onOpen}
+                onRename={handleRename}
+                onDuplicate={handleDuplicate}
+                onDelete={handleDelete}
+              />
+            ))}
+          </ul>
+        )}
+
+      <div className="aoi-buttons">
+        <button type="button" className="aoi-button" onClick={handleExport} disabled={records.length === 0}>
+          Export Library
+        </button>
+        <label className="aoi-button aoi-upload">
+          Import Library
+          <input type="file" accept=".json,application/json" onChange={handleImport} hidden />
+        </label>
+      </div>
+      {status && <p className="aoi-hint">{status}</p>}
+      {error && <p className="error-text">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { dayOffset, describeDayOffset } from './sceneSelection';
+
+// --- Panel listing every candidate scene per date window, letting any become Image 1 or Image 2 ---
+
+// Acquisition date of a chosen scene and how far it is from the date asked for
+export function AcquisitionDate({ label, scene, requestedDate }) {
+  return (
+    <p>
+      {label} acquired: {new Date(scene.dateAcquired).toLocaleDateString()}
+      {requestedDate && <span className="scene-offset"> ({describeDayOffset(dayOffset(scene.dateAcquired, requestedDate))})</span>}
+    </p>
+  );
+}
+
+const formatOffset = (days) => (days === 0 ? 'same day' : `${days > 0 ? '+' : '−'}${Math.abs(days)} d`);
+
+function SceneCard({ scene, requestedDate, isImage1, isImage2, onSelect }) {
+  return (
+    <li className={`scene-card ${isImage1 || isImage2 ? 'selected' : ''}`}>
+      {scene.thumbnailUrl
+        ? <img src={scene.thumbnailUrl} alt={`Thumbnail of scene ${scene.id}`} className="scene-thumbnail" loading="lazy" />
+        : <div className="scene-thumbnail scene-thumbnail-missing">No preview</div>}
+      <div className="scene-details">
+        <span className="font-bold">
+          {new Date(scene.dateAcquired).toLocaleDateString()}
+          {requestedDate && <span className="scene-offset"> ({formatOffset(dayOffset(scene.dateAcquired, requestedDate))})</span>}
+        </span>
+        <span>Cloud: {scene.cloudCover != null ? `${scene.cloudCover.toFixed(1)}%` : 'N/A'}</span>
+        {scene.areaCoverage != null && <span>Area covered: {scene.areaCoverage.toFixed(0)}%</span>}
+        <span>Tile: {scene.tileId || 'N/A'}{scene.relativeOrbit != null && ` · Orbit ${scene.relativeOrbit}`}</span>
+        <div className="scene-actions">
+          <button type="button" className={`scene-select-button ${isImage1 ? 'active' : ''}`} onClick={() => onSelect(1, scene)} disabled={isImage1}>
+            {isImage1 ? 'Image 1' : 'Use as Image 1'}
+          </button>
+          <button type="button" className={`scene-select-button ${isImage2 ? 'active' : ''}`} onClick={() => onSelect(2, scene)} disabled={isImage2}>
+            {isImage2 ? 'Image 2' : 'Use as Image 2'}
+          </button>
+        </div>
+      </div>
+    </li>
+  );
+}
+
+function ScenePicker({ candidates1, candidates2, requestedDate1, requestedDate2, image1Id, image2Id, onSelect }) {
+  const sections = [
+    { title: 'Date 1 window', scenes: candidates1, requestedDate: requestedDate1 },
+    { title: 'Date 2 window', scenes: candidates2, requestedDate: requestedDate2 },
+  ];
+
+  return (
+    <details className="scene-picker">
+      <summary>Browse scenes ({candidates1.length + candidates2.length} found)</summary>
+      {sections.map(({ title, scenes, requestedDate }) => (
+        <div key={title} className="scene-section">
+          <h3>{title}</h3>
+          <ul className="scene-list">
+            {scenes.map(scene => (
+              <SceneCard
+                key={scene.id}
+                scene={scene}
+                requestedDate={requestedDate}
+                isImage1={scene.id === image1Id}
+                isImage2={scene.id === image2Id}
+                onSelect={onSelect}
+              />
+            ))}
+          </ul>
+        </div>
+      ))}
+    </details>
+  );
+}
+
+export default ScenePicker;
@@ -0,0 +1,57 @@
+import { MAX_DATE_WINDOW_DAYS, RANKING_STRATEGIES } from './sceneSelection';
+
+// --- How the two-date search picks its scenes: date windows, ranking, coverage and orbit ---
+export default function SceneSelectionControl({ inputs, errors, hasCloudCover, onChange }) {
+  const { window1, window2, ranking, minCoverage, sameOrbit } = inputs;
+  // Without cloud cover every strategy comes down to the closest date
+  const strategies = Object.entries(RANKING_STRATEGIES).filter(([id]) => hasCloudCover || id === 'closest' || id === ranking);
+
+  return (
+    <details className="scene-selection">
+      <summary>Scene selection{(errors.window1 || errors.window2) && <span className="error-text"> – check the date windows</span>}</summary>
+      <div className="scene-selection-windows">
+        {[['window1', 'Date 1', window1], ['window2', 'Date 2', window2]].map(([field, label, value]) => (
+          <div key={field} className="input-group">
+            <label htmlFor={field}>{label} window (± days)</label>
+            <input
+              id={field}
+              type="number"
+              min="1"
+              max={MAX_DATE_WINDOW_DAYS}
+              value={value}
+              onChange={(e) => onChange(field, e.target.value)}
+              aria-invalid={errors[field] ? true : undefined}
+              aria-describedby={errors[field] ? `${field}-error` : undefined}
+            />
+            {errors[field] && <p id={`${field}-error`} className="error-text">{errors[field]}</p>}
+          </div>
+        ))}
+      </div>
+
+      <div className="input-group">
+        <label htmlFor="ranking">Prefer</label>
+        <select id="ranking" value={ranking} onChange={(e) => onChange('ranking', e.target.value)}>
+          {strategies.map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <p className="aoi-hint">{RANKING_STRATEGIES[ranking].description}</p>
+      </div>
+
+      <div className="input-group">
+        <label htmlFor="minCoverage">Min Area Coverage: {minCoverage}%</label>
+        <input
+          id="minCoverage"
+          type="range"
+          min="0"
+          max="100"
+          value={minCoverage}
+          onChange={(e) => onChange('minCoverage', parseInt(e.target.value, 10))}
+        />
+      </div>
+
+      <label className="checkbox-label">
+        <input type="checkbox" checked={sameOrbit} onChange={(e) => onChange('sameOrbit', e.target.checked)} />
+        Same tile and relative orbit for both dates
+      </label>
+    </details>
+  );
+}
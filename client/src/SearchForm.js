@@ -0,0 +1,276 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { analysisRegion, pickClearPair } from './computationEngine';
+import { verticesToGeoJSON } from './aoi';
+import { AoiPanel } from './AoiTools';
+import { apiClient } from './apiClient';
+import { maskClassesFor } from './cloudMask';
+import { sceneSelectionParams } from './sceneSelection';
+import SceneSelectionControl from './SceneSelectionControl';
+import { EventWorkflowPanel } from './EventWorkflowPanel';
+import { SENSORS } from './sensors';
+import LocationSearch from './LocationSearch';
+import TimeSeriesPanel from './TimeSeriesPanel';
+import { BatchPanel } from './BatchPanel';
+import { useStore } from './StoreContext';
+import {
+  aoiCleared, aoiImported, analysisReset, eventWorkflowStarted, inputChanged, locationPicked, redo, scenesLoaded, searchFailed,
+  searchRequested, selectCanRedo, selectCanUndo, selectHasScenes, selectMaskClasses, undo, viewChanged,
+} from './store';
+
+const MODE_SUBTITLES = {
+  pair: 'Enter coordinates and two dates to find satellite images for comparison.',
+  series: 'Enter coordinates and a date range to follow the area through a series of images.',
+  batch: 'Upload a list of sites to compare two dates at each of them.',
+};
+
+const MODE_TABS = [['pair', 'Two Dates'], ['series', 'Time Series'], ['batch', 'Batch']];
+
+// Ties a field to its error message for screen readers; the message gets the id `<field>-error`
+const errorProps = (field, error) => (error ? { 'aria-invalid': true, 'aria-describedby': `${field}-error` } : {});
+
+// Runs a two-date search recorded by searchRequested (see store.js)
+async function findScenes({ inputs, latitude, longitude, cloudMask, restore }, { signal }) {
+  const { date1, date2, cloudCover, sensor, aoiVertices } = inputs;
+  const data = await apiClient.changeDetection(
+    { lat: latitude, lon: longitude, date1, date2, cloudCover, aoi: aoiVertices && verticesToGeoJSON(aoiVertices), sensor, ...sceneSelectionParams(inputs) },
+    { signal }
+  );
+  const candidates1 = data.candidates1 || [data.image1];
+  const candidates2 = data.candidates2 || [data.image2];
+  // A restored permalink reselects the scenes it was shared with, when they're still returned
+  const image1 = (restore && candidates1.find(scene => scene.id === restore.image1Id)) || data.image1;
+  const image2 = (restore && candidates2.find(scene => scene.id === restore.image2Id)) || data.image2;
+
+  // Auto-reject: walk down the candidates until one is clear enough over the area
+  const maskClasses = maskClassesFor(cloudMask);
+  if (restore || cloudMask.policy !== 'reject' || maskClasses.length === 0) {
+    return { image1, image2, candidates1, candidates2 };
+  }
+  const region = analysisRegion(latitude, longitude, aoiVertices);
+  const ordered = (best, candidates) => [best, ...candidates.filter(scene => scene.id !== best.id)];
+  const [pick1, pick2] = await pickClearPair(
+    ordered(image1, candidates1), ordered(image2, candidates2), region, cloudMask, maskClasses, { sameOrbit: inputs.sameOrbit, signal }
+  );
+  return {
+    image1: pick1.scene,
+    image2: pick2.scene,
+    candidates1,
+    candidates2,
+    rejected: { date1: pick1.rejected, date2: pick2.rejected },
+  };
+}
+
+/**
+ * Analysis mode tabs and the search inputs, with the time series and batch panels of the
+ * other modes. Runs the two-date search whenever one is requested.
+ */
+function SearchForm() {
+  const { state, dispatch } = useStore();
+  const { inputs, errors, search, view } = state;
+  const { latitude, longitude, date1, date2, cloudCover, sensor, aoiVertices } = inputs;
+  const { mode } = view;
+  const maskClasses = selectMaskClasses(state);
+
+  // --- Search runner: a newer request (or a reset) aborts the one in flight ---
+  const { pending } = search;
+  useEffect(() => {
+    if (!pending) return;
+    const controller = new AbortController();
+    findScenes(pending, { signal: controller.signal })
+      .then(scenes => {
+        if (!controller.signal.aborted) dispatch(scenesLoaded(pending.id, scenes));
+      })
+      .catch(error => {
+        if (error.name === 'AbortError' || controller.signal.aborted) return;
+        console.error("Failed to fetch images:", error);
+        dispatch(searchFailed(pending.id, error.message));
+      });
+    return () => controller.abort();
+  }, [pending, dispatch]);
+
+  // --- Focus the first field in error after a search is refused; error keys are the fields' ids ---
+  const focusesErrorRef = useRef(false);
+  useEffect(() => {
+    if (!focusesErrorRef.current) return;
+    focusesErrorRef.current = false;
+    const field = document.getElementById(Object.keys(errors)[0]);
+    if (!field) return;
+    // The date windows sit in a collapsed section
+    const section = field.closest('details');
+    if (section) section.open = true;
+    field.focus();
+  }, [errors]);
+
+  // Kept stable: BatchPanel reports its sites from an effect depending on it
+  const handleSitesChange = useCallback((sites) => dispatch(viewChanged({ batchSites: sites })), [dispatch]);
+
+  const handleInputChange = (field) => (event) => dispatch(inputChanged(field, event.target.value));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (mode !== 'pair') return;
+    focusesErrorRef.current = true;
+    dispatch(searchRequested());
+  };
+
+  const handleClearAndReset = () => {
+    dispatch(analysisReset());
+    window.history.replaceState(null, '', window.location.pathname);
+  };
+
+  return (
+    <>
+      <p className="subtitle">{MODE_SUBTITLES[mode]}</p>
+      <div className="mode-tabs" role="group" aria-label="Analysis mode">
+        {MODE_TABS.map(([id, label]) => (
+          <button
+            key={id}
+            type="button"
+            className={`mode-tab ${mode === id ? 'active' : ''}`}
+            aria-pressed={mode === id}
+            onClick={() => dispatch(viewChanged({ mode: id }))}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <form onSubmit={handleSubmit} noValidate aria-label="Image search" aria-busy={search.isLoading}>
+        <div className="input-history">
+          <button type="button" className="link-button" onClick={() => dispatch(undo())} disabled={!selectCanUndo(state)}>
+            Undo
+          </button>
+          <button type="button" className="link-button" onClick={() => dispatch(redo())} disabled={!selectCanRedo(state)}>
+            Redo
+          </button>
+        </div>
+
+        <div className="input-group">
+          <label htmlFor="sensor">Sensor</label>
+          <select id="sensor" value={sensor} onChange={handleInputChange('sensor')}>
+            {Object.entries(SENSORS).map(([id, { name }]) => <option key={id} value={id}>{name}</option>)}
+          </select>
+          <p className="aoi-hint">{SENSORS[sensor].description}</p>
+        </div>
+
+        {mode !== 'batch' && (
+          <>
+            <LocationSearch onLocate={({ latitude: lat, longitude: lon }) => dispatch(locationPicked(lat, lon))} />
+
+            <div className="input-group">
+              <label htmlFor="latitude">Latitude</label>
+              <input id="latitude" type="number" value={latitude} onChange={handleInputChange('latitude')} placeholder="e.g., 40.7128" {...errorProps('latitude', errors.latitude)} />
+              {errors.latitude && <p id="latitude-error" className="error-text">{errors.latitude}</p>}
+            </div>
+
+            <div className="input-group">
+              <label htmlFor="longitude">Longitude</label>
+              <input id="longitude" type="number" value={longitude} onChange={handleInputChange('longitude')} placeholder="e.g., -74.0060" {...errorProps('longitude', errors.longitude)} />
+              {errors.longitude && <p id="longitude-error" className="error-text">{errors.longitude}</p>}
+            </div>
+
+            <AoiPanel
+              vertices={aoiVertices}
+              drawMode={view.aoiDrawMode}
+              isEditing={view.isEditingAoi}
+              onDrawModeChange={(drawMode) => dispatch(viewChanged({ aoiDrawMode: drawMode, annotationTool: null }))}
+              onEditToggle={() => dispatch(viewChanged({ isEditingAoi: !view.isEditingAoi }))}
+              onImport={(vertices) => dispatch(aoiImported(vertices))}
+              onClear={() => dispatch(aoiCleared())}
+            />
+          </>
+        )}
+
+        {mode === 'pair' && (
+          <EventWorkflowPanel
+            workflow={state.workflow}
+            disabled={search.isLoading}
+            onStart={(eventType, eventDate) => dispatch(eventWorkflowStarted(eventType, eventDate))}
+          />
+        )}
+
+        {mode !== 'series' && (
+          <>
+            <div className="input-group">
+              <label htmlFor="date1">Image Date 1</label>
+              <input id="date1" type="date" value={date1} onChange={handleInputChange('date1')} {...errorProps('date1', errors.date1)} />
+              {errors.date1 && <p id="date1-error" className="error-text">{errors.date1}</p>}
+            </div>
+
+            <div className="input-group">
+              <label htmlFor="date2">Image Date 2</label>
+              <input id="date2" type="date" value={date2} onChange={handleInputChange('date2')} {...errorProps('date2', errors.date2)} />
+              {errors.date2 && <p id="date2-error" className="error-text">{errors.date2}</p>}
+            </div>
+          </>
+        )}
+
+        {SENSORS[sensor].hasCloudCover && (
+          <div className="input-group">
+            <label htmlFor="cloudCover">
+              {mode === 'pair' ? 'Max Cloud Cover' : 'Usable Below Cloud Cover'}: {cloudCover}%
+            </label>
+            <input
+              id="cloudCover"
+              type="range"
+              min="1"
+              max="100"
+              value={cloudCover}
+              onChange={(event) => dispatch(inputChanged('cloudCover', parseInt(event.target.value, 10)))}
+            />
+          </div>
+        )}
+
+        {mode === 'pair' && (
+          <>
+            <SceneSelectionControl
+              inputs={inputs}
+              errors={errors}
+              hasCloudCover={SENSORS[sensor].hasCloudCover}
+              onChange={(field, value) => dispatch(inputChanged(field, value))}
+            />
+
+            <button type="submit" disabled={search.isLoading}>
+              {search.isLoading ? 'Searching...' : 'Find Images'}
+            </button>
+
+            {selectHasScenes(state) && (
+              <button type="button" className='reset-button' onClick={handleClearAndReset}>
+                Reset
+              </button>
+            )}
+
+            {search.error && (
+              <div className="api-status">
+                <p className="error-text api-error" role="alert">{search.error}</p>
+              </div>
+            )}
+          </>
+        )}
+      </form>
+      {mode === 'series' && (
+        <TimeSeriesPanel
+          latitude={latitude}
+          longitude={longitude}
+          aoiVertices={aoiVertices}
+          cloudCover={cloudCover}
+          sensor={sensor}
+          maskClasses={maskClasses}
+          onSceneChange={(scene) => dispatch(viewChanged({ seriesScene: scene }))}
+        />
+      )}
+      {/* Kept mounted in the other modes so a long batch run survives switching tabs */}
+      <div hidden={mode !== 'batch'}>
+        <BatchPanel
+          date1={date1}
+          date2={date2}
+          cloudCover={cloudCover}
+          sensor={sensor}
+          maskClasses={maskClasses}
+          onSitesChange={handleSitesChange}
+        />
+      </div>
+    </>
+  );
+}
+
+export default SearchForm;
@@ -0,0 +1,30 @@
+import { createContext, useContext, useMemo, useReducer } from 'react';
+import { createInitialState, reducer } from './store';
+import { loadCustomIndices, registerCustomIndices } from './customIndices';
+
+const StoreContext = createContext(null);
+
+/**
+ * Provides the central store (store.js) to the feature modules.
+ *
+ * @param {Object} [initialState] - Defaults to a fresh state; custom indices are registered
+ *   on first render, before a permalink naming one is restored.
+ */
+export function StoreProvider({ initialState, children }) {
+  const [state, dispatch] = useReducer(
+    reducer,
+    initialState,
+    (given) => given || createInitialState({ customIndices: registerCustomIndices(loadCustomIndices()) })
+  );
+  const store = useMemo(() => ({ state, dispatch }), [state]);
+  return <StoreContext.Provider value={store}>{children}</StoreContext.Provider>;
+}
+
+/**
+ * The store's { state, dispatch }, for components inside a StoreProvider.
+ */
+export function useStore() {
+  const store = useContext(StoreContext);
+  if (!store) throw new Error('useStore must be used inside a StoreProvider');
+  return store;
+}
@@ -0,0 +1,264 @@
+import { useState } from 'react';
+import { getSpectralIndex } from './spectralIndices';
+import { analysisRegion, runTimeSeriesIndices } from './computationEngine';
+import { verticesToGeoJSON } from './aoi';
+import { apiClient } from './apiClient';
+import { daysBetween, stepDate } from './timeSeries';
+import { downloadFile } from './download';
+import { buildTimeSeriesCSV } from './exporters';
+import { supportedIndices } from './sensors';
+
+const SERIES_COLORS = ['#007bff', '#28a745', '#dc3545', '#fd7e14', '#6f42c1', '#20c997', '#e83e8c', '#6c757d', '#17a2b8', '#343a40'];
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = { top: 10, right: 10, bottom: 24, left: 40 };
+
+// --- SVG line chart of the mean index value per step, with cloudy steps drawn hollow ---
+function IndexChart({ steps, seriesResults, indexIds, currentStep, onStepSelect }) {
+  const values = seriesResults.flatMap(stats => indexIds.map(id => stats?.[id]?.mean)).filter(v => v != null);
+  if (values.length === 0) return <p className="compare-hint">No valid pixels to chart.</p>;
+
+  const firstDate = steps[0].targetDate;
+  const totalDays = Math.max(1, daysBetween(firstDate, steps[steps.length - 1].targetDate));
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+  const valueSpan = maxValue - minValue || 1;
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const x = (step) => CHART_PADDING.left + (Math.max(0, daysBetween(firstDate, stepDate(step))) / totalDays) * plotWidth;
+  const y = (value) => CHART_PADDING.top + (1 - (value - minValue) / valueSpan) * plotHeight;
+
+  return (
+    <svg className="index-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label="Index values over time">
+      <line x1={CHART_PADDING.left} y1={CHART_PADDING.top} x2={CHART_PADDING.left} y2={CHART_PADDING.top + plotHeight} className="chart-axis" />
+      <line x1={CHART_PADDING.left} y1={CHART_PADDING.top + plotHeight} x2={CHART_PADDING.left + plotWidth} y2={CHART_PADDING.top + plotHeight} className="chart-axis" />
+      <text x={CHART_PADDING.left - 4} y={CHART_PADDING.top + 4} textAnchor="end" className="chart-label">{maxValue.toFixed(2)}</text>
+      <text x={CHART_PADDING.left - 4} y={CHART_PADDING.top + plotHeight} textAnchor="end" className="chart-label">{minValue.toFixed(2)}</text>
+      <text x={CHART_PADDING.left} y={CHART_HEIGHT - 6} className="chart-label">{firstDate}</text>
+      <text x={CHART_PADDING.left + plotWidth} y={CHART_HEIGHT - 6} textAnchor="end" className="chart-label">{steps[steps.length - 1].targetDate}</text>
+
+      {steps[currentStep] && (
+        <line x1={x(steps[currentStep])} y1={CHART_PADDING.top} x2={x(steps[currentStep])} y2={CHART_PADDING.top + plotHeight} className="chart-cursor" />
+      )}
+
+      {indexIds.map((indexId, seriesIndex) => {
+        const color = SERIES_COLORS[seriesIndex % SERIES_COLORS.length];
+        // Only usable scenes make up the line; cloudy ones are still plotted as points
+        const linePoints = steps
+          .map((step, i) => ({ step, value: seriesResults[i]?.[indexId]?.mean }))
+          .filter(({ step, value }) => step.usable && value != null)
+          .map(({ step, value }) => `${x(step)},${y(value)}`)
+          .join(' ');
+
+        return (
+          <g key={indexId}>
+            <polyline points={linePoints} fill="none" stroke={color} strokeWidth="1.5" />
+            {steps.map((step, i) => {
+              const value = seriesResults[i]?.[indexId]?.mean;
+              if (value == null) return null;
+              return (
+                <circle
+                  key={i}
+                  cx={x(step)}
+                  cy={y(value)}
+                  r={i === currentStep ? 5 : 3.5}
+                  fill={step.usable ? color : 'white'}
+                  stroke={step.usable ? color : '#999'}
+                  strokeWidth="1.5"
+                  onClick={() => onStepSelect(i)}
+                  className="chart-point"
+                >
+                  <title>{`${indexId} ${stepDate(step)}: ${value.toFixed(4)}${step.usable ? '' : ' (cloudy)'}`}</title>
+                </circle>
+              );
+            })}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// --- Panel for loading, scrubbing through and charting a series of acquisitions ---
+function TimeSeriesPanel({ latitude, longitude, aoiVertices, cloudCover, sensor, maskClasses, onSceneChange }) {
+  const [startDate, setStartDate] = useState('2024-04-01');
+  const [endDate, setEndDate] = useState('2024-10-01');
+  const [intervalDays, setIntervalDays] = useState(10);
+  const [selectedIndices, setSelectedIndices] = useState(['NDVI']);
+
+  const [steps, setSteps] = useState([]);
+  const [currentStep, setCurrentStep] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const [seriesResults, setSeriesResults] = useState(null);
+  const [computedIndices, setComputedIndices] = useState([]);
+  const [progress, setProgress] = useState(null);
+
+  const selectStep = (index, stepList = steps) => {
+    setCurrentStep(index);
+    onSceneChange(stepList[index]?.scene || null);
+  };
+
+  const handleLoadSeries = async () => {
+    const latNum = parseFloat(latitude);
+    const lonNum = parseFloat(longitude);
+    if (isNaN(latNum) || isNaN(lonNum)) {
+      setError('Set a valid location or AOI first.');
+      return;
+    }
+    if (!startDate || !endDate || startDate > endDate) {
+      setError('Start date must be on or before end date.');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+    setSeriesResults(null);
+
+    try {
+      const data = await apiClient.timeSeries({
+        lat: latNum,
+        lon: lonNum,
+        start: startDate,
+        end: endDate,
+        interval: intervalDays,
+        cloudCover,
+        aoi: aoiVertices && verticesToGeoJSON(aoiVertices),
+        sensor,
+      });
+      setSteps(data.steps);
+      setSelectedIndices(prev => prev.filter(indexId => supportedIndices(sensor).includes(indexId)));
+      const firstScene = Math.max(0, data.steps.findIndex(step => step.scene));
+      selectStep(firstScene, data.steps);
+    } catch (err) {
+      console.error("Failed to fetch time series:", err);
+      setError(err.message);
+      setSteps([]);
+      onSceneChange(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleComputeSeries = async () => {
+    setError('');
+    setProgress({ done: 0, total: steps.length });
+    try {
+      const region = analysisRegion(parseFloat(latitude), parseFloat(longitude), aoiVertices);
+      const results = await runTimeSeriesIndices(
+        selectedIndices,
+        steps.map(step => step.scene),
+        region,
+        { onProgress: (done, total) => setProgress({ done, total }), maskClasses }
+      );
+      setSeriesResults(results);
+      setComputedIndices(selectedIndices);
+    } catch (err) {
+      console.error("Failed to compute time series:", err);
+      setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleIndexToggle = (event) => {
+    const { value, checked } = event.target;
+    setSelectedIndices(prev => (checked ? [...prev, value] : prev.filter(id => id !== value)));
+  };
+
+  const handleExportSeries = () => {
+    const csv = buildTimeSeriesCSV(steps, seriesResults, computedIndices, { latitude, longitude });
+    downloadFile(csv, `geo_compare_series_${latitude}_${longitude}_${startDate}_${endDate}.csv`, 'text/csv;charset=utf-8;');
+  };
+
+  const step = steps[currentStep];
+  // Indices are offered for the sensor of the loaded series
+  const seriesSensor = steps.find(s => s.scene)?.scene.sensor || sensor;
+
+  return (
+    <div className="time-series-panel">
+      <div className="input-group">
+        <label htmlFor="seriesStart">Start Date</label>
+        <input id="seriesStart" type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+      </div>
+      <div className="input-group">
+        <label htmlFor="seriesEnd">End Date</label>
+        <input id="seriesEnd" type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} />
+      </div>
+      <div className="input-group">
+        <label htmlFor="seriesInterval">Interval: every {intervalDays} days</label>
+        <input id="seriesInterval" type="range" min="1" max="60" value={intervalDays} onChange={(e) => setIntervalDays(parseInt(e.target.value, 10))} />
+      </div>
+      <button type="button" className="series-button" onClick={handleLoadSeries} disabled={isLoading}>
+        {isLoading ? 'Searching...' : 'Load Series'}
+      </button>
+      {error && <p className="error-text api-error">{error}</p>}
+
+      {steps.length > 0 && (
+        <>
+          <div className="timeline">
+            <div className="timeline-controls">
+              <button type="button" onClick={() => selectStep(Math.max(0, currentStep - 1))} disabled={currentStep === 0}>&#x25C0;</button>
+              <input
+                type="range"
+                min="0"
+                max={steps.length - 1}
+                value={currentStep}
+                onChange={(e) => selectStep(parseInt(e.target.value, 10))}
+                aria-label="Time series step"
+              />
+              <button type="button" onClick={() => selectStep(Math.min(steps.length - 1, currentStep + 1))} disabled={currentStep === steps.length - 1}>&#x25B6;</button>
+            </div>
+            <p className="timeline-label">
+              Step {currentStep + 1}/{steps.length} · target {step.targetDate}:{' '}
+              {step.scene
+                ? `acquired ${new Date(step.scene.dateAcquired).toLocaleDateString()}, ${step.scene.cloudCover?.toFixed(1)}% cloud${step.usable ? '' : ' (cloudy)'}`
+                : 'no acquisition'}
+            </p>
+          </div>
+
+          <div className="input-group">
+            <label>Indices to chart</label>
+            <div className="series-indices">
+              {supportedIndices(seriesSensor).map(indexId => (
+                <label key={indexId} className="computation-option" title={getSpectralIndex(indexId).name}>
+                  <input type="checkbox" value={indexId} checked={selectedIndices.includes(indexId)} onChange={handleIndexToggle} className="checkbox-input" />
+                  <span className="checkbox-label">{indexId}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <button type="button" className="series-button" onClick={handleComputeSeries} disabled={selectedIndices.length === 0 || progress !== null}>
+            {progress ? `Computing ${progress.done}/${progress.total}...` : 'Compute Series'}
+          </button>
+
+          {seriesResults && (
+            <>
+              <IndexChart
+                steps={steps}
+                seriesResults={seriesResults}
+                indexIds={computedIndices}
+                currentStep={currentStep}
+                onStepSelect={selectStep}
+              />
+              <div className="chart-legend">
+                {computedIndices.map((indexId, i) => (
+                  <span key={indexId}><span className="legend-swatch" style={{ backgroundColor: SERIES_COLORS[i % SERIES_COLORS.length] }} />{indexId}</span>
+                ))}
+                <span><span className="legend-swatch legend-cloudy" />Cloudy</span>
+              </div>
+              <button onClick={handleExportSeries} className="export-csv-button">
+                Export Series to CSV
+              </button>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TimeSeriesPanel;
@@ -0,0 +1,102 @@
+// --- Map annotations: measurements, labelled pins, damage outlines and notes of an analysis ---
+// An annotation is { id, type, positions: [[lat, lng], ...], label, image }, where `image` is
+// the scene (1 or 2) a damage outline was observed on and null for the other types. They
+// belong to the active analysis, are saved with it and exported as GeoJSON layers.
+
+import { EARTH_RADIUS_M, geodesicArea, toRadians } from './aoi';
+import { newId } from './savedAnalyses';
+
+// `layer` groups the types in exports; `points` is how many positions the type needs
+export const ANNOTATION_TYPES = {
+  distance: { name: 'Distance', layer: 'Measurements', points: 2, hint: 'Click to add points, double-click to finish.' },
+  area: { name: 'Area', layer: 'Measurements', points: 3, hint: 'Click to add vertices, double-click to finish.' },
+  pin: { name: 'Pin', layer: 'Pins', points: 1, hint: 'Click to drop a pin.' },
+  outline: { name: 'Damage outline', layer: 'Damage outlines', points: 3, hint: 'Hold the mouse button down and draw around the damage.' },
+  note: { name: 'Note', layer: 'Notes', points: 1, hint: 'Click where the note belongs.' },
+};
+
+/**
+ * Great-circle length in metres of a path of [lat, lng] positions.
+ */
+export function pathLengthM(positions) {
+  return positions.slice(1).reduce((total, [lat2, lng2], i) => {
+    const [lat1, lng1] = positions[i];
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return total + 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+  }, 0);
+}
+
+export const formatDistance = (metres) => (metres < 1000 ? `${metres.toFixed(0)} m` : `${(metres / 1000).toFixed(2)} km`);
+
+export function formatArea(squareMetres) {
+  if (squareMetres < 10000) return `${squareMetres.toFixed(0)} m²`;
+  if (squareMetres < 1e6) return `${(squareMetres / 10000).toFixed(2)} ha`;
+  return `${(squareMetres / 1e6).toFixed(2)} km²`;
+}
+
+/**
+ * Length (distance) or area (area, outline) of an annotation in metres or square metres,
+ * null for pins and notes.
+ */
+export function annotationMeasurement({ type, positions }) {
+  if (type === 'distance') return pathLengthM(positions);
+  if (type === 'area' || type === 'outline') return geodesicArea(positions);
+  return null;
+}
+
+/**
+ * The measurement of an annotation as shown to the user, or '' when it has none.
+ */
+export function describeMeasurement(annotation) {
+  const value = annotationMeasurement(annotation);
+  if (value === null) return '';
+  return annotation.type === 'distance' ? formatDistance(value) : formatArea(value);
+}
+
+/**
+ * A new annotation, labelled "<Type> <n>" after the ones of its type already in `existing`.
+ */
+export function createAnnotation(type, positions, { image = null, existing = [] } = {}) {
+  const count = existing.filter(annotation => annotation.type === type).length + 1;
+  return {
+    id: newId(),
+    type,
+    positions,
+    label: type === 'note' ? '' : `${ANNOTATION_TYPES[type].name} ${count}`,
+    image: type === 'outline' ? image : null,
+  };
+}
+
+const toLngLat = ([lat, lng]) => [lng, lat];
+
+function annotationGeometry({ type, positions }) {
+  if (ANNOTATION_TYPES[type].points === 1) return { type: 'Point', coordinates: toLngLat(positions[0]) };
+  if (type === 'distance') return { type: 'LineString', coordinates: positions.map(toLngLat) };
+  return { type: 'Polygon', coordinates: [[...positions, positions[0]].map(toLngLat)] };
+}
+
+/**
+ * One GeoJSON feature per annotation, its `layer` property naming the layer it belongs to.
+ */
+export function annotationFeatures(annotations) {
+  return (annotations || []).map(annotation => ({
+    type: 'Feature',
+    id: annotation.id,
+    geometry: annotationGeometry(annotation),
+    properties: {
+      layer: ANNOTATION_TYPES[annotation.type].layer,
+      type: annotation.type,
+      label: annotation.label,
+      image: annotation.image,
+      lengthM: annotation.type === 'distance' ? annotationMeasurement(annotation) : null,
+      areaM2: annotation.type === 'area' || annotation.type === 'outline' ? annotationMeasurement(annotation) : null,
+    },
+  }));
+}
+
+/**
+ * FeatureCollection of the annotations alone, ready to download.
+ */
+export const buildAnnotationsGeoJSON = (annotations) => ({ type: 'FeatureCollection', features: annotationFeatures(annotations) });
@@ -0,0 +1,46 @@
+import {
+  annotationFeatures, buildAnnotationsGeoJSON, createAnnotation, describeMeasurement, formatArea, formatDistance, pathLengthM,
+} from './annotations';
+
+test('measures path lengths along great circles', () => {
+  // One degree of latitude is about 111.3 km on the WGS84 equatorial radius
+  expect(pathLengthM([[0, 0], [1, 0]])).toBeCloseTo(111319.5, 0);
+  expect(pathLengthM([[0, 0], [1, 0], [1, 0]])).toBeCloseTo(111319.5, 0);
+  expect(pathLengthM([[35, -82]])).toBe(0);
+});
+
+test('formats distances and areas in readable units', () => {
+  expect(formatDistance(420.4)).toBe('420 m');
+  expect(formatDistance(2345)).toBe('2.35 km');
+  expect(formatArea(950)).toBe('950 m²');
+  expect(formatArea(25000)).toBe('2.50 ha');
+  expect(formatArea(3.2e6)).toBe('3.20 km²');
+});
+
+test('labels new annotations by type and keeps the image of outlines only', () => {
+  const pin = createAnnotation('pin', [[35, -82]], { image: 2 });
+  expect(pin).toMatchObject({ type: 'pin', label: 'Pin 1', image: null });
+  expect(createAnnotation('pin', [[35.1, -82]], { existing: [pin] }).label).toBe('Pin 2');
+  expect(createAnnotation('outline', [[35, -82], [35, -81.9], [35.1, -81.9]], { image: 2 })).toMatchObject({ label: 'Damage outline 1', image: 2 });
+  expect(createAnnotation('note', [[35, -82]]).label).toBe('');
+});
+
+test('exports annotations as GeoJSON features grouped by layer', () => {
+  const square = [[0, 0], [0, 0.01], [0.01, 0.01], [0.01, 0]];
+  const annotations = [
+    createAnnotation('distance', [[0, 0], [0.01, 0]]),
+    createAnnotation('area', square),
+    { ...createAnnotation('note', [[0.005, 0.005]]), label: 'Road blocked' },
+  ];
+  const features = annotationFeatures(annotations);
+  expect(features.map(f => f.properties.layer)).toEqual(['Measurements', 'Measurements', 'Notes']);
+  expect(features[0].geometry).toEqual({ type: 'LineString', coordinates: [[0, 0], [0, 0.01]] });
+  expect(features[0].properties.lengthM).toBeCloseTo(1113.2, 0);
+  expect(features[1].geometry.coordinates[0]).toHaveLength(5);
+  expect(features[1].properties.areaM2).toBeCloseTo(1.239e6, -4);
+  expect(features[2]).toMatchObject({ geometry: { type: 'Point', coordinates: [0.005, 0.005] }, properties: { label: 'Road blocked', areaM2: null } });
+
+  expect(describeMeasurement(annotations[1])).toBe('1.24 km²');
+  expect(describeMeasurement(annotations[2])).toBe('');
+  expect(buildAnnotationsGeoJSON([])).toEqual({ type: 'FeatureCollection', features: [] });
+});
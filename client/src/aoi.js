@@ -0,0 +1,133 @@
+// --- Area-of-interest geometry helpers ---
+// An AOI is kept as a list of [lat, lng] vertices (the order Leaflet uses) forming an
+// open ring; it is only converted to GeoJSON ([lng, lat], closed ring) at the edges.
+
+export const EARTH_RADIUS_M = 6378137;
+export const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Geodesic area of a polygon in square metres (same approximation as Leaflet.draw).
+ */
+export function geodesicArea(vertices) {
+  if (vertices.length < 3) return 0;
+  let area = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const [lat1, lng1] = vertices[i];
+    const [lat2, lng2] = vertices[(i + 1) % vertices.length];
+    area += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+  return Math.abs((area * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+export const areaKm2 = (vertices) => geodesicArea(vertices) / 1e6;
+
+/**
+ * The four corners of the rectangle spanned by two opposite [lat, lng] corners.
+ */
+export function rectangleVertices([lat1, lng1], [lat2, lng2]) {
+  return [[lat1, lng1], [lat1, lng2], [lat2, lng2], [lat2, lng1]];
+}
+
+/**
+ * [minLon, minLat, maxLon, maxLat] of a vertex list.
+ */
+export function bboxOfVertices(vertices) {
+  const lats = vertices.map(([lat]) => lat);
+  const lngs = vertices.map(([, lng]) => lng);
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+}
+
+/**
+ * Vertex average, good enough to place the marker inside a convex-ish field outline.
+ */
+export function centroidOfVertices(vertices) {
+  const sum = vertices.reduce(([la, ln], [lat, lng]) => [la + lat, ln + lng], [0, 0]);
+  return [sum[0] / vertices.length, sum[1] / vertices.length];
+}
+
+/**
+ * Ray-casting point-in-polygon test.
+ */
+export function pointInPolygon(lat, lng, vertices) {
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const [latI, lngI] = vertices[i];
+    const [latJ, lngJ] = vertices[j];
+    const crosses = (latI > lat) !== (latJ > lat)
+      && lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Marks which cells of a width x height grid over bbox have their centre inside the polygon.
+ * Row 0 is the northern edge, matching the rasters returned by /api/band-pixels.
+ *
+ * @returns {Uint8Array} 1 for pixels inside the AOI, 0 outside.
+ */
+export function polygonPixelMask(vertices, bbox, width, height) {
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  const mask = new Uint8Array(width * height);
+  for (let row = 0; row < height; row++) {
+    const lat = maxLat - ((row + 0.5) * (maxLat - minLat)) / height;
+    for (let col = 0; col < width; col++) {
+      const lng = minLon + ((col + 0.5) * (maxLon - minLon)) / width;
+      mask[row * width + col] = pointInPolygon(lat, lng, vertices) ? 1 : 0;
+    }
+  }
+  return mask;
+}
+
+/**
+ * GeoJSON Polygon geometry for a vertex list.
+ */
+export function verticesToGeoJSON(vertices) {
+  const ring = vertices.map(([lat, lng]) => [lng, lat]);
+  ring.push(ring[0]);
+  return { type: 'Polygon', coordinates: [ring] };
+}
+
+/**
+ * Parses pasted or uploaded GeoJSON (a Polygon, a Feature holding one, or a
+ * FeatureCollection whose first polygon is used) into a vertex list.
+ * Throws an Error with a user-facing message when the input can't be used as an AOI.
+ */
+export function parseGeoJSONPolygon(input) {
+  let geojson = input;
+  if (typeof input === 'string') {
+    try {
+      geojson = JSON.parse(input);
+    } catch (e) {
+      throw new Error('AOI is not valid JSON.');
+    }
+  }
+
+  if (geojson?.type === 'FeatureCollection') {
+    const feature = (geojson.features || []).find(f => f?.geometry?.type === 'Polygon');
+    if (!feature) throw new Error('The FeatureCollection contains no Polygon feature.');
+    geojson = feature;
+  }
+  if (geojson?.type === 'Feature') geojson = geojson.geometry;
+
+  if (geojson?.type !== 'Polygon' || !Array.isArray(geojson.coordinates?.[0])) {
+    throw new Error('AOI must be a GeoJSON Polygon.');
+  }
+
+  const ring = geojson.coordinates[0];
+  const vertices = ring.map(position => {
+    const [lng, lat] = position || [];
+    if (typeof lat !== 'number' || typeof lng !== 'number' || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error('AOI contains invalid coordinates.');
+    }
+    return [lat, lng];
+  });
+
+  // Drop the closing position of the ring
+  const [firstLat, firstLng] = vertices[0] || [];
+  const last = vertices[vertices.length - 1];
+  if (vertices.length > 1 && last[0] === firstLat && last[1] === firstLng) vertices.pop();
+
+  if (vertices.length < 3) throw new Error('AOI polygon needs at least three vertices.');
+  return vertices;
+}
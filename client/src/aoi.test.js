@@ -0,0 +1,49 @@
+import {
+  areaKm2,
+  bboxOfVertices,
+  parseGeoJSONPolygon,
+  pointInPolygon,
+  polygonPixelMask,
+  rectangleVertices,
+  verticesToGeoJSON,
+} from './aoi';
+
+test('computes the area of a 0.1 degree square at the equator', () => {
+  const square = rectangleVertices([0, 0], [0.1, 0.1]);
+  // 0.1 deg is ~11.13 km at the equator
+  expect(areaKm2(square)).toBeCloseTo(123.9, 0);
+});
+
+test('round-trips vertices through GeoJSON', () => {
+  const vertices = [[35.4, -82.3], [35.5, -82.3], [35.5, -82.2]];
+  const geojson = verticesToGeoJSON(vertices);
+  expect(geojson.coordinates[0]).toHaveLength(4);
+  expect(geojson.coordinates[0][0]).toEqual([-82.3, 35.4]);
+  expect(parseGeoJSONPolygon(JSON.stringify(geojson))).toEqual(vertices);
+});
+
+test('accepts Features and FeatureCollections', () => {
+  const geometry = verticesToGeoJSON([[0, 0], [1, 0], [1, 1]]);
+  expect(parseGeoJSONPolygon({ type: 'Feature', geometry })).toHaveLength(3);
+  expect(parseGeoJSONPolygon({
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] } }, { type: 'Feature', geometry }],
+  })).toHaveLength(3);
+});
+
+test('rejects input that is not a usable polygon', () => {
+  expect(() => parseGeoJSONPolygon('{not json')).toThrow('not valid JSON');
+  expect(() => parseGeoJSONPolygon({ type: 'Point', coordinates: [0, 0] })).toThrow('Polygon');
+  expect(() => parseGeoJSONPolygon({ type: 'Polygon', coordinates: [[[0, 0], [1, 1], [0, 0]]] })).toThrow('three vertices');
+  expect(() => parseGeoJSONPolygon({ type: 'Polygon', coordinates: [[[0, 0], [1, 95], [2, 2]]] })).toThrow('invalid coordinates');
+});
+
+test('tests points against the polygon and builds a pixel mask', () => {
+  const triangle = [[0, 0], [1, 0], [0, 1]];
+  expect(pointInPolygon(0.2, 0.2, triangle)).toBe(true);
+  expect(pointInPolygon(0.8, 0.8, triangle)).toBe(false);
+  expect(bboxOfVertices(triangle)).toEqual([0, 0, 1, 1]);
+  // Row 0 is north: only the south-west pixel centre (0.25, 0.25) lies in the smaller triangle
+  const smaller = [[0, 0], [0.9, 0], [0, 0.9]];
+  expect(Array.from(polygonPixelMask(smaller, [0, 0, 1, 1], 2, 2))).toEqual([0, 0, 1, 0]);
+});
@@ -0,0 +1,258 @@
+// --- Client for the Geo Compare tile/analysis server ---
+// Every call to the backend goes through here: URLs are built from one configurable base,
+// requests can be cancelled and time out, 5xx responses are retried with backoff, and
+// failures surface as ApiError objects carrying the server's `{"error": ...}` message.
+// Scene searches and band pixels can be served from a response cache (responseCache.js).
+
+import { CACHE_POLICIES, createResponseCache } from './responseCache';
+
+const DEFAULT_BASE_URL = 'http://localhost:8080';
+
+/**
+ * @typedef {Object} ImageInfo
+ * @property {string} id
+ * @property {string} sensor - Key of SENSORS in sensors.js.
+ * @property {string} tileUrlTemplate
+ * @property {number[][]} bounds - [[south, west], [north, east]]
+ * @property {string} dateAcquired
+ * @property {Object<string, {href: string, scale: number, offset: number}>} bands
+ * @property {number} [cloudCover]
+ * @property {string} [tileId]
+ * @property {number} [relativeOrbit]
+ * @property {number} [areaCoverage] - Percentage of the searched area inside the scene footprint.
+ * @property {string} [thumbnailUrl]
+ * @property {?string} [visualUrl] - True-colour COG, null for sensors without one.
+ */
+
+/**
+ * @typedef {Object} ChangeDetectionResponse
+ * @property {ImageInfo} image1
+ * @property {ImageInfo} image2
+ * @property {ImageInfo[]} candidates1
+ * @property {ImageInfo[]} candidates2
+ */
+
+/**
+ * @typedef {Object} TimeSeriesResponse
+ * @property {{targetDate: string, scene: ?ImageInfo, usable: boolean}[]} steps
+ */
+
+/**
+ * @typedef {Object} BandPixelsResponse
+ * @property {number} width
+ * @property {number} height
+ * @property {Object<string, Array<?number>>} bands - Row-major reflectance, null where masked.
+ */
+
+/**
+ * A failed API call. `status` is the HTTP status (0 for network failures and timeouts).
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'http', url = null, body = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code; // 'http' | 'network' | 'timeout'
+    this.url = url;
+    this.body = body;
+  }
+
+  get isRetryable() {
+    return this.code === 'network' || this.status >= 500;
+  }
+}
+
+/**
+ * Base URL of the server: the runtime config in public/config.js wins over the
+ * REACT_APP_API_BASE_URL build-time variable, so one build can be deployed anywhere.
+ */
+export function resolveApiBaseUrl(
+  runtimeConfig = typeof window !== 'undefined' ? window.GEO_COMPARE_CONFIG : undefined,
+  env = process.env
+) {
+  const baseUrl = runtimeConfig?.apiBaseUrl || env.REACT_APP_API_BASE_URL || DEFAULT_BASE_URL;
+  return baseUrl.replace(/\/+$/, '');
+}
+
+export const fetchTransport = (url, init) => fetch(url, init);
+
+const abortError = (signal) => signal.reason ?? new DOMException('The operation was aborted.', 'AbortError');
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(abortError(signal));
+  }, { once: true });
+});
+
+async function errorFromResponse(response, url) {
+  const text = await response.text().catch(() => '');
+  let body = text;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Plain-text error (tile endpoints) or an HTML page from a proxy
+  }
+  const message = (body && typeof body === 'object' && body.error) || (typeof body === 'string' && body.trim()) || `HTTP error! Status: ${response.status}`;
+  return new ApiError(message, { status: response.status, url, body });
+}
+
+/**
+ * Creates an API client.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl]
+ * @param {Function} [options.transport] - fetch-compatible function; see createMockTransport.
+ * @param {number} [options.retries] - Extra attempts after a 5xx or network failure.
+ * @param {number} [options.retryDelayMs] - First backoff delay, doubled on each retry.
+ * @param {number} [options.timeoutMs] - Per-attempt timeout.
+ * @param {?Object} [options.cache] - Response cache from createResponseCache; none by default.
+ */
+export function createApiClient({
+  baseUrl = resolveApiBaseUrl(),
+  transport = fetchTransport,
+  retries = 2,
+  retryDelayMs = 500,
+  timeoutMs = 60000,
+  cache = null,
+} = {}) {
+  const url = (path, params) => {
+    const query = params ? new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+    ).toString() : '';
+    return `${baseUrl}${path}${query ? `?${query}` : ''}`;
+  };
+
+  async function attempt(requestUrl, init, signal) {
+    // One controller per attempt, aborted by the caller's signal or by the timeout
+    const controller = new AbortController();
+    const abort = () => controller.abort(abortError(signal));
+    signal?.addEventListener('abort', abort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+
+    try {
+      const response = await transport(requestUrl, { ...init, signal: controller.signal });
+      if (!response.ok) throw await errorFromResponse(response, requestUrl);
+      return response;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      if (timedOut) throw new ApiError(`The server did not respond within ${timeoutMs / 1000} s.`, { code: 'timeout', url: requestUrl });
+      if (signal?.aborted || error.name === 'AbortError') throw error;
+      throw new ApiError(`Could not reach the server at ${baseUrl}.`, { code: 'network', url: requestUrl });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+
+  /**
+   * Sends a request and returns the parsed JSON body.
+   * Cancelling through `signal` rejects with the AbortError unchanged.
+   */
+  async function request(path, { method = 'GET', params, body, signal } = {}) {
+    const requestUrl = url(path, params);
+    const init = { method, headers: { Accept: 'application/json' } };
+    if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+
+    for (let attemptIndex = 0; ; attemptIndex++) {
+      if (signal?.aborted) throw abortError(signal);
+      try {
+        const response = await attempt(requestUrl, init, signal);
+        return await response.json();
+      } catch (error) {
+        if (!(error instanceof ApiError) || !error.isRetryable || attemptIndex >= retries) throw error;
+        await sleep(retryDelayMs * 2 ** attemptIndex, signal);
+      }
+    }
+  }
+
+  /**
+   * Like request, but answered from the cache when it holds a response to the same call.
+   */
+  function cachedRequest(policy, path, requestOptions = {}) {
+    if (!cache) return request(path, requestOptions);
+    const { method = 'GET', params, body } = requestOptions;
+    const key = `${method} ${url(path, params)}${body === undefined ? '' : ` ${JSON.stringify(body)}`}`;
+    return cache.get(key, () => request(path, requestOptions), policy);
+  }
+
+  const aoiParam = (aoi) => (aoi ? JSON.stringify(aoi) : undefined);
+
+  return {
+    baseUrl,
+    url,
+    request,
+    clearCache: () => (cache ? cache.clear() : Promise.resolve()),
+
+    /** @returns {Promise<ChangeDetectionResponse>} */
+    changeDetection: ({ lat, lon, date1, date2, cloudCover, aoi, sensor, window1, window2, ranking, minCoverage, sameOrbit }, options) =>
+      cachedRequest(CACHE_POLICIES.search, '/api/change-detection', {
+        ...options,
+        params: { lat, lon, date1, date2, cloudCover, aoi: aoiParam(aoi), sensor, window1, window2, ranking, minCoverage, sameOrbit },
+      }),
+
+    /** @returns {Promise<TimeSeriesResponse>} */
+    timeSeries: ({ lat, lon, start, end, interval, cloudCover, aoi, sensor }, options) =>
+      cachedRequest(CACHE_POLICIES.search, '/api/time-series', { ...options, params: { lat, lon, start, end, interval, cloudCover, aoi: aoiParam(aoi), sensor } }),
+
+    /** @returns {Promise<BandPixelsResponse>} */
+    bandPixels: ({ bbox, size, bands }, options) =>
+      cachedRequest(CACHE_POLICIES.pixels, '/api/band-pixels', { ...options, method: 'POST', body: { bbox, size, bands } }),
+
+    /** @returns {Promise<{layerId: string, tileUrlTemplate: string}>} */
+    createIndexLayer: (definition, options) =>
+      request('/api/index-layers', { ...options, method: 'POST', body: definition }),
+
+    /**
+     * URL of a PNG over bbox, for use in an <img>: of the true-colour `visualUrl`, or else of the
+     * band `composite` ({ r, g, b, scale, offset, rescale } as for /api/composite-tiles).
+     */
+    snapshotUrl: ({ visualUrl, composite, bbox, size }) => url('/api/snapshot', { url: visualUrl, ...composite, bbox: bbox.join(','), size }),
+  };
+}
+
+/**
+ * In-memory transport for running the UI and tests without the backend.
+ * Routes are keyed by "METHOD /path" and map to a response spec ({ status, body })
+ * or to a function of the request returning one. Unmatched requests get a 404.
+ * Every request is recorded in `transport.calls`.
+ */
+export function createMockTransport(routes) {
+  const transport = async (requestUrl, init = {}) => {
+    const parsed = new URL(requestUrl);
+    const method = (init.method || 'GET').toUpperCase();
+    const request = {
+      method,
+      path: parsed.pathname,
+      params: Object.fromEntries(parsed.searchParams),
+      body: init.body ? JSON.parse(init.body) : undefined,
+      signal: init.signal,
+    };
+    transport.calls.push(request);
+
+    if (init.signal?.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+    const route = routes[`${method} ${parsed.pathname}`];
+    const spec = typeof route === 'function' ? await route(request) : route;
+    const { status = 200, body = null } = spec || { status: 404, body: { error: `No mock for ${method} ${parsed.pathname}` } };
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => JSON.parse(text),
+      text: async () => text,
+    };
+  };
+  transport.calls = [];
+  return transport;
+}
+
+export const apiClient = createApiClient({ cache: createResponseCache() });
@@ -0,0 +1,138 @@
+import { ApiError, createApiClient, createMockTransport, resolveApiBaseUrl } from './apiClient';
+import { createResponseCache, memoryStore } from './responseCache';
+
+const clientWith = (routes, options = {}) => {
+  const transport = createMockTransport(routes);
+  const client = createApiClient({ baseUrl: 'https://api.test/geo', transport, retryDelayMs: 0, ...options });
+  return { client, transport };
+};
+
+test('resolves the base URL from runtime config, then env, then the default', () => {
+  expect(resolveApiBaseUrl({ apiBaseUrl: 'https://proxy.test/api/' }, { REACT_APP_API_BASE_URL: 'https://env.test' })).toBe('https://proxy.test/api');
+  expect(resolveApiBaseUrl({}, { REACT_APP_API_BASE_URL: 'https://env.test' })).toBe('https://env.test');
+  expect(resolveApiBaseUrl(undefined, {})).toBe('http://localhost:8080');
+});
+
+test('encodes query parameters and skips unset ones', async () => {
+  const { client, transport } = clientWith({ 'GET /geo/api/change-detection': { body: { image1: {}, image2: {} } } });
+  const aoi = { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] };
+
+  await client.changeDetection({ lat: 35.4, lon: -82.2, date1: '2024-09-16', date2: '2024-10-12', cloudCover: 20, aoi });
+  await client.changeDetection({ lat: 35.4, lon: -82.2, date1: '2024-09-16', date2: '2024-10-12', cloudCover: 20, aoi: null });
+
+  expect(transport.calls[0].params).toEqual({
+    lat: '35.4', lon: '-82.2', date1: '2024-09-16', date2: '2024-10-12', cloudCover: '20', aoi: JSON.stringify(aoi),
+  });
+  expect(transport.calls[1].params.aoi).toBeUndefined();
+});
+
+test('sends JSON bodies for POST endpoints', async () => {
+  const { client, transport } = clientWith({
+    'POST /geo/api/index-layers': (request) => ({ status: 201, body: { layerId: 'abc', echoed: request.body.index } }),
+  });
+
+  const data = await client.createIndexLayer({ index: 'NDVI' });
+
+  expect(data).toEqual({ layerId: 'abc', echoed: 'NDVI' });
+  expect(transport.calls[0].method).toBe('POST');
+});
+
+test('turns the server error JSON into an ApiError without retrying 4xx', async () => {
+  const { client, transport } = clientWith({
+    'GET /geo/api/time-series': { status: 400, body: { error: 'Interval must be at least 1 day' } },
+  });
+
+  const error = await client.timeSeries({ lat: 1, lon: 2 }).catch(e => e);
+
+  expect(error).toBeInstanceOf(ApiError);
+  expect(error.message).toBe('Interval must be at least 1 day');
+  expect(error.status).toBe(400);
+  expect(transport.calls).toHaveLength(1);
+});
+
+test('retries 5xx responses with backoff and then succeeds', async () => {
+  let attempts = 0;
+  const { client, transport } = clientWith({
+    'POST /geo/api/band-pixels': () => {
+      attempts += 1;
+      return attempts < 3 ? { status: 502, body: { error: 'Failed to read band B04' } } : { body: { width: 1, height: 1, bands: {} } };
+    },
+  });
+
+  await expect(client.bandPixels({ bbox: [0, 0, 1, 1], size: 1, bands: {} })).resolves.toMatchObject({ width: 1 });
+  expect(transport.calls).toHaveLength(3);
+});
+
+test('gives up after the configured retries', async () => {
+  const { client, transport } = clientWith({ 'GET /geo/api/time-series': { status: 503, body: 'Service Unavailable' } }, { retries: 1 });
+
+  await expect(client.timeSeries({ lat: 1, lon: 2 })).rejects.toMatchObject({ status: 503, message: 'Service Unavailable' });
+  expect(transport.calls).toHaveLength(2);
+});
+
+test('reports network failures and timeouts as ApiErrors', async () => {
+  const offline = createApiClient({
+    baseUrl: 'https://api.test',
+    transport: async () => { throw new TypeError('Failed to fetch'); },
+    retries: 0,
+  });
+  await expect(offline.request('/api/anything')).rejects.toMatchObject({ code: 'network', status: 0 });
+
+  const hanging = createApiClient({
+    baseUrl: 'https://api.test',
+    transport: (url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }),
+    retries: 0,
+    timeoutMs: 10,
+  });
+  await expect(hanging.request('/api/anything')).rejects.toMatchObject({ code: 'timeout' });
+});
+
+test('propagates cancellation as an AbortError without retrying', async () => {
+  const controller = new AbortController();
+  const { client, transport } = clientWith({
+    'GET /geo/api/change-detection': () => {
+      controller.abort();
+      return { status: 500, body: { error: 'boom' } };
+    },
+  });
+
+  const error = await client.changeDetection({ lat: 1, lon: 2 }, { signal: controller.signal }).catch(e => e);
+
+  expect(error.name).toBe('AbortError');
+  expect(transport.calls).toHaveLength(1);
+});
+
+test('answers unknown routes of the mock transport with a 404', async () => {
+  const { client } = clientWith({});
+  await expect(client.request('/api/missing')).rejects.toMatchObject({ status: 404, message: 'No mock for GET /geo/api/missing' });
+});
+
+test('builds snapshot URLs on the configured base', () => {
+  const { client } = clientWith({});
+  expect(client.snapshotUrl({ visualUrl: 'https://cog.test/a.tif', bbox: [1, 2, 3, 4] }))
+    .toBe('https://api.test/geo/api/snapshot?url=https%3A%2F%2Fcog.test%2Fa.tif&bbox=1%2C2%2C3%2C4');
+  expect(client.snapshotUrl({ composite: { r: 'r.tif', g: 'g.tif', b: 'b.tif', rescale: '0,0.3' }, bbox: [1, 2, 3, 4] }))
+    .toBe('https://api.test/geo/api/snapshot?r=r.tif&g=g.tif&b=b.tif&rescale=0%2C0.3&bbox=1%2C2%2C3%2C4');
+});
+
+test('answers repeated searches and pixel reads from the response cache', async () => {
+  const { client, transport } = clientWith({
+    'GET /geo/api/change-detection': { body: { image1: { id: 'a' }, image2: { id: 'b' } } },
+    'POST /geo/api/band-pixels': (request) => ({ body: { width: request.body.size, height: request.body.size, bands: {} } }),
+  }, { cache: createResponseCache(memoryStore()) });
+  const search = { lat: 35.4, lon: -82.2, date1: '2024-09-16', date2: '2024-10-12', cloudCover: 20 };
+
+  const first = await client.changeDetection(search);
+  expect(await client.changeDetection(search)).toEqual(first);
+  await client.changeDetection({ ...search, cloudCover: 30 });
+  await client.bandPixels({ bbox: [0, 0, 1, 1], size: 8, bands: {} });
+  await client.bandPixels({ bbox: [0, 0, 1, 1], size: 8, bands: {} });
+  await client.bandPixels({ bbox: [0, 0, 1, 1], size: 16, bands: {} });
+  expect(transport.calls.map(call => call.method)).toEqual(['GET', 'GET', 'POST', 'POST']);
+
+  await client.clearCache();
+  await client.changeDetection(search);
+  expect(transport.calls).toHaveLength(5);
+});
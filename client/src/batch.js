@@ -0,0 +1,312 @@
+// --- Multi-site batch analysis: site list parsing, a cancellable worker pool and the results table ---
+// A site is { id, name, latitude, longitude, aoiVertices, date1, date2 }; the dates and AOI are
+// optional and fall back to the batch defaults (the dates in the form, the ~1 km square).
+
+import { centroidOfVertices, parseGeoJSONPolygon, verticesToGeoJSON } from './aoi';
+import { apiClient } from './apiClient';
+import { analysisRegion, fetchBandPixels, runComputations } from './computationEngine';
+import { stripRasters } from './savedAnalyses';
+import { DEFAULT_SENSOR } from './sensors';
+
+// Sites analysed at the same time; each one makes a search and a couple of band requests
+export const DEFAULT_BATCH_CONCURRENCY = 3;
+export const MAX_BATCH_SITES = 500;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Accepted spellings of each CSV column, compared lower-cased
+const CSV_COLUMNS = {
+  name: ['name', 'site', 'site name', 'id'],
+  latitude: ['lat', 'latitude', 'y'],
+  longitude: ['lon', 'lng', 'long', 'longitude', 'x'],
+  date1: ['date1', 'date 1', 'before', 'pre'],
+  date2: ['date2', 'date 2', 'after', 'post'],
+};
+
+/**
+ * Splits one CSV line into cells, honouring double quotes and doubled quotes inside them.
+ */
+export function parseCSVLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Checks one site's coordinates and dates; returns an error message or null.
+ */
+function validateSite({ latitude, longitude, date1, date2 }) {
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) return 'latitude must be a number between -90 and 90';
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) return 'longitude must be a number between -180 and 180';
+  if (date1 && !DATE_PATTERN.test(date1)) return `date1 "${date1}" is not YYYY-MM-DD`;
+  if (date2 && !DATE_PATTERN.test(date2)) return `date2 "${date2}" is not YYYY-MM-DD`;
+  return null;
+}
+
+const finishParse = (sites, errors) => {
+  if (sites.length > MAX_BATCH_SITES) {
+    errors.push(`Only the first ${MAX_BATCH_SITES} of ${sites.length} sites are kept.`);
+    sites.length = MAX_BATCH_SITES;
+  }
+  return { sites: sites.map((site, i) => ({ ...site, id: `site-${i + 1}` })), errors };
+};
+
+/**
+ * Parses a CSV with a header row naming at least the latitude and longitude columns
+ * (name, date1 and date2 are optional). Rows that fail validation are reported in
+ * `errors` by line number and left out.
+ *
+ * @returns {{sites: Object[], errors: string[]}}
+ */
+export function parseSitesCSV(text) {
+  const lines = text.split(/\r?\n/).map((line, i) => ({ line, number: i + 1 })).filter(({ line }) => line.trim());
+  if (lines.length === 0) return { sites: [], errors: ['The CSV file is empty.'] };
+
+  const header = parseCSVLine(lines[0].line).map(cell => cell.toLowerCase());
+  const columns = {};
+  Object.entries(CSV_COLUMNS).forEach(([field, names]) => {
+    const index = header.findIndex(cell => names.includes(cell));
+    if (index >= 0) columns[field] = index;
+  });
+  if (columns.latitude === undefined || columns.longitude === undefined) {
+    return { sites: [], errors: ['The CSV needs a header row with latitude and longitude columns (e.g. "name,lat,lon").'] };
+  }
+
+  const sites = [];
+  const errors = [];
+  lines.slice(1).forEach(({ line, number }) => {
+    const cells = parseCSVLine(line);
+    const cell = (field) => (columns[field] === undefined ? '' : cells[columns[field]] || '');
+    const site = {
+      name: cell('name') || `Site ${sites.length + 1}`,
+      latitude: cell('latitude') === '' ? NaN : Number(cell('latitude')),
+      longitude: cell('longitude') === '' ? NaN : Number(cell('longitude')),
+      aoiVertices: null,
+      date1: cell('date1') || null,
+      date2: cell('date2') || null,
+    };
+    const error = validateSite(site);
+    if (error) errors.push(`Line ${number}: ${error}.`);
+    else sites.push(site);
+  });
+  return finishParse(sites, errors);
+}
+
+/**
+ * Parses a GeoJSON FeatureCollection of Point or Polygon features. Polygons become the
+ * site's AOI, centred on their vertices. `name`, `date1` and `date2` are read from the
+ * feature properties.
+ *
+ * @returns {{sites: Object[], errors: string[]}}
+ */
+export function parseSitesGeoJSON(text) {
+  let geojson;
+  try {
+    geojson = JSON.parse(text);
+  } catch (e) {
+    return { sites: [], errors: ['The file is not valid JSON.'] };
+  }
+  const features = geojson?.type === 'FeatureCollection' ? geojson.features || [] : [geojson];
+
+  const sites = [];
+  const errors = [];
+  features.forEach((feature, i) => {
+    const properties = feature?.properties || {};
+    const geometry = feature?.type === 'Feature' ? feature.geometry : feature;
+    const base = {
+      name: String(properties.name ?? properties.site ?? `Site ${sites.length + 1}`),
+      date1: properties.date1 || null,
+      date2: properties.date2 || null,
+    };
+
+    let site;
+    if (geometry?.type === 'Point') {
+      const [longitude, latitude] = geometry.coordinates || [];
+      site = { ...base, latitude, longitude, aoiVertices: null };
+    } else if (geometry?.type === 'Polygon') {
+      try {
+        const aoiVertices = parseGeoJSONPolygon(geometry);
+        const [latitude, longitude] = centroidOfVertices(aoiVertices);
+        site = { ...base, latitude, longitude, aoiVertices };
+      } catch (e) {
+        errors.push(`Feature ${i + 1}: ${e.message}`);
+        return;
+      }
+    } else {
+      errors.push(`Feature ${i + 1}: only Point and Polygon geometries are supported.`);
+      return;
+    }
+
+    const error = validateSite(site);
+    if (error) errors.push(`Feature ${i + 1}: ${error}.`);
+    else sites.push(site);
+  });
+  return finishParse(sites, errors);
+}
+
+/**
+ * Parses an uploaded site list, as GeoJSON when the name or content says so, else as CSV.
+ */
+export function parseSitesFile(fileName, text) {
+  const isGeoJSON = /\.(geo)?json$/i.test(fileName) || text.trimStart().startsWith('{');
+  return isGeoJSON ? parseSitesGeoJSON(text) : parseSitesCSV(text);
+}
+
+/**
+ * Searches the scene pair for one site and runs the computations over its area.
+ *
+ * @param {Object} site
+ * @param {Object} options
+ * @param {string} options.date1 - Default when the site has no date1.
+ * @param {string} options.date2
+ * @param {number} options.cloudCover
+ * @param {string} [options.sensor] - Key of SENSORS.
+ * @param {string[]} options.computations - Labels of built-in or custom computations.
+ * @param {number[]} [options.maskClasses]
+ * @param {AbortSignal} [options.signal]
+ * @param {Object} [options.client] - API client, injectable for tests.
+ * @param {Function} [options.loadBands] - Band loader, injectable for tests.
+ * @returns {Promise<Object>} The analysis in the shape the exporters take, its results without
+ *   their rasters: a batch keeps hundreds of sites, of which the table only shows statistics.
+ */
+export async function analyzeSite(site, {
+  date1,
+  date2,
+  cloudCover,
+  sensor = DEFAULT_SENSOR,
+  computations,
+  maskClasses = [],
+  signal,
+  client = apiClient,
+  loadBands = (imageInfo, bbox, bandIds) => fetchBandPixels(imageInfo, bbox, bandIds, undefined, { signal }),
+}) {
+  const inputs = {
+    latitude: String(site.latitude),
+    longitude: String(site.longitude),
+    date1: site.date1 || date1,
+    date2: site.date2 || date2,
+    cloudCover,
+    sensor,
+    aoiVertices: site.aoiVertices,
+  };
+
+  const data = await client.changeDetection({
+    lat: site.latitude,
+    lon: site.longitude,
+    date1: inputs.date1,
+    date2: inputs.date2,
+    cloudCover,
+    aoi: site.aoiVertices && verticesToGeoJSON(site.aoiVertices),
+    sensor,
+  }, { signal });
+
+  const region = analysisRegion(site.latitude, site.longitude, site.aoiVertices);
+  const results = await runComputations(computations, data.image1, data.image2, region, loadBands, { maskClasses });
+  return { inputs, image1Info: data.image1, image2Info: data.image2, results: stripRasters(results) };
+}
+
+/**
+ * Runs `runSite(site, signal)` for every site not already done, at most `concurrency` at a
+ * time. Progress is reported through `onUpdate(siteId, state)` with state
+ * { status: 'running' | 'done' | 'failed' | 'pending', analysis?, error? }.
+ * Aborting `signal` stops picking up new sites and returns interrupted ones to 'pending',
+ * so calling runBatch again with the same states resumes the run.
+ *
+ * @param {Object[]} sites
+ * @param {Object<string, Object>} states - Current state per site id; 'done' sites are skipped.
+ */
+export async function runBatch(sites, states, runSite, { concurrency = DEFAULT_BATCH_CONCURRENCY, signal, onUpdate }) {
+  const queue = sites.filter(site => states[site.id]?.status !== 'done');
+
+  const worker = async () => {
+    while (queue.length > 0 && !signal?.aborted) {
+      const site = queue.shift();
+      onUpdate(site.id, { status: 'running' });
+      try {
+        const analysis = await runSite(site, signal);
+        onUpdate(site.id, signal?.aborted ? { status: 'pending' } : { status: 'done', analysis });
+      } catch (error) {
+        if (signal?.aborted) onUpdate(site.id, { status: 'pending' });
+        else onUpdate(site.id, { status: 'failed', error: error.message });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+}
+
+/**
+ * Flattens the batch into table rows: one per site and computed result, or a single
+ * row for sites without results (pending, failed or nothing computable).
+ */
+export function batchRows(sites, states) {
+  return sites.flatMap(site => {
+    const state = states[site.id] || { status: 'pending' };
+    const base = {
+      siteId: site.id,
+      site: site.name,
+      status: state.status,
+      image1Date: state.analysis?.image1Info?.dateAcquired?.slice(0, 10) ?? null,
+      image2Date: state.analysis?.image2Info?.dateAcquired?.slice(0, 10) ?? null,
+      error: state.error ?? null,
+    };
+    const results = Object.entries(state.analysis?.results || {}).filter(([, result]) => !result.unsupported);
+    if (results.length === 0) {
+      return [{ ...base, key: site.id, computation: null, date1Mean: null, date2Mean: null, differenceMean: null }];
+    }
+    return results.map(([computation, result]) => ({
+      ...base,
+      key: `${site.id}-${computation}`,
+      computation,
+      date1Mean: result.date1.mean,
+      date2Mean: result.date2.mean,
+      differenceMean: result.difference.mean,
+    }));
+  });
+}
+
+/**
+ * Rows sorted on one column; missing values always sort last.
+ */
+export function sortBatchRows(rows, column, direction = 'asc') {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const x = a[column];
+    const y = b[column];
+    if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+    if (y === null || y === undefined) return -1;
+    return sign * (typeof x === 'number' ? x - y : String(x).localeCompare(String(y)));
+  });
+}
+
+/**
+ * Rows whose site or computation contains `text` (case-insensitive) and, unless
+ * `status` is 'all', with that status.
+ */
+export function filterBatchRows(rows, text, status = 'all') {
+  const needle = text.trim().toLowerCase();
+  return rows.filter(row => (status === 'all' || row.status === status)
+    && (!needle || row.site.toLowerCase().includes(needle) || (row.computation || '').toLowerCase().includes(needle)));
+}
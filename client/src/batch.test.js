@@ -0,0 +1,178 @@
+import {
+  analyzeSite,
+  batchRows,
+  filterBatchRows,
+  parseCSVLine,
+  parseSitesCSV,
+  parseSitesFile,
+  parseSitesGeoJSON,
+  runBatch,
+  sortBatchRows,
+} from './batch';
+import { createApiClient, createMockTransport } from './apiClient';
+
+test('splits CSV lines with quoted cells', () => {
+  expect(parseCSVLine('a, "b, c" ,"say ""hi"""')).toEqual(['a', 'b, c', 'say "hi"']);
+  expect(parseCSVLine('')).toEqual(['']);
+});
+
+test('parses a CSV of sites, reporting invalid rows by line', () => {
+  const csv = [
+    'Name,Latitude,Longitude,Date1,Date2',
+    'North field,35.44,-82.25,2024-09-16,2024-10-12',
+    '',
+    'No dates,35.5,-82.3,,',
+    'Bad latitude,95,-82.3,,',
+    'Bad date,35.5,-82.3,16/09/2024,',
+  ].join('\r\n');
+  const { sites, errors } = parseSitesCSV(csv);
+
+  expect(sites).toEqual([
+    { id: 'site-1', name: 'North field', latitude: 35.44, longitude: -82.25, aoiVertices: null, date1: '2024-09-16', date2: '2024-10-12' },
+    { id: 'site-2', name: 'No dates', latitude: 35.5, longitude: -82.3, aoiVertices: null, date1: null, date2: null },
+  ]);
+  expect(errors).toEqual([
+    'Line 5: latitude must be a number between -90 and 90.',
+    'Line 6: date1 "16/09/2024" is not YYYY-MM-DD.',
+  ]);
+});
+
+test('requires latitude and longitude columns', () => {
+  expect(parseSitesCSV('35.44,-82.25').errors[0]).toMatch(/header row/);
+  expect(parseSitesCSV('site,lat,lng\nA,1,2').sites[0]).toMatchObject({ name: 'A', latitude: 1, longitude: 2 });
+});
+
+test('parses GeoJSON points and polygons', () => {
+  const geojson = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { name: 'Well', date1: '2024-01-01' }, geometry: { type: 'Point', coordinates: [-82.25, 35.44] } },
+      { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]] } },
+      { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } },
+    ],
+  });
+  const { sites, errors } = parseSitesGeoJSON(geojson);
+
+  expect(sites[0]).toMatchObject({ id: 'site-1', name: 'Well', latitude: 35.44, longitude: -82.25, date1: '2024-01-01', aoiVertices: null });
+  expect(sites[1]).toMatchObject({ id: 'site-2', name: 'Site 2', latitude: 1, longitude: 1 });
+  expect(sites[1].aoiVertices).toHaveLength(4);
+  expect(errors).toEqual(['Feature 3: only Point and Polygon geometries are supported.']);
+  expect(parseSitesGeoJSON('{not json').errors).toEqual(['The file is not valid JSON.']);
+});
+
+test('picks the parser from the file name or content', () => {
+  expect(parseSitesFile('sites.geojson', '{"type":"FeatureCollection","features":[]}').sites).toEqual([]);
+  expect(parseSitesFile('sites.txt', 'lat,lon\n1,2').sites).toHaveLength(1);
+});
+
+test('analyzes one site with its own dates, falling back to the batch defaults', async () => {
+  const scene = (id) => ({ id, dateAcquired: '2024-09-17T16:00:00Z', bands: {} });
+  const transport = createMockTransport({
+    'GET /api/change-detection': { body: { image1: scene('a'), image2: scene('b') } },
+  });
+  const client = createApiClient({ baseUrl: 'http://test', transport, retries: 0 });
+  const site = { id: 'site-1', name: 'A', latitude: 35.44, longitude: -82.25, aoiVertices: null, date1: '2024-09-01', date2: null };
+
+  const analysis = await analyzeSite(site, { date1: '2024-01-01', date2: '2024-10-12', cloudCover: 20, computations: [], client });
+
+  expect(transport.calls[0].params).toMatchObject({ lat: '35.44', lon: '-82.25', date1: '2024-09-01', date2: '2024-10-12', cloudCover: '20' });
+  expect(analysis.inputs).toMatchObject({ latitude: '35.44', date1: '2024-09-01', date2: '2024-10-12' });
+  expect(analysis.image1Info.id).toBe('a');
+  expect(analysis.results).toEqual({});
+});
+
+test('keeps the statistics of each site but not its rasters', async () => {
+  const scene = (id) => ({ id, bands: {} });
+  const transport = createMockTransport({
+    'GET /api/change-detection': { body: { image1: scene('a'), image2: scene('b') } },
+  });
+  const client = createApiClient({ baseUrl: 'http://test', transport, retries: 0 });
+  const loadBands = async (imageInfo, bbox, bandIds) => ({
+    width: 1, height: 1, bands: Object.fromEntries(bandIds.map(bandId => [bandId, Float64Array.of(bandId === 'B08' ? 0.4 : 0.1)])),
+  });
+  const site = { id: 'site-1', name: 'A', latitude: 35.44, longitude: -82.25, aoiVertices: null };
+
+  const analysis = await analyzeSite(site, {
+    date1: '2024-09-01', date2: '2024-10-12', cloudCover: 20, computations: ['NDVI (Normalized Difference Vegetation Index)'], client, loadBands,
+  });
+  expect(analysis.results.NDVI.date1.mean).toBeCloseTo(0.6);
+  expect(analysis.results.NDVI).not.toHaveProperty('raster');
+});
+
+describe('runBatch', () => {
+  const sites = [1, 2, 3, 4, 5].map(n => ({ id: `site-${n}`, name: `Site ${n}` }));
+
+  test('runs at most `concurrency` sites at once and records failures', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const runSite = async (site) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      if (site.id === 'site-3') throw new Error('No images found');
+      return { site: site.id };
+    };
+    const states = {};
+    await runBatch(sites, {}, runSite, { concurrency: 2, onUpdate: (id, state) => { states[id] = state; } });
+
+    expect(maxActive).toBe(2);
+    expect(states['site-3']).toEqual({ status: 'failed', error: 'No images found' });
+    expect(Object.values(states).filter(state => state.status === 'done')).toHaveLength(4);
+  });
+
+  test('stops on cancel and resumes with the sites that are not done', async () => {
+    const controller = new AbortController();
+    const states = {};
+    const onUpdate = (id, state) => { states[id] = state; };
+    const runSite = jest.fn(async (site) => {
+      if (site.id === 'site-2') controller.abort();
+      return { site: site.id };
+    });
+
+    await runBatch(sites, {}, runSite, { concurrency: 1, signal: controller.signal, onUpdate });
+    expect(runSite).toHaveBeenCalledTimes(2);
+    expect(states['site-1'].status).toBe('done');
+    expect(states['site-2'].status).toBe('pending');
+
+    await runBatch(sites, { ...states }, runSite, { concurrency: 1, onUpdate });
+    expect(runSite.mock.calls.slice(2).map(([site]) => site.id)).toEqual(['site-2', 'site-3', 'site-4', 'site-5']);
+    expect(Object.values(states).every(state => state.status === 'done')).toBe(true);
+  });
+});
+
+describe('results table', () => {
+  const stats = (mean) => ({ mean });
+  const sites = [
+    { id: 'site-1', name: 'Bravo' },
+    { id: 'site-2', name: 'Alpha' },
+    { id: 'site-3', name: 'Charlie' },
+  ];
+  const states = {
+    'site-1': { status: 'done', analysis: { results: { NDVI: { date1: stats(0.6), date2: stats(0.2), difference: stats(-0.4) }, buildingDamage: { unsupported: 'No SAR' } } } },
+    'site-2': { status: 'done', analysis: { results: { NDVI: { date1: stats(0.5), date2: stats(0.6), difference: stats(0.1) } } } },
+    'site-3': { status: 'failed', error: 'No images found' },
+  };
+  const rows = batchRows(sites, states);
+
+  test('has one row per site and computed result', () => {
+    expect(rows.map(row => [row.site, row.computation, row.differenceMean])).toEqual([
+      ['Bravo', 'NDVI', -0.4],
+      ['Alpha', 'NDVI', 0.1],
+      ['Charlie', null, null],
+    ]);
+    expect(rows[2].error).toBe('No images found');
+  });
+
+  test('sorts on a column with missing values last', () => {
+    expect(sortBatchRows(rows, 'site').map(row => row.site)).toEqual(['Alpha', 'Bravo', 'Charlie']);
+    expect(sortBatchRows(rows, 'differenceMean', 'desc').map(row => row.site)).toEqual(['Alpha', 'Bravo', 'Charlie']);
+    expect(sortBatchRows(rows, 'differenceMean', 'asc').map(row => row.site)).toEqual(['Bravo', 'Alpha', 'Charlie']);
+  });
+
+  test('filters on text and status', () => {
+    expect(filterBatchRows(rows, 'alp').map(row => row.site)).toEqual(['Alpha']);
+    expect(filterBatchRows(rows, 'ndvi')).toHaveLength(2);
+    expect(filterBatchRows(rows, '', 'failed').map(row => row.site)).toEqual(['Charlie']);
+  });
+});
@@ -0,0 +1,326 @@
+// --- Change areas: threshold an index difference raster and vectorize the changed pixels ---
+// Works on the `raster` kept with each computed result (see runComputations): a width x height
+// grid over bbox, row 0 along the northern edge. Patches are 4-connected groups of changed pixels.
+
+import { EARTH_RADIUS_M, toRadians } from './aoi';
+
+const M2_PER_HA = 10000;
+
+// Which sign of the difference counts as change
+export const CHANGE_DIRECTIONS = {
+  increase: 'Increase',
+  decrease: 'Decrease',
+  both: 'Either direction',
+};
+
+export const DEFAULT_CHANGE_SETTINGS = {
+  resultKey: null, // Key of the computed result whose difference is thresholded
+  direction: null, // null follows the computation's own changeDirection
+  thresholdMode: 'otsu', // 'otsu' | 'manual'
+  threshold: 0.1, // Used in manual mode, in difference units
+  minPatchHa: 0, // Smaller patches are dropped as noise
+};
+
+// How many of the largest patches are listed next to the totals
+export const LARGEST_PATCH_COUNT = 5;
+
+/**
+ * Change magnitude per pixel: the difference itself, its negation or its absolute value,
+ * so that "changed" is always `magnitude >= threshold`.
+ * @returns {Float64Array}
+ */
+export function changeMagnitude(difference, direction) {
+  return Float64Array.from(difference, value => {
+    if (direction === 'decrease') return -value;
+    if (direction === 'both') return Math.abs(value);
+    return value;
+  });
+}
+
+/**
+ * Otsu's threshold: the value that best separates the valid pixels into two classes,
+ * maximizing the between-class variance over a histogram. Null when fewer than two
+ * distinct values are present.
+ */
+export function otsuThreshold(values, bins = 256) {
+  const valid = Array.from(values).filter(Number.isFinite);
+  if (valid.length === 0) return null;
+  const min = Math.min(...valid);
+  const max = Math.max(...valid);
+  if (min === max) return null;
+
+  const width = (max - min) / bins;
+  const histogram = new Array(bins).fill(0);
+  valid.forEach(value => {
+    histogram[Math.min(bins - 1, Math.floor((value - min) / width))]++;
+  });
+
+  const total = valid.length;
+  const totalSum = histogram.reduce((sum, count, bin) => sum + bin * count, 0);
+  let backgroundCount = 0;
+  let backgroundSum = 0;
+  let bestVariance = -1;
+  let bestBin = 0;
+  for (let bin = 0; bin < bins - 1; bin++) {
+    backgroundCount += histogram[bin];
+    backgroundSum += bin * histogram[bin];
+    const foregroundCount = total - backgroundCount;
+    if (backgroundCount === 0 || foregroundCount === 0) continue;
+    const meanDifference = backgroundSum / backgroundCount - (totalSum - backgroundSum) / foregroundCount;
+    const variance = backgroundCount * foregroundCount * meanDifference * meanDifference;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      bestBin = bin;
+    }
+  }
+  // Pixels above the upper edge of the best background bin are the changed class
+  return min + (bestBin + 1) * width;
+}
+
+/**
+ * Labels the 4-connected patches of a 0/1 mask.
+ * @returns {{labels: Int32Array, count: number}} 0 for unchanged pixels, 1..count otherwise.
+ */
+export function labelPatches(mask, width, height) {
+  const labels = new Int32Array(width * height);
+  let count = 0;
+  const stack = [];
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+    count++;
+    labels[start] = count;
+    stack.push(start);
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const row = Math.floor(i / width);
+      const col = i % width;
+      const neighbours = [
+        row > 0 && i - width,
+        row < height - 1 && i + width,
+        col > 0 && i - 1,
+        col < width - 1 && i + 1,
+      ];
+      for (const j of neighbours) {
+        if (j !== false && mask[j] && !labels[j]) {
+          labels[j] = count;
+          stack.push(j);
+        }
+      }
+    }
+  }
+  return { labels, count };
+}
+
+/**
+ * Splits an open ring that passes through the same corner twice (where a hole touches the
+ * outside diagonally) into simple closed rings, so polygons stay valid for GIS tools.
+ */
+function splitAtPinches(ring) {
+  const rings = [];
+  const path = [];
+  const seen = new Map();
+  ring.forEach(point => {
+    const key = point.join(',');
+    if (seen.has(key)) {
+      const loop = path.splice(seen.get(key));
+      loop.forEach(([col, row]) => seen.delete(`${col},${row}`));
+      rings.push([...loop, loop[0]]);
+    }
+    seen.set(key, path.length);
+    path.push(point);
+  });
+  rings.push([...path, path[0]]);
+  return rings;
+}
+
+/**
+ * Boundary rings of one labelled patch as closed lists of [col, row] pixel-corner points.
+ * Edges are walked with the patch on the right (clockwise on screen), turning right first
+ * where two diagonal pixels touch so 4-connectivity is respected. The outer ring comes first,
+ * followed by the holes (counter-clockwise on screen).
+ */
+export function traceRings(labels, width, height, label) {
+  const inPatch = (row, col) => row >= 0 && row < height && col >= 0 && col < width && labels[row * width + col] === label;
+  const vertexKey = (col, row) => row * (width + 1) + col;
+
+  // Outgoing boundary edges per corner, as unit steps [dCol, dRow]
+  const outgoing = new Map();
+  const addEdge = (col, row, step) => {
+    const key = vertexKey(col, row);
+    if (!outgoing.has(key)) outgoing.set(key, []);
+    outgoing.get(key).push(step);
+  };
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      if (!inPatch(row, col)) continue;
+      if (!inPatch(row - 1, col)) addEdge(col, row, [1, 0]);
+      if (!inPatch(row, col + 1)) addEdge(col + 1, row, [0, 1]);
+      if (!inPatch(row + 1, col)) addEdge(col + 1, row + 1, [-1, 0]);
+      if (!inPatch(row, col - 1)) addEdge(col, row + 1, [0, -1]);
+    }
+  }
+
+  const takeEdge = (col, row, [dCol, dRow]) => {
+    const edges = outgoing.get(vertexKey(col, row));
+    // Right turn, straight on, then left turn (screen coordinates, rows growing downwards)
+    const preferences = [[-dRow, dCol], [dCol, dRow], [dRow, -dCol]];
+    for (const [pCol, pRow] of preferences) {
+      const index = edges.findIndex(([eCol, eRow]) => eCol === pCol && eRow === pRow);
+      if (index >= 0) return edges.splice(index, 1)[0];
+    }
+    return edges.shift();
+  };
+
+  const rings = [];
+  for (const [key, edges] of outgoing) {
+    while (edges.length > 0) {
+      const startCol = key % (width + 1);
+      const startRow = Math.floor(key / (width + 1));
+      const firstStep = edges.shift();
+      let step = firstStep;
+      const ring = [[startCol, startRow]];
+      let col = startCol + step[0];
+      let row = startRow + step[1];
+      for (;;) {
+        const isStart = col === startCol && row === startRow;
+        // Back at the start: the ring is closed unless the walk continues through a pinch there
+        if (isStart) edges.push(firstStep);
+        const next = takeEdge(col, row, step);
+        if (next === firstStep) break;
+        if (isStart) edges.splice(edges.indexOf(firstStep), 1);
+        // Only keep corners, not points along straight runs
+        if (next[0] !== step[0] || next[1] !== step[1]) ring.push([col, row]);
+        step = next;
+        col += step[0];
+        row += step[1];
+      }
+      // Drop the start point when it lies along a straight run
+      if (firstStep[0] === step[0] && firstStep[1] === step[1]) ring.shift();
+      rings.push(...splitAtPinches(ring));
+    }
+  }
+
+  // Shoelace area on screen: outer rings are clockwise, i.e. positive with rows growing down
+  const signedArea = (ring) => ring.slice(1).reduce((sum, [col, row], i) => sum + (ring[i][0] * row - col * ring[i][1]), 0) / 2;
+  return rings.sort((a, b) => signedArea(b) - signedArea(a));
+}
+
+/**
+ * Area in hectares of one pixel in each row of a grid over bbox.
+ */
+export function rowPixelAreasHa(bbox, width, height) {
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  const cellLon = toRadians((maxLon - minLon) / width) * EARTH_RADIUS_M;
+  const cellLat = toRadians((maxLat - minLat) / height) * EARTH_RADIUS_M;
+  return Array.from({ length: height }, (_, row) => {
+    const lat = maxLat - ((row + 0.5) * (maxLat - minLat)) / height;
+    return (cellLon * Math.cos(toRadians(lat)) * cellLat) / M2_PER_HA;
+  });
+}
+
+/**
+ * Finds the change areas of a result raster.
+ *
+ * @param {{width: number, height: number, bbox: number[], difference: ArrayLike<number>}} raster
+ * @param {Object} settings - See DEFAULT_CHANGE_SETTINGS; `direction` must be resolved.
+ * @returns {{threshold: ?number, direction: string, validPixels: number, changedPixels: number,
+ *   validHa: number, changedHa: number, changedPercent: ?number,
+ *   patches: {id: number, pixels: number, areaHa: number, geometry: Object}[]}}
+ *   Patches are sorted largest first; geometry is a GeoJSON Polygon.
+ */
+export function detectChange(raster, settings) {
+  const { width, height, bbox, difference } = raster;
+  const { direction, thresholdMode, minPatchHa = 0 } = settings;
+  const magnitude = changeMagnitude(difference, direction);
+  const threshold = thresholdMode === 'otsu' ? otsuThreshold(magnitude) : settings.threshold;
+  const rowAreas = rowPixelAreasHa(bbox, width, height);
+
+  let validPixels = 0;
+  let validHa = 0;
+  const mask = new Uint8Array(width * height);
+  magnitude.forEach((value, i) => {
+    if (Number.isNaN(value)) return;
+    validPixels++;
+    validHa += rowAreas[Math.floor(i / width)];
+    if (threshold !== null && value >= threshold) mask[i] = 1;
+  });
+
+  const { labels, count } = labelPatches(mask, width, height);
+  const sizes = Array.from({ length: count + 1 }, () => ({ pixels: 0, areaHa: 0 }));
+  labels.forEach((label, i) => {
+    if (!label) return;
+    sizes[label].pixels++;
+    sizes[label].areaHa += rowAreas[Math.floor(i / width)];
+  });
+
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  // Grid edges map exactly onto the bbox, so patches along it share its coordinates
+  const lerp = (from, to, t) => (t === 1 ? to : from + (to - from) * t);
+  const toLngLat = ([col, row]) => [lerp(minLon, maxLon, col / width), lerp(maxLat, minLat, row / height)];
+
+  const patches = [];
+  for (let label = 1; label <= count; label++) {
+    if (sizes[label].areaHa < minPatchHa) continue;
+    // Clockwise on screen is counter-clockwise in lon/lat, as GeoJSON expects for outer rings
+    const rings = traceRings(labels, width, height, label).map(ring => ring.map(toLngLat));
+    patches.push({ ...sizes[label], geometry: { type: 'Polygon', coordinates: rings } });
+  }
+  patches.sort((a, b) => b.areaHa - a.areaHa);
+  patches.forEach((patch, i) => { patch.id = i + 1; });
+
+  const changedPixels = patches.reduce((sum, patch) => sum + patch.pixels, 0);
+  const changedHa = patches.reduce((sum, patch) => sum + patch.areaHa, 0);
+  return {
+    threshold,
+    direction,
+    validPixels,
+    changedPixels,
+    validHa,
+    changedHa,
+    changedPercent: validPixels ? (100 * changedPixels) / validPixels : null,
+    patches,
+  };
+}
+
+/**
+ * FeatureCollection of the change patches, ready to download, with the detection
+ * parameters and totals as foreign members.
+ */
+export function buildChangeAreasGeoJSON(change, { resultKey, label, differenceOrder }) {
+  return {
+    type: 'FeatureCollection',
+    properties: {
+      computation: resultKey,
+      label,
+      differenceOrder,
+      direction: change.direction,
+      threshold: change.threshold,
+      changedHa: change.changedHa,
+      changedPercent: change.changedPercent,
+      patchCount: change.patches.length,
+    },
+    features: change.patches.map(patch => ({
+      type: 'Feature',
+      id: patch.id,
+      geometry: patch.geometry,
+      properties: {
+        rank: patch.id,
+        areaHa: patch.areaHa,
+        pixels: patch.pixels,
+      },
+    })),
+  };
+}
+
+/**
+ * Settings with the source result and direction filled in, or null when no computed
+ * result has a difference raster to threshold. An unknown `resultKey` falls back to
+ * the first eligible result; a null `direction` to that computation's changeDirection.
+ */
+export function resolveChangeSettings(settings, results) {
+  const eligible = Object.keys(results || {}).filter(key => results[key].raster);
+  if (eligible.length === 0) return null;
+  const resultKey = eligible.includes(settings.resultKey) ? settings.resultKey : eligible[0];
+  const direction = settings.direction || results[resultKey].changeDirection || 'both';
+  return { ...settings, resultKey, direction };
+}
@@ -0,0 +1,154 @@
+import {
+  buildChangeAreasGeoJSON,
+  changeMagnitude,
+  detectChange,
+  labelPatches,
+  otsuThreshold,
+  resolveChangeSettings,
+  rowPixelAreasHa,
+  traceRings,
+} from './changeDetection';
+
+// 4 x 3 grid, rows from north to south
+const grid = (rows) => Float64Array.from(rows.flat());
+
+test('orients the change magnitude by direction', () => {
+  const difference = [0.3, -0.2, NaN];
+  expect(Array.from(changeMagnitude(difference, 'increase'))).toEqual([0.3, -0.2, NaN]);
+  expect(Array.from(changeMagnitude(difference, 'decrease'))).toEqual([-0.3, 0.2, NaN]);
+  expect(Array.from(changeMagnitude(difference, 'both'))).toEqual([0.3, 0.2, NaN]);
+});
+
+test('places the Otsu threshold between two clusters of values', () => {
+  const values = [0, 0.02, 0.01, 0.03, NaN, 0.5, 0.52, 0.49];
+  const threshold = otsuThreshold(values);
+  expect(threshold).toBeGreaterThan(0.03);
+  expect(threshold).toBeLessThanOrEqual(0.49);
+  expect(otsuThreshold([0.2, 0.2, NaN])).toBeNull();
+  expect(otsuThreshold([])).toBeNull();
+});
+
+test('labels 4-connected patches, keeping diagonal neighbours apart', () => {
+  const mask = Uint8Array.from([
+    1, 1, 0, 0,
+    0, 0, 1, 0,
+    1, 0, 1, 1,
+  ]);
+  const { labels, count } = labelPatches(mask, 4, 3);
+  expect(count).toBe(3);
+  expect(Array.from(labels)).toEqual([
+    1, 1, 0, 0,
+    0, 0, 2, 0,
+    3, 0, 2, 2,
+  ]);
+});
+
+test('traces the outline of a patch corner to corner', () => {
+  const labels = Int32Array.from([
+    1, 1, 0,
+    1, 0, 0,
+  ]);
+  expect(traceRings(labels, 3, 2, 1)).toEqual([
+    [[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2], [0, 0]],
+  ]);
+});
+
+// Shoelace area in pixels, positive for rings running clockwise on screen
+const signedArea = (ring) => ring.slice(1).reduce((sum, [col, row], i) => sum + (ring[i][0] * row - col * ring[i][1]), 0) / 2;
+
+test('traces holes after the outer ring, in the opposite direction', () => {
+  const labels = Int32Array.from([
+    1, 1, 1,
+    1, 0, 1,
+    1, 1, 1,
+  ]);
+  const [outer, hole] = traceRings(labels, 3, 3, 1);
+  expect(outer).toEqual([[0, 0], [3, 0], [3, 3], [0, 3], [0, 0]]);
+  expect(hole).toHaveLength(5);
+  expect(hole).toEqual(expect.arrayContaining([[1, 1], [2, 1], [2, 2], [1, 2]]));
+  expect(signedArea(hole)).toBe(-1);
+});
+
+test('splits an outline touching itself diagonally into an outer ring and a hole', () => {
+  const labels = Int32Array.from([
+    1, 1, 1,
+    1, 0, 1,
+    1, 1, 0,
+  ]);
+  // The hole in the middle meets the missing corner pixel at (2, 2)
+  const rings = traceRings(labels, 3, 3, 1);
+  expect(rings.map(signedArea)).toEqual([8, -1]);
+  rings.forEach(ring => {
+    expect(ring[0]).toEqual(ring[ring.length - 1]);
+    expect(new Set(ring.slice(1).map(String)).size).toBe(ring.length - 1);
+  });
+});
+
+test('computes smaller pixel areas towards the poles', () => {
+  const [north, south] = rowPixelAreasHa([0, 59, 1, 61], 1, 2);
+  expect(north).toBeLessThan(south);
+  // Two one-degree cells around 60°N cover about 12,392 km²
+  expect((north + south) / 100).toBeCloseTo(12392, -1);
+});
+
+describe('detectChange', () => {
+  const raster = {
+    width: 4,
+    height: 3,
+    bbox: [0, 0, 0.004, 0.003],
+    difference: grid([
+      [-0.5, -0.4, 0, 0.01],
+      [-0.6, 0.02, 0, NaN],
+      [0, 0.01, -0.45, -0.5],
+    ]),
+  };
+
+  test('finds decreasing patches with a manual threshold, largest first', () => {
+    const change = detectChange(raster, { direction: 'decrease', thresholdMode: 'manual', threshold: 0.3 });
+    expect(change.threshold).toBe(0.3);
+    expect(change.validPixels).toBe(11);
+    expect(change.changedPixels).toBe(5);
+    expect(change.patches.map(p => [p.id, p.pixels])).toEqual([[1, 3], [2, 2]]);
+    expect(change.changedHa).toBeCloseTo(5 * 1.2392, 2);
+    expect(change.changedPercent).toBeCloseTo((100 * 5) / 11);
+    expect(change.patches[1].geometry).toEqual({
+      type: 'Polygon',
+      coordinates: [[[0.002, 0.001], [0.004, 0.001], [0.004, 0], [0.002, 0], [0.002, 0.001]]],
+    });
+  });
+
+  test('derives the threshold with Otsu and drops patches below the minimum size', () => {
+    const change = detectChange(raster, { direction: 'decrease', thresholdMode: 'otsu', minPatchHa: 3 });
+    // Anywhere between the unchanged pixels and the smallest loss separates them
+    expect(change.threshold).toBeGreaterThan(0);
+    expect(change.threshold).toBeLessThanOrEqual(0.4);
+    expect(change.patches).toHaveLength(1);
+    expect(change.patches[0].pixels).toBe(3);
+  });
+
+  test('finds nothing in the other direction', () => {
+    const change = detectChange(raster, { direction: 'increase', thresholdMode: 'manual', threshold: 0.3 });
+    expect(change.patches).toEqual([]);
+    expect(change.changedHa).toBe(0);
+  });
+
+  test('exports the patches as a FeatureCollection', () => {
+    const change = detectChange(raster, { direction: 'decrease', thresholdMode: 'manual', threshold: 0.3 });
+    const geojson = buildChangeAreasGeoJSON(change, { resultKey: 'NDVI', label: 'NDVI', differenceOrder: 'date2-date1' });
+    expect(geojson.type).toBe('FeatureCollection');
+    expect(geojson.properties).toMatchObject({ computation: 'NDVI', direction: 'decrease', threshold: 0.3, patchCount: 2 });
+    expect(geojson.features[0]).toMatchObject({ type: 'Feature', id: 1, properties: { rank: 1, pixels: 3 } });
+  });
+});
+
+test('resolves the source result and its default direction', () => {
+  const results = {
+    buildingDamage: { unsupported: 'No SAR' },
+    NDVI: { raster: {}, changeDirection: 'decrease' },
+    MNDWI: { raster: {}, changeDirection: 'increase' },
+  };
+  expect(resolveChangeSettings({ resultKey: null, direction: null }, results)).toMatchObject({ resultKey: 'NDVI', direction: 'decrease' });
+  expect(resolveChangeSettings({ resultKey: 'MNDWI', direction: null }, results)).toMatchObject({ resultKey: 'MNDWI', direction: 'increase' });
+  expect(resolveChangeSettings({ resultKey: 'MNDWI', direction: 'both' }, results).direction).toBe('both');
+  expect(resolveChangeSettings({ resultKey: null }, { buildingDamage: results.buildingDamage })).toBeNull();
+});
@@ -0,0 +1,106 @@
+// --- Per-pixel cloud masking from the Sentinel-2 scene classification layer (SCL) ---
+// The same class list masks the displayed tiles (server side) and the index statistics.
+
+// SCL values as documented for Sentinel-2 L2A
+export const SCL_CLASSES = {
+  0: 'No data',
+  1: 'Saturated or defective',
+  2: 'Dark area pixels',
+  3: 'Cloud shadows',
+  4: 'Vegetation',
+  5: 'Bare soils',
+  6: 'Water',
+  7: 'Unclassified',
+  8: 'Cloud, medium probability',
+  9: 'Cloud, high probability',
+  10: 'Thin cirrus',
+  11: 'Snow or ice',
+};
+
+// What the user can choose to mask, and the SCL classes behind each choice
+export const MASK_CATEGORIES = {
+  cloud: { label: 'Clouds and cirrus', classes: [8, 9, 10] },
+  shadow: { label: 'Cloud shadows', classes: [3] },
+  snow: { label: 'Snow and ice', classes: [11] },
+  saturated: { label: 'Saturated or defective', classes: [1] },
+};
+
+// Classes counted towards a scene's local cloud fraction
+const CLOUD_CLASSES = [...MASK_CATEGORIES.cloud.classes, ...MASK_CATEGORIES.shadow.classes];
+const NO_DATA_CLASS = 0;
+
+export const DEFAULT_CLOUD_MASK = {
+  enabled: true,
+  categories: Object.keys(MASK_CATEGORIES),
+  maxCloudPercent: 30, // Local cloud fraction above which a scene is flagged
+  policy: 'warn', // 'warn' | 'reject' (try the next candidate scene instead)
+};
+
+/**
+ * SCL classes to mask for the given settings; empty when masking is off.
+ */
+export function maskClassesFor(settings) {
+  if (!settings.enabled) return [];
+  return settings.categories.flatMap(category => MASK_CATEGORIES[category]?.classes || []).sort((a, b) => a - b);
+}
+
+/**
+ * Tile URL of a scene's true-colour imagery with the masked classes made transparent.
+ * Scenes without an SCL asset are shown unmasked.
+ */
+export function maskedTileUrl(imageInfo, maskClasses) {
+  const sclHref = imageInfo.bands?.SCL?.href;
+  if (!maskClasses.length || !sclHref) return imageInfo.tileUrlTemplate;
+  const params = new URLSearchParams({ scl: sclHref, mask: maskClasses.join(',') });
+  return `${imageInfo.tileUrlTemplate}&${params}`;
+}
+
+/**
+ * Coverage of an SCL raster over the analysed area. Pixels that are NaN (outside the
+ * AOI or without data) don't count towards the area.
+ *
+ * @returns {{areaPixels: number, validPixels: number, validPercent: ?number, cloudPercent: ?number}}
+ */
+export function summarizeSclCoverage(scl, maskClasses) {
+  const masked = new Set(maskClasses);
+  let areaPixels = 0;
+  let validPixels = 0;
+  let cloudPixels = 0;
+  scl.forEach(value => {
+    if (Number.isNaN(value) || value === NO_DATA_CLASS) return;
+    areaPixels++;
+    if (!masked.has(value)) validPixels++;
+    if (CLOUD_CLASSES.includes(value)) cloudPixels++;
+  });
+  return {
+    areaPixels,
+    validPixels,
+    validPercent: areaPixels ? (100 * validPixels) / areaPixels : null,
+    cloudPercent: areaPixels ? (100 * cloudPixels) / areaPixels : null,
+  };
+}
+
+/**
+ * Sets every band to NaN where the SCL class is masked or has no data, so those
+ * pixels drop out of the index statistics. Works in place on a band-pixels result.
+ */
+export function applySclMask(pixels, maskClasses) {
+  const scl = pixels.bands.SCL;
+  const masked = new Set([NO_DATA_CLASS, ...maskClasses]);
+  Object.entries(pixels.bands).forEach(([bandId, raster]) => {
+    if (bandId === 'SCL') return;
+    scl.forEach((value, i) => {
+      if (masked.has(value)) raster[i] = NaN;
+    });
+  });
+  return pixels;
+}
+
+/**
+ * 'ok', or 'cloudy' when the local cloud fraction is above the limit.
+ * Unknown coverage (no SCL band, empty area) is never flagged.
+ */
+export function assessCoverage(coverage, settings) {
+  if (!coverage || coverage.cloudPercent === null) return 'ok';
+  return coverage.cloudPercent > settings.maxCloudPercent ? 'cloudy' : 'ok';
+}
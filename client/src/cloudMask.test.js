@@ -0,0 +1,48 @@
+import {
+  DEFAULT_CLOUD_MASK,
+  applySclMask,
+  assessCoverage,
+  maskClassesFor,
+  maskedTileUrl,
+  summarizeSclCoverage,
+} from './cloudMask';
+
+test('maps the selected categories onto SCL classes', () => {
+  expect(maskClassesFor(DEFAULT_CLOUD_MASK)).toEqual([1, 3, 8, 9, 10, 11]);
+  expect(maskClassesFor({ ...DEFAULT_CLOUD_MASK, categories: ['cloud'] })).toEqual([8, 9, 10]);
+  expect(maskClassesFor({ ...DEFAULT_CLOUD_MASK, enabled: false })).toEqual([]);
+});
+
+test('adds the SCL asset and classes to tile URLs only when masking applies', () => {
+  const scene = { tileUrlTemplate: 'http://api/tiles/{z}/{x}/{y}?url=a.tif', bands: { SCL: { href: 'https://s3/scl.tif' } } };
+  expect(maskedTileUrl(scene, [8, 9])).toBe('http://api/tiles/{z}/{x}/{y}?url=a.tif&scl=https%3A%2F%2Fs3%2Fscl.tif&mask=8%2C9');
+  expect(maskedTileUrl(scene, [])).toBe(scene.tileUrlTemplate);
+  expect(maskedTileUrl({ tileUrlTemplate: scene.tileUrlTemplate, bands: {} }, [8])).toBe(scene.tileUrlTemplate);
+});
+
+test('summarizes coverage over the area, ignoring pixels outside it', () => {
+  // vegetation, cloud, shadow, snow, outside the AOI, no data
+  const scl = Float64Array.from([4, 9, 3, 11, NaN, 0]);
+  expect(summarizeSclCoverage(scl, [3, 8, 9, 10])).toEqual({ areaPixels: 4, validPixels: 2, validPercent: 50, cloudPercent: 50 });
+  expect(summarizeSclCoverage(Float64Array.from([NaN]), [9]).validPercent).toBeNull();
+});
+
+test('masks every band where the class is masked or has no data', () => {
+  const pixels = {
+    bands: {
+      B04: Float64Array.from([0.1, 0.2, 0.3, 0.4]),
+      SCL: Float64Array.from([4, 9, 0, 11]),
+    },
+  };
+  applySclMask(pixels, [9]);
+  expect(Array.from(pixels.bands.B04)).toEqual([0.1, NaN, NaN, 0.4]);
+  expect(Array.from(pixels.bands.SCL)).toEqual([4, 9, 0, 11]);
+});
+
+test('flags scenes above the local cloud limit', () => {
+  const settings = { maxCloudPercent: 20 };
+  expect(assessCoverage({ cloudPercent: 25 }, settings)).toBe('cloudy');
+  expect(assessCoverage({ cloudPercent: 20 }, settings)).toBe('ok');
+  expect(assessCoverage(null, settings)).toBe('ok');
+  expect(assessCoverage({ cloudPercent: null }, settings)).toBe('ok');
+});
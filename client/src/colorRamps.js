@@ -0,0 +1,72 @@
+// --- Colour ramps and classification for index overlays ---
+// The same stops are sent to the tile server, so the legend always matches the map.
+
+export const COLOR_RAMPS = {
+  RdYlGn: { name: 'Red-Yellow-Green', colors: ['#a50026', '#f46d43', '#fee08b', '#d9ef8b', '#66bd63', '#006837'] },
+  RdBu: { name: 'Red-Blue (diverging)', colors: ['#b2182b', '#ef8a62', '#fddbc7', '#d1e5f0', '#67a9cf', '#2166ac'] },
+  Blues: { name: 'Blues', colors: ['#f7fbff', '#c6dbef', '#6baed6', '#2171b5', '#08306b'] },
+  Viridis: { name: 'Viridis', colors: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'] },
+  Magma: { name: 'Magma', colors: ['#000004', '#51127c', '#b73779', '#fc8961', '#fcfdbf'] },
+  Greys: { name: 'Greys', colors: ['#000000', '#ffffff'] },
+};
+
+// USGS burn severity classes for dNBR (pre-fire NBR minus post-fire NBR)
+export const BURN_SEVERITY_CLASSES = [
+  { min: -0.5, max: -0.251, color: '#7a8737', label: 'Enhanced Regrowth, High' },
+  { min: -0.251, max: -0.101, color: '#acbe4d', label: 'Enhanced Regrowth, Low' },
+  { min: -0.101, max: 0.1, color: '#0ae042', label: 'Unburned' },
+  { min: 0.1, max: 0.27, color: '#fff70b', label: 'Low Severity' },
+  { min: 0.27, max: 0.44, color: '#ffaf38', label: 'Moderate-low Severity' },
+  { min: 0.44, max: 0.66, color: '#ff641b', label: 'Moderate-high Severity' },
+  { min: 0.66, max: 1.3, color: '#a41fd6', label: 'High Severity' },
+];
+
+// Sensible starting ramp and stretch per index, for single dates and for differences
+export const INDEX_DISPLAY_DEFAULTS = {
+  NDVI: { ramp: 'RdYlGn', stretch: [-0.2, 0.9] },
+  EVI: { ramp: 'RdYlGn', stretch: [-0.2, 0.9] },
+  NDMI: { ramp: 'RdBu', stretch: [-0.5, 0.5] },
+  CIRE: { ramp: 'RdYlGn', stretch: [0, 5] },
+  NDWI: { ramp: 'Blues', stretch: [-0.5, 0.5] },
+  MNDWI: { ramp: 'Blues', stretch: [-0.5, 0.5] },
+  NDFI: { ramp: 'Blues', stretch: [-0.5, 0.5] },
+  NDTI: { ramp: 'Magma', stretch: [-0.3, 0.3] },
+  NDBI: { ramp: 'Magma', stretch: [-0.5, 0.5] },
+  NBR: { ramp: 'RdYlGn', stretch: [-0.5, 0.8] },
+  LST: { ramp: 'Magma', stretch: [0, 45] },
+  VVDB: { ramp: 'Greys', stretch: [10, 50] },
+};
+export const DIFFERENCE_DISPLAY_DEFAULTS = { ramp: 'RdBu', stretch: [-0.5, 0.5] };
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+const rgbToHex = (rgb) => `#${rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Colour at position t (0-1) along a list of evenly spaced colour stops.
+ */
+export function interpolateColor(colors, t) {
+  const clamped = Math.min(1, Math.max(0, t));
+  const scaled = clamped * (colors.length - 1);
+  const i = Math.min(colors.length - 2, Math.floor(scaled));
+  const [from, to] = [hexToRgb(colors[i]), hexToRgb(colors[i + 1])];
+  const f = scaled - i;
+  return rgbToHex(from.map((v, channel) => v + (to[channel] - v) * f));
+}
+
+/**
+ * Splits a stretch into equal-width classes coloured from the ramp; used both for the
+ * legend of a continuous layer and, when the user asks for it, for a classified layer.
+ */
+export function equalIntervalClasses(colors, [min, max], count) {
+  const width = (max - min) / count;
+  return Array.from({ length: count }, (_, i) => {
+    const low = min + i * width;
+    const high = min + (i + 1) * width;
+    return {
+      min: low,
+      max: high,
+      color: interpolateColor(colors, count === 1 ? 0.5 : i / (count - 1)),
+      label: `${low.toFixed(2)} – ${high.toFixed(2)}`,
+    };
+  });
+}
@@ -0,0 +1,22 @@
+import { BURN_SEVERITY_CLASSES, equalIntervalClasses, interpolateColor } from './colorRamps';
+
+test('interpolates between colour stops and clamps outside 0-1', () => {
+  const colors = ['#000000', '#ffffff'];
+  expect(interpolateColor(colors, 0)).toBe('#000000');
+  expect(interpolateColor(colors, 0.5)).toBe('#808080');
+  expect(interpolateColor(colors, 2)).toBe('#ffffff');
+  expect(interpolateColor(['#ff0000', '#00ff00', '#0000ff'], 0.5)).toBe('#00ff00');
+});
+
+test('splits a stretch into equal-width classes spanning the ramp', () => {
+  const classes = equalIntervalClasses(['#000000', '#ffffff'], [-1, 1], 4);
+  expect(classes.map(c => [c.min, c.max])).toEqual([[-1, -0.5], [-0.5, 0], [0, 0.5], [0.5, 1]]);
+  expect(classes[0].color).toBe('#000000');
+  expect(classes[3].color).toBe('#ffffff');
+});
+
+test('burn severity classes are contiguous', () => {
+  BURN_SEVERITY_CLASSES.slice(1).forEach((cls, i) => {
+    expect(cls.min).toBe(BURN_SEVERITY_CLASSES[i].max);
+  });
+});
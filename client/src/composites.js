@@ -0,0 +1,110 @@
+// --- Band composites for the displayed imagery ---
+// True colour is read from the scene's 'visual' asset where the sensor has one; every other
+// composite is built by the tile server from three band COGs, stretched from surface
+// reflectance to 0-255.
+
+import { apiClient } from './apiClient';
+import { maskedTileUrl } from './cloudMask';
+import { sensorOf } from './sensors';
+
+// `bands` are [red, green, blue]; `rescale` is the reflectance range stretched to 0-255
+// (0-255 digital numbers for true colour, which is already an 8-bit product)
+export const COMPOSITE_PRESETS = {
+  trueColor: { name: 'True Colour', bands: null, rescale: [0, 255] },
+  colorInfrared: { name: 'Color Infrared (B8/B4/B3)', bands: ['B08', 'B04', 'B03'], rescale: [0, 0.45] },
+  swir: { name: 'SWIR (B12/B8A/B4)', bands: ['B12', 'B8A', 'B04'], rescale: [0, 0.45] },
+  agriculture: { name: 'Agriculture (B11/B8/B2)', bands: ['B11', 'B08', 'B02'], rescale: [0, 0.45] },
+  geology: { name: 'Geology (B12/B11/B2)', bands: ['B12', 'B11', 'B02'], rescale: [0, 0.5] },
+  custom: { name: 'Custom', bands: null, rescale: [0, 0.3] },
+};
+
+// Stretch of true colour built from the red, green and blue bands (sensors without a 'visual' asset)
+const TRUE_COLOR_REFLECTANCE_RESCALE = [0, 0.3];
+
+// Bands offered in the custom R/G/B chooser
+export const COMPOSITE_BANDS = ['B01', 'B02', 'B03', 'B04', 'B05', 'B06', 'B07', 'B08', 'B8A', 'B09', 'B11', 'B12'];
+
+export const DEFAULT_LAYER_ADJUSTMENT = { contrast: 1, gamma: 1 };
+
+export const DEFAULT_COMPOSITE_SETTINGS = {
+  preset: 'trueColor',
+  customBands: ['B04', 'B03', 'B02'],
+  // Contrast and gamma apply to each imagery layer separately
+  adjustments: { image1: DEFAULT_LAYER_ADJUSTMENT, image2: DEFAULT_LAYER_ADJUSTMENT },
+};
+
+/**
+ * [red, green, blue] band ids of the selected composite, or null for true colour.
+ */
+export function compositeBands(settings) {
+  if (settings.preset === 'custom') return settings.customBands;
+  return COMPOSITE_PRESETS[settings.preset]?.bands ?? null;
+}
+
+/**
+ * The preset's rescale range narrowed around its centre by `contrast` (2 halves the range).
+ */
+export function adjustedRescale(rescale, contrast = 1) {
+  const centre = (rescale[0] + rescale[1]) / 2;
+  const halfWidth = (rescale[1] - rescale[0]) / 2 / contrast;
+  return [centre - halfWidth, centre + halfWidth];
+}
+
+const formatNumber = (value) => String(Number(value.toFixed(6)));
+
+/**
+ * Tile URL template showing a scene as the selected composite, with the masked SCL
+ * classes transparent and the layer's contrast and gamma applied.
+ *
+ * @param {Object} imageInfo
+ * @param {Object} settings - See DEFAULT_COMPOSITE_SETTINGS.
+ * @param {'image1'|'image2'} layer - Whose adjustments to use.
+ * @param {number[]} maskClasses
+ * @returns {string} Falls back to true colour when the scene lacks one of the bands, and to
+ *   the server's own rendering (without adjustments) for SAR scenes.
+ */
+export function compositeTileUrl(imageInfo, settings, layer, maskClasses) {
+  const { contrast, gamma } = settings.adjustments?.[layer] || DEFAULT_LAYER_ADJUSTMENT;
+  const isAdjusted = contrast !== 1 || gamma !== 1;
+  const { trueColor } = sensorOf(imageInfo);
+  const bandAssets = (bands) => {
+    const assets = bands && bands.map(bandId => imageInfo.bands?.[bandId]);
+    return assets && assets.every(asset => asset?.href) ? assets : null;
+  };
+
+  let assets = bandAssets(compositeBands(settings));
+  let rescale = COMPOSITE_PRESETS[settings.preset]?.rescale;
+  if (!assets && Array.isArray(trueColor)) {
+    // Sensors without a 'visual' asset build true colour from their bands too
+    assets = bandAssets(trueColor);
+    rescale = TRUE_COLOR_REFLECTANCE_RESCALE;
+  }
+
+  if (!assets) {
+    const url = maskedTileUrl(imageInfo, maskClasses);
+    if (!isAdjusted || trueColor !== 'visual') return url;
+    const visualRescale = adjustedRescale(COMPOSITE_PRESETS.trueColor.rescale, contrast);
+    return `${url}&${new URLSearchParams({ rescale: visualRescale.map(formatNumber).join(','), gamma: formatNumber(gamma) })}`;
+  }
+
+  const sclHref = imageInfo.bands?.SCL?.href;
+  return apiClient.url('/api/composite-tiles/{z}/{x}/{y}', {
+    r: assets[0].href,
+    g: assets[1].href,
+    b: assets[2].href,
+    scale: assets.map(asset => asset.scale ?? 1).join(','),
+    offset: assets.map(asset => asset.offset ?? 0).join(','),
+    rescale: adjustedRescale(rescale, contrast).map(formatNumber).join(','),
+    gamma: formatNumber(gamma),
+    scl: maskClasses.length > 0 && sclHref ? sclHref : undefined,
+    mask: maskClasses.length > 0 && sclHref ? maskClasses.join(',') : undefined,
+  });
+}
+
+/**
+ * Band ids of the composite that the scene doesn't have, for a warning next to the picker.
+ */
+export function missingCompositeBands(imageInfo, settings) {
+  const bands = compositeBands(settings);
+  return bands ? [...new Set(bands.filter(bandId => !imageInfo?.bands?.[bandId]?.href))] : [];
+}
@@ -0,0 +1,79 @@
+import { DEFAULT_COMPOSITE_SETTINGS, adjustedRescale, compositeBands, compositeTileUrl, missingCompositeBands } from './composites';
+
+const band = (name) => ({ href: `https://s3/${name}.tif`, scale: 0.0001, offset: -0.1 });
+const scene = {
+  tileUrlTemplate: 'http://localhost:8080/api/tiles/{z}/{x}/{y}?url=visual.tif',
+  bands: { B08: band('nir'), B04: band('red'), B03: band('green'), SCL: { href: 'https://s3/scl.tif' } },
+};
+const withPreset = (preset, changes = {}) => ({ ...DEFAULT_COMPOSITE_SETTINGS, preset, ...changes });
+
+test('resolves the bands of presets and custom composites', () => {
+  expect(compositeBands(withPreset('trueColor'))).toBeNull();
+  expect(compositeBands(withPreset('swir'))).toEqual(['B12', 'B8A', 'B04']);
+  expect(compositeBands(withPreset('custom', { customBands: ['B11', 'B08', 'B04'] }))).toEqual(['B11', 'B08', 'B04']);
+});
+
+test('narrows the rescale range around its centre as contrast increases', () => {
+  expect(adjustedRescale([0, 0.4], 1)).toEqual([0, 0.4]);
+  const [low, high] = adjustedRescale([0, 0.4], 2);
+  expect(low).toBeCloseTo(0.1);
+  expect(high).toBeCloseTo(0.3);
+  expect(adjustedRescale([0, 255], 0.5)).toEqual([-127.5, 382.5]);
+});
+
+test('keeps the plain visual tiles for unadjusted true colour', () => {
+  expect(compositeTileUrl(scene, DEFAULT_COMPOSITE_SETTINGS, 'image1', [])).toBe(scene.tileUrlTemplate);
+});
+
+test('adds contrast and gamma to true colour tiles of the adjusted layer only', () => {
+  const settings = withPreset('trueColor', {
+    adjustments: { image1: { contrast: 2, gamma: 1.5 }, image2: { contrast: 1, gamma: 1 } },
+  });
+  const url = new URL(compositeTileUrl(scene, settings, 'image1', []).replace('{z}/{x}/{y}', '1/2/3'));
+  expect(url.searchParams.get('rescale')).toBe('63.75,191.25');
+  expect(url.searchParams.get('gamma')).toBe('1.5');
+  expect(compositeTileUrl(scene, settings, 'image2', [])).toBe(scene.tileUrlTemplate);
+});
+
+test('builds composite tile URLs from the band assets, with the cloud mask', () => {
+  const template = compositeTileUrl(scene, withPreset('colorInfrared'), 'image1', [8, 9]);
+  expect(template).toContain('/api/composite-tiles/{z}/{x}/{y}?');
+
+  const url = new URL(template.replace('{z}/{x}/{y}', '1/2/3'));
+  expect(url.searchParams.get('r')).toBe('https://s3/nir.tif');
+  expect(url.searchParams.get('g')).toBe('https://s3/red.tif');
+  expect(url.searchParams.get('b')).toBe('https://s3/green.tif');
+  expect(url.searchParams.get('scale')).toBe('0.0001,0.0001,0.0001');
+  expect(url.searchParams.get('offset')).toBe('-0.1,-0.1,-0.1');
+  expect(url.searchParams.get('rescale')).toBe('0,0.45');
+  expect(url.searchParams.get('gamma')).toBe('1');
+  expect(url.searchParams.get('scl')).toBe('https://s3/scl.tif');
+  expect(url.searchParams.get('mask')).toBe('8,9');
+});
+
+test('falls back to true colour when the scene lacks a composite band', () => {
+  const settings = withPreset('swir');
+  expect(missingCompositeBands(scene, settings)).toEqual(['B12', 'B8A']);
+  expect(compositeTileUrl(scene, settings, 'image1', [])).toBe(scene.tileUrlTemplate);
+  expect(missingCompositeBands(scene, withPreset('trueColor'))).toEqual([]);
+});
+
+test('builds true colour from the red, green and blue bands of sensors without a visual asset', () => {
+  const landsat = {
+    sensor: 'landsat',
+    tileUrlTemplate: 'http://localhost:8080/api/composite-tiles/{z}/{x}/{y}?r=red.tif',
+    bands: { B04: band('red'), B03: band('green'), B02: band('blue') },
+  };
+  const url = new URL(compositeTileUrl(landsat, DEFAULT_COMPOSITE_SETTINGS, 'image1', []).replace('{z}/{x}/{y}', '1/2/3'));
+  expect(url.searchParams.get('b')).toBe('https://s3/blue.tif');
+  expect(url.searchParams.get('rescale')).toBe('0,0.3');
+
+  // Presets the scene lacks bands for fall back to the same true colour
+  expect(compositeTileUrl(landsat, withPreset('geology'), 'image1', [])).toContain('b=https%3A%2F%2Fs3%2Fblue.tif');
+});
+
+test('shows SAR scenes as rendered by the server, without adjustments', () => {
+  const sar = { sensor: 'sentinel-1', tileUrlTemplate: 'http://localhost:8080/api/composite-tiles/{z}/{x}/{y}?r=vv.tif', bands: { VV: band('vv') } };
+  const settings = withPreset('trueColor', { adjustments: { image1: { contrast: 2, gamma: 1 }, image2: { contrast: 1, gamma: 1 } } });
+  expect(compositeTileUrl(sar, settings, 'image1', [8])).toBe(sar.tileUrlTemplate);
+});
@@ -0,0 +1,449 @@
+import { computeIndexRaster, differenceRaster, getSpectralIndex, summarizeRaster } from './spectralIndices';
+import { bboxOfVertices, polygonPixelMask } from './aoi';
+import { apiClient } from './apiClient';
+import { applySclMask, assessCoverage, summarizeSclCoverage } from './cloudMask';
+import { orbitKey } from './sceneSelection';
+import { DEFAULT_SENSOR, missingBandsReason } from './sensors';
+
+// Half-width (degrees) of the square analysed around the marker, roughly 1 km across
+export const DEFAULT_AOI_HALF_SIZE = 0.005;
+// Pixels per side of the common grid every band is resampled onto
+export const PIXEL_GRID_SIZE = 64;
+
+// Categories under which the computations are offered, in display order
+export const CUSTOM_CATEGORY = 'Custom Indices'; // User-defined indices, see customIndices.js
+export const COMPUTATION_CATEGORIES = [
+  'Disaster Response & Monitoring',
+  'Agriculture & Forestry',
+  'Water Resources',
+  'Urban & Land Use Change',
+  CUSTOM_CATEGORY,
+];
+
+// The built-in computations, keyed by their label (custom ones are looked up with getComputation): the spectral index each maps
+// onto, its category and description, and a short interpretation of the values.
+// `differenceOrder` is 'date2-date1' unless the index has its own convention (dNBR is pre minus post).
+// `changeDirection` is the sign of the difference that marks the change of interest (see changeDetection.js).
+// Which sensors can run a computation follows from its index's bands (see sensors.js).
+export const COMPUTATIONS = Object.freeze({
+  'Differenced Normalized Burn Ratio (dNBR)': {
+    key: 'dNBR',
+    category: 'Disaster Response & Monitoring',
+    description: 'Change in burn ratio between a pre-fire and a post-fire image, for burn severity.',
+    index: 'NBR',
+    differenceOrder: 'date1-date2',
+    interpretation: 'Higher positive values indicate more severe burn',
+    changeDirection: 'increase',
+  },
+  'Normalized Difference Flood Index (NDFI)': {
+    key: 'NDFI',
+    category: 'Disaster Response & Monitoring',
+    description: 'Red against shortwave infrared, which drops sharply over water, for flood extent.',
+    index: 'NDFI',
+    interpretation: 'Higher values indicate presence of water',
+    changeDirection: 'increase',
+  },
+  'SAR Flood Mapping (VV Backscatter Change)': {
+    key: 'sarFlood',
+    category: 'Disaster Response & Monitoring',
+    description: 'Change in radar backscatter; calm water reflects the signal away and turns dark, even under cloud.',
+    index: 'VVDB',
+    interpretation: 'A drop of more than about 3 dB indicates newly flooded ground',
+    changeDirection: 'decrease',
+  },
+  'Building Damage Proxy Map': {
+    key: 'buildingDamage',
+    category: 'Disaster Response & Monitoring',
+    description: 'Damaged buildings from changes in radar coherence.',
+    unsupported: 'Requires SAR coherence or very high resolution imagery, not available from the supported sensors.',
+  },
+  'Landslide Susceptibility Index': {
+    key: 'landslideSusceptibility',
+    category: 'Disaster Response & Monitoring',
+    description: 'Slope-driven landslide risk.',
+    unsupported: 'Requires a digital elevation model, not available from the supported sensors.',
+  },
+  'NDVI (Normalized Difference Vegetation Index)': {
+    key: 'NDVI',
+    category: 'Agriculture & Forestry',
+    description: 'Near infrared against red, the standard measure of green vegetation.',
+    index: 'NDVI',
+    interpretation: 'Higher values indicate denser vegetation',
+    changeDirection: 'decrease',
+  },
+  'EVI (Enhanced Vegetation Index)': {
+    key: 'EVI',
+    category: 'Agriculture & Forestry',
+    description: 'Vegetation index corrected for soil and atmosphere that does not saturate over dense canopies.',
+    index: 'EVI',
+    interpretation: 'Improved vegetation indicator, especially in dense areas',
+    changeDirection: 'decrease',
+  },
+  'NDMI (Normalized Difference Moisture Index)': {
+    key: 'NDMI',
+    category: 'Agriculture & Forestry',
+    description: 'Near infrared against shortwave infrared, sensitive to the water held in leaves.',
+    index: 'NDMI',
+    interpretation: 'Indicates vegetation water content',
+    changeDirection: 'decrease',
+  },
+  'Red-Edge Chlorophyll Index (CIre)': {
+    key: 'ChlorophyllIndex',
+    category: 'Agriculture & Forestry',
+    description: 'Ratio of two red-edge bands, tracking leaf chlorophyll.',
+    index: 'CIRE',
+    interpretation: 'Indicates chlorophyll content, related to plant health',
+    changeDirection: 'decrease',
+  },
+  'NDWI (Normalized Difference Water Index - Surface Water)': {
+    key: 'NDWI_Surface',
+    category: 'Water Resources',
+    description: 'Green against near infrared, positive over open water.',
+    index: 'NDWI',
+    interpretation: 'Highlights open water bodies',
+    changeDirection: 'increase',
+  },
+  'Modified Normalized Difference Water Index (MNDWI)': {
+    key: 'MNDWI',
+    category: 'Water Resources',
+    description: 'Green against shortwave infrared, which separates water from built-up land better than NDWI.',
+    index: 'MNDWI',
+    interpretation: 'Enhanced water body detection',
+    changeDirection: 'increase',
+  },
+  'Turbidity/Sedimentation Index (NDTI)': {
+    key: 'Turbidity',
+    category: 'Water Resources',
+    description: 'Red against green over water, rising with suspended sediment.',
+    index: 'NDTI',
+    interpretation: 'Indicates water clarity/sediment load',
+    changeDirection: 'increase',
+  },
+  'Normalized Difference Built-up Index (NDBI)': {
+    key: 'NDBI',
+    category: 'Urban & Land Use Change',
+    description: 'Shortwave against near infrared, positive over built-up land.',
+    index: 'NDBI',
+    interpretation: 'Higher values indicate built-up areas',
+    changeDirection: 'increase',
+  },
+  'Impervious Surface Change Detection (NDBI)': {
+    key: 'imperviousChange',
+    category: 'Urban & Land Use Change',
+    description: 'Change in NDBI between the dates, for new roofs and paving.',
+    index: 'NDBI',
+    interpretation: 'Positive difference indicates more impervious surface',
+    changeDirection: 'increase',
+  },
+  'Urban Heat Island (LST Difference)': {
+    key: 'urbanHeatIsland',
+    category: 'Urban & Land Use Change',
+    description: 'Change in land surface temperature from the thermal band.',
+    index: 'LST',
+    interpretation: 'Positive difference indicates warmer surfaces',
+    changeDirection: 'increase',
+  },
+  'Green Space Monitoring (NDVI)': {
+    key: 'greenSpaceChange',
+    category: 'Urban & Land Use Change',
+    description: 'Change in NDVI between the dates, for gained or lost green space.',
+    index: 'NDVI',
+    interpretation: 'Negative difference indicates loss of green space',
+    changeDirection: 'decrease',
+  },
+});
+
+// Built-in computations plus the custom indices registered by customIndices.js
+let computationRegistry = COMPUTATIONS;
+
+/**
+ * Replaces the custom computations (keyed by label) looked up next to the built-ins.
+ */
+export function setCustomComputations(customComputations) {
+  computationRegistry = Object.freeze({ ...COMPUTATIONS, ...customComputations });
+}
+
+/**
+ * The built-in or custom computation with this label, or undefined.
+ */
+export const getComputation = (label) => computationRegistry[label];
+
+/**
+ * Labels of the built-in computations, then of the custom ones.
+ */
+export const computationLabels = () => Object.keys(computationRegistry);
+
+/**
+ * Why a computation can't run on a sensor's scenes, or null when it can.
+ */
+export function unsupportedReason(label, sensorId = DEFAULT_SENSOR) {
+  const computation = getComputation(label);
+  if (!computation) return 'Unknown computation.';
+  if (computation.unsupported) return computation.unsupported;
+  return missingBandsReason(sensorId, getSpectralIndex(computation.index).bands);
+}
+
+/**
+ * The computations among `labels` that the sensor supports, in the same order.
+ */
+export function supportedComputations(labels, sensorId = DEFAULT_SENSOR) {
+  return labels.filter(label => !unsupportedReason(label, sensorId));
+}
+
+/**
+ * Labels of the computations the sensor supports, grouped by category in display order.
+ * Categories left empty are omitted.
+ *
+ * @returns {Object<string, string[]>}
+ */
+export function computationCategoriesFor(sensorId = DEFAULT_SENSOR) {
+  const labels = supportedComputations(computationLabels(), sensorId);
+  return Object.fromEntries(COMPUTATION_CATEGORIES
+    .map(category => [category, labels.filter(label => getComputation(label).category === category)])
+    .filter(([, categoryLabels]) => categoryLabels.length > 0));
+}
+
+/**
+ * Square bounding box [minLon, minLat, maxLon, maxLat] centred on a point.
+ */
+export function bboxAroundPoint(lat, lon, halfSize = DEFAULT_AOI_HALF_SIZE) {
+  return [lon - halfSize, lat - halfSize, lon + halfSize, lat + halfSize];
+}
+
+/**
+ * The region analysed by runComputations: a drawn AOI polygon when there is one,
+ * otherwise the default square around the marker.
+ */
+export function analysisRegion(lat, lon, aoiVertices) {
+  if (aoiVertices && aoiVertices.length >= 3) {
+    return { bbox: bboxOfVertices(aoiVertices), vertices: aoiVertices };
+  }
+  return { bbox: bboxAroundPoint(lat, lon) };
+}
+
+/**
+ * Sets every pixel outside the polygon to NaN so it drops out of the statistics.
+ */
+function maskOutsidePolygon(pixels, vertices, bbox) {
+  const mask = polygonPixelMask(vertices, bbox, pixels.width, pixels.height);
+  Object.values(pixels.bands).forEach(raster => {
+    mask.forEach((inside, i) => {
+      if (!inside) raster[i] = NaN;
+    });
+  });
+  return pixels;
+}
+
+/**
+ * Fetches reflectance rasters for the given bands of one acquisition, all resampled
+ * by the server onto the same size x size grid over bbox. Missing pixels become NaN.
+ * Passing `signal` lets the request be cancelled.
+ */
+export async function fetchBandPixels(imageInfo, bbox, bandIds, size = PIXEL_GRID_SIZE, { signal } = {}) {
+  const bands = {};
+  bandIds.forEach(bandId => {
+    if (!imageInfo.bands?.[bandId]) throw new Error(`Band ${bandId} is not available for this image.`);
+    bands[bandId] = imageInfo.bands[bandId];
+  });
+
+  const data = await apiClient.bandPixels({ bbox, size, bands }, { signal });
+  const rasters = {};
+  Object.entries(data.bands).forEach(([bandId, values]) => {
+    rasters[bandId] = Float64Array.from(values, v => (v === null ? NaN : v));
+  });
+  return { width: data.width, height: data.height, bands: rasters };
+}
+
+// How many candidate scenes pickClearScene checks before giving up
+export const MAX_SCENES_TO_CHECK = 5;
+
+/**
+ * Loads the bands of one acquisition over the region, masked to the AOI polygon and,
+ * when mask classes are given and the scene has an SCL band, to its clear pixels.
+ * `coverage` is null when no SCL masking was applied.
+ */
+async function loadRegionPixels(imageInfo, region, bandIds, maskClasses, loadBands) {
+  const useScl = maskClasses.length > 0 && Boolean(imageInfo.bands?.SCL);
+  const pixels = await loadBands(imageInfo, region.bbox, useScl ? [...bandIds, 'SCL'] : bandIds);
+  if (region.vertices) maskOutsidePolygon(pixels, region.vertices, region.bbox);
+
+  let coverage = null;
+  if (useScl) {
+    coverage = summarizeSclCoverage(pixels.bands.SCL, maskClasses);
+    applySclMask(pixels, maskClasses);
+    delete pixels.bands.SCL;
+  }
+  return { pixels, coverage };
+}
+
+/**
+ * Local cloud coverage of a scene over the region, from its SCL band alone.
+ * Resolves to null when the scene has no SCL band.
+ */
+export async function measureSceneCoverage(imageInfo, region, maskClasses, loadBands = fetchBandPixels) {
+  if (!imageInfo.bands?.SCL) return null;
+  const { coverage } = await loadRegionPixels(imageInfo, region, [], maskClasses, loadBands);
+  return coverage;
+}
+
+/**
+ * First scene, in order, whose local cloud fraction is within the mask settings, checking
+ * at most MAX_SCENES_TO_CHECK. Falls back to the first scene when none qualifies.
+ *
+ * @returns {Promise<{scene: Object, coverage: ?Object, rejected: number}>}
+ */
+export async function pickClearScene(scenes, region, settings, maskClasses, loadBands = fetchBandPixels) {
+  const checked = [];
+  for (const scene of scenes.slice(0, MAX_SCENES_TO_CHECK)) {
+    const coverage = await measureSceneCoverage(scene, region, maskClasses, loadBands);
+    if (assessCoverage(coverage, settings) === 'ok') {
+      return { scene, coverage, rejected: checked.length };
+    }
+    checked.push(coverage);
+  }
+  return { scene: scenes[0], coverage: checked[0] ?? null, rejected: checked.length };
+}
+
+/**
+ * Clear enough scenes for both dates (see pickClearScene), each list in order of preference.
+ * With `sameOrbit`, Image 1 is picked first and Image 2 among the scenes of its tile and
+ * relative orbit, so rejecting cloudy scenes never breaks the pairing the search made.
+ * Aborting `signal` cancels the band reads still to come and rejects with an AbortError.
+ *
+ * @returns {Promise<[Object, Object]>} The picks for Date 1 and Date 2.
+ */
+export async function pickClearPair(scenes1, scenes2, region, settings, maskClasses, { sameOrbit = false, signal } = {}, loadBands = fetchBandPixels) {
+  const load = (imageInfo, bbox, bandIds) => {
+    if (signal?.aborted) throw signal.reason ?? new DOMException('The operation was aborted.', 'AbortError');
+    return loadBands(imageInfo, bbox, bandIds, PIXEL_GRID_SIZE, { signal });
+  };
+  if (!sameOrbit) {
+    return Promise.all([scenes1, scenes2].map(scenes => pickClearScene(scenes, region, settings, maskClasses, load)));
+  }
+  const pick1 = await pickClearScene(scenes1, region, settings, maskClasses, load);
+  const sameGeometry = scenes2.filter(scene => orbitKey(scene) === orbitKey(pick1.scene));
+  const pick2 = await pickClearScene(sameGeometry.length > 0 ? sameGeometry : scenes2, region, settings, maskClasses, load);
+  return [pick1, pick2];
+}
+
+/**
+ * Runs the selected computations over a region for both acquisitions.
+ * Results are keyed by each computation's key and hold statistics per date plus the
+ * per-pixel difference (and the rasters themselves), or an `unsupported` reason when
+ * the index can't be derived from the scenes' sensor.
+ *
+ * @param {string[]} selectedComputations - Labels of built-in or custom computations.
+ * @param {Object} image1Info - Image info returned by /api/change-detection.
+ * @param {Object} image2Info
+ * @param {{bbox: number[], vertices?: number[][]}} region - From analysisRegion; pixels
+ *   outside `vertices` are excluded when a polygon is given.
+ * @param {Function} [loadBands] - Injectable band loader, defaults to fetchBandPixels.
+ * @param {Object} [options]
+ * @param {number[]} [options.maskClasses] - SCL classes to exclude (see cloudMask.js);
+ *   each result then carries the AOI coverage of both dates.
+ */
+export async function runComputations(selectedComputations, image1Info, image2Info, region, loadBands = fetchBandPixels, { maskClasses = [] } = {}) {
+  const sensorId = image1Info.sensor || DEFAULT_SENSOR;
+  const computations = selectedComputations
+    .filter(label => getComputation(label))
+    .map(label => ({ ...getComputation(label), label, unsupported: unsupportedReason(label, sensorId) }));
+
+  const requiredBands = [...new Set(
+    computations.filter(c => !c.unsupported).flatMap(c => getSpectralIndex(c.index).bands)
+  )];
+
+  let pixels1 = null;
+  let pixels2 = null;
+  let coverage = null;
+  if (requiredBands.length > 0) {
+    const [loaded1, loaded2] = await Promise.all([
+      loadRegionPixels(image1Info, region, requiredBands, maskClasses, loadBands),
+      loadRegionPixels(image2Info, region, requiredBands, maskClasses, loadBands),
+    ]);
+    pixels1 = loaded1.pixels;
+    pixels2 = loaded2.pixels;
+    if (loaded1.coverage || loaded2.coverage) coverage = { date1: loaded1.coverage, date2: loaded2.coverage };
+  }
+
+  const indexCache = {};
+  const indexRasters = (indexId) => {
+    if (!indexCache[indexId]) {
+      indexCache[indexId] = [
+        computeIndexRaster(indexId, pixels1.bands),
+        computeIndexRaster(indexId, pixels2.bands),
+      ];
+    }
+    return indexCache[indexId];
+  };
+
+  const results = {};
+  computations.forEach(computation => {
+    if (computation.unsupported) {
+      results[computation.key] = { label: computation.label, unsupported: computation.unsupported };
+      return;
+    }
+
+    const [raster1, raster2] = indexRasters(computation.index);
+    const differenceOrder = computation.differenceOrder || 'date2-date1';
+    const difference = differenceOrder === 'date1-date2'
+      ? differenceRaster(raster2, raster1)
+      : differenceRaster(raster1, raster2);
+
+    results[computation.key] = {
+      label: computation.label,
+      index: computation.index,
+      interpretation: computation.interpretation,
+      date1: summarizeRaster(raster1),
+      date2: summarizeRaster(raster2),
+      difference: summarizeRaster(difference),
+      differenceOrder,
+      changeDirection: computation.changeDirection,
+      coverage,
+      // Per-pixel values on the analysis grid, kept for raster exports
+      raster: {
+        width: pixels1.width,
+        height: pixels1.height,
+        bbox: region.bbox,
+        date1: raster1,
+        date2: raster2,
+        difference,
+      },
+    };
+  });
+  return results;
+}
+
+/**
+ * Computes index statistics over a region for every scene of a time series.
+ * Scenes are processed one at a time to keep the load on the band server low.
+ *
+ * @param {string[]} indexIds - Ids of built-in or custom indices.
+ * @param {Array<Object|null>} scenes - Image infos; null entries (no acquisition) yield null.
+ * @param {{bbox: number[], vertices?: number[][]}} region - From analysisRegion.
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (done, total) after each scene.
+ * @param {Function} [options.loadBands] - Injectable band loader, defaults to fetchBandPixels.
+ * @param {number[]} [options.maskClasses] - SCL classes to exclude (see cloudMask.js).
+ * @returns {Promise<Array<Object<string, Object>|null>>} Statistics keyed by index id, per scene.
+ */
+export async function runTimeSeriesIndices(indexIds, scenes, region, { onProgress, loadBands = fetchBandPixels, maskClasses = [] } = {}) {
+  const requiredBands = [...new Set(indexIds.flatMap(indexId => getSpectralIndex(indexId).bands))];
+  const results = [];
+
+  for (let i = 0; i < scenes.length; i++) {
+    const scene = scenes[i];
+    if (!scene) {
+      results.push(null);
+    } else {
+      const { pixels } = await loadRegionPixels(scene, region, requiredBands, maskClasses, loadBands);
+
+      const stats = {};
+      indexIds.forEach(indexId => {
+        stats[indexId] = summarizeRaster(computeIndexRaster(indexId, pixels.bands));
+      });
+      results.push(stats);
+    }
+    if (onProgress) onProgress(i + 1, scenes.length);
+  }
+  return results;
+}
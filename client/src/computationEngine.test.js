@@ -0,0 +1,166 @@
+import { pickClearPair, pickClearScene, runComputations } from './computationEngine';
+
+// 2x2 synthetic acquisitions: vegetation before, burnt/bare ground after
+const prefire = { B04: [0.05, 0.05, 0.05, 0.05], B08: [0.4, 0.4, 0.4, 0.4], B12: [0.1, 0.1, 0.1, 0.1] };
+const postfire = { B04: [0.1, 0.1, 0.1, NaN], B08: [0.15, 0.15, 0.15, 0.15], B12: [0.25, 0.25, 0.25, 0.25] };
+
+const fakeBandLoader = async (imageInfo, bbox, bandIds) => {
+  const source = imageInfo.id === 'pre' ? prefire : postfire;
+  const bands = {};
+  bandIds.forEach(band => { bands[band] = Float64Array.from(source[band]); });
+  return { width: 2, height: 2, bands };
+};
+
+test('computes per-date statistics and differences for the selected indices', async () => {
+  const loadBands = jest.fn(fakeBandLoader);
+  const results = await runComputations(
+    ['Differenced Normalized Burn Ratio (dNBR)', 'NDVI (Normalized Difference Vegetation Index)'],
+    { id: 'pre' },
+    { id: 'post' },
+    { bbox: [0, 0, 1, 1] },
+    loadBands
+  );
+
+  expect(loadBands).toHaveBeenCalledTimes(2);
+  expect(loadBands.mock.calls[0][2].sort()).toEqual(['B04', 'B08', 'B12']);
+
+  const prefireNBR = 0.3 / 0.5;
+  const postfireNBR = -0.1 / 0.4;
+  expect(results.dNBR.date1.mean).toBeCloseTo(prefireNBR);
+  expect(results.dNBR.date2.mean).toBeCloseTo(postfireNBR);
+  expect(results.dNBR.difference.mean).toBeCloseTo(prefireNBR - postfireNBR);
+  expect(results.dNBR.differenceOrder).toBe('date1-date2');
+
+  expect(results.NDVI.date2.validPixels).toBe(3);
+  expect(results.NDVI.difference.mean).toBeCloseTo(0.05 / 0.25 - 0.35 / 0.45);
+  expect(results.NDVI.differenceOrder).toBe('date2-date1');
+});
+
+test('reports computations that cannot be derived from Sentinel-2 without fetching bands', async () => {
+  const load = jest.fn();
+  const results = await runComputations(['Urban Heat Island (LST Difference)'], {}, {}, { bbox: [0, 0, 1, 1] }, load);
+  expect(load).not.toHaveBeenCalled();
+  expect(results.urbanHeatIsland.unsupported).toMatch(/thermal/);
+});
+
+test('computes land surface temperature from the thermal band of Landsat scenes', async () => {
+  const kelvin = (celsius) => celsius + 273.15;
+  const loadBands = async (imageInfo) => ({
+    width: 2,
+    height: 1,
+    bands: { TIR: Float64Array.from(imageInfo.id === 'summer' ? [kelvin(30), kelvin(34)] : [kelvin(10), kelvin(12)]) },
+  });
+  const results = await runComputations(
+    ['Urban Heat Island (LST Difference)'],
+    { id: 'spring', sensor: 'landsat' },
+    { id: 'summer', sensor: 'landsat' },
+    { bbox: [0, 0, 1, 1] },
+    loadBands
+  );
+  expect(results.urbanHeatIsland.date1.mean).toBeCloseTo(11);
+  expect(results.urbanHeatIsland.difference.mean).toBeCloseTo(21);
+});
+
+test('excludes pixels outside the AOI polygon', async () => {
+  // Triangle covering the two western pixels' centres only (the top-left and bottom-left)
+  const vertices = [[1, 0], [0, 0], [0.5, 0.6]];
+  const results = await runComputations(
+    ['NDVI (Normalized Difference Vegetation Index)'],
+    { id: 'pre' },
+    { id: 'post' },
+    { bbox: [0, 0, 1, 1], vertices },
+    fakeBandLoader
+  );
+  expect(results.NDVI.date1.validPixels).toBe(2);
+  expect(results.NDVI.date1.totalPixels).toBe(4);
+});
+
+describe('SCL cloud masking', () => {
+  // Scene classes per pixel: vegetation, cloud, shadow, vegetation
+  const sclLoader = async (imageInfo, bbox, bandIds) => {
+    const { bands } = await fakeBandLoader(imageInfo, bbox, bandIds.filter(band => band !== 'SCL'));
+    if (bandIds.includes('SCL')) bands.SCL = Float64Array.from(imageInfo.scl);
+    return { width: 2, height: 2, bands };
+  };
+  const withScl = (id, scl) => ({ id, scl, bands: { SCL: { href: `${id}-scl.tif` } } });
+
+  test('drops masked pixels from the statistics and reports coverage per date', async () => {
+    const loadBands = jest.fn(sclLoader);
+    const results = await runComputations(
+      ['NDVI (Normalized Difference Vegetation Index)'],
+      withScl('pre', [4, 9, 3, 4]),
+      withScl('post', [4, 4, 4, 4]),
+      { bbox: [0, 0, 1, 1] },
+      loadBands,
+      { maskClasses: [3, 8, 9, 10] }
+    );
+
+    expect(loadBands.mock.calls[0][2]).toContain('SCL');
+    expect(results.NDVI.date1.validPixels).toBe(2);
+    expect(results.NDVI.coverage.date1).toMatchObject({ areaPixels: 4, validPixels: 2, validPercent: 50, cloudPercent: 50 });
+    expect(results.NDVI.coverage.date2.validPercent).toBe(100);
+  });
+
+  test('leaves scenes without an SCL band unmasked', async () => {
+    const loadBands = jest.fn(fakeBandLoader);
+    const results = await runComputations(
+      ['NDVI (Normalized Difference Vegetation Index)'],
+      { id: 'pre' },
+      { id: 'post' },
+      { bbox: [0, 0, 1, 1] },
+      loadBands,
+      { maskClasses: [8, 9] }
+    );
+
+    expect(loadBands.mock.calls[0][2]).not.toContain('SCL');
+    expect(results.NDVI.date1.validPixels).toBe(4);
+    expect(results.NDVI.coverage).toBeNull();
+  });
+
+  test('picks the first candidate scene that is clear enough over the area', async () => {
+    const loadBands = jest.fn(sclLoader);
+    const settings = { maxCloudPercent: 30 };
+    const cloudy = withScl('pre', [9, 9, 4, 4]);
+    const clear = withScl('pre', [4, 4, 4, 8]);
+
+    const pick = await pickClearScene([cloudy, clear], { bbox: [0, 0, 1, 1] }, settings, [8, 9], loadBands);
+    expect(pick.scene).toBe(clear);
+    expect(pick.rejected).toBe(1);
+    expect(pick.coverage.cloudPercent).toBe(25);
+
+    const fallback = await pickClearScene([cloudy, cloudy], { bbox: [0, 0, 1, 1] }, settings, [8, 9], loadBands);
+    expect(fallback.scene).toBe(cloudy);
+    expect(fallback.rejected).toBe(2);
+  });
+
+  test('picks Image 2 in the orbit of the clear Image 1 when both must share it', async () => {
+    const settings = { maxCloudPercent: 30 };
+    const inOrbit = (scene, relativeOrbit) => ({ ...scene, tileId: '17SNA', relativeOrbit });
+    // Orbit 11 is best ranked for both dates, but cloudy on Date 1
+    const scenes1 = [inOrbit(withScl('pre', [9, 9, 4, 4]), 11), inOrbit(withScl('pre', [4, 4, 4, 4]), 54)];
+    const scenes2 = [inOrbit(withScl('post', [4, 4, 4, 4]), 11), inOrbit(withScl('post', [9, 9, 4, 4]), 54), inOrbit(withScl('post', [4, 4, 4, 4]), 54)];
+
+    const [pick1, pick2] = await pickClearPair(scenes1, scenes2, { bbox: [0, 0, 1, 1] }, settings, [8, 9], { sameOrbit: true }, sclLoader);
+    expect(pick1.scene).toBe(scenes1[1]);
+    expect(pick2).toMatchObject({ scene: scenes2[2], rejected: 1 });
+
+    // Without the constraint each date takes its own first clear scene
+    const [free1, free2] = await pickClearPair(scenes1, scenes2, { bbox: [0, 0, 1, 1] }, settings, [8, 9], {}, sclLoader);
+    expect(free1.scene).toBe(scenes1[1]);
+    expect(free2.scene).toBe(scenes2[0]);
+  });
+
+  test('stops reading candidate scenes once the search is aborted', async () => {
+    const controller = new AbortController();
+    const loadBands = jest.fn(async (...args) => {
+      controller.abort();
+      return sclLoader(...args);
+    });
+    const cloudy = withScl('pre', [9, 9, 4, 4]);
+
+    await expect(pickClearPair([cloudy, cloudy], [], { bbox: [0, 0, 1, 1] }, { maxCloudPercent: 30 }, [8, 9], { sameOrbit: true, signal: controller.signal }, loadBands))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(loadBands).toHaveBeenCalledTimes(1);
+    expect(loadBands.mock.calls[0][4]).toEqual({ signal: controller.signal });
+  });
+});
@@ -0,0 +1,208 @@
+// --- Parsing of typed or pasted coordinates: decimal pairs, DMS, UTM and MGRS ---
+// Everything returns { latitude, longitude, format } in WGS 84 decimal degrees, or null
+// when the text isn't a coordinate (the search box then treats it as a place name).
+
+import { toRadians } from './aoi';
+
+// WGS 84 ellipsoid and UTM projection constants
+const A = 6378137;
+const F = 1 / 298.257223563;
+const E2 = F * (2 - F);
+const EP2 = E2 / (1 - E2);
+const K0 = 0.9996;
+const FALSE_EASTING = 500000;
+const FALSE_NORTHING_SOUTH = 10000000;
+
+// Latitude bands, 8° each from 80°S (band X is 12°, up to 84°N); I and O are not used
+const LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+// MGRS 100 km square letters: columns cycle through three sets, rows through 20 letters
+const COLUMN_LETTER_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+const inRange = (latitude, longitude) =>
+  Number.isFinite(latitude) && Number.isFinite(longitude) && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+
+const result = (latitude, longitude, format) =>
+  (inRange(latitude, longitude) ? { latitude, longitude, format } : null);
+
+// Meridional arc length from the equator to a latitude (radians)
+function meridionalArc(phi) {
+  return A * (
+    (1 - E2 / 4 - (3 * E2 ** 2) / 64 - (5 * E2 ** 3) / 256) * phi -
+    ((3 * E2) / 8 + (3 * E2 ** 2) / 32 + (45 * E2 ** 3) / 1024) * Math.sin(2 * phi) +
+    ((15 * E2 ** 2) / 256 + (45 * E2 ** 3) / 1024) * Math.sin(4 * phi) -
+    ((35 * E2 ** 3) / 3072) * Math.sin(6 * phi)
+  );
+}
+
+/**
+ * Converts UTM coordinates to latitude/longitude (Snyder's inverse transverse Mercator series).
+ *
+ * @param {number} zone - 1 to 60.
+ * @param {boolean} isNorthern
+ * @param {number} easting - Metres, including the 500 km false easting.
+ * @param {number} northing - Metres, including the 10 000 km false northing in the south.
+ * @returns {[number, number]} [latitude, longitude]
+ */
+export function utmToLatLon(zone, isNorthern, easting, northing) {
+  const x = easting - FALSE_EASTING;
+  const y = isNorthern ? northing : northing - FALSE_NORTHING_SOUTH;
+
+  const mu = y / K0 / (A * (1 - E2 / 4 - (3 * E2 ** 2) / 64 - (5 * E2 ** 3) / 256));
+  const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+  const phi1 = mu +
+    ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu) +
+    ((21 * e1 ** 2) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu) +
+    ((151 * e1 ** 3) / 96) * Math.sin(6 * mu) +
+    ((1097 * e1 ** 4) / 512) * Math.sin(8 * mu);
+
+  const sinPhi1 = Math.sin(phi1);
+  const cosPhi1 = Math.cos(phi1);
+  const c1 = EP2 * cosPhi1 ** 2;
+  const t1 = Math.tan(phi1) ** 2;
+  const n1 = A / Math.sqrt(1 - E2 * sinPhi1 ** 2);
+  const r1 = (A * (1 - E2)) / (1 - E2 * sinPhi1 ** 2) ** 1.5;
+  const d = x / (n1 * K0);
+
+  const latitude = phi1 - ((n1 * Math.tan(phi1)) / r1) * (
+    d ** 2 / 2 -
+    ((5 + 3 * t1 + 10 * c1 - 4 * c1 ** 2 - 9 * EP2) * d ** 4) / 24 +
+    ((61 + 90 * t1 + 298 * c1 + 45 * t1 ** 2 - 252 * EP2 - 3 * c1 ** 2) * d ** 6) / 720
+  );
+  const longitude = (
+    d -
+    ((1 + 2 * t1 + c1) * d ** 3) / 6 +
+    ((5 - 2 * c1 + 28 * t1 - 3 * c1 ** 2 + 8 * EP2 + 24 * t1 ** 2) * d ** 5) / 120
+  ) / cosPhi1;
+
+  const centralMeridian = (zone - 1) * 6 - 180 + 3;
+  return [toDegrees(latitude), centralMeridian + toDegrees(longitude)];
+}
+
+/**
+ * Decimal pairs and degrees/minutes/seconds, e.g. "35.4393, -82.2465",
+ * "35.4393N 82.2465W" or `35°26'21"N 82°14'47"W`. Without hemisphere letters the
+ * first value is the latitude.
+ */
+export function parseDegrees(text) {
+  const normalized = text.trim().toUpperCase()
+    .replace(/[º˚]/g, '°')
+    .replace(/[′’]/g, "'")
+    .replace(/[″”]|''/g, '"');
+
+  const component = String.raw`([NSEW])?\s*([+-])?\s*(\d+(?:\.\d+)?)\s*(?:°\s*(?:(\d+(?:\.\d+)?)\s*'\s*)?(?:(\d+(?:\.\d+)?)\s*"\s*)?)?([NSEW])?`;
+  // Values must be separated by a comma, whitespace or a symbol, so "12345" isn't split into a pair
+  const separator = String.raw`(?:\s*[,;]\s*|\s+|(?<=[NSEW°'"]))`;
+  const match = new RegExp(`^${component}${separator}${component}$`).exec(normalized);
+  if (!match) return null;
+
+  const readComponent = ([prefix, sign, degrees, minutes, seconds, suffix]) => {
+    if (prefix && suffix) return null;
+    const hemisphere = prefix || suffix || null;
+    if (hemisphere && sign === '-') return null;
+    if ((minutes !== undefined || seconds !== undefined) && !Number.isInteger(Number(degrees))) return null;
+    if (Number(minutes ?? 0) >= 60 || Number(seconds ?? 0) >= 60) return null;
+
+    const value = Number(degrees) + Number(minutes ?? 0) / 60 + Number(seconds ?? 0) / 3600;
+    const negative = sign === '-' || hemisphere === 'S' || hemisphere === 'W';
+    return { value: negative ? -value : value, hemisphere };
+  };
+
+  const groups = match.slice(1);
+  // In "S33.8 E151.2" the regex hands E to the first value; a letter between the values
+  // belongs to the second one when the first already has a leading letter
+  if (groups[0] && groups[5] && !groups[6]) [groups[5], groups[6]] = [undefined, groups[5]];
+
+  const first = readComponent(groups.slice(0, 6));
+  const second = readComponent(groups.slice(6, 12));
+  if (!first || !second) return null;
+
+  const isLatitudeAxis = (c) => (c.hemisphere ? 'NS'.includes(c.hemisphere) : null);
+  const [firstAxis, secondAxis] = [isLatitudeAxis(first), isLatitudeAxis(second)];
+  if (firstAxis !== null && firstAxis === secondAxis) return null;
+
+  const swap = firstAxis === false || secondAxis === true;
+  const [lat, lon] = swap ? [second, first] : [first, second];
+  return result(lat.value, lon.value, /[°'"]/.test(normalized) ? 'dms' : 'decimal');
+}
+
+/**
+ * UTM with a latitude band letter, as in MGRS: "17S 398765 3921234" (bands N-X are
+ * northern, so "S" here is a band, not the southern hemisphere).
+ */
+export function parseUTM(text) {
+  const match = /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*(?:ME)?\s*[,\s]\s*(\d+(?:\.\d+)?)\s*(?:MN)?$/.exec(text.trim().toUpperCase());
+  if (!match) return null;
+
+  const zone = Number(match[1]);
+  const easting = Number(match[3]);
+  const northing = Number(match[4]);
+  if (zone < 1 || zone > 60 || easting < 100000 || easting > 900000 || northing > FALSE_NORTHING_SOUTH) return null;
+
+  const [latitude, longitude] = utmToLatLon(zone, match[2] >= 'N', easting, northing);
+  return result(latitude, longitude, 'utm');
+}
+
+/**
+ * MGRS references with 1 to 5 digits of precision, e.g. "17SLT1234567890" or
+ * "17S LT 12345 67890". The point returned is the centre of the referenced square.
+ */
+export function parseMGRS(text) {
+  const match = /^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d*)\s*(\d*)$/.exec(text.trim().toUpperCase());
+  if (!match) return null;
+
+  const zone = Number(match[1]);
+  const band = match[2];
+  const digits = match[5] + match[6];
+  if (match[6] && match[5].length !== match[6].length) return null;
+  if (zone < 1 || zone > 60 || digits.length % 2 !== 0 || digits.length > 10) return null;
+
+  const column = COLUMN_LETTER_SETS[(zone - 1) % 3].indexOf(match[3]);
+  const rowOffset = zone % 2 === 0 ? 5 : 0; // Even zones start their row letters at F
+  const row = (ROW_LETTERS.indexOf(match[4]) - rowOffset + ROW_LETTERS.length) % ROW_LETTERS.length;
+  if (column < 0) return null;
+
+  const precision = digits.length / 2;
+  const squareSize = 10 ** (5 - precision);
+  const offsetEast = precision ? Number(digits.slice(0, precision)) * squareSize : 0;
+  const offsetNorth = precision ? Number(digits.slice(precision)) * squareSize : 0;
+
+  const easting = (column + 1) * 100000 + offsetEast + squareSize / 2;
+  let northing = row * 100000 + offsetNorth + squareSize / 2;
+
+  // Row letters repeat every 2000 km; move up cycles until the northing reaches the band
+  const isNorthern = band >= 'N';
+  const bandSouthEdge = -80 + LATITUDE_BANDS.indexOf(band) * 8;
+  const bandMinNorthing = K0 * meridionalArc(toRadians(bandSouthEdge)) + (isNorthern ? 0 : FALSE_NORTHING_SOUTH);
+  // Off the central meridian a band edge lies up to ~100 km from its central value
+  while (northing < bandMinNorthing - 100000) northing += 2000000;
+
+  const [latitude, longitude] = utmToLatLon(zone, isNorthern, easting, northing);
+  return result(latitude, longitude, 'mgrs');
+}
+
+/**
+ * Tries every supported coordinate format in turn.
+ * @returns {{latitude: number, longitude: number, format: string}|null}
+ */
+export function parseCoordinates(text) {
+  if (!text || !text.trim()) return null;
+  return parseMGRS(text) || parseUTM(text) || parseDegrees(text);
+}
+
+/**
+ * Brings a longitude from a map that has been panned around the globe back into [-180, 180].
+ */
+export function wrapLongitude(longitude) {
+  if (longitude > 180) {
+    const wrapped = longitude % 360;
+    return wrapped > 180 ? wrapped - 360 : wrapped;
+  }
+  if (longitude < -180) {
+    const wrapped = longitude % 360;
+    return wrapped < -180 ? wrapped + 360 : wrapped;
+  }
+  return longitude;
+}
@@ -0,0 +1,88 @@
+import { parseCoordinates, parseDegrees, parseMGRS, parseUTM, utmToLatLon, wrapLongitude } from './coordinates';
+
+// Reference UTM/MGRS values come from an independent forward projection (Krüger series)
+const expectLocation = (parsed, latitude, longitude, format, digits = 4) => {
+  expect(parsed).not.toBeNull();
+  expect(parsed.latitude).toBeCloseTo(latitude, digits);
+  expect(parsed.longitude).toBeCloseTo(longitude, digits);
+  expect(parsed.format).toBe(format);
+};
+
+test('parses decimal pairs in either separator style', () => {
+  expectLocation(parseDegrees('35.4393, -82.2465'), 35.4393, -82.2465, 'decimal');
+  expectLocation(parseDegrees('35.4393 -82.2465'), 35.4393, -82.2465, 'decimal');
+  expectLocation(parseDegrees('-33.8568;151.2153'), -33.8568, 151.2153, 'decimal');
+});
+
+test('uses hemisphere letters for sign and axis order', () => {
+  expectLocation(parseDegrees('35.4393N 82.2465W'), 35.4393, -82.2465, 'decimal');
+  expectLocation(parseDegrees('82.2465 W, 35.4393 N'), 35.4393, -82.2465, 'decimal');
+  expectLocation(parseDegrees('S33.8568 E151.2153'), -33.8568, 151.2153, 'decimal');
+});
+
+test('parses degrees, minutes and seconds', () => {
+  expectLocation(parseDegrees(`35°26'21"N 82°14'47"W`), 35 + 26 / 60 + 21 / 3600, -(82 + 14 / 60 + 47 / 3600), 'dms');
+  expectLocation(parseDegrees('35° 26′ 21″ N, 82° 14′ 47″ W'), 35.439167, -82.246389, 'dms');
+  expectLocation(parseDegrees(`W82°14.78' N35°26.35'`), 35.439167, -82.246333, 'dms');
+  expectLocation(parseDegrees('-33°51\'24.5" 151°12\'55"'), -(33 + 51 / 60 + 24.5 / 3600), 151 + 12 / 60 + 55 / 3600, 'dms');
+});
+
+test('rejects malformed or out-of-range degrees', () => {
+  expect(parseDegrees('12345')).toBeNull();
+  expect(parseDegrees('95, 10')).toBeNull();
+  expect(parseDegrees('10, 190')).toBeNull();
+  expect(parseDegrees('35N 82N')).toBeNull();
+  expect(parseDegrees(`35°61'N 82°W`)).toBeNull();
+  expect(parseDegrees('-35N 82W')).toBeNull();
+  expect(parseDegrees('Asheville, NC')).toBeNull();
+});
+
+test('converts UTM coordinates in both hemispheres', () => {
+  expectLocation(parseUTM('17S 386863.12 3922475.20'), 35.4393, -82.2465, 'utm', 6);
+  expectLocation(parseUTM('56H 334900.57mE 6252288.75mN'), -33.8568, 151.2153, 'utm', 6);
+  expectLocation(parseUTM('27W 454138, 7113690'), 64.1466, -21.9426, 'utm');
+  expect(parseUTM('17S 50 3922475')).toBeNull();
+  expect(parseUTM('61S 386863 3922475')).toBeNull();
+});
+
+test('converts the UTM origin of a zone to its central meridian on the equator', () => {
+  const [latitude, longitude] = utmToLatLon(31, true, 500000, 0);
+  expect(latitude).toBeCloseTo(0, 9);
+  expect(longitude).toBeCloseTo(3, 9);
+});
+
+test('converts MGRS references at every precision', () => {
+  expectLocation(parseMGRS('17SLV8686322475'), 35.4393, -82.2465, 'mgrs');
+  expectLocation(parseMGRS('17S LV 86863 22475'), 35.4393, -82.2465, 'mgrs');
+  expectLocation(parseMGRS('56HLH3490052288'), -33.8568, 151.2153, 'mgrs');
+  expectLocation(parseMGRS('27WVM5413813689'), 64.1466, -21.9426, 'mgrs');
+  expectLocation(parseMGRS('19FEV4480527029'), -54.8019, -68.303, 'mgrs');
+  expectLocation(parseMGRS('32NKF2173455318'), 0.5, 6.5, 'mgrs');
+  // Lower precision points at the centre of the square, so it lands within half a square
+  expectLocation(parseMGRS('17SLV8622'), 35.4393, -82.2465, 'mgrs', 2);
+});
+
+test('rejects malformed MGRS references', () => {
+  expect(parseMGRS('17SLV123')).toBeNull();
+  expect(parseMGRS('17SLV 123 4567')).toBeNull();
+  expect(parseMGRS('17SAV1234')).toBeNull(); // Column A is not used in zone 17
+  expect(parseMGRS('17SLW1234')).toBeNull(); // Row letters stop at V
+});
+
+test('tries each format and leaves place names to the geocoder', () => {
+  expect(parseCoordinates('17SLV8686322475').format).toBe('mgrs');
+  expect(parseCoordinates('17S 386863 3922475').format).toBe('utm');
+  expect(parseCoordinates('35.4393, -82.2465').format).toBe('decimal');
+  expect(parseCoordinates('Asheville')).toBeNull();
+  expect(parseCoordinates('  ')).toBeNull();
+});
+
+test('wraps longitudes from a map panned around the globe', () => {
+  expect(wrapLongitude(-82.2465)).toBe(-82.2465);
+  expect(wrapLongitude(180)).toBe(180);
+  expect(wrapLongitude(-180)).toBe(-180);
+  expect(wrapLongitude(277.7535)).toBeCloseTo(-82.2465);
+  expect(wrapLongitude(-442.2465)).toBeCloseTo(-82.2465);
+  expect(wrapLongitude(540)).toBe(180);
+  expect(wrapLongitude(-900)).toBe(-180);
+});
@@ -0,0 +1,117 @@
+// --- User-defined indices: validation, registration next to the built-ins, and storage ---
+// A custom index is { id, name, expression, range: [min, max], interpretation, changeDirection }.
+// Registering one makes getSpectralIndex and getComputation find it next to the frozen built-ins,
+// so it is offered wherever a built-in index is (computations, batch runs, time series) on
+// every sensor with its bands.
+// Index overlays are drawn by the server, which only knows the built-in formulas.
+
+import { SPECTRAL_INDICES, setCustomSpectralIndices } from './spectralIndices';
+import { COMPUTATIONS, CUSTOM_CATEGORY, setCustomComputations } from './computationEngine';
+import { compileFormula } from './formula';
+import { INDEX_BANDS } from './sensors';
+
+// Kept in localStorage rather than IndexedDB: the list is small and has to be registered
+// synchronously, before a permalink naming a custom index is restored
+const STORAGE_KEY = 'geo-compare-custom-indices';
+
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,15}$/;
+
+export const EMPTY_CUSTOM_INDEX = {
+  id: '',
+  name: '',
+  expression: '',
+  range: [-1, 1],
+  interpretation: '',
+  changeDirection: 'increase',
+};
+
+export const customIndexLabel = ({ id, name }) => `${name} (${id})`;
+
+// Ids of the built-in indices and computations, which a custom index may not shadow
+const builtInIds = () => new Set([
+  ...Object.keys(SPECTRAL_INDICES),
+  ...Object.values(COMPUTATIONS).map(c => c.key),
+].map(id => id.toLowerCase()));
+
+/**
+ * Checks a custom index definition.
+ *
+ * @returns {{errors: Object<string, string>, bands: string[]}} `errors` is keyed by field
+ *   (id, name, expression, range) and empty when the definition is valid; `bands` are the
+ *   bands the expression reads.
+ */
+export function validateCustomIndex(definition) {
+  const errors = {};
+  let bands = [];
+
+  const id = definition.id?.trim() || '';
+  if (!ID_PATTERN.test(id)) errors.id = 'Use 1-16 letters, digits or underscores, starting with a letter.';
+  else if (builtInIds().has(id.toLowerCase())) errors.id = `${id} is a built-in index.`;
+
+  if (!definition.name?.trim()) errors.name = 'Give the index a name.';
+
+  try {
+    bands = compileFormula(definition.expression, INDEX_BANDS).bands;
+  } catch (error) {
+    errors.expression = error.message;
+  }
+
+  const [min, max] = definition.range || [];
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) errors.range = 'The range needs a minimum below its maximum.';
+
+  return { errors, bands };
+}
+
+/**
+ * Replaces the registered custom indices with `definitions` (invalid ones are skipped).
+ * Returns the definitions, so it can feed a state update directly.
+ */
+export function registerCustomIndices(definitions) {
+  const indices = {};
+  const computations = {};
+  definitions.forEach(definition => {
+    if (Object.keys(validateCustomIndex(definition).errors).length > 0) return;
+    const id = definition.id.trim();
+    indices[id] = {
+      name: definition.name.trim(),
+      range: definition.range,
+      expression: definition.expression,
+      custom: true,
+      ...compileFormula(definition.expression, INDEX_BANDS),
+    };
+    computations[customIndexLabel({ id, name: definition.name.trim() })] = {
+      key: id,
+      index: id,
+      category: CUSTOM_CATEGORY,
+      description: definition.expression,
+      interpretation: definition.interpretation?.trim() || undefined,
+      changeDirection: definition.changeDirection,
+      custom: true,
+    };
+  });
+  setCustomSpectralIndices(indices);
+  setCustomComputations(computations);
+  return definitions;
+}
+
+const browserStorage = () => (typeof window !== 'undefined' ? window.localStorage : undefined);
+
+/**
+ * Custom indices saved in this browser; empty when storage is unavailable or unreadable.
+ */
+export function loadCustomIndices(storage = browserStorage()) {
+  try {
+    const definitions = JSON.parse(storage?.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(definitions) ? definitions.filter(d => Object.keys(validateCustomIndex(d).errors).length === 0) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Saves the custom indices in this browser. Throws when storage is unavailable or full.
+ */
+export function saveCustomIndices(definitions, storage = browserStorage()) {
+  if (!storage) throw new Error('Custom indices need a browser with local storage.');
+  storage.setItem(STORAGE_KEY, JSON.stringify(definitions));
+}
@@ -0,0 +1,69 @@
+import { customIndexLabel, loadCustomIndices, registerCustomIndices, saveCustomIndices, validateCustomIndex } from './customIndices';
+import { COMPUTATIONS, computationCategoriesFor, getComputation } from './computationEngine';
+import { SPECTRAL_INDICES, computeIndexRaster, getSpectralIndex } from './spectralIndices';
+import { supportedIndices } from './sensors';
+
+const SAVI = {
+  id: 'SAVI',
+  name: 'Soil Adjusted Vegetation Index',
+  expression: '(B08 - B04) / (B08 + B04 + 0.5) * 1.5',
+  range: [-1, 1],
+  interpretation: 'Vegetation on bright soils',
+  changeDirection: 'increase',
+};
+
+const fakeStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = value; },
+  };
+};
+
+afterEach(() => registerCustomIndices([]));
+
+test('validates the id, name, expression and range', () => {
+  expect(validateCustomIndex(SAVI)).toEqual({ errors: {}, bands: ['B04', 'B08'] });
+  const { errors } = validateCustomIndex({ ...SAVI, id: 'ndvi', name: ' ', expression: 'B08 +', range: [1, 0] });
+  expect(Object.keys(errors).sort()).toEqual(['expression', 'id', 'name', 'range']);
+  expect(errors.id).toMatch(/built-in/);
+  expect(validateCustomIndex({ ...SAVI, id: '9lives' }).errors.id).toMatch(/starting with a letter/);
+});
+
+test('registers custom indices next to the built-ins and replaces them on re-registration', () => {
+  registerCustomIndices([SAVI, { ...SAVI, id: 'BAD', expression: 'B99' }]);
+  const label = customIndexLabel(SAVI);
+  expect(getComputation(label)).toMatchObject({ key: 'SAVI', index: 'SAVI', category: 'Custom Indices', custom: true });
+  expect(getSpectralIndex('BAD')).toBeUndefined();
+  expect(supportedIndices('landsat')).toContain('SAVI');
+  expect(supportedIndices('sentinel-1')).not.toContain('SAVI');
+  expect(computationCategoriesFor('sentinel-2')['Custom Indices']).toEqual([label]);
+  expect(computationCategoriesFor('sentinel-1')['Custom Indices']).toBeUndefined();
+
+  const values = computeIndexRaster('SAVI', { B08: [0.5, NaN], B04: [0.1, 0.1] });
+  expect(values[0]).toBeCloseTo((0.4 / 1.1) * 1.5);
+  expect(values[1]).toBeNaN();
+
+  registerCustomIndices([]);
+  expect(getComputation(label)).toBeUndefined();
+  expect(getSpectralIndex('SAVI')).toBeUndefined();
+  expect(getSpectralIndex('NDVI')).toBe(SPECTRAL_INDICES.NDVI);
+});
+
+test('leaves the built-in registries untouched', () => {
+  registerCustomIndices([SAVI]);
+  expect(SPECTRAL_INDICES.SAVI).toBeUndefined();
+  expect(COMPUTATIONS[customIndexLabel(SAVI)]).toBeUndefined();
+  expect(Object.isFrozen(SPECTRAL_INDICES)).toBe(true);
+  expect(Object.isFrozen(COMPUTATIONS)).toBe(true);
+});
+
+test('saves and loads custom indices, ignoring unreadable entries', () => {
+  const storage = fakeStorage();
+  expect(loadCustomIndices(storage)).toEqual([]);
+  saveCustomIndices([SAVI, { ...SAVI, id: '' }], storage);
+  expect(loadCustomIndices(storage)).toEqual([SAVI]);
+  storage.setItem('geo-compare-custom-indices', '{not json');
+  expect(loadCustomIndices(storage)).toEqual([]);
+  expect(() => saveCustomIndices([SAVI], null)).toThrow(/local storage/);
+});
@@ -0,0 +1,23 @@
+/**
+ * Triggers a browser download of in-memory content.
+ * Falls back to logging the content when the download attribute is unsupported.
+ */
+export function downloadFile(content, filename, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+
+  const link = document.createElement('a');
+  if (link.download !== undefined) { // Feature detection for download attribute
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden'; // Hide the link
+    document.body.appendChild(link); // Append to DOM for click
+    link.click(); // Programmatically click the link to trigger download
+    document.body.removeChild(link); // Clean up
+    URL.revokeObjectURL(url); // Release the object URL
+  } else {
+    // Fallback for browsers that don't support the download attribute
+    alert("Your browser does not support downloading files directly. Please copy the content manually.");
+    console.log(content);
+  }
+}
@@ -0,0 +1,159 @@
+// --- Guided disaster response: event presets and the impact summary of their results ---
+// A preset says how to pick the pre- and post-event scenes around an event date, which
+// composite to display, which computations to run, and how to classify one computed result
+// into impact classes. New event types only need an entry in EVENT_PRESETS.
+
+import { rowPixelAreasHa } from './changeDetection';
+
+// `preEventDays`/`postEventDays` - how far before and after the event a scene is searched for
+// `ranking`     - key of RANKING_STRATEGIES (sceneSelection.js)
+// `composite`   - key of COMPOSITE_PRESETS (composites.js)
+// `computations` - keys of COMPUTATIONS (computationEngine.js)
+// `impact`      - the result classified per pixel: by its difference ('difference', classes
+//                 over [min, max)) or by water before and after ('water', index above
+//                 `threshold`). Pixels of `affected` classes count towards the affected share.
+export const EVENT_PRESETS = {
+  wildfire: {
+    name: 'Wildfire',
+    description: 'Burn severity from the change in burn ratio, on a SWIR composite where burn scars stand out.',
+    preEventDays: 30,
+    postEventDays: 30,
+    ranking: 'least-cloudy',
+    composite: 'swir',
+    computations: ['dNBR', 'NDVI'],
+    impact: {
+      resultKey: 'dNBR',
+      rule: 'difference',
+      // USGS burn severity classes of dNBR (Key & Benson, 2006)
+      classes: [
+        { label: 'Enhanced regrowth', max: -0.1, color: '#1a9850' },
+        { label: 'Unburned', min: -0.1, max: 0.1, color: '#d9ef8b' },
+        { label: 'Low severity', min: 0.1, max: 0.27, color: '#fee08b', affected: true },
+        { label: 'Moderate-low severity', min: 0.27, max: 0.44, color: '#fdae61', affected: true },
+        { label: 'Moderate-high severity', min: 0.44, max: 0.66, color: '#f46d43', affected: true },
+        { label: 'High severity', min: 0.66, color: '#a50026', affected: true },
+      ],
+    },
+  },
+  flood: {
+    name: 'Flood',
+    description: 'Flood extent from water detected after the event but not before, on a colour infrared composite where water is dark.',
+    preEventDays: 30,
+    postEventDays: 10,
+    ranking: 'closest',
+    composite: 'colorInfrared',
+    computations: ['NDFI', 'MNDWI'],
+    impact: {
+      resultKey: 'MNDWI',
+      rule: 'water',
+      threshold: 0,
+      classes: [
+        { label: 'Flooded', before: false, after: true, color: '#08519c', affected: true },
+        { label: 'Permanent water', before: true, after: true, color: '#6baed6' },
+        { label: 'Water receded', before: true, after: false, color: '#c6dbef' },
+        { label: 'Dry land', before: false, after: false, color: '#f0f0f0' },
+      ],
+    },
+  },
+  landslide: {
+    name: 'Landslide',
+    description: 'Scars from the loss of vegetation cover, on a SWIR composite where bare soil stands out.',
+    preEventDays: 45,
+    postEventDays: 30,
+    ranking: 'least-cloudy',
+    composite: 'swir',
+    computations: ['NDVI', 'NDMI'],
+    impact: {
+      resultKey: 'NDVI',
+      rule: 'difference',
+      classes: [
+        { label: 'Severe vegetation loss', max: -0.3, color: '#8c510a', affected: true },
+        { label: 'Moderate vegetation loss', min: -0.3, max: -0.15, color: '#d8b365', affected: true },
+        { label: 'Little change', min: -0.15, max: 0.15, color: '#f5f5f5' },
+        { label: 'Vegetation gain', min: 0.15, color: '#5ab4ac' },
+      ],
+    },
+  },
+  hurricane: {
+    name: 'Hurricane',
+    description: 'Vegetation damage from the drop in NDVI, with flood indices, on a colour infrared composite.',
+    preEventDays: 30,
+    postEventDays: 20,
+    ranking: 'weighted',
+    composite: 'colorInfrared',
+    computations: ['NDVI', 'MNDWI', 'NDFI'],
+    impact: {
+      resultKey: 'NDVI',
+      rule: 'difference',
+      classes: [
+        { label: 'Severe vegetation damage', max: -0.25, color: '#7f0000', affected: true },
+        { label: 'Moderate vegetation damage', min: -0.25, max: -0.1, color: '#ef6548', affected: true },
+        { label: 'Little change', min: -0.1, max: 0.1, color: '#f5f5f5' },
+        { label: 'Vegetation gain', min: 0.1, color: '#41ab5d' },
+      ],
+    },
+  },
+};
+
+const addDays = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+};
+
+/**
+ * Search inputs finding a scene in the `preEventDays` before an event date (YYYY-MM-DD) and
+ * one in the `postEventDays` after it. Each date is the middle of its window, which ends
+ * (or starts) the day before (or after) the event.
+ */
+export function eventSearchInputs(preset, eventDate) {
+  const window1 = Math.ceil(preset.preEventDays / 2);
+  const window2 = Math.ceil(preset.postEventDays / 2);
+  return {
+    date1: addDays(eventDate, -(window1 + 1)),
+    date2: addDays(eventDate, window2 + 1),
+    window1: String(window1),
+    window2: String(window2),
+    ranking: preset.ranking,
+  };
+}
+
+// Index of the impact class of one pixel, -1 when it has no valid value
+function classOfPixel(impact, raster, i) {
+  if (impact.rule === 'water') {
+    const [before, after] = [raster.date1[i], raster.date2[i]];
+    if (!Number.isFinite(before) || !Number.isFinite(after)) return -1;
+    return impact.classes.findIndex(c => c.before === (before > impact.threshold) && c.after === (after > impact.threshold));
+  }
+  const value = raster.difference[i];
+  if (!Number.isFinite(value)) return -1;
+  return impact.classes.findIndex(c => (c.min === undefined || value >= c.min) && (c.max === undefined || value < c.max));
+}
+
+/**
+ * Area per impact class of a computed result (see runComputations), and the share of the
+ * area with valid pixels that falls in affected classes. Null when the result has no raster.
+ *
+ * @returns {?{classes: {label: string, color: string, affected: boolean, pixels: number, areaHa: number, percent: ?number}[],
+ *   validHa: number, affectedHa: number, affectedPercent: ?number}}
+ */
+export function summarizeImpact(result, impact) {
+  const raster = result?.raster;
+  if (!raster) return null;
+  const rowAreas = rowPixelAreasHa(raster.bbox, raster.width, raster.height);
+  const classes = impact.classes.map(({ label, color, affected = false }) => ({ label, color, affected, pixels: 0, areaHa: 0 }));
+
+  let validHa = 0;
+  for (let i = 0; i < raster.width * raster.height; i++) {
+    const index = classOfPixel(impact, raster, i);
+    if (index < 0) continue;
+    const areaHa = rowAreas[Math.floor(i / raster.width)];
+    classes[index].pixels++;
+    classes[index].areaHa += areaHa;
+    validHa += areaHa;
+  }
+
+  const affectedHa = classes.filter(c => c.affected).reduce((sum, c) => sum + c.areaHa, 0);
+  classes.forEach(c => { c.percent = validHa ? (100 * c.areaHa) / validHa : null; });
+  return { classes, validHa, affectedHa, affectedPercent: validHa ? (100 * affectedHa) / validHa : null };
+}
@@ -0,0 +1,55 @@
+import { COMPUTATIONS } from './computationEngine';
+import { COMPOSITE_PRESETS } from './composites';
+import { RANKING_STRATEGIES } from './sceneSelection';
+import { EVENT_PRESETS, eventSearchInputs, summarizeImpact } from './eventPresets';
+
+const computationKeys = Object.values(COMPUTATIONS).map(({ key }) => key);
+
+// A 2x2 raster over a small box, row 0 along the northern edge
+const raster = (values) => ({ width: 2, height: 2, bbox: [-82.25, 35.44, -82.24, 35.45], ...values });
+
+test('presets refer to existing computations, composites and rankings', () => {
+  Object.values(EVENT_PRESETS).forEach(preset => {
+    preset.computations.forEach(key => expect(computationKeys).toContain(key));
+    expect(preset.computations).toContain(preset.impact.resultKey);
+    expect(COMPOSITE_PRESETS).toHaveProperty(preset.composite);
+    expect(RANKING_STRATEGIES).toHaveProperty(preset.ranking);
+  });
+});
+
+test('searches the windows just before and just after the event', () => {
+  expect(eventSearchInputs(EVENT_PRESETS.wildfire, '2024-10-01')).toEqual({
+    date1: '2024-09-15', date2: '2024-10-17', window1: '15', window2: '15', ranking: 'least-cloudy',
+  });
+  // Pre-event window: 2024-02-18 to 2024-02-28; post-event: 2024-03-01 to 2024-03-11
+  expect(eventSearchInputs({ ...EVENT_PRESETS.flood, preEventDays: 9 }, '2024-02-29')).toMatchObject({
+    date1: '2024-02-23', date2: '2024-03-06', window1: '5', window2: '5',
+  });
+});
+
+test('classifies burn severity and the affected share of the area', () => {
+  const summary = summarizeImpact(
+    { raster: raster({ difference: [0.05, 0.3, 0.8, NaN] }) },
+    EVENT_PRESETS.wildfire.impact
+  );
+  const pixelsByClass = Object.fromEntries(summary.classes.map(c => [c.label, c.pixels]));
+  expect(pixelsByClass).toMatchObject({ Unburned: 1, 'Moderate-low severity': 1, 'High severity': 1, 'Low severity': 0 });
+  expect(summary.affectedPercent).toBeCloseTo(66.67, 1);
+  expect(summary.affectedHa).toBeCloseTo(summary.validHa * (2 / 3), 1);
+  expect(summary.classes.reduce((sum, c) => sum + c.percent, 0)).toBeCloseTo(100);
+});
+
+test('classifies flooding from water before and after the event', () => {
+  const summary = summarizeImpact(
+    { raster: raster({ date1: [-0.3, 0.2, 0.4, -0.1], date2: [0.3, 0.4, -0.2, null] }) },
+    EVENT_PRESETS.flood.impact
+  );
+  expect(summary.classes.map(c => c.pixels)).toEqual([1, 1, 1, 0]);
+  expect(summary.classes[0]).toMatchObject({ label: 'Flooded', affected: true });
+  expect(summary.affectedPercent).toBeCloseTo(33.3, 0);
+});
+
+test('has no summary without a raster', () => {
+  expect(summarizeImpact({ label: 'dNBR', date1: {} }, EVENT_PRESETS.wildfire.impact)).toBeNull();
+  expect(summarizeImpact(undefined, EVENT_PRESETS.wildfire.impact)).toBeNull();
+});
@@ -0,0 +1,324 @@
+// --- Builders for every analysis export format: CSV, GeoJSON, GeoTIFF and the printable report ---
+// Each builder takes an `analysis` object:
+//   { inputs: { latitude, longitude, date1, date2, cloudCover, sensor, aoiVertices },
+//     image1Info, image2Info, results, annotations }
+// and returns the file content; downloading is left to the caller.
+
+import { areaKm2, verticesToGeoJSON } from './aoi';
+import { annotationFeatures } from './annotations';
+import { apiClient } from './apiClient';
+import { encodeGeoTIFF } from './geotiff';
+import { DEFAULT_SENSOR, SENSORS } from './sensors';
+import { getSpectralIndex } from './spectralIndices';
+import { stepDate } from './timeSeries';
+
+const STATS = ['mean', 'median', 'min', 'max'];
+
+/**
+ * Quotes a CSV cell, doubling embedded quotes. Missing values become an empty cell.
+ */
+export const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+const acquiredDate = (imageInfo) => (imageInfo?.dateAcquired ? imageInfo.dateAcquired.slice(0, 10) : 'N/A');
+const formatValue = (value, digits = 4) => (value === null || value === undefined ? 'N/A' : value.toFixed(digits));
+
+/**
+ * File name stem shared by every export of the same analysis.
+ */
+export function exportBaseName({ inputs }) {
+  return `geo_compare_${inputs.latitude}_${inputs.longitude}_${inputs.date1}_${inputs.date2}`;
+}
+
+/**
+ * Units column for a result: the index's unit (most are unitless) and its expected range.
+ */
+export function resultUnits(result) {
+  const index = getSpectralIndex(result.index);
+  const unit = index?.unit || 'unitless';
+  return index?.range ? `${unit} (${index.range[0]} to ${index.range[1]})` : unit;
+}
+
+const RESULTS_CSV_HEADERS = [
+  'Latitude',
+  'Longitude',
+  'AOI Area (km²)',
+  'AOI (GeoJSON)',
+  'Image Date 1 (Input)',
+  'Image Date 2 (Input)',
+  'Max Cloud Cover (Input)',
+  'Image 1 Acquired Date',
+  'Image 2 Acquired Date',
+  'Computation',
+  ...['Date 1', 'Date 2', 'Difference'].flatMap(prefix => STATS.map(stat => `${prefix} ${stat[0].toUpperCase()}${stat.slice(1)}`)),
+  'Date 1 Valid Pixels (%)',
+  'Date 2 Valid Pixels (%)',
+  'Note',
+];
+
+const toCSV = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+
+// Rows of one analysis under RESULTS_CSV_HEADERS, with a placeholder when nothing was computed
+function resultsCSVRows({ inputs, image1Info, image2Info, results }) {
+  const common = [
+    inputs.latitude,
+    inputs.longitude,
+    inputs.aoiVertices ? areaKm2(inputs.aoiVertices).toFixed(4) : 'N/A',
+    inputs.aoiVertices ? JSON.stringify(verticesToGeoJSON(inputs.aoiVertices)) : 'N/A',
+    inputs.date1,
+    inputs.date2,
+    `${inputs.cloudCover}%`,
+    acquiredDate(image1Info),
+    acquiredDate(image2Info),
+  ];
+
+  const rows = Object.entries(results || {}).map(([key, result]) => {
+    // Unsupported computations leave the statistics empty and explain why in the note
+    const statValues = result.unsupported
+      ? Array(12).fill('')
+      : [result.date1, result.date2, result.difference].flatMap(stats => STATS.map(stat => stats[stat] ?? 'N/A'));
+    // Valid-pixel percentages are only known when cloud masking was applied
+    const coverage = [result.coverage?.date1, result.coverage?.date2].map(c => (c?.validPercent != null ? c.validPercent.toFixed(1) : ''));
+    const note = result.unsupported || `Difference is ${result.differenceOrder}`;
+    return [...common, key, ...statValues, ...coverage, note];
+  });
+
+  if (rows.length === 0) {
+    rows.push([...common, 'No Computations Selected', ...Array(12).fill('N/A'), '', '', '']);
+  }
+  return rows;
+}
+
+export function buildResultsCSV(analysis) {
+  return toCSV([RESULTS_CSV_HEADERS, ...resultsCSVRows(analysis)]);
+}
+
+/**
+ * CSV of a multi-site batch: the single-analysis columns prefixed with the site name and
+ * its run status. Sites without an analysis (failed or not run yet) get one row whose
+ * note gives the reason.
+ *
+ * @param {{site: Object, state: {status: string, analysis?: Object, error?: string}}[]} entries
+ */
+export function buildBatchResultsCSV(entries) {
+  const rows = entries.flatMap(({ site, state }) => {
+    if (state.analysis) return resultsCSVRows(state.analysis).map(row => [site.name, state.status, ...row]);
+    const blanks = Array(RESULTS_CSV_HEADERS.length - 3).fill('');
+    return [[site.name, state.status, site.latitude, site.longitude, ...blanks, state.error || 'Not run']];
+  });
+  return toCSV([['Site', 'Status', ...RESULTS_CSV_HEADERS], ...rows]);
+}
+
+const TIME_SERIES_CSV_HEADERS = [
+  'Latitude', 'Longitude', 'Target Date', 'Acquired Date', 'Scene ID', 'Cloud Cover (%)', 'Usable',
+  'Index', 'Mean', 'Median', 'Min', 'Max', 'Valid Pixels',
+];
+
+/**
+ * CSV of a whole time series: one row per step and index, with the scene metadata and statistics.
+ */
+export function buildTimeSeriesCSV(steps, seriesResults, indexIds, inputs) {
+  const rows = steps.flatMap((step, i) => {
+    const stats = seriesResults?.[i];
+    const common = [
+      inputs.latitude,
+      inputs.longitude,
+      step.targetDate,
+      step.scene ? stepDate(step) : 'N/A',
+      step.scene?.id ?? 'N/A',
+      step.scene?.cloudCover ?? 'N/A',
+      step.scene ? (step.usable ? 'Yes' : 'No (cloudy)') : 'No (no acquisition)',
+    ];
+    return indexIds.map(indexId => {
+      const indexStats = stats?.[indexId];
+      const values = indexStats
+        ? STATS.map(stat => indexStats[stat] ?? 'N/A').concat(indexStats.validPixels)
+        : Array(5).fill('N/A');
+      return [...common, indexId, ...values];
+    });
+  });
+  return toCSV([TIME_SERIES_CSV_HEADERS, ...rows]);
+}
+
+/**
+ * FeatureCollection with one feature for the analysed area (the AOI polygon, or the
+ * point when there is none) carrying the inputs, scene metadata and result statistics,
+ * followed by the map annotations. The `layer` property of each feature names its layer.
+ */
+export function buildResultsGeoJSON({ inputs, image1Info, image2Info, results, annotations = [] }) {
+  const geometry = inputs.aoiVertices
+    ? verticesToGeoJSON(inputs.aoiVertices)
+    : { type: 'Point', coordinates: [parseFloat(inputs.longitude), parseFloat(inputs.latitude)] };
+
+  const sceneProperties = (imageInfo) => (imageInfo ? {
+    id: imageInfo.id ?? null,
+    dateAcquired: imageInfo.dateAcquired ?? null,
+    cloudCover: imageInfo.cloudCover ?? null,
+    tileId: imageInfo.tileId ?? null,
+  } : null);
+
+  const resultProperties = {};
+  Object.entries(results || {}).forEach(([key, result]) => {
+    resultProperties[key] = result.unsupported
+      ? { label: result.label, unsupported: result.unsupported }
+      : {
+          label: result.label,
+          index: result.index,
+          units: resultUnits(result),
+          interpretation: result.interpretation ?? null,
+          differenceOrder: result.differenceOrder,
+          date1: result.date1,
+          date2: result.date2,
+          difference: result.difference,
+          coverage: result.coverage ?? null,
+        };
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      geometry,
+      properties: {
+        layer: 'Analysis',
+        inputs: {
+          latitude: parseFloat(inputs.latitude),
+          longitude: parseFloat(inputs.longitude),
+          date1: inputs.date1,
+          date2: inputs.date2,
+          maxCloudCover: inputs.cloudCover,
+          sensor: inputs.sensor || DEFAULT_SENSOR,
+        },
+        aoiAreaKm2: inputs.aoiVertices ? areaKm2(inputs.aoiVertices) : null,
+        image1: sceneProperties(image1Info),
+        image2: sceneProperties(image2Info),
+        results: resultProperties,
+      },
+    }, ...annotationFeatures(annotations)],
+  };
+}
+
+/**
+ * Three-band Float32 GeoTIFF of one computed result: Date 1, Date 2 and their difference.
+ */
+export function buildResultGeoTIFF(result) {
+  if (!result?.raster) throw new Error('This result has no raster to export.');
+  const { width, height, bbox, date1, date2, difference } = result.raster;
+  return encodeGeoTIFF([date1, date2, difference], width, height, bbox);
+}
+
+const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const COMPOSITE_PARAMS = ['r', 'g', 'b', 'scale', 'offset', 'rescale'];
+
+/**
+ * URL of a snapshot of the analysed area, rendered by the tile server, or null when the scene
+ * can't be rendered. Scenes of sensors without a true-colour asset are shown on the map as a
+ * composite of their bands (built by the server, see build_image_info), which the snapshot
+ * renders too.
+ */
+export function snapshotUrl(imageInfo, bbox) {
+  if (imageInfo?.visualUrl) return apiClient.snapshotUrl({ visualUrl: imageInfo.visualUrl, bbox });
+  const [path, query = ''] = (imageInfo?.tileUrlTemplate ?? '').split('?');
+  if (!path.includes('/api/composite-tiles/')) return null;
+  const params = new URLSearchParams(query);
+  const composite = Object.fromEntries(COMPOSITE_PARAMS.filter(name => params.has(name)).map(name => [name, params.get(name)]));
+  return apiClient.snapshotUrl({ composite, bbox });
+}
+
+/**
+ * Self-contained HTML report meant to be opened in a new window and printed (or saved as PDF).
+ *
+ * @param {Object} analysis
+ * @param {number[]} bbox - Area shown in the map snapshots, [minLon, minLat, maxLon, maxLat].
+ */
+export function buildReportHTML(analysis, bbox) {
+  const { inputs, image1Info, image2Info, results } = analysis;
+
+  const sceneRow = (label, imageInfo) => `
+        <tr>
+          <td>${label}</td>
+          <td>${escapeHTML(acquiredDate(imageInfo))}</td>
+          <td>${escapeHTML(imageInfo?.id ?? 'N/A')}</td>
+          <td>${imageInfo?.cloudCover != null ? `${imageInfo.cloudCover.toFixed(1)}%` : 'N/A'}</td>
+          <td>${escapeHTML(imageInfo?.tileId ?? 'N/A')}</td>
+        </tr>`;
+
+  const snapshot = (label, imageInfo) => {
+    const url = snapshotUrl(imageInfo, bbox);
+    return `
+      <figure>
+        ${url ? `<img src="${escapeHTML(url)}" alt="${label} snapshot">` : '<div class="missing">No snapshot available for this scene</div>'}
+        <figcaption>${label} (${escapeHTML(acquiredDate(imageInfo))})</figcaption>
+      </figure>`;
+  };
+
+  const resultRows = Object.values(results || {}).map(result => (result.unsupported ? `
+        <tr>
+          <td>${escapeHTML(result.label)}</td>
+          <td colspan="5">Not computed: ${escapeHTML(result.unsupported)}</td>
+        </tr>` : `
+        <tr>
+          <td>${escapeHTML(result.label)}</td>
+          <td>${escapeHTML(resultUnits(result))}</td>
+          <td>${formatValue(result.date1.mean)}</td>
+          <td>${formatValue(result.date2.mean)}</td>
+          <td>${formatValue(result.difference.mean)} (${escapeHTML(result.differenceOrder)})</td>
+          <td>${escapeHTML(result.interpretation ?? '')}</td>
+        </tr>`)).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Geo Compare Report – ${escapeHTML(inputs.date1)} vs ${escapeHTML(inputs.date2)}</title>
+  <style>
+    body { font-family: 'Inter', Arial, sans-serif; color: #333; margin: 2rem; }
+    h1 { font-size: 1.5rem; }
+    h2 { font-size: 1.1rem; margin-top: 1.5rem; border-bottom: 1px solid #dee2e6; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { border: 1px solid #dee2e6; padding: 4px 6px; text-align: left; }
+    th { background: #f8f9fa; }
+    .snapshots { display: flex; gap: 1rem; }
+    figure { flex: 1; margin: 0; }
+    figure img { width: 100%; border: 1px solid #dee2e6; }
+    .missing { padding: 3rem 0; text-align: center; background: #e9e9e9; }
+    .print-button { margin-top: 1rem; }
+    @media print { .print-button { display: none; } }
+  </style>
+</head>
+<body>
+  <h1>Geo Compare Change Report</h1>
+  <p>Generated ${escapeHTML(new Date().toISOString().slice(0, 10))}</p>
+
+  <h2>Input Parameters</h2>
+  <table>
+    <tr><th>Location</th><td>${escapeHTML(inputs.latitude)}, ${escapeHTML(inputs.longitude)}</td></tr>
+    <tr><th>Area of Interest</th><td>${inputs.aoiVertices ? `Polygon, ${areaKm2(inputs.aoiVertices).toFixed(3)} km²` : '~1 km square around the location'}</td></tr>
+    <tr><th>Sensor</th><td>${escapeHTML((SENSORS[inputs.sensor] || SENSORS[DEFAULT_SENSOR]).name)}</td></tr>
+    <tr><th>Requested Dates</th><td>${escapeHTML(inputs.date1)} and ${escapeHTML(inputs.date2)}</td></tr>
+    <tr><th>Max Cloud Cover</th><td>${escapeHTML(inputs.cloudCover)}%</td></tr>
+  </table>
+
+  <h2>Acquisitions</h2>
+  <table>
+    <tr><th></th><th>Acquired</th><th>Scene</th><th>Cloud Cover</th><th>Tile</th></tr>${sceneRow('Image 1', image1Info)}${sceneRow('Image 2', image2Info)}
+  </table>
+
+  <h2>Map Snapshots</h2>
+  <div class="snapshots">${snapshot('Image 1', image1Info)}${snapshot('Image 2', image2Info)}
+  </div>
+
+  <h2>Index Results</h2>
+  <table>
+    <tr><th>Computation</th><th>Units</th><th>Image 1 Mean</th><th>Image 2 Mean</th><th>Difference Mean</th><th>Interpretation</th></tr>${resultRows || '\n    <tr><td colspan="6">No computations were run.</td></tr>'}
+  </table>
+
+  <button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+</body>
+</html>
+`;
+}
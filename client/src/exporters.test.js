@@ -0,0 +1,184 @@
+import {
+  buildBatchResultsCSV,
+  buildReportHTML,
+  buildResultGeoTIFF,
+  buildResultsCSV,
+  buildResultsGeoJSON,
+  buildTimeSeriesCSV,
+  csvCell,
+  exportBaseName,
+  snapshotUrl,
+} from './exporters';
+import { createAnnotation } from './annotations';
+
+const stats = (mean) => ({ mean, median: mean, min: mean, max: mean, validPixels: 4, totalPixels: 4 });
+
+const analysis = {
+  inputs: {
+    latitude: '34.05',
+    longitude: '-118.24',
+    date1: '2025-01-01',
+    date2: '2025-02-01',
+    cloudCover: 20,
+    aoiVertices: null,
+  },
+  image1Info: { id: 'S2A_1', dateAcquired: '2025-01-02T18:40:00Z', cloudCover: 3.2, tileId: '11SLT', visualUrl: 'https://example.com/a.tif' },
+  image2Info: { id: 'S2B_2', dateAcquired: '2025-02-03T18:40:00Z', cloudCover: 7.5, tileId: '11SLT' },
+  results: {
+    NDVI: {
+      label: 'NDVI (Normalized Difference Vegetation Index)',
+      index: 'NDVI',
+      interpretation: 'Higher values indicate denser vegetation',
+      date1: stats(0.6),
+      date2: stats(0.2),
+      difference: stats(-0.4),
+      differenceOrder: 'date2-date1',
+      raster: {
+        width: 2,
+        height: 1,
+        bbox: [0, 0, 2, 1],
+        date1: Float64Array.from([0.6, 0.6]),
+        date2: Float64Array.from([0.2, NaN]),
+        difference: Float64Array.from([-0.4, NaN]),
+      },
+    },
+    landCoverChange: { label: 'Land Cover Change', unsupported: 'Needs a "classified" land cover product' },
+  },
+};
+
+const parseCSVRow = (line) => line.slice(1, -1).split('","').map(cell => cell.replace(/""/g, '"'));
+
+test('quotes CSV cells and escapes embedded quotes', () => {
+  expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+  expect(csvCell(null)).toBe('""');
+});
+
+test('builds one CSV row per result with statistics and notes', () => {
+  const lines = buildResultsCSV(analysis).trim().split('\n');
+  expect(lines).toHaveLength(3);
+
+  const header = parseCSVRow(lines[0]);
+  const ndvi = parseCSVRow(lines[1]);
+  expect(ndvi).toHaveLength(header.length);
+  expect(ndvi[header.indexOf('Computation')]).toBe('NDVI');
+  expect(ndvi[header.indexOf('Image 1 Acquired Date')]).toBe('2025-01-02');
+  expect(ndvi[header.indexOf('Difference Mean')]).toBe('-0.4');
+
+  const unsupported = parseCSVRow(lines[2]);
+  expect(unsupported[header.indexOf('Date 1 Mean')]).toBe('');
+  expect(unsupported[header.indexOf('Note')]).toBe('Needs a "classified" land cover product');
+});
+
+test('exports a placeholder CSV row when nothing was computed', () => {
+  const lines = buildResultsCSV({ ...analysis, results: {} }).trim().split('\n');
+  expect(lines).toHaveLength(2);
+  expect(lines[1]).toContain('"No Computations Selected"');
+});
+
+test('builds one batch CSV with a site and status prefix per row', () => {
+  const lines = buildBatchResultsCSV([
+    { site: { name: 'North field' }, state: { status: 'done', analysis } },
+    { site: { name: 'Ridge', latitude: 35.5, longitude: -82.3 }, state: { status: 'failed', error: 'No images found' } },
+    { site: { name: 'Creek', latitude: 35.6, longitude: -82.4 }, state: { status: 'pending' } },
+  ]).trim().split('\n');
+  expect(lines).toHaveLength(5);
+
+  const header = parseCSVRow(lines[0]);
+  expect(header.slice(0, 3)).toEqual(['Site', 'Status', 'Latitude']);
+  const ndvi = parseCSVRow(lines[1]);
+  expect(ndvi[0]).toBe('North field');
+  expect(ndvi[header.indexOf('Difference Mean')]).toBe('-0.4');
+
+  const failed = parseCSVRow(lines[3]);
+  expect(failed).toHaveLength(header.length);
+  expect(failed.slice(0, 4)).toEqual(['Ridge', 'failed', '35.5', '-82.3']);
+  expect(failed[header.indexOf('Note')]).toBe('No images found');
+  expect(parseCSVRow(lines[4])[header.indexOf('Note')]).toBe('Not run');
+});
+
+test('builds a GeoJSON point feature without an AOI and a polygon with one', () => {
+  const point = buildResultsGeoJSON(analysis);
+  expect(point.type).toBe('FeatureCollection');
+  expect(point.features[0].geometry).toEqual({ type: 'Point', coordinates: [-118.24, 34.05] });
+
+  const { properties } = point.features[0];
+  expect(properties.image1.id).toBe('S2A_1');
+  expect(properties.results.NDVI.difference.mean).toBe(-0.4);
+  expect(properties.results.NDVI.units).toBe('unitless (-1 to 1)');
+  expect(properties.results.NDVI.raster).toBeUndefined();
+  expect(properties.results.landCoverChange.unsupported).toMatch(/land cover/);
+
+  const aoiVertices = [[0, 0], [0, 0.1], [0.1, 0.1]];
+  const polygon = buildResultsGeoJSON({ ...analysis, inputs: { ...analysis.inputs, aoiVertices } });
+  expect(polygon.features[0].geometry.type).toBe('Polygon');
+  expect(polygon.features[0].properties.aoiAreaKm2).toBeGreaterThan(0);
+});
+
+test('adds the annotations of the analysis as GeoJSON layers after the analysed area', () => {
+  const annotations = [
+    createAnnotation('pin', [[34.05, -118.24]]),
+    createAnnotation('outline', [[34.05, -118.24], [34.05, -118.23], [34.04, -118.23]], { image: 2 }),
+  ];
+  const { features } = buildResultsGeoJSON({ ...analysis, annotations });
+  expect(features.map(f => f.properties.layer)).toEqual(['Analysis', 'Pins', 'Damage outlines']);
+  expect(features[2].properties).toMatchObject({ label: 'Damage outline 1', image: 2 });
+});
+
+test('encodes a result raster as a three-band GeoTIFF', () => {
+  const view = new DataView(buildResultGeoTIFF(analysis.results.NDVI));
+  expect(view.getUint16(2, true)).toBe(42);
+  expect(() => buildResultGeoTIFF(analysis.results.landCoverChange)).toThrow('no raster');
+});
+
+test('renders an escaped, printable HTML report', () => {
+  const html = buildReportHTML(
+    { ...analysis, image2Info: { ...analysis.image2Info, id: '<script>' } },
+    [-118.25, 34.04, -118.23, 34.06]
+  );
+
+  expect(html).toContain('<!DOCTYPE html>');
+  expect(html).toContain('Higher values indicate denser vegetation');
+  expect(html).toContain('unitless (-1 to 1)');
+  expect(html).toContain('-0.4000 (date2-date1)');
+  expect(html).toContain('/api/snapshot?url=https%3A%2F%2Fexample.com%2Fa.tif');
+  expect(html).toContain('No snapshot available');
+  expect(html).toContain('&lt;script&gt;');
+  expect(html).not.toContain('<script>');
+  expect(html).toContain('@media print');
+});
+
+test('renders snapshots of sensors without a true-colour asset from their band composite', () => {
+  const landsat = {
+    id: 'LC09', sensor: 'landsat', visualUrl: null,
+    tileUrlTemplate: 'https://api.test/api/composite-tiles/{z}/{x}/{y}?r=https%3A%2F%2Fcog.test%2Fred.tif&g=g.tif&b=b.tif&scale=1,1,1&offset=0,0,0&rescale=0%2C0.3',
+  };
+  const url = new URL(snapshotUrl(landsat, [1, 2, 3, 4]));
+  expect(url.pathname).toBe('/api/snapshot');
+  expect(Object.fromEntries(url.searchParams)).toEqual({
+    r: 'https://cog.test/red.tif', g: 'g.tif', b: 'b.tif', scale: '1,1,1', offset: '0,0,0', rescale: '0,0.3', bbox: '1,2,3,4',
+  });
+  expect(snapshotUrl({ ...landsat, tileUrlTemplate: 'https://api.test/api/tiles/{z}/{x}/{y}' }, [1, 2, 3, 4])).toBeNull();
+});
+
+test('names exports after the location and dates', () => {
+  expect(exportBaseName(analysis)).toBe('geo_compare_34.05_-118.24_2025-01-01_2025-02-01');
+});
+
+test('exports one row per time-series step and index covering the whole series', () => {
+  const steps = [
+    { targetDate: '2024-05-01', scene: { id: 'S2A_1', dateAcquired: '2024-05-02T16:04:00Z', cloudCover: 3.2 }, usable: true },
+    { targetDate: '2024-05-11', scene: { id: 'S2B_2', dateAcquired: '2024-05-10T16:04:00Z', cloudCover: 64 }, usable: false },
+    { targetDate: '2024-05-21', scene: null, usable: false },
+  ];
+  const results = [
+    { NDVI: { mean: 0.61, median: 0.6, min: 0.2, max: 0.9, validPixels: 4096 } },
+    { NDVI: { mean: null, median: null, min: null, max: null, validPixels: 0 } },
+    null,
+  ];
+  const lines = buildTimeSeriesCSV(steps, results, ['NDVI'], { latitude: '35.4', longitude: '-82.2' }).trim().split('\n');
+
+  expect(lines).toHaveLength(4);
+  expect(lines[1]).toBe('"35.4","-82.2","2024-05-01","2024-05-02","S2A_1","3.2","Yes","NDVI","0.61","0.6","0.2","0.9","4096"');
+  expect(lines[2]).toContain('"No (cloudy)","NDVI","N/A","N/A","N/A","N/A","0"');
+  expect(lines[3]).toContain('"N/A","N/A","N/A","No (no acquisition)","NDVI","N/A"');
+});
@@ -0,0 +1,218 @@
+// --- Safe band-math expressions for user-defined indices ---
+// Expressions such as `(B08-B04)/(B08+B04+0.5)*1.5` are tokenized and parsed into a small
+// syntax tree, which is turned into a JavaScript function by composing closures: nothing
+// the user types is ever evaluated as code.
+//
+// Grammar (usual precedence, `^` binds tightest and is right-associative):
+//   expression := term (('+' | '-') term)*
+//   term       := unary (('*' | '/') unary)*
+//   unary      := ('-' | '+') unary | power
+//   power      := primary ('^' unary)?
+//   primary    := number | band | function '(' expression (',' expression)* ')' | '(' expression ')'
+
+export const MAX_FORMULA_LENGTH = 500;
+
+// Functions an expression may call, with their number of arguments
+export const FORMULA_FUNCTIONS = {
+  abs: { arity: 1, apply: Math.abs },
+  sqrt: { arity: 1, apply: Math.sqrt },
+  exp: { arity: 1, apply: Math.exp },
+  ln: { arity: 1, apply: Math.log },
+  log10: { arity: 1, apply: Math.log10 },
+  min: { arity: 2, apply: Math.min },
+  max: { arity: 2, apply: Math.max },
+};
+
+const BINARY_OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '^': (a, b) => a ** b,
+};
+
+/**
+ * An expression that can't be parsed. `position` is the 0-based character offset of the problem.
+ */
+export class FormulaError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} (at character ${position + 1})`);
+    this.name = 'FormulaError';
+    this.position = position;
+  }
+}
+
+function tokenize(expression) {
+  const pattern = /(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/^(),])/y;
+  const tokens = [];
+  let position = 0;
+  while (position < expression.length) {
+    if (/\s/.test(expression[position])) {
+      position++;
+      continue;
+    }
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) throw new FormulaError(`Unexpected character "${expression[position]}"`, position);
+    if (match[1]) tokens.push({ type: 'number', value: Number(match[1]), position });
+    else if (match[2]) tokens.push({ type: 'name', value: match[2], position });
+    else tokens.push({ type: 'symbol', value: match[3], position });
+    position = pattern.lastIndex;
+  }
+  tokens.push({ type: 'end', position: expression.length });
+  return tokens;
+}
+
+/**
+ * Parses an expression into a syntax tree of
+ * { type: 'number', value } | { type: 'band', band } | { type: 'unary', argument }
+ * | { type: 'binary', operator, left, right } | { type: 'call', name, args }.
+ * Band names are matched case-insensitively against `bandIds` and normalized to them.
+ *
+ * @throws {FormulaError}
+ */
+export function parseFormula(expression, bandIds) {
+  if (!expression || !expression.trim()) throw new FormulaError('Enter a formula');
+  if (expression.length > MAX_FORMULA_LENGTH) throw new FormulaError(`Formulas are limited to ${MAX_FORMULA_LENGTH} characters`);
+
+  const tokens = tokenize(expression);
+  const bandsByName = Object.fromEntries(bandIds.map(bandId => [bandId.toUpperCase(), bandId]));
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isSymbol = (value) => peek().type === 'symbol' && peek().value === value;
+  const describe = (token) => (token.type === 'end' ? 'end of formula' : `"${token.value}"`);
+  const expect = (value) => {
+    if (!isSymbol(value)) throw new FormulaError(`Expected "${value}" but found ${describe(peek())}`, peek().position);
+    index++;
+  };
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (isSymbol('+') || isSymbol('-')) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isSymbol('*') || isSymbol('/')) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isSymbol('-')) {
+      index++;
+      return { type: 'unary', argument: parseUnary() };
+    }
+    if (isSymbol('+')) {
+      index++;
+      return parseUnary();
+    }
+    const base = parsePrimary();
+    if (isSymbol('^')) {
+      index++;
+      return { type: 'binary', operator: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (token.type === 'number') {
+      index++;
+      return { type: 'number', value: token.value };
+    }
+    if (isSymbol('(')) {
+      index++;
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+    if (token.type === 'name') {
+      index++;
+      const fn = FORMULA_FUNCTIONS[token.value.toLowerCase()];
+      if (fn && isSymbol('(')) {
+        index++;
+        const args = [parseExpression()];
+        while (isSymbol(',')) {
+          index++;
+          args.push(parseExpression());
+        }
+        expect(')');
+        if (args.length !== fn.arity) {
+          throw new FormulaError(`${token.value.toLowerCase()}() takes ${fn.arity} argument${fn.arity === 1 ? '' : 's'}`, token.position);
+        }
+        return { type: 'call', name: token.value.toLowerCase(), args };
+      }
+      const band = bandsByName[token.value.toUpperCase()];
+      if (!band) throw new FormulaError(`Unknown band or function "${token.value}"`, token.position);
+      return { type: 'band', band };
+    }
+    throw new FormulaError(`Expected a number, band or "(" but found ${describe(token)}`, token.position);
+  };
+
+  const tree = parseExpression();
+  if (peek().type !== 'end') throw new FormulaError(`Unexpected ${describe(peek())}`, peek().position);
+  return tree;
+}
+
+/**
+ * Band ids an expression tree reads, sorted.
+ */
+export function formulaBands(tree) {
+  const bands = new Set();
+  const visit = (node) => {
+    if (node.type === 'band') bands.add(node.band);
+    else if (node.type === 'unary') visit(node.argument);
+    else if (node.type === 'binary') [node.left, node.right].forEach(visit);
+    else if (node.type === 'call') node.args.forEach(visit);
+  };
+  visit(tree);
+  return [...bands].sort();
+}
+
+/**
+ * Turns an expression tree into a function of a pixel (values keyed by band id).
+ */
+function compileNode(node) {
+  switch (node.type) {
+    case 'number':
+      return () => node.value;
+    case 'band':
+      return (pixel) => pixel[node.band];
+    case 'unary': {
+      const argument = compileNode(node.argument);
+      return (pixel) => -argument(pixel);
+    }
+    case 'binary': {
+      const [left, right, apply] = [compileNode(node.left), compileNode(node.right), BINARY_OPERATORS[node.operator]];
+      return (pixel) => apply(left(pixel), right(pixel));
+    }
+    default: {
+      const args = node.args.map(compileNode);
+      const { apply } = FORMULA_FUNCTIONS[node.name];
+      return (pixel) => apply(...args.map(arg => arg(pixel)));
+    }
+  }
+}
+
+/**
+ * Parses and compiles an expression.
+ *
+ * @param {string} expression
+ * @param {string[]} bandIds - Band ids the expression may use.
+ * @returns {{bands: string[], formula: Function}} In the shape of a SPECTRAL_INDICES entry.
+ * @throws {FormulaError}
+ */
+export function compileFormula(expression, bandIds) {
+  const tree = parseFormula(expression, bandIds);
+  const bands = formulaBands(tree);
+  if (bands.length === 0) throw new FormulaError('A formula must use at least one band');
+  return { bands, formula: compileNode(tree) };
+}
@@ -0,0 +1,42 @@
+import { FormulaError, compileFormula, formulaBands, parseFormula } from './formula';
+
+const BANDS = ['B02', 'B04', 'B08', 'B11', 'TIR'];
+
+test('evaluates band math with the usual precedence', () => {
+  const savi = compileFormula('(B08 - B04) / (B08 + B04 + 0.5) * 1.5', BANDS);
+  expect(savi.bands).toEqual(['B04', 'B08']);
+  expect(savi.formula({ B08: 0.5, B04: 0.1 })).toBeCloseTo((0.4 / 1.1) * 1.5);
+
+  const { formula } = compileFormula('-B02 ^ 2 + 2 * B04 ^ 0.5 ^ 2', BANDS);
+  expect(formula({ B02: 3, B04: 16 })).toBeCloseTo(-9 + 2 * 16 ** 0.25);
+});
+
+test('supports functions and matches bands case-insensitively', () => {
+  const { bands, formula } = compileFormula('max(abs(b11 - B08), sqrt(tir)) + log10(100) + 1e-1', BANDS);
+  expect(bands).toEqual(['B08', 'B11', 'TIR']);
+  expect(formula({ B11: 0.2, B08: 0.7, TIR: 0.16 })).toBeCloseTo(0.5 + 2 + 0.1);
+  expect(formulaBands(parseFormula('ln(B02) * exp(0)', BANDS))).toEqual(['B02']);
+});
+
+test('reports where an expression goes wrong', () => {
+  const position = (expression) => {
+    try {
+      compileFormula(expression, BANDS);
+    } catch (error) {
+      return error instanceof FormulaError ? error.position : error;
+    }
+    throw new Error(`${expression} compiled`);
+  };
+  expect(position('B08 + B99')).toBe(6);
+  expect(position('(B08 - B04')).toBe(10);
+  expect(position('B08 $ B04')).toBe(4);
+  expect(position('B08 B04')).toBe(4);
+  expect(position('min(B08)')).toBe(0);
+  expect(() => compileFormula('1 + 2', BANDS)).toThrow('at least one band');
+  expect(() => compileFormula('  ', BANDS)).toThrow('Enter a formula');
+});
+
+test('never evaluates the expression as code', () => {
+  expect(() => compileFormula('constructor("return 1")()', BANDS)).toThrow(FormulaError);
+  expect(() => compileFormula('B08.toString', BANDS)).toThrow(FormulaError);
+});
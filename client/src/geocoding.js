@@ -0,0 +1,41 @@
+// --- Place-name geocoders for the location search box ---
+// A geocoder is an async function (query, { signal }) => [{ label, latitude, longitude, bounds }],
+// where bounds is [[south, west], [north, east]] or null. Swap it out to use another service.
+
+/**
+ * Geocoder backed by the OpenStreetMap Nominatim search API.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Nominatim instance to query.
+ * @param {Function} [options.fetchImpl] - fetch-compatible function, replaceable in tests.
+ * @param {number} [options.limit] - Maximum number of results.
+ */
+export function createNominatimGeocoder({
+  baseUrl = 'https://nominatim.openstreetmap.org',
+  fetchImpl = (...args) => fetch(...args),
+  limit = 5,
+} = {}) {
+  return async function geocode(query, { signal } = {}) {
+    const params = new URLSearchParams({ q: query, format: 'jsonv2', limit: String(limit) });
+    const response = await fetchImpl(`${baseUrl}/search?${params}`, {
+      signal,
+      headers: { Accept: 'application/json' },
+    });
+    if (!response.ok) {
+      throw new Error(`Place search failed (HTTP ${response.status}).`);
+    }
+
+    const places = await response.json();
+    return places.map(place => {
+      const [south, north, west, east] = (place.boundingbox || []).map(Number);
+      return {
+        label: place.display_name,
+        latitude: Number(place.lat),
+        longitude: Number(place.lon),
+        bounds: place.boundingbox ? [[south, west], [north, east]] : null,
+      };
+    });
+  };
+}
+
+export const nominatimGeocoder = createNominatimGeocoder();
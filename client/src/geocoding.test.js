@@ -0,0 +1,31 @@
+import { createNominatimGeocoder } from './geocoding';
+
+const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, json: async () => body });
+
+test('queries Nominatim and normalizes the places it returns', async () => {
+  const fetchImpl = jest.fn(async () => jsonResponse([
+    { display_name: 'Asheville, North Carolina, United States', lat: '35.5951', lon: '-82.5515', boundingbox: ['35.42', '35.66', '-82.67', '-82.45'] },
+    { display_name: 'Asheville Regional Airport', lat: '35.4362', lon: '-82.5418' },
+  ]));
+  const geocode = createNominatimGeocoder({ baseUrl: 'https://geocoder.test', fetchImpl, limit: 2 });
+
+  const places = await geocode('Asheville');
+
+  const url = new URL(fetchImpl.mock.calls[0][0]);
+  expect(url.origin + url.pathname).toBe('https://geocoder.test/search');
+  expect(url.searchParams.get('q')).toBe('Asheville');
+  expect(url.searchParams.get('limit')).toBe('2');
+  expect(places).toEqual([
+    { label: 'Asheville, North Carolina, United States', latitude: 35.5951, longitude: -82.5515, bounds: [[35.42, -82.67], [35.66, -82.45]] },
+    { label: 'Asheville Regional Airport', latitude: 35.4362, longitude: -82.5418, bounds: null },
+  ]);
+});
+
+test('passes the abort signal through and reports HTTP errors', async () => {
+  const fetchImpl = jest.fn(async () => jsonResponse({}, 503));
+  const geocode = createNominatimGeocoder({ fetchImpl });
+  const controller = new AbortController();
+
+  await expect(geocode('Asheville', { signal: controller.signal })).rejects.toThrow('HTTP 503');
+  expect(fetchImpl.mock.calls[0][1].signal).toBe(controller.signal);
+});
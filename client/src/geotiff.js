@@ -0,0 +1,104 @@
+// --- Minimal GeoTIFF encoder for exporting computed index rasters ---
+// Writes an uncompressed, single-strip, little-endian Float32 TIFF in EPSG:4326,
+// with one sample (band) per raster and NaN as nodata.
+
+const TYPE_ASCII = 2;
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+const TYPE_DOUBLE = 12;
+const TYPE_SIZES = { [TYPE_ASCII]: 1, [TYPE_SHORT]: 2, [TYPE_LONG]: 4, [TYPE_DOUBLE]: 8 };
+
+function writeValues(view, offset, type, values) {
+  values.forEach((value, i) => {
+    if (type === TYPE_ASCII) view.setUint8(offset + i, value);
+    else if (type === TYPE_SHORT) view.setUint16(offset + i * 2, value, true);
+    else if (type === TYPE_LONG) view.setUint32(offset + i * 4, value, true);
+    else view.setFloat64(offset + i * 8, value, true);
+  });
+}
+
+/**
+ * Encodes co-registered rasters as a multi-band GeoTIFF.
+ *
+ * @param {ArrayLike<number>[]} bands - Row-major rasters (row 0 = north), all width * height long.
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} bbox - [minLon, minLat, maxLon, maxLat] of the raster's outer edges.
+ * @returns {ArrayBuffer}
+ */
+export function encodeGeoTIFF(bands, width, height, bbox) {
+  if (bands.length === 0) throw new Error('At least one band is required.');
+  bands.forEach(band => {
+    if (band.length !== width * height) throw new Error('Every band must have width * height pixels.');
+  });
+
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  const samples = bands.length;
+  const imageBytes = width * height * samples * 4;
+  const nodata = 'nan\0'.split('').map(c => c.charCodeAt(0));
+
+  // Entries must be sorted by tag; the strip offset is patched in once the layout is known
+  const entries = [
+    [256, TYPE_LONG, [width]], // ImageWidth
+    [257, TYPE_LONG, [height]], // ImageLength
+    [258, TYPE_SHORT, Array(samples).fill(32)], // BitsPerSample
+    [259, TYPE_SHORT, [1]], // Compression: none
+    [262, TYPE_SHORT, [1]], // PhotometricInterpretation: BlackIsZero
+    [273, TYPE_LONG, [0]], // StripOffsets
+    [277, TYPE_SHORT, [samples]], // SamplesPerPixel
+    [278, TYPE_LONG, [height]], // RowsPerStrip
+    [279, TYPE_LONG, [imageBytes]], // StripByteCounts
+    [284, TYPE_SHORT, [1]], // PlanarConfiguration: chunky
+    ...(samples > 1 ? [[338, TYPE_SHORT, Array(samples - 1).fill(0)]] : []), // ExtraSamples: unspecified
+    [339, TYPE_SHORT, Array(samples).fill(3)], // SampleFormat: IEEE float
+    [33550, TYPE_DOUBLE, [(maxLon - minLon) / width, (maxLat - minLat) / height, 0]], // ModelPixelScale
+    [33922, TYPE_DOUBLE, [0, 0, 0, minLon, maxLat, 0]], // ModelTiepoint: top-left pixel corner
+    // GeoKeyDirectory: geographic model, pixel-is-area, WGS 84
+    [34735, TYPE_SHORT, [1, 1, 0, 3, 1024, 0, 1, 2, 1025, 0, 1, 1, 2048, 0, 1, 4326]],
+    [42113, TYPE_ASCII, nodata], // GDAL_NODATA
+  ];
+
+  const ifdOffset = 8;
+  const ifdSize = 2 + entries.length * 12 + 4;
+  let dataOffset = ifdOffset + ifdSize;
+  const layout = entries.map(([tag, type, values]) => {
+    const size = TYPE_SIZES[type] * values.length;
+    if (size <= 4) return { tag, type, values, offset: null };
+    const offset = dataOffset;
+    dataOffset += size + (size % 2); // Keep values word-aligned
+    return { tag, type, values, offset };
+  });
+  const stripOffset = dataOffset;
+  layout.find(entry => entry.tag === 273).values = [stripOffset];
+
+  const buffer = new ArrayBuffer(stripOffset + imageBytes);
+  const view = new DataView(buffer);
+
+  // Header: little-endian byte order, magic number 42, offset of the first IFD
+  view.setUint8(0, 0x49);
+  view.setUint8(1, 0x49);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, ifdOffset, true);
+
+  view.setUint16(ifdOffset, layout.length, true);
+  layout.forEach(({ tag, type, values, offset }, i) => {
+    const entryOffset = ifdOffset + 2 + i * 12;
+    view.setUint16(entryOffset, tag, true);
+    view.setUint16(entryOffset + 2, type, true);
+    view.setUint32(entryOffset + 4, values.length, true);
+    if (offset === null) {
+      writeValues(view, entryOffset + 8, type, values);
+    } else {
+      view.setUint32(entryOffset + 8, offset, true);
+      writeValues(view, offset, type, values);
+    }
+  });
+  view.setUint32(ifdOffset + 2 + layout.length * 12, 0, true); // No further IFDs
+
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    bands.forEach((band, sample) => {
+      view.setFloat32(stripOffset + (pixel * samples + sample) * 4, band[pixel], true);
+    });
+  }
+  return buffer;
+}
@@ -0,0 +1,64 @@
+import { encodeGeoTIFF } from './geotiff';
+
+// Reads the first IFD back into { tag: { type, count, valueOffset } }
+const readTags = (view) => {
+  const ifdOffset = view.getUint32(4, true);
+  const count = view.getUint16(ifdOffset, true);
+  const tags = {};
+  for (let i = 0; i < count; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    tags[view.getUint16(entry, true)] = {
+      type: view.getUint16(entry + 2, true),
+      count: view.getUint32(entry + 4, true),
+      valueOffset: view.getUint32(entry + 8, true),
+    };
+  }
+  return tags;
+};
+
+test('writes a little-endian TIFF header and image size tags', () => {
+  const buffer = encodeGeoTIFF([[1, 2, 3, 4, 5, 6]], 3, 2, [10, 20, 13, 22]);
+  const view = new DataView(buffer);
+
+  expect(String.fromCharCode(view.getUint8(0), view.getUint8(1))).toBe('II');
+  expect(view.getUint16(2, true)).toBe(42);
+
+  const tags = readTags(view);
+  expect(tags[256].valueOffset).toBe(3);
+  expect(tags[257].valueOffset).toBe(2);
+  expect(tags[277].valueOffset & 0xffff).toBe(1);
+  expect(tags[339].valueOffset & 0xffff).toBe(3); // IEEE float samples
+});
+
+test('interleaves bands as Float32 pixels with NaN kept as nodata', () => {
+  const buffer = encodeGeoTIFF([[0.5, NaN], [-0.25, 1]], 2, 1, [0, 0, 2, 1]);
+  const view = new DataView(buffer);
+  const strip = readTags(view)[273].valueOffset;
+
+  expect(view.getFloat32(strip, true)).toBe(0.5);
+  expect(view.getFloat32(strip + 4, true)).toBe(-0.25);
+  expect(view.getFloat32(strip + 8, true)).toBeNaN();
+  expect(view.getFloat32(strip + 12, true)).toBe(1);
+  expect(buffer.byteLength).toBe(strip + 16);
+});
+
+test('georeferences the top-left corner and pixel size from the bbox', () => {
+  const view = new DataView(encodeGeoTIFF([[0, 0, 0, 0]], 2, 2, [10, 20, 12, 21]));
+  const tags = readTags(view);
+
+  const scale = tags[33550].valueOffset;
+  expect(view.getFloat64(scale, true)).toBe(1);
+  expect(view.getFloat64(scale + 8, true)).toBe(0.5);
+
+  const tiepoint = tags[33922].valueOffset;
+  expect(view.getFloat64(tiepoint + 24, true)).toBe(10);
+  expect(view.getFloat64(tiepoint + 32, true)).toBe(21);
+
+  const geoKeys = tags[34735].valueOffset;
+  expect(view.getUint16(geoKeys + 15 * 2, true)).toBe(4326);
+});
+
+test('rejects bands that do not match the raster size', () => {
+  expect(() => encodeGeoTIFF([[1, 2, 3]], 2, 2, [0, 0, 1, 1])).toThrow('width * height');
+  expect(() => encodeGeoTIFF([], 2, 2, [0, 0, 1, 1])).toThrow('At least one band');
+});
@@ -0,0 +1,18 @@
+// --- IndexedDB helpers shared by the saved analyses library and the response cache ---
+
+/**
+ * Settles with the result of an IndexedDB request (or the database of an open request).
+ */
+export const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Settles when the transaction is committed: a full disk only shows up as an aborted transaction.
+ */
+export const completion = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
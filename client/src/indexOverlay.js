@@ -0,0 +1,56 @@
+// --- Index overlays drawn over the imagery by the tile server (POST /api/index-layers) ---
+// The settings, which layers a sensor's scenes can show and the request describing one; the
+// controls and the legend are in IndexLayerControl.js.
+
+import { SPECTRAL_INDICES } from './spectralIndices';
+import { supportedIndices } from './sensors';
+import { BURN_SEVERITY_CLASSES, COLOR_RAMPS, equalIntervalClasses } from './colorRamps';
+
+export const DEFAULT_OVERLAY_SETTINGS = {
+  layer: 'none', // 'none' | 'dNBR' | a key of SPECTRAL_INDICES
+  source: 'date1', // 'date1' | 'date2' | 'difference'
+  ramp: 'RdYlGn',
+  stretch: [-0.2, 0.9],
+  classCount: 0, // 0 renders a continuous ramp
+  opacity: 0.8,
+};
+
+// Custom indices are computed in the browser only; the tile server knows the built-ins
+export const overlayIndices = (sensorId) => supportedIndices(sensorId).filter(id => SPECTRAL_INDICES[id]);
+
+/**
+ * Whether the overlay can be drawn for the sensor's scenes ('none' always can).
+ */
+export function isOverlayAvailable(settings, sensorId) {
+  if (settings.layer === 'none') return true;
+  return overlayIndices(sensorId).includes(settings.layer === 'dNBR' ? 'NBR' : settings.layer);
+}
+
+/**
+ * Legend classes for the overlay, or null for a continuous ramp.
+ */
+export function overlayClasses(settings) {
+  if (settings.layer === 'dNBR') return BURN_SEVERITY_CLASSES;
+  if (settings.classCount > 0) return equalIntervalClasses(COLOR_RAMPS[settings.ramp].colors, settings.stretch, settings.classCount);
+  return null;
+}
+
+/**
+ * Body for POST /api/index-layers describing the overlay to render.
+ * `maskClasses` are SCL classes left transparent (see cloudMask.js).
+ */
+export function buildIndexLayerRequest(settings, image1Info, image2Info, maskClasses = []) {
+  const isBurnSeverity = settings.layer === 'dNBR';
+  const classes = overlayClasses(settings);
+  return {
+    index: isBurnSeverity ? 'NBR' : settings.layer,
+    source: isBurnSeverity ? 'difference' : settings.source,
+    differenceOrder: isBurnSeverity ? 'date1-date2' : 'date2-date1',
+    image1Bands: image1Info.bands,
+    image2Bands: image2Info.bands,
+    maskClasses,
+    ...(classes
+      ? { classes: classes.map(({ min, max, color }) => ({ min, max, color })) }
+      : { colors: COLOR_RAMPS[settings.ramp].colors, stretch: settings.stretch }),
+  };
+}
@@ -0,0 +1,18 @@
+import { DEFAULT_OVERLAY_SETTINGS, buildIndexLayerRequest, isOverlayAvailable, overlayClasses } from './indexOverlay';
+import { BURN_SEVERITY_CLASSES } from './colorRamps';
+
+test('offers overlays only for indices the tile server can compute from the sensor', () => {
+  expect(isOverlayAvailable(DEFAULT_OVERLAY_SETTINGS, 'sentinel-1')).toBe(true);
+  expect(isOverlayAvailable({ ...DEFAULT_OVERLAY_SETTINGS, layer: 'dNBR' }, 'landsat')).toBe(true);
+  expect(isOverlayAvailable({ ...DEFAULT_OVERLAY_SETTINGS, layer: 'NDVI' }, 'sentinel-1')).toBe(false);
+});
+
+test('describes burn severity as classes of the NBR difference', () => {
+  const settings = { ...DEFAULT_OVERLAY_SETTINGS, layer: 'dNBR' };
+  expect(overlayClasses(settings)).toBe(BURN_SEVERITY_CLASSES);
+  expect(overlayClasses({ ...DEFAULT_OVERLAY_SETTINGS, layer: 'NDVI' })).toBeNull();
+
+  const request = buildIndexLayerRequest(settings, { bands: { B08: {} } }, { bands: { B12: {} } }, [8, 9]);
+  expect(request).toMatchObject({ index: 'NBR', source: 'difference', differenceOrder: 'date1-date2', maskClasses: [8, 9] });
+  expect(request.classes).toHaveLength(BURN_SEVERITY_CLASSES.length);
+});
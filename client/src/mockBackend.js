@@ -0,0 +1,128 @@
+// --- Mock Geo Compare server for tests ---
+// Serves fixture STAC items the way server/main.py does (scene search, band pixels, tiles)
+// through createMockTransport, installed as the global fetch so the app's own apiClient
+// talks to it unchanged.
+
+import { createMockTransport } from './apiClient';
+
+const S2_ASSETS = {
+  B02: 'blue',
+  B03: 'green',
+  B04: 'red',
+  B08: 'nir',
+  B8A: 'nir08',
+  B11: 'swir16',
+  B12: 'swir22',
+  SCL: 'scl',
+};
+
+// Reflectance per band of every pixel of the fixture scenes: vegetation before, burnt ground after
+export const FIXTURE_REFLECTANCE = {
+  S2A_17SNA_20240916_0_L2A: { B02: 0.03, B03: 0.06, B04: 0.04, B08: 0.36, B8A: 0.37, B11: 0.18, B12: 0.09, SCL: 4 },
+  S2B_17SNA_20241011_0_L2A: { B02: 0.06, B03: 0.08, B04: 0.1, B08: 0.16, B8A: 0.17, B11: 0.26, B12: 0.24, SCL: 5 },
+};
+
+const stacItem = (id, datetime, cloudCover) => {
+  const cogUrl = (asset) => `https://sentinel-cogs.test/sentinel-s2-l2a-cogs/17/S/NA/${id}/${asset}.tif`;
+  return {
+    type: 'Feature',
+    stac_version: '1.0.0',
+    id,
+    collection: 'sentinel-2-l2a',
+    bbox: [-82.83, 34.95, -81.62, 35.93],
+    properties: {
+      datetime,
+      platform: id.startsWith('S2A') ? 'sentinel-2a' : 'sentinel-2b',
+      'eo:cloud_cover': cloudCover,
+      's2:mgrs_tile': '17SNA',
+      'sat:relative_orbit': 104,
+    },
+    assets: {
+      visual: { href: cogUrl('TCI'), type: 'image/tiff; application=geotiff; profile=cloud-optimized' },
+      thumbnail: { href: `https://sentinel-cogs.test/${id}/thumbnail.jpg`, type: 'image/jpeg' },
+      ...Object.fromEntries(Object.entries(S2_ASSETS).map(([bandId, asset]) => [asset, {
+        href: cogUrl(bandId),
+        'raster:bands': [bandId === 'SCL' ? {} : { scale: 0.0001, offset: -0.1 }],
+      }])),
+    },
+  };
+};
+
+// Earth Search items returned for the default search (35.4393, -82.2465, September and October 2024)
+export const STAC_ITEMS = {
+  date1: [stacItem('S2A_17SNA_20240916_0_L2A', '2024-09-16T16:07:02.024000Z', 2.1)],
+  date2: [stacItem('S2B_17SNA_20241011_0_L2A', '2024-10-11T16:06:58.517000Z', 5.4)],
+};
+
+/**
+ * The image info the server builds from a Sentinel-2 STAC item (build_image_info in server/main.py).
+ */
+export function imageInfoFromStacItem(item, baseUrl) {
+  const [west, south, east, north] = item.bbox;
+  const bands = Object.fromEntries(Object.entries(S2_ASSETS).map(([bandId, asset]) => {
+    const { scale = 1, offset = 0 } = item.assets[asset]['raster:bands'][0];
+    return [bandId, { href: item.assets[asset].href, scale, offset }];
+  }));
+  return {
+    id: item.id,
+    sensor: 'sentinel-2',
+    collection: item.collection,
+    tileUrlTemplate: `${baseUrl}/api/tiles/{z}/{x}/{y}?${new URLSearchParams({ url: item.assets.visual.href })}`,
+    bounds: [[south, west], [north, east]],
+    dateAcquired: item.properties.datetime,
+    bands,
+    cloudCover: item.properties['eo:cloud_cover'],
+    tileId: item.properties['s2:mgrs_tile'],
+    relativeOrbit: item.properties['sat:relative_orbit'],
+    platform: item.properties.platform,
+    thumbnailUrl: item.assets.thumbnail.href,
+    visualUrl: item.assets.visual.href,
+  };
+}
+
+const sceneIdOf = (href) => Object.keys(FIXTURE_REFLECTANCE).find(id => href.includes(id));
+
+/**
+ * Routes for createMockTransport answering like the server over the fixture items.
+ * Entries of `overrides` replace or add routes, e.g. to simulate failures.
+ */
+export function mockBackendRoutes(baseUrl = 'http://localhost:8080', overrides = {}) {
+  return {
+    'GET /api/change-detection': () => {
+      // The fixture tile covers the whole default search area
+      const [candidates1, candidates2] = [STAC_ITEMS.date1, STAC_ITEMS.date2]
+        .map(items => items.map(item => ({ ...imageInfoFromStacItem(item, baseUrl), areaCoverage: 100 })));
+      return { body: { image1: candidates1[0], image2: candidates2[0], candidates1, candidates2 } };
+    },
+    'POST /api/band-pixels': ({ body }) => {
+      const pixelCount = body.size * body.size;
+      const bands = Object.fromEntries(Object.entries(body.bands).map(([bandId, { href }]) => (
+        [bandId, new Array(pixelCount).fill(FIXTURE_REFLECTANCE[sceneIdOf(href)]?.[bandId] ?? null)]
+      )));
+      return { body: { width: body.size, height: body.size, bands } };
+    },
+    'POST /api/index-layers': {
+      status: 201,
+      body: { layerId: 'layer-1', tileUrlTemplate: `${baseUrl}/api/index-tiles/{z}/{x}/{y}?layer=layer-1` },
+    },
+    // Tiles outside the fixture scenes come back empty, as from the server; jsdom never loads
+    // map images, so tiles are only requested by code that fetches them (offline packs)
+    'GET /api/tiles/*': { status: 204, body: '' },
+    'GET /api/composite-tiles/*': { status: 204, body: '' },
+    'GET /api/index-tiles/*': { status: 204, body: '' },
+    ...overrides,
+  };
+}
+
+/**
+ * Installs the mock backend as the global fetch and returns it; its `calls` record every
+ * request. The original fetch is put back by reassigning `global.fetch`.
+ */
+export function installMockBackend(routes = mockBackendRoutes()) {
+  const transport = createMockTransport(routes);
+  // Tile paths end in their z/x/y coordinates, which the tile routes match with '*'
+  const fetchWithTiles = (url, init) => transport(url.replace(/(\/api\/[a-z-]*tiles)\/\d+\/\d+\/\d+/, '$1/*'), init);
+  fetchWithTiles.calls = transport.calls;
+  global.fetch = fetchWithTiles;
+  return fetchWithTiles;
+}
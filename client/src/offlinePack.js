@@ -0,0 +1,119 @@
+// --- Offline packs: map tiles of an area pre-downloaded into the tile cache ---
+// Tiles are requested in the Web Mercator XYZ scheme Leaflet uses and stored under their URL,
+// so the service worker (public/tile-cache-sw.js) serves them when the map asks later.
+
+import { TILE_CACHE_NAME } from './tileCache';
+
+// Largest pack, in tiles, to keep downloads and storage reasonable in the field
+export const MAX_PACK_TILES = 3000;
+
+export const PACK_ZOOM_LEVELS = { min: 8, max: 18 };
+
+// Latitude limit of Web Mercator
+const MAX_LATITUDE = 85.05112878;
+
+export const lonToTileX = (lon, zoom) => Math.floor(((lon + 180) / 360) * 2 ** zoom);
+
+export function latToTileY(lat, zoom) {
+  const radians = (Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2) * 2 ** zoom);
+}
+
+/**
+ * Tiles covering bbox [minLon, minLat, maxLon, maxLat] at one zoom level, as inclusive ranges.
+ */
+export function tileRange([minLon, minLat, maxLon, maxLat], zoom) {
+  const lastTile = 2 ** zoom - 1;
+  const clamp = (value) => Math.max(0, Math.min(lastTile, value));
+  return {
+    minX: clamp(lonToTileX(minLon, zoom)),
+    maxX: clamp(lonToTileX(maxLon, zoom)),
+    // Tile rows count down from the north
+    minY: clamp(latToTileY(maxLat, zoom)),
+    maxY: clamp(latToTileY(minLat, zoom)),
+  };
+}
+
+/**
+ * Number of tiles per layer covering bbox over the zoom levels.
+ */
+export function countPackTiles(bbox, zooms) {
+  return zooms.reduce((total, zoom) => {
+    const { minX, maxX, minY, maxY } = tileRange(bbox, zoom);
+    return total + (maxX - minX + 1) * (maxY - minY + 1);
+  }, 0);
+}
+
+/**
+ * Zoom levels from `min` to `max` inclusive.
+ */
+export const zoomRange = (min, max) => Array.from({ length: Math.max(0, max - min + 1) }, (_, i) => min + i);
+
+/**
+ * URLs of every tile of the given layers ({z}/{x}/{y} URL templates) over bbox.
+ */
+export function packTileUrls(templates, bbox, zooms) {
+  const urls = [];
+  templates.forEach(template => {
+    zooms.forEach(zoom => {
+      const { minX, maxX, minY, maxY } = tileRange(bbox, zoom);
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          urls.push(template.replace('{z}', zoom).replace('{x}', x).replace('{y}', y));
+        }
+      }
+    });
+  });
+  return urls;
+}
+
+/**
+ * Downloads tiles into the tile cache, skipping those already there.
+ *
+ * @param {string[]} urls - From packTileUrls.
+ * @param {Object} [options]
+ * @param {Object} [options.cacheStorage] - CacheStorage, injectable for tests.
+ * @param {Function} [options.fetchTile] - fetch-compatible function.
+ * @param {number} [options.concurrency] - Tiles downloaded in parallel.
+ * @param {Function} [options.onProgress] - Called with (done, total) after each tile.
+ * @param {AbortSignal} [options.signal] - Stops the download; tiles stored so far are kept.
+ * @returns {Promise<{downloaded: number, alreadyCached: number, failed: number}>}
+ */
+export async function downloadOfflinePack(urls, {
+  cacheStorage = typeof caches !== 'undefined' ? caches : undefined,
+  fetchTile = (url, init) => fetch(url, init),
+  concurrency = 4,
+  onProgress,
+  signal,
+} = {}) {
+  if (!cacheStorage) throw new Error('Offline packs need a browser with Cache Storage support.');
+  const cache = await cacheStorage.open(TILE_CACHE_NAME);
+  const summary = { downloaded: 0, alreadyCached: 0, failed: 0 };
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < urls.length) {
+      if (signal?.aborted) throw signal.reason ?? new DOMException('The operation was aborted.', 'AbortError');
+      const url = urls[next++];
+      if (await cache.match(url)) {
+        summary.alreadyCached++;
+      } else {
+        try {
+          const response = await fetchTile(url, { mode: 'cors', credentials: 'omit', signal });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          await cache.put(url, response);
+          summary.downloaded++;
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          summary.failed++;
+        }
+      }
+      done++;
+      if (onProgress) onProgress(done, urls.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+  return summary;
+}
@@ -0,0 +1,54 @@
+import { countPackTiles, downloadOfflinePack, packTileUrls, tileRange, zoomRange } from './offlinePack';
+
+// Roughly 1 km around Asheville, NC
+const bbox = [-82.56, 35.59, -82.55, 35.6];
+
+test('finds the XYZ tiles covering an area', () => {
+  expect(tileRange([-180, -85, 180, 85], 1)).toEqual({ minX: 0, maxX: 1, minY: 0, maxY: 1 });
+  expect(tileRange(bbox, 12)).toEqual({ minX: 1108, maxX: 1108, minY: 1614, maxY: 1614 });
+  expect(tileRange(bbox, 16)).toEqual({ minX: 17738, maxX: 17740, minY: 25824, maxY: 25827 });
+  expect(countPackTiles(bbox, zoomRange(12, 16))).toBe(1 + 1 + 2 + 4 + 12);
+});
+
+test('fills tile URL templates for every layer and zoom level', () => {
+  const urls = packTileUrls(['https://api.test/tiles/{z}/{x}/{y}?url=a', 'https://api.test/tiles/{z}/{x}/{y}?url=b'], bbox, [12, 13]);
+  expect(urls).toHaveLength(2 * (1 + 1));
+  expect(urls[0]).toBe('https://api.test/tiles/12/1108/1614?url=a');
+  expect(urls[3]).toMatch(/^https:\/\/api\.test\/tiles\/13\/\d+\/\d+\?url=b$/);
+});
+
+const fakeCacheStorage = (cachedUrls = []) => {
+  const stored = new Map(cachedUrls.map(url => [url, {}]));
+  const cache = {
+    match: async (url) => stored.get(url),
+    put: async (url, response) => { stored.set(url, response); },
+  };
+  return { stored, open: async () => cache };
+};
+
+test('downloads missing tiles into the cache and counts failures', async () => {
+  const cacheStorage = fakeCacheStorage(['tile/1']);
+  const fetchTile = jest.fn(async (url) => ({ ok: url !== 'tile/3', status: url === 'tile/3' ? 500 : 200 }));
+  const onProgress = jest.fn();
+
+  const summary = await downloadOfflinePack(['tile/1', 'tile/2', 'tile/3', 'tile/4'], { cacheStorage, fetchTile, concurrency: 2, onProgress });
+
+  expect(summary).toEqual({ downloaded: 2, alreadyCached: 1, failed: 1 });
+  expect(fetchTile).toHaveBeenCalledTimes(3);
+  expect(fetchTile.mock.calls[0][1].mode).toBe('cors');
+  expect([...cacheStorage.stored.keys()].sort()).toEqual(['tile/1', 'tile/2', 'tile/4']);
+  expect(onProgress).toHaveBeenLastCalledWith(4, 4);
+});
+
+test('stops when cancelled, keeping the tiles stored so far', async () => {
+  const cacheStorage = fakeCacheStorage();
+  const controller = new AbortController();
+  const fetchTile = async () => {
+    controller.abort();
+    return { ok: true, status: 200 };
+  };
+
+  await expect(downloadOfflinePack(['tile/1', 'tile/2'], { cacheStorage, fetchTile, concurrency: 1, signal: controller.signal }))
+    .rejects.toMatchObject({ name: 'AbortError' });
+  expect([...cacheStorage.stored.keys()]).toEqual(['tile/1']);
+});
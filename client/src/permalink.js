@@ -0,0 +1,110 @@
+// --- Shareable permalink: (de)serialization of the analysis state to a URL query string ---
+
+import { COMPARE_MODES } from './CompareTools';
+import { DEFAULT_SCENE_SELECTION, RANKING_STRATEGIES, validateDateWindow } from './sceneSelection';
+import { DEFAULT_SENSOR } from './sensors';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const encodeVertices = (vertices) => vertices.map(([lat, lng]) => `${lat.toFixed(6)},${lng.toFixed(6)}`).join(';');
+
+function decodeVertices(value) {
+  const vertices = value.split(';').map(pair => pair.split(',').map(Number));
+  const valid = vertices.length >= 3 && vertices.every(v =>
+    v.length === 2 && Number.isFinite(v[0]) && Number.isFinite(v[1]) && Math.abs(v[0]) <= 90 && Math.abs(v[1]) <= 180
+  );
+  return valid ? vertices : null;
+}
+
+/**
+ * Builds the query string (without the leading '?') for an analysis.
+ * Fields that are unset are left out so links stay short.
+ */
+export function serializeAnalysisState(state) {
+  const params = new URLSearchParams();
+  params.set('lat', state.latitude);
+  params.set('lon', state.longitude);
+  params.set('d1', state.date1);
+  params.set('d2', state.date2);
+  params.set('cc', state.cloudCover);
+  if (state.sensor && state.sensor !== DEFAULT_SENSOR) params.set('sen', state.sensor);
+  if (state.aoiVertices) params.set('aoi', encodeVertices(state.aoiVertices));
+  if (state.window1 != null && String(state.window1) !== DEFAULT_SCENE_SELECTION.window1) params.set('w1', state.window1);
+  if (state.window2 != null && String(state.window2) !== DEFAULT_SCENE_SELECTION.window2) params.set('w2', state.window2);
+  if (state.ranking && state.ranking !== DEFAULT_SCENE_SELECTION.ranking) params.set('rank', state.ranking);
+  if (state.minCoverage) params.set('cov', state.minCoverage);
+  if (state.sameOrbit) params.set('orbit', '1');
+  if (state.computations?.length) params.set('comp', state.computations.join(','));
+  if (state.isImage1Visible === false) params.set('vis', '0');
+  if (state.compareMode && state.compareMode !== 'toggle') params.set('cmp', state.compareMode);
+  if (state.zoom != null) params.set('z', state.zoom);
+  if (state.image1Id) params.set('s1', state.image1Id);
+  if (state.image2Id) params.set('s2', state.image2Id);
+  return params.toString();
+}
+
+/**
+ * Parses a query string produced by serializeAnalysisState.
+ * Returns null when it doesn't describe an analysis (missing or invalid location/dates);
+ * optional fields that fail validation are dropped rather than rejecting the whole link.
+ *
+ * @param {string} search - e.g. window.location.search
+ * @param {string[]} [knownComputations] - Computation ids accepted in 'comp'.
+ * @param {string[]} [knownSensors] - Sensor ids accepted in 'sen'.
+ */
+export function parseAnalysisState(search, knownComputations = null, knownSensors = null) {
+  const params = new URLSearchParams(search);
+  const latitude = parseFloat(params.get('lat'));
+  const longitude = parseFloat(params.get('lon'));
+  const date1 = params.get('d1');
+  const date2 = params.get('d2');
+
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) return null;
+  if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) return null;
+  if (!DATE_PATTERN.test(date1 || '') || !DATE_PATTERN.test(date2 || '')) return null;
+
+  const state = {
+    latitude: params.get('lat'),
+    longitude: params.get('lon'),
+    date1,
+    date2,
+    cloudCover: 20,
+    sensor: DEFAULT_SENSOR,
+    aoiVertices: null,
+    ...DEFAULT_SCENE_SELECTION,
+    sameOrbit: params.get('orbit') === '1',
+    computations: [],
+    isImage1Visible: params.get('vis') !== '0',
+    compareMode: 'toggle',
+    zoom: null,
+    image1Id: params.get('s1'),
+    image2Id: params.get('s2'),
+  };
+
+  const cloudCover = parseInt(params.get('cc'), 10);
+  if (cloudCover >= 1 && cloudCover <= 100) state.cloudCover = cloudCover;
+
+  const sensor = params.get('sen');
+  if (sensor && (!knownSensors || knownSensors.includes(sensor))) state.sensor = sensor;
+
+  if (params.get('aoi')) state.aoiVertices = decodeVertices(params.get('aoi'));
+
+  for (const [param, field] of [['w1', 'window1'], ['w2', 'window2']]) {
+    if (params.get(param) && !validateDateWindow(params.get(param))) state[field] = params.get(param);
+  }
+  if (Object.keys(RANKING_STRATEGIES).includes(params.get('rank'))) state.ranking = params.get('rank');
+  const minCoverage = parseInt(params.get('cov'), 10);
+  if (minCoverage >= 0 && minCoverage <= 100) state.minCoverage = minCoverage;
+
+  if (params.get('comp')) {
+    state.computations = params.get('comp').split(',')
+      .filter(id => !knownComputations || knownComputations.includes(id));
+  }
+
+  if (COMPARE_MODES.some(({ id }) => id === params.get('cmp'))) state.compareMode = params.get('cmp');
+
+  const zoom = parseInt(params.get('z'), 10);
+  if (zoom >= 0 && zoom <= 22) state.zoom = zoom;
+
+  return state;
+}
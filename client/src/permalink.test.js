@@ -0,0 +1,44 @@
+import { parseAnalysisState, serializeAnalysisState } from './permalink';
+import { DEFAULT_SCENE_SELECTION } from './sceneSelection';
+
+const analysis = {
+  latitude: '35.4393',
+  longitude: '-82.2465',
+  date1: '2024-09-16',
+  date2: '2024-10-12',
+  cloudCover: 30,
+  sensor: 'landsat',
+  aoiVertices: [[35.4, -82.3], [35.5, -82.3], [35.5, -82.2]],
+  window1: '30',
+  window2: '7',
+  ranking: 'weighted',
+  minCoverage: 90,
+  sameOrbit: true,
+  computations: ['dNBR', 'NDVI'],
+  isImage1Visible: false,
+  compareMode: 'swipe',
+  zoom: 12,
+  image1Id: 'S2A_17SLV_20240915_0_L2A',
+  image2Id: 'S2B_17SLV_20241012_0_L2A',
+};
+
+test('round-trips the full analysis state through the query string', () => {
+  const query = serializeAnalysisState(analysis);
+  expect(parseAnalysisState(`?${query}`, ['dNBR', 'NDVI'], ['sentinel-2', 'landsat'])).toEqual(analysis);
+});
+
+test('omits default values to keep links short', () => {
+  const query = serializeAnalysisState({ ...analysis, sensor: 'sentinel-2', aoiVertices: null, ...DEFAULT_SCENE_SELECTION, computations: [], isImage1Visible: true, compareMode: 'toggle', zoom: null, image1Id: null, image2Id: null });
+  expect(query).toBe('lat=35.4393&lon=-82.2465&d1=2024-09-16&d2=2024-10-12&cc=30');
+});
+
+test('returns null when the link does not describe an analysis', () => {
+  expect(parseAnalysisState('')).toBeNull();
+  expect(parseAnalysisState('?lat=95&lon=0&d1=2024-01-01&d2=2024-02-01')).toBeNull();
+  expect(parseAnalysisState('?lat=10&lon=0&d1=yesterday&d2=2024-02-01')).toBeNull();
+});
+
+test('drops invalid optional fields instead of rejecting the link', () => {
+  const state = parseAnalysisState('?lat=10&lon=20&d1=2024-01-01&d2=2024-02-01&cc=500&aoi=1,2;3&w1=0&w2=1.5&rank=random&cov=101&comp=NDVI,bogus&cmp=3d&z=99&sen=modis', ['NDVI'], ['sentinel-2']);
+  expect(state).toMatchObject({ cloudCover: 20, sensor: 'sentinel-2', aoiVertices: null, ...DEFAULT_SCENE_SELECTION, computations: ['NDVI'], compareMode: 'toggle', zoom: null });
+});
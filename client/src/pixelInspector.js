@@ -0,0 +1,103 @@
+// --- Pixel inspector: band values, indices and scene class at one point, for both dates ---
+import { fetchBandPixels } from './computationEngine';
+import { computeIndexRaster, getSpectralIndex } from './spectralIndices';
+import { SCL_CLASSES } from './cloudMask';
+import { DEFAULT_SENSOR, sensorOf, supportedIndices } from './sensors';
+
+// Half-size in degrees of the box read around the point: about a metre, so the server's
+// single output pixel is the scene pixel under the point for every sensor
+export const INSPECTOR_HALF_SIZE = 0.00001;
+
+// Centre wavelengths in nm of the reflectance bands, for the spectral profile
+export const BAND_WAVELENGTHS = {
+  B01: 443,
+  B02: 490,
+  B03: 560,
+  B04: 665,
+  B05: 705,
+  B06: 740,
+  B07: 783,
+  B08: 842,
+  B8A: 865,
+  B09: 945,
+  B11: 1610,
+  B12: 2190,
+};
+
+/**
+ * Bounding box [minLon, minLat, maxLon, maxLat] of the inspected point.
+ */
+export function inspectorBbox(lat, lon) {
+  return [lon - INSPECTOR_HALF_SIZE, lat - INSPECTOR_HALF_SIZE, lon + INSPECTOR_HALF_SIZE, lat + INSPECTOR_HALF_SIZE];
+}
+
+const valueOf = (pixels, bandId) => {
+  const value = pixels?.bands[bandId]?.[0];
+  return value === undefined || Number.isNaN(value) ? null : value;
+};
+
+/**
+ * Reads every band of both scenes at one point and derives the indices their sensor supports.
+ * Values are null where a scene has no data at the point.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {Object} image1Info - Image info returned by /api/change-detection.
+ * @param {Object} image2Info
+ * @param {Function} [loadBands] - Injectable band loader, defaults to fetchBandPixels.
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<{latitude: number, longitude: number, bands: Array, indices: Array, scl: ?Object}>}
+ *   `bands` and `indices` hold { id, date1, date2, difference } rows (difference is Date 2 − Date 1);
+ *   `scl` holds the scene class of both dates, or is null when the sensor has no SCL band.
+ */
+export async function inspectPixel(lat, lon, image1Info, image2Info, loadBands = fetchBandPixels, { signal } = {}) {
+  const sensorId = image1Info.sensor || DEFAULT_SENSOR;
+  const bandIds = sensorOf(image1Info).bands.filter(bandId => image1Info.bands?.[bandId] && image2Info.bands?.[bandId]);
+  const bbox = inspectorBbox(lat, lon);
+
+  const [pixels1, pixels2] = await Promise.all([
+    loadBands(image1Info, bbox, bandIds, 1, { signal }),
+    loadBands(image2Info, bbox, bandIds, 1, { signal }),
+  ]);
+
+  const row = (id, date1, date2) => ({
+    id,
+    date1,
+    date2,
+    difference: date1 === null || date2 === null ? null : date2 - date1,
+  });
+
+  const indexValue = (pixels, indexId) => {
+    const value = computeIndexRaster(indexId, pixels.bands)[0];
+    return Number.isNaN(value) ? null : value;
+  };
+
+  const sclClass = (pixels) => {
+    const value = valueOf(pixels, 'SCL');
+    return value === null ? null : { value, label: SCL_CLASSES[value] || 'Unknown class' };
+  };
+
+  return {
+    latitude: lat,
+    longitude: lon,
+    bands: bandIds
+      .filter(bandId => bandId !== 'SCL')
+      .map(bandId => row(bandId, valueOf(pixels1, bandId), valueOf(pixels2, bandId))),
+    indices: supportedIndices(sensorId)
+      .filter(indexId => getSpectralIndex(indexId).bands.every(bandId => bandIds.includes(bandId)))
+      .map(indexId => row(indexId, indexValue(pixels1, indexId), indexValue(pixels2, indexId))),
+    scl: bandIds.includes('SCL') ? { date1: sclClass(pixels1), date2: sclClass(pixels2) } : null,
+  };
+}
+
+/**
+ * Reflectance bands of an inspection ordered by wavelength, for charting both dates.
+ *
+ * @returns {Array<{id: string, wavelength: number, date1: ?number, date2: ?number}>}
+ */
+export function spectralProfile(inspection) {
+  return inspection.bands
+    .filter(({ id }) => BAND_WAVELENGTHS[id])
+    .map(({ id, date1, date2 }) => ({ id, wavelength: BAND_WAVELENGTHS[id], date1, date2 }))
+    .sort((a, b) => a.wavelength - b.wavelength);
+}
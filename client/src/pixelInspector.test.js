@@ -0,0 +1,78 @@
+import { inspectPixel, inspectorBbox, spectralProfile } from './pixelInspector';
+
+const sceneBands = (bandIds) => Object.fromEntries(bandIds.map(bandId => [bandId, { href: `${bandId}.tif` }]));
+const S2_BANDS = ['B02', 'B03', 'B04', 'B05', 'B07', 'B08', 'B11', 'B12', 'SCL'];
+
+const values = {
+  before: { B02: 0.04, B03: 0.07, B04: 0.05, B05: 0.1, B07: 0.3, B08: 0.4, B11: 0.2, B12: 0.1, SCL: 4 },
+  after: { B02: 0.08, B03: 0.1, B04: 0.1, B05: 0.12, B07: 0.16, B08: 0.15, B11: 0.28, B12: NaN, SCL: 9 },
+};
+
+const fakeBandLoader = async (imageInfo, bbox, bandIds, size) => ({
+  width: size,
+  height: size,
+  bands: Object.fromEntries(bandIds.map(bandId => [bandId, Float64Array.of(values[imageInfo.id][bandId])])),
+});
+
+test('reads every band of both scenes at the point and derives their indices', async () => {
+  const loadBands = jest.fn(fakeBandLoader);
+  const inspection = await inspectPixel(
+    35.5, -82.5,
+    { id: 'before', bands: sceneBands(S2_BANDS) },
+    { id: 'after', bands: sceneBands(S2_BANDS) },
+    loadBands
+  );
+
+  expect(loadBands).toHaveBeenCalledTimes(2);
+  expect(loadBands.mock.calls[0][1]).toEqual(inspectorBbox(35.5, -82.5));
+  expect(loadBands.mock.calls[0][3]).toBe(1);
+
+  const b08 = inspection.bands.find(row => row.id === 'B08');
+  expect(b08.date1).toBeCloseTo(0.4);
+  expect(b08.difference).toBeCloseTo(-0.25);
+  expect(inspection.bands.find(row => row.id === 'B12')).toMatchObject({ date2: null, difference: null });
+  expect(inspection.bands.map(row => row.id)).not.toContain('SCL');
+
+  const ndvi = inspection.indices.find(row => row.id === 'NDVI');
+  expect(ndvi.date1).toBeCloseTo(0.35 / 0.45);
+  expect(ndvi.difference).toBeCloseTo(0.05 / 0.25 - 0.35 / 0.45);
+  expect(inspection.indices.find(row => row.id === 'NBR').date2).toBeNull();
+  expect(inspection.indices.map(row => row.id)).toEqual(expect.arrayContaining(['CIRE', 'EVI', 'NDWI']));
+  expect(inspection.indices.map(row => row.id)).not.toContain('LST');
+
+  expect(inspection.scl).toEqual({
+    date1: { value: 4, label: 'Vegetation' },
+    date2: { value: 9, label: 'Cloud, high probability' },
+  });
+});
+
+test('skips the scene class for sensors without one', async () => {
+  const loadBands = async (imageInfo, bbox, bandIds) => ({
+    width: 1,
+    height: 1,
+    bands: Object.fromEntries(bandIds.map(bandId => [bandId, Float64Array.of(imageInfo.id === 'dry' ? 0.2 : 0.02)])),
+  });
+  const inspection = await inspectPixel(
+    0, 0,
+    { id: 'dry', sensor: 'sentinel-1', bands: sceneBands(['VV', 'VH']) },
+    { id: 'flooded', sensor: 'sentinel-1', bands: sceneBands(['VV', 'VH']) },
+    loadBands
+  );
+  expect(inspection.scl).toBeNull();
+  expect(inspection.indices.map(row => row.id)).toEqual(['VVDB']);
+  expect(inspection.indices[0].difference).toBeCloseTo(-20);
+  expect(spectralProfile(inspection)).toEqual([]);
+});
+
+test('orders the spectral profile by wavelength', () => {
+  const profile = spectralProfile({
+    bands: [
+      { id: 'B8A', date1: 0.3, date2: 0.2 },
+      { id: 'B02', date1: 0.05, date2: null },
+      { id: 'TIR', date1: 290, date2: 295 },
+      { id: 'B08', date1: 0.31, date2: 0.21 },
+    ],
+  });
+  expect(profile.map(band => band.id)).toEqual(['B02', 'B08', 'B8A']);
+  expect(profile[0]).toEqual({ id: 'B02', wavelength: 490, date1: 0.05, date2: null });
+});
@@ -0,0 +1,181 @@
+// --- Cache of API responses (scene searches, band pixels) persisted in IndexedDB ---
+// Fresh entries are returned without a request, so repeating a comparison is instant; past
+// their lifetime they are still used when the server can't be reached, so an analysis can
+// be reopened with poor connectivity. Map tiles are cached separately by the service worker
+// (public/tile-cache-sw.js, see tileCache.js).
+
+import { completion, promisify } from './idb';
+
+const DB_NAME = 'geo-compare-cache';
+const DB_VERSION = 2;
+const STORE_NAME = 'responses';
+const USAGE_STORE_NAME = 'usage'; // { key, usedAt, size } of each response, read without loading them
+
+// How long a cached response is used without asking the server again
+export const CACHE_POLICIES = {
+  search: { maxAgeMs: 15 * 60 * 1000 }, // The server's Cache-Control lifetime for searches (SEARCH_MAX_AGE_SECONDS)
+  pixels: { maxAgeMs: Infinity }, // Pixels of a published scene never change
+};
+
+// Past either limit the least recently used responses are dropped. Sizes are the length of the
+// response's JSON, close enough to what the browser stores.
+export const CACHE_LIMITS = { maxEntries: 500, maxBytes: 100 * 1024 * 1024 };
+
+const isQuotaError = (error) => error?.name === 'QuotaExceededError';
+
+// Failures that mean "offline" rather than a bad request, for which a stale entry is better than nothing
+const isConnectivityError = (error) => error?.name === 'ApiError' && (error.code === 'network' || error.code === 'timeout');
+
+/**
+ * Creates a response cache on top of a key-value store.
+ *
+ * @param {Object} store - Async store of { value, storedAt, size } entries with their usage
+ *   records (see memoryStore); defaults to IndexedDB (see indexedDbStore).
+ * @param {Function} [now] - Clock, injectable for tests.
+ * @param {{maxEntries: number, maxBytes: number}} [limits]
+ */
+export function createResponseCache(store = indexedDbStore(), now = () => Date.now(), limits = CACHE_LIMITS) {
+  // A broken store (private browsing, quota) must never break the request itself
+  const safely = (operation) => Promise.resolve().then(operation).catch(() => undefined);
+  const read = (key) => safely(() => store.get(key));
+  const touch = (key, { size }) => safely(() => store.touch(key, { usedAt: now(), size }));
+
+  // Drops the least recently used entries until at most `maxEntries` entries of `maxBytes` are left
+  const evict = async ({ maxEntries, maxBytes }) => {
+    const usage = (await store.usage()).sort((a, b) => a.usedAt - b.usedAt);
+    let count = usage.length;
+    let bytes = usage.reduce((total, { size }) => total + size, 0);
+    const evicted = [];
+    for (const { key, size } of usage) {
+      if (count <= maxEntries && bytes <= maxBytes) break;
+      evicted.push(key);
+      count -= 1;
+      bytes -= size;
+    }
+    if (evicted.length > 0) await store.delete(evicted);
+  };
+
+  const write = (key, value) => safely(async () => {
+    const size = JSON.stringify(value)?.length ?? 0;
+    if (size > limits.maxBytes) return;
+    const put = () => store.put(key, { value, storedAt: now(), size }, { usedAt: now(), size });
+    try {
+      await put();
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+      // The browser ran out of room before our limits did: make space for the entry, then try once more
+      await evict({ maxEntries: limits.maxEntries / 2, maxBytes: limits.maxBytes / 2 - size });
+      await put();
+    }
+    await evict(limits);
+  });
+
+  return {
+    /**
+     * Returns the cached value for `key` when it is younger than `maxAgeMs`, otherwise
+     * calls `load` and caches its result. When `load` fails for lack of connectivity,
+     * an older cached value is returned instead.
+     */
+    async get(key, load, { maxAgeMs }) {
+      const entry = await read(key);
+      if (entry && now() - entry.storedAt < maxAgeMs) {
+        touch(key, entry);
+        return entry.value;
+      }
+      try {
+        const value = await load();
+        await write(key, value);
+        return value;
+      } catch (error) {
+        if (!entry || !isConnectivityError(error)) throw error;
+        touch(key, entry);
+        return entry.value;
+      }
+    },
+
+    clear: () => store.clear(),
+  };
+}
+
+/**
+ * In-memory store with the same interface as indexedDbStore, for tests and browsers without IndexedDB.
+ */
+export function memoryStore() {
+  const entries = new Map();
+  const usage = new Map();
+  return {
+    get: async (key) => entries.get(key),
+    put: async (key, entry, { usedAt, size }) => {
+      entries.set(key, entry);
+      usage.set(key, { key, usedAt, size });
+    },
+    touch: async (key, { usedAt, size }) => {
+      if (entries.has(key)) usage.set(key, { key, usedAt, size });
+    },
+    usage: async () => [...usage.values()],
+    delete: async (keys) => keys.forEach(key => {
+      entries.delete(key);
+      usage.delete(key);
+    }),
+    clear: async () => {
+      entries.clear();
+      usage.clear();
+    },
+  };
+}
+
+// --- IndexedDB storage ---
+
+/**
+ * Key-value store in its own IndexedDB database, so clearing the cache never touches saved analyses.
+ */
+export function indexedDbStore() {
+  if (typeof indexedDB === 'undefined') return memoryStore();
+
+  let dbPromise = null;
+  const openDatabase = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        // Responses cached before usage was recorded could never be evicted, so they are dropped
+        const db = request.result;
+        if (db.objectStoreNames.contains(STORE_NAME)) db.deleteObjectStore(STORE_NAME);
+        db.createObjectStore(STORE_NAME);
+        db.createObjectStore(USAGE_STORE_NAME, { keyPath: 'key' });
+      };
+      dbPromise = promisify(request).catch(error => {
+        dbPromise = null; // Let a later call try again
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+  // Runs `operation(responses, usage)` in one transaction and resolves to the result of the request it returns
+  const withStores = async (mode, operation) => {
+    const db = await openDatabase();
+    const transaction = db.transaction([STORE_NAME, USAGE_STORE_NAME], mode);
+    const request = operation(transaction.objectStore(STORE_NAME), transaction.objectStore(USAGE_STORE_NAME));
+    await completion(transaction);
+    return request?.result;
+  };
+
+  return {
+    get: (key) => withStores('readonly', responses => responses.get(key)),
+    put: (key, entry, { usedAt, size }) => withStores('readwrite', (responses, usage) => {
+      responses.put(entry, key);
+      usage.put({ key, usedAt, size });
+    }),
+    touch: (key, { usedAt, size }) => withStores('readwrite', (responses, usage) => {
+      usage.put({ key, usedAt, size });
+    }),
+    usage: () => withStores('readonly', (responses, usage) => usage.getAll()),
+    delete: (keys) => withStores('readwrite', (responses, usage) => keys.forEach(key => {
+      responses.delete(key);
+      usage.delete(key);
+    })),
+    clear: () => withStores('readwrite', (responses, usage) => {
+      responses.clear();
+      usage.clear();
+    }),
+  };
+}
@@ -0,0 +1,87 @@
+import { createResponseCache, memoryStore } from './responseCache';
+import { ApiError } from './apiClient';
+
+const HOUR = 3600 * 1000;
+
+const cacheWithClock = () => {
+  const clock = { time: 0 };
+  const cache = createResponseCache(memoryStore(), () => clock.time);
+  return { cache, clock };
+};
+
+test('answers fresh entries from the cache and reloads stale ones', async () => {
+  const { cache, clock } = cacheWithClock();
+  const load = jest.fn().mockResolvedValueOnce('first').mockResolvedValueOnce('second');
+
+  expect(await cache.get('key', load, { maxAgeMs: HOUR })).toBe('first');
+  clock.time = HOUR - 1;
+  expect(await cache.get('key', load, { maxAgeMs: HOUR })).toBe('first');
+  expect(load).toHaveBeenCalledTimes(1);
+
+  clock.time = HOUR;
+  expect(await cache.get('key', load, { maxAgeMs: HOUR })).toBe('second');
+  expect(load).toHaveBeenCalledTimes(2);
+});
+
+test('falls back to a stale entry only when the server is unreachable', async () => {
+  const { cache, clock } = cacheWithClock();
+  await cache.get('key', async () => 'cached', { maxAgeMs: HOUR });
+  clock.time = 2 * HOUR;
+
+  const offline = new ApiError('Could not reach the server.', { code: 'network' });
+  expect(await cache.get('key', () => Promise.reject(offline), { maxAgeMs: HOUR })).toBe('cached');
+
+  const notFound = new ApiError('No clear image found.', { status: 404 });
+  await expect(cache.get('key', () => Promise.reject(notFound), { maxAgeMs: HOUR })).rejects.toBe(notFound);
+  await expect(cache.get('other', () => Promise.reject(offline), { maxAgeMs: HOUR })).rejects.toBe(offline);
+});
+
+test('keeps working when the store fails', async () => {
+  const brokenStore = {
+    get: () => Promise.reject(new Error('QuotaExceededError')),
+    put: () => Promise.reject(new Error('QuotaExceededError')),
+    clear: () => Promise.resolve(),
+  };
+  const cache = createResponseCache(brokenStore);
+  expect(await cache.get('key', async () => 'loaded', { maxAgeMs: HOUR })).toBe('loaded');
+});
+
+test('evicts the least recently used entries past the entry and byte limits', async () => {
+  const clock = { time: 0 };
+  const store = memoryStore();
+  const cache = createResponseCache(store, () => clock.time, { maxEntries: 2, maxBytes: 30 });
+  const cached = async () => (await store.usage()).map(({ key }) => key).sort();
+  const load = (value) => async () => value;
+
+  await cache.get('a', load('aaaa'), { maxAgeMs: HOUR });
+  clock.time = 1;
+  await cache.get('b', load('bbbb'), { maxAgeMs: HOUR });
+  clock.time = 2;
+  await cache.get('a', load('unused'), { maxAgeMs: HOUR });
+  clock.time = 3;
+  await cache.get('c', load('cccc'), { maxAgeMs: HOUR });
+  expect(await cached()).toEqual(['a', 'c']);
+
+  // A large entry pushes out the others, and one past the byte limit isn't kept at all
+  clock.time = 4;
+  await cache.get('d', load('d'.repeat(25)), { maxAgeMs: HOUR });
+  expect(await cached()).toEqual(['d']);
+  await cache.get('e', load('e'.repeat(40)), { maxAgeMs: HOUR });
+  expect(await cached()).toEqual(['d']);
+});
+
+test('makes room and retries when the browser storage is full', async () => {
+  const store = memoryStore();
+  const put = store.put;
+  store.put = jest.fn()
+    .mockImplementationOnce(put)
+    .mockImplementationOnce(put)
+    .mockRejectedValueOnce(new DOMException('Storage is full.', 'QuotaExceededError'))
+    .mockImplementation(put);
+  const cache = createResponseCache(store, () => 0, { maxEntries: 10, maxBytes: 12 });
+
+  await cache.get('a', async () => 'a', { maxAgeMs: HOUR });
+  await cache.get('b', async () => 'b', { maxAgeMs: HOUR });
+  expect(await cache.get('c', async () => 'c', { maxAgeMs: HOUR })).toBe('c');
+  expect((await store.usage()).map(({ key }) => key)).toEqual(['b', 'c']);
+});
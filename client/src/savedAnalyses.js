@@ -0,0 +1,144 @@
+// --- Saved analyses library: records persisted in IndexedDB and exchanged as JSON files ---
+// A saved analysis is a self-contained snapshot (inputs, chosen scenes, view settings, result
+// statistics and map annotations), so it can be reopened without searching the catalogue again.
+
+import { promisify } from './idb';
+import { parseAnalysisState, serializeAnalysisState } from './permalink';
+
+const DB_NAME = 'geo-compare';
+const DB_VERSION = 1;
+const STORE_NAME = 'savedAnalyses';
+
+export const LIBRARY_FORMAT = 'geo-compare-library';
+export const LIBRARY_VERSION = 1;
+
+/**
+ * A random id for a new record, unique enough for one browser's data.
+ */
+export const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Results without their pixel rasters: those are large, typed arrays that don't survive
+ * a JSON round trip, and they can be recomputed from the saved scenes.
+ */
+export function stripRasters(results) {
+  return Object.fromEntries(
+    Object.entries(results || {}).map(([key, { raster, ...result }]) => [key, result])
+  );
+}
+
+/**
+ * Name suggested when saving, e.g. "35.4393, -82.2465 (2024-09-16 → 2024-10-12)".
+ */
+export const defaultAnalysisName = ({ latitude, longitude, date1, date2 }) =>
+  `${latitude}, ${longitude} (${date1} → ${date2})`;
+
+/**
+ * Builds a new library record from the current analysis.
+ *
+ * @param {Object} analysis - { name, inputs, view, image1Info, image2Info, sceneCandidates, results, annotations }
+ */
+export function createSavedAnalysis({ name, inputs, view, image1Info, image2Info, sceneCandidates, results, annotations = [] }, now = new Date()) {
+  const timestamp = now.toISOString();
+  return {
+    id: newId(),
+    name: name?.trim() || defaultAnalysisName(inputs),
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    thumbnailUrl: image2Info?.thumbnailUrl || image1Info?.thumbnailUrl || null,
+    inputs,
+    view,
+    image1Info,
+    image2Info,
+    sceneCandidates: sceneCandidates || { date1: [image1Info], date2: [image2Info] },
+    results: stripRasters(results),
+    annotations,
+  };
+}
+
+export function renameSavedAnalysis(record, name, now = new Date()) {
+  return { ...record, name: name.trim() || record.name, updatedAt: now.toISOString() };
+}
+
+export function duplicateSavedAnalysis(record, now = new Date()) {
+  const timestamp = now.toISOString();
+  return { ...record, id: newId(), name: `${record.name} (copy)`, createdAt: timestamp, updatedAt: timestamp };
+}
+
+/**
+ * JSON file content for a set of saved analyses.
+ */
+export function serializeLibrary(records) {
+  return JSON.stringify({ format: LIBRARY_FORMAT, version: LIBRARY_VERSION, analyses: records }, null, 2);
+}
+
+// The inputs are checked with the permalink parser, so a library accepts exactly what a link would
+const hasValidInputs = (inputs) => Boolean(inputs && parseAnalysisState(serializeAnalysisState(inputs)));
+
+/**
+ * Parses a library file. Throws when the file isn't a library; records that are
+ * incomplete are skipped and counted rather than failing the whole import.
+ *
+ * @returns {{ analyses: Object[], skipped: number }}
+ */
+export function parseLibrary(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (data?.format !== LIBRARY_FORMAT || !Array.isArray(data.analyses)) {
+    throw new Error('The file is not a Geo Compare saved analyses library.');
+  }
+  if (data.version > LIBRARY_VERSION) {
+    throw new Error(`The library was exported by a newer version (format ${data.version}).`);
+  }
+
+  const analyses = data.analyses.filter(record =>
+    record && typeof record.id === 'string' && typeof record.name === 'string' &&
+    hasValidInputs(record.inputs) && record.image1Info?.tileUrlTemplate && record.image2Info?.tileUrlTemplate
+  );
+  return { analyses, skipped: data.analyses.length - analyses.length };
+}
+
+// --- IndexedDB storage ---
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('Saved analyses need a browser with IndexedDB support.'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    dbPromise = promisify(request).catch(error => {
+      dbPromise = null; // Let a later call try again
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  return promisify(operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+}
+
+/**
+ * All saved analyses, most recently updated first.
+ */
+export async function listSavedAnalyses() {
+  const records = await withStore('readonly', store => store.getAll());
+  return records.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Inserts or replaces a record (records are keyed by id).
+ */
+export const putSavedAnalysis = (record) => withStore('readwrite', store => store.put(record));
+
+export const deleteSavedAnalysis = (id) => withStore('readwrite', store => store.delete(id));
@@ -0,0 +1,71 @@
+import {
+  createSavedAnalysis,
+  duplicateSavedAnalysis,
+  parseLibrary,
+  renameSavedAnalysis,
+  serializeLibrary,
+} from './savedAnalyses';
+
+const now = new Date('2025-03-01T12:00:00Z');
+
+const analysis = {
+  name: '',
+  inputs: { latitude: '35.4393', longitude: '-82.2465', date1: '2024-09-16', date2: '2024-10-12', cloudCover: 20, aoiVertices: null },
+  view: { computations: ['NDVI'], compareMode: 'swipe', isImage1Visible: true, zoom: 12 },
+  image1Info: { id: 'S2A_1', tileUrlTemplate: 'http://tiles/1/{z}/{x}/{y}', thumbnailUrl: 'http://thumbs/1.jpg' },
+  image2Info: { id: 'S2B_2', tileUrlTemplate: 'http://tiles/2/{z}/{x}/{y}', thumbnailUrl: 'http://thumbs/2.jpg' },
+  sceneCandidates: null,
+  results: {
+    NDVI: { label: 'NDVI', index: 'NDVI', date1: { mean: 0.5 }, raster: { width: 1, height: 1, date1: Float64Array.of(0.5) } },
+  },
+};
+
+test('creates a record with a default name, thumbnail and results without rasters', () => {
+  const record = createSavedAnalysis(analysis, now);
+
+  expect(record.id).toEqual(expect.any(String));
+  expect(record.name).toBe('35.4393, -82.2465 (2024-09-16 → 2024-10-12)');
+  expect(record.createdAt).toBe('2025-03-01T12:00:00.000Z');
+  expect(record.thumbnailUrl).toBe('http://thumbs/2.jpg');
+  expect(record.sceneCandidates).toEqual({ date1: [analysis.image1Info], date2: [analysis.image2Info] });
+  expect(record.results.NDVI.date1.mean).toBe(0.5);
+  expect(record.results.NDVI.raster).toBeUndefined();
+  expect(analysis.results.NDVI.raster).toBeDefined();
+  expect(record.annotations).toEqual([]);
+});
+
+test('renames and duplicates records', () => {
+  const record = createSavedAnalysis({ ...analysis, name: '  Burn scar  ' }, now);
+  expect(record.name).toBe('Burn scar');
+
+  const later = new Date('2025-03-02T00:00:00Z');
+  expect(renameSavedAnalysis(record, 'Fire 2024', later)).toMatchObject({ id: record.id, name: 'Fire 2024', updatedAt: later.toISOString() });
+  expect(renameSavedAnalysis(record, '   ', later).name).toBe('Burn scar');
+
+  const copy = duplicateSavedAnalysis(record, later);
+  expect(copy.id).not.toBe(record.id);
+  expect(copy.name).toBe('Burn scar (copy)');
+  expect(copy.createdAt).toBe(later.toISOString());
+});
+
+test('round-trips a library through JSON', () => {
+  const records = [createSavedAnalysis(analysis, now), createSavedAnalysis({ ...analysis, name: 'Second' }, now)];
+  const { analyses, skipped } = parseLibrary(serializeLibrary(records));
+
+  expect(skipped).toBe(0);
+  expect(analyses).toEqual(records);
+});
+
+test('skips incomplete records and rejects files that are not libraries', () => {
+  const valid = createSavedAnalysis(analysis, now);
+  const badDates = { ...valid, id: 'x', inputs: { ...valid.inputs, date1: 'yesterday' } };
+  const noScene = { ...valid, id: 'y', image2Info: null };
+  const { analyses, skipped } = parseLibrary(serializeLibrary([valid, badDates, noScene]));
+
+  expect(analyses.map(record => record.id)).toEqual([valid.id]);
+  expect(skipped).toBe(2);
+
+  expect(() => parseLibrary('not json')).toThrow('not valid JSON');
+  expect(() => parseLibrary('{"type": "FeatureCollection"}')).toThrow('not a Geo Compare');
+  expect(() => parseLibrary(JSON.stringify({ format: 'geo-compare-library', version: 99, analyses: [] }))).toThrow('newer version');
+});
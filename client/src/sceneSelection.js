@@ -0,0 +1,82 @@
+// --- Scene selection: how the two-date search picks a scene around each requested date ---
+// Mirrors the server's window, ranking and coverage limits (RANKING_STRATEGIES and
+// MAX_DATE_WINDOW_DAYS in server/main.py).
+
+export const RANKING_STRATEGIES = {
+  'least-cloudy': { label: 'Least cloudy', description: 'Fewest clouds first, the closest date breaking ties.' },
+  closest: { label: 'Closest to the date', description: 'Nearest acquisition first, the least cloudy breaking ties.' },
+  weighted: { label: 'Weighted score', description: 'Cloud cover and distance from the date count equally.' },
+};
+
+export const MAX_DATE_WINDOW_DAYS = 90;
+
+// Window sizes are kept as typed, like the coordinates, and checked when searching
+export const DEFAULT_SCENE_SELECTION = {
+  window1: '15', // Days searched either side of Date 1
+  window2: '15',
+  ranking: 'least-cloudy', // Key of RANKING_STRATEGIES
+  minCoverage: 0, // Percentage of the analysed area a scene's footprint must cover
+  sameOrbit: false, // Both scenes from the same tile and relative orbit
+};
+
+/**
+ * Error message for a typed date window, or null when it is valid.
+ */
+export function validateDateWindow(value) {
+  const days = Number(value);
+  if (value === '' || !Number.isInteger(days)) return 'Window must be a whole number of days.';
+  if (days < 1 || days > MAX_DATE_WINDOW_DAYS) return `Window must be between 1 and ${MAX_DATE_WINDOW_DAYS} days.`;
+  return null;
+}
+
+/**
+ * Scene search parameters of the inputs, as sent to /api/change-detection. Defaults are
+ * left out; inputs saved before scene selection existed search like the defaults.
+ */
+export function sceneSelectionParams({ window1, window2, ranking, minCoverage, sameOrbit }) {
+  const param = (value, defaultValue) => (value == null || String(value) === String(defaultValue) ? undefined : Number(value));
+  return {
+    window1: param(window1, DEFAULT_SCENE_SELECTION.window1),
+    window2: param(window2, DEFAULT_SCENE_SELECTION.window2),
+    ranking: ranking && ranking !== DEFAULT_SCENE_SELECTION.ranking ? ranking : undefined,
+    minCoverage: minCoverage ? Number(minCoverage) : undefined,
+    sameOrbit: sameOrbit ? 1 : undefined,
+  };
+}
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days from the requested date (YYYY-MM-DD) to a scene's acquisition time, negative
+ * when the scene is earlier. Both are compared as UTC calendar days.
+ */
+export function dayOffset(dateAcquired, requestedDate) {
+  const acquired = new Date(dateAcquired);
+  const acquiredDay = Date.UTC(acquired.getUTCFullYear(), acquired.getUTCMonth(), acquired.getUTCDate());
+  return Math.round((acquiredDay - Date.parse(`${requestedDate}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+/**
+ * e.g. "3 days after the requested date".
+ */
+export function describeDayOffset(days) {
+  if (days === 0) return 'on the requested date';
+  const count = Math.abs(days);
+  return `${count} day${count === 1 ? '' : 's'} ${days > 0 ? 'after' : 'before'} the requested date`;
+}
+
+/**
+ * The candidate acquired just before (step -1) or after (step 1) the current scene, or null
+ * at either end. Candidates come ranked, so they are ordered by acquisition time first.
+ */
+export function adjacentScene(candidates, currentId, step) {
+  const byDate = [...candidates].sort((a, b) => Date.parse(a.dateAcquired) - Date.parse(b.dateAcquired));
+  const index = byDate.findIndex(scene => scene.id === currentId);
+  return (index >= 0 && byDate[index + step]) || null;
+}
+
+/**
+ * Identifies the acquisition geometry of a scene, its tile and relative orbit (orbit_key in
+ * server/main.py): scenes of a same-orbit search share it.
+ */
+export const orbitKey = (scene) => `${scene?.tileId ?? ''}/${scene?.relativeOrbit ?? ''}`;
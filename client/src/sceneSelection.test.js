@@ -0,0 +1,48 @@
+import {
+  DEFAULT_SCENE_SELECTION, adjacentScene, dayOffset, describeDayOffset, orbitKey, sceneSelectionParams, validateDateWindow,
+} from './sceneSelection';
+
+test('accepts windows of 1 to 90 whole days', () => {
+  expect(validateDateWindow('1')).toBeNull();
+  expect(validateDateWindow('90')).toBeNull();
+  expect(validateDateWindow('')).toBe('Window must be a whole number of days.');
+  expect(validateDateWindow('7.5')).toBe('Window must be a whole number of days.');
+  expect(validateDateWindow('0')).toBe('Window must be between 1 and 90 days.');
+  expect(validateDateWindow('91')).toBe('Window must be between 1 and 90 days.');
+});
+
+test('sends only the scene selection settings that differ from the defaults', () => {
+  expect(sceneSelectionParams(DEFAULT_SCENE_SELECTION)).toEqual({
+    window1: undefined, window2: undefined, ranking: undefined, minCoverage: undefined, sameOrbit: undefined,
+  });
+  expect(sceneSelectionParams({})).toEqual(sceneSelectionParams(DEFAULT_SCENE_SELECTION));
+  expect(sceneSelectionParams({ window1: '30', window2: '15', ranking: 'closest', minCoverage: 80, sameOrbit: true })).toEqual({
+    window1: 30, window2: undefined, ranking: 'closest', minCoverage: 80, sameOrbit: 1,
+  });
+});
+
+test('counts the days between the requested date and the acquisition', () => {
+  expect(dayOffset('2024-09-19T16:05:31.024000Z', '2024-09-16')).toBe(3);
+  expect(dayOffset('2024-10-10T00:00:01Z', '2024-10-12')).toBe(-2);
+  expect(dayOffset('2024-03-31T23:59:59Z', '2024-03-31')).toBe(0);
+});
+
+test('describes the offset from the requested date', () => {
+  expect(describeDayOffset(0)).toBe('on the requested date');
+  expect(describeDayOffset(1)).toBe('1 day after the requested date');
+  expect(describeDayOffset(-12)).toBe('12 days before the requested date');
+});
+
+test('steps to the scene acquired just before or after the current one', () => {
+  const scene = (id, dateAcquired) => ({ id, dateAcquired });
+  const ranked = [scene('b', '2024-09-16T16:00:00Z'), scene('c', '2024-09-21T16:00:00Z'), scene('a', '2024-09-11T16:00:00Z')];
+  expect(adjacentScene(ranked, 'b', -1).id).toBe('a');
+  expect(adjacentScene(ranked, 'b', 1).id).toBe('c');
+  expect(adjacentScene(ranked, 'c', 1)).toBeNull();
+  expect(adjacentScene(ranked, 'x', 1)).toBeNull();
+});
+
+test('tells scenes of the same tile and relative orbit apart from others', () => {
+  expect(orbitKey({ tileId: '17SNA', relativeOrbit: 11 })).toBe(orbitKey({ id: 'other', tileId: '17SNA', relativeOrbit: 11 }));
+  expect(orbitKey({ tileId: '17SNA', relativeOrbit: 11 })).not.toBe(orbitKey({ tileId: '17SNA', relativeOrbit: 54 }));
+});
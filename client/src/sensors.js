@@ -0,0 +1,89 @@
+// --- Sensors (STAC collections) an analysis can run on ---
+// The server maps every sensor's assets onto the band ids the index formulas use
+// (SENSORS in server/main.py), so an index is available on a sensor exactly when the
+// sensor has all of the index's bands.
+
+import { getSpectralIndex, spectralIndexIds } from './spectralIndices';
+
+export const SENSORS = {
+  'sentinel-2': {
+    name: 'Sentinel-2 L2A',
+    measures: 'surface reflectance', // What the values are, for the note under the results
+    description: '10–20 m optical imagery every 5 days, from 2017.',
+    bands: ['B01', 'B02', 'B03', 'B04', 'B05', 'B06', 'B07', 'B08', 'B8A', 'B09', 'B11', 'B12', 'SCL'],
+    hasCloudCover: true,
+    trueColor: 'visual', // The scene's own true-colour asset
+  },
+  landsat: {
+    name: 'Landsat 4–9 Collection 2 L2',
+    measures: 'surface reflectance and temperature',
+    description: '30 m optical imagery with a thermal band, from 1982: the baseline for years before Sentinel-2.',
+    bands: ['B01', 'B02', 'B03', 'B04', 'B08', 'B8A', 'B11', 'B12', 'TIR'],
+    hasCloudCover: true,
+    trueColor: ['B04', 'B03', 'B02'],
+  },
+  'sentinel-1': {
+    name: 'Sentinel-1 GRD (SAR)',
+    measures: 'radar backscatter',
+    description: 'Radar backscatter that sees through clouds, from 2014: for mapping floods under cloud cover.',
+    bands: ['VV', 'VH'],
+    hasCloudCover: false,
+    trueColor: null, // Shown as VV greyscale by the server
+  },
+  hls: {
+    name: 'HLS (Harmonized Landsat Sentinel-2)',
+    measures: 'surface reflectance',
+    description: '30 m optical imagery from Landsat and Sentinel-2 on one grid, from 2013: for dense time series.',
+    bands: ['B01', 'B02', 'B03', 'B04', 'B08', 'B8A', 'B11', 'B12'],
+    hasCloudCover: true,
+    trueColor: ['B04', 'B03', 'B02'],
+  },
+};
+
+export const DEFAULT_SENSOR = 'sentinel-2';
+
+// Every band id a formula can read on some sensor (SCL holds classes, not values)
+export const INDEX_BANDS = [...new Set(Object.values(SENSORS).flatMap(sensor => sensor.bands))].filter(bandId => bandId !== 'SCL');
+
+// How missing bands are described to the user; others are named by their id
+const BAND_DESCRIPTIONS = {
+  TIR: 'a thermal band',
+  VV: 'SAR backscatter',
+  VH: 'SAR backscatter',
+  B05: 'red-edge bands',
+  B06: 'red-edge bands',
+  B07: 'red-edge bands',
+};
+
+/**
+ * The sensor a scene was searched with; scenes from before sensors existed are Sentinel-2.
+ */
+export function sensorOf(imageInfo) {
+  return SENSORS[imageInfo?.sensor] || SENSORS[DEFAULT_SENSOR];
+}
+
+/**
+ * Band ids among `bandIds` that the sensor doesn't have.
+ */
+export function missingSensorBands(sensorId, bandIds) {
+  const sensor = SENSORS[sensorId] || SENSORS[DEFAULT_SENSOR];
+  return bandIds.filter(bandId => !sensor.bands.includes(bandId));
+}
+
+/**
+ * Ids of the built-in and custom indices that can be computed from the sensor's bands.
+ */
+export function supportedIndices(sensorId) {
+  return spectralIndexIds().filter(indexId => missingSensorBands(sensorId, getSpectralIndex(indexId).bands).length === 0);
+}
+
+/**
+ * Why a sensor can't provide some bands, e.g. "Requires a thermal band, not available
+ * from Sentinel-2 L2A.", or null when it has them all.
+ */
+export function missingBandsReason(sensorId, bandIds) {
+  const missing = missingSensorBands(sensorId, bandIds);
+  if (missing.length === 0) return null;
+  const needs = [...new Set(missing.map(bandId => BAND_DESCRIPTIONS[bandId] || `band ${bandId}`))].join(' and ');
+  return `Requires ${needs}, not available from ${(SENSORS[sensorId] || SENSORS[DEFAULT_SENSOR]).name}.`;
+}
@@ -0,0 +1,31 @@
+import { missingBandsReason, missingSensorBands, sensorOf, supportedIndices } from './sensors';
+import { supportedComputations, unsupportedReason } from './computationEngine';
+
+test('offers each sensor only the indices it has the bands for', () => {
+  expect(supportedIndices('sentinel-2')).toContain('CIRE');
+  expect(supportedIndices('sentinel-2')).not.toContain('LST');
+  expect(supportedIndices('landsat')).toEqual(expect.arrayContaining(['NDVI', 'NBR', 'LST']));
+  expect(supportedIndices('landsat')).not.toContain('CIRE');
+  expect(supportedIndices('sentinel-1')).toEqual(['VVDB']);
+  expect(supportedIndices('hls')).not.toContain('LST');
+});
+
+test('explains which bands a sensor is missing', () => {
+  expect(missingSensorBands('hls', ['B04', 'B07', 'TIR'])).toEqual(['B07', 'TIR']);
+  expect(missingBandsReason('sentinel-2', ['TIR'])).toBe('Requires a thermal band, not available from Sentinel-2 L2A.');
+  expect(missingBandsReason('landsat', ['B07', 'B05'])).toMatch(/^Requires red-edge bands,/);
+  expect(missingBandsReason('landsat', ['B04'])).toBeNull();
+});
+
+test('treats scenes without a sensor as Sentinel-2', () => {
+  expect(sensorOf({}).name).toBe('Sentinel-2 L2A');
+  expect(sensorOf({ sensor: 'sentinel-1' }).trueColor).toBeNull();
+});
+
+test('limits the computations to the sensor', () => {
+  const labels = ['Urban Heat Island (LST Difference)', 'SAR Flood Mapping (VV Backscatter Change)', 'NDVI (Normalized Difference Vegetation Index)', 'Building Damage Proxy Map'];
+  expect(supportedComputations(labels, 'sentinel-2')).toEqual(['NDVI (Normalized Difference Vegetation Index)']);
+  expect(supportedComputations(labels, 'landsat')).toEqual(['Urban Heat Island (LST Difference)', 'NDVI (Normalized Difference Vegetation Index)']);
+  expect(supportedComputations(labels, 'sentinel-1')).toEqual(['SAR Flood Mapping (VV Backscatter Change)']);
+  expect(unsupportedReason('Building Damage Proxy Map', 'sentinel-1')).toMatch(/coherence/);
+});
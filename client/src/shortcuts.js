@@ -0,0 +1,54 @@
+// --- Keyboard shortcuts: which key does what, as listed in the help overlay ---
+// Keys are matched on KeyboardEvent.key. Shortcuts never fire while typing in a field, and
+// inside a dialog only the ones closing or reopening it do.
+
+// Degrees the marker moves per arrow key press (about 110 m north-south), and with Shift held
+export const MARKER_STEP_DEGREES = 0.001;
+export const MARKER_LARGE_STEP_DEGREES = 0.01;
+
+// `keys` is how the shortcut is shown; `match` gives its arguments for a key, or null
+export const SHORTCUTS = [
+  { id: 'toggleImage', keys: 'T', description: 'Toggle between Image 1 and Image 2', match: { t: {} } },
+  { id: 'nextCompareMode', keys: 'M', description: 'Next compare mode (toggle, swipe, opacity, dual map)', match: { m: {} } },
+  {
+    id: 'moveMarker',
+    keys: '← ↑ → ↓',
+    description: 'Move the marker (Shift for bigger steps); over the map they pan it',
+    match: {
+      ArrowUp: { latitudeStep: 1, longitudeStep: 0 },
+      ArrowDown: { latitudeStep: -1, longitudeStep: 0 },
+      ArrowLeft: { latitudeStep: 0, longitudeStep: -1 },
+      ArrowRight: { latitudeStep: 0, longitudeStep: 1 },
+    },
+  },
+  { id: 'stepDate', keys: '[ ]', description: 'Image 1: previous / next scene found', match: { '[': { slot: 1, step: -1 }, ']': { slot: 1, step: 1 } } },
+  { id: 'stepDate', keys: '{ }', description: 'Image 2: previous / next scene found', match: { '{': { slot: 2, step: -1 }, '}': { slot: 2, step: 1 } } },
+  { id: 'calculate', keys: 'C', description: 'Calculate the selected computations', match: { c: {} } },
+  { id: 'export', keys: 'E', description: 'Export the results as CSV', match: { e: {} } },
+  { id: 'help', keys: '?', description: 'Show or hide these shortcuts', match: { '?': {} } },
+  { id: 'cancel', keys: 'Esc', description: 'Close this help, or stop drawing on the map', match: { Escape: {} } },
+];
+
+const DIALOG_SHORTCUTS = ['help', 'cancel'];
+
+const isEditable = (element) => Boolean(element?.closest?.('input, textarea, select, [contenteditable="true"]'));
+
+/**
+ * The shortcut a keydown event triggers, as { id, ...arguments }, or null when it triggers none.
+ */
+export function shortcutFor(event) {
+  if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey || isEditable(event.target)) return null;
+  // Letters are matched in either case, so Caps Lock doesn't turn shortcuts off
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  const shortcut = SHORTCUTS.find(({ match }) => match[key]);
+  if (!shortcut) return null;
+  if (event.target?.closest?.('[role="dialog"]') && !DIALOG_SHORTCUTS.includes(shortcut.id)) return null;
+
+  const args = { ...shortcut.match[key] };
+  if (shortcut.id === 'moveMarker') {
+    const degrees = event.shiftKey ? MARKER_LARGE_STEP_DEGREES : MARKER_STEP_DEGREES;
+    args.latitudeStep *= degrees;
+    args.longitudeStep *= degrees;
+  }
+  return { id: shortcut.id, ...args };
+}
@@ -0,0 +1,30 @@
+import { MARKER_LARGE_STEP_DEGREES, MARKER_STEP_DEGREES, shortcutFor } from './shortcuts';
+
+const keydown = (key, options = {}) => ({ key, target: document.body, ...options });
+
+test('maps keys to shortcuts with their arguments', () => {
+  expect(shortcutFor(keydown('t'))).toEqual({ id: 'toggleImage' });
+  expect(shortcutFor(keydown('C'))).toEqual({ id: 'calculate' });
+  expect(shortcutFor(keydown('}'))).toEqual({ id: 'stepDate', slot: 2, step: 1 });
+  expect(shortcutFor(keydown('ArrowUp'))).toEqual({ id: 'moveMarker', latitudeStep: MARKER_STEP_DEGREES, longitudeStep: 0 });
+  expect(shortcutFor(keydown('ArrowLeft', { shiftKey: true }))).toEqual({ id: 'moveMarker', latitudeStep: 0, longitudeStep: -MARKER_LARGE_STEP_DEGREES });
+  expect(shortcutFor(keydown('x'))).toBeNull();
+});
+
+test('leaves typing, browser shortcuts and handled keys alone', () => {
+  const input = document.createElement('input');
+  expect(shortcutFor(keydown('t', { target: input }))).toBeNull();
+  expect(shortcutFor(keydown('c', { ctrlKey: true }))).toBeNull();
+  expect(shortcutFor(keydown('ArrowUp', { defaultPrevented: true }))).toBeNull();
+});
+
+test('only closes or toggles the help inside a dialog', () => {
+  const dialog = document.createElement('div');
+  dialog.setAttribute('role', 'dialog');
+  const button = document.createElement('button');
+  dialog.appendChild(button);
+
+  expect(shortcutFor(keydown('Escape', { target: button }))).toEqual({ id: 'cancel' });
+  expect(shortcutFor(keydown('?', { target: button }))).toEqual({ id: 'help' });
+  expect(shortcutFor(keydown('e', { target: button }))).toBeNull();
+});
@@ -0,0 +1,182 @@
+// --- Pure spectral index formulas ---
+// Every formula takes an object of per-pixel values keyed by band id and returns the index
+// value for that pixel. Band ids follow Sentinel-2 naming (B04, B08, ...) for every sensor,
+// see sensors.js: optical bands are surface reflectance, TIR is in Kelvin and VV/VH are SAR
+// amplitudes. Indices are unitless unless they have a `unit`; `range` is the span of values
+// they normally take.
+
+export const normalizedDifference = (a, b) => (a - b) / (a + b);
+
+const KELVIN_OFFSET = 273.15;
+
+// The built-in indices; custom ones are looked up next to them with getSpectralIndex
+export const SPECTRAL_INDICES = Object.freeze({
+  NBR: {
+    name: 'Normalized Burn Ratio',
+    range: [-1, 1],
+    bands: ['B08', 'B12'],
+    formula: ({ B08, B12 }) => normalizedDifference(B08, B12),
+  },
+  NDFI: {
+    name: 'Normalized Difference Flood Index',
+    range: [-1, 1],
+    bands: ['B04', 'B12'],
+    formula: ({ B04, B12 }) => normalizedDifference(B04, B12),
+  },
+  NDVI: {
+    name: 'Normalized Difference Vegetation Index',
+    range: [-1, 1],
+    bands: ['B08', 'B04'],
+    formula: ({ B08, B04 }) => normalizedDifference(B08, B04),
+  },
+  EVI: {
+    name: 'Enhanced Vegetation Index',
+    range: [-1, 1],
+    bands: ['B08', 'B04', 'B02'],
+    formula: ({ B08, B04, B02 }) => (2.5 * (B08 - B04)) / (B08 + 6 * B04 - 7.5 * B02 + 1),
+  },
+  NDMI: {
+    name: 'Normalized Difference Moisture Index',
+    range: [-1, 1],
+    bands: ['B08', 'B11'],
+    formula: ({ B08, B11 }) => normalizedDifference(B08, B11),
+  },
+  CIRE: {
+    name: 'Red-Edge Chlorophyll Index',
+    range: [-1, 10],
+    bands: ['B07', 'B05'],
+    formula: ({ B07, B05 }) => B07 / B05 - 1,
+  },
+  NDWI: {
+    name: 'Normalized Difference Water Index',
+    range: [-1, 1],
+    bands: ['B03', 'B08'],
+    formula: ({ B03, B08 }) => normalizedDifference(B03, B08),
+  },
+  MNDWI: {
+    name: 'Modified Normalized Difference Water Index',
+    range: [-1, 1],
+    bands: ['B03', 'B11'],
+    formula: ({ B03, B11 }) => normalizedDifference(B03, B11),
+  },
+  NDTI: {
+    name: 'Normalized Difference Turbidity Index',
+    range: [-1, 1],
+    bands: ['B04', 'B03'],
+    formula: ({ B04, B03 }) => normalizedDifference(B04, B03),
+  },
+  NDBI: {
+    name: 'Normalized Difference Built-up Index',
+    range: [-1, 1],
+    bands: ['B11', 'B08'],
+    formula: ({ B11, B08 }) => normalizedDifference(B11, B08),
+  },
+  LST: {
+    name: 'Land Surface Temperature',
+    unit: '°C',
+    range: [-20, 60],
+    bands: ['TIR'],
+    formula: ({ TIR }) => TIR - KELVIN_OFFSET,
+  },
+  // GRD amplitudes are uncalibrated, so only differences between dates are meaningful
+  VVDB: {
+    name: 'VV Backscatter',
+    unit: 'dB',
+    range: [0, 60],
+    bands: ['VV'],
+    formula: ({ VV }) => 20 * Math.log10(VV),
+  },
+});
+
+// Built-in indices plus the custom ones registered by customIndices.js
+let indexRegistry = SPECTRAL_INDICES;
+
+/**
+ * Replaces the custom indices (keyed by id) looked up next to the built-ins.
+ */
+export function setCustomSpectralIndices(customIndices) {
+  indexRegistry = Object.freeze({ ...SPECTRAL_INDICES, ...customIndices });
+}
+
+/**
+ * The built-in or custom index with this id, or undefined.
+ */
+export const getSpectralIndex = (indexId) => indexRegistry[indexId];
+
+/**
+ * Ids of the built-in indices, then of the custom ones.
+ */
+export const spectralIndexIds = () => Object.keys(indexRegistry);
+
+/**
+ * Applies an index formula to every pixel of a set of co-registered band rasters.
+ * Pixels where any input band is missing, or where the formula is not finite
+ * (e.g. a zero denominator), come out as NaN.
+ *
+ * @param {string} indexId - Id of a built-in or custom index.
+ * @param {Object<string, ArrayLike<number>>} bandRasters - Reflectance arrays keyed by band id.
+ * @returns {Float64Array}
+ */
+export function computeIndexRaster(indexId, bandRasters) {
+  const index = getSpectralIndex(indexId);
+  if (!index) throw new Error(`Unknown spectral index: ${indexId}`);
+
+  const missing = index.bands.filter(band => !bandRasters[band]);
+  if (missing.length > 0) throw new Error(`${indexId} requires missing band(s): ${missing.join(', ')}`);
+
+  const length = bandRasters[index.bands[0]].length;
+  const output = new Float64Array(length);
+  const pixel = {};
+
+  for (let i = 0; i < length; i++) {
+    let valid = true;
+    for (const band of index.bands) {
+      const value = bandRasters[band][i];
+      if (value === null || value === undefined || Number.isNaN(value)) {
+        valid = false;
+        break;
+      }
+      pixel[band] = value;
+    }
+    const result = valid ? index.formula(pixel) : NaN;
+    output[i] = Number.isFinite(result) ? result : NaN;
+  }
+  return output;
+}
+
+/**
+ * Per-pixel difference `after - before` of two rasters on the same grid.
+ * @returns {Float64Array}
+ */
+export function differenceRaster(before, after) {
+  if (before.length !== after.length) throw new Error('Rasters must have the same number of pixels.');
+  const output = new Float64Array(before.length);
+  for (let i = 0; i < before.length; i++) {
+    output[i] = after[i] - before[i];
+  }
+  return output;
+}
+
+/**
+ * Summary statistics over the valid (non-NaN) pixels of a raster.
+ * Returns null statistics when no pixel is valid.
+ */
+export function summarizeRaster(values) {
+  const valid = Array.from(values).filter(v => !Number.isNaN(v)).sort((a, b) => a - b);
+  if (valid.length === 0) {
+    return { mean: null, median: null, min: null, max: null, validPixels: 0, totalPixels: values.length };
+  }
+
+  const mid = Math.floor(valid.length / 2);
+  const median = valid.length % 2 === 0 ? (valid[mid - 1] + valid[mid]) / 2 : valid[mid];
+  const mean = valid.reduce((sum, v) => sum + v, 0) / valid.length;
+
+  return {
+    mean,
+    median,
+    min: valid[0],
+    max: valid[valid.length - 1],
+    validPixels: valid.length,
+    totalPixels: values.length,
+  };
+}
@@ -0,0 +1,53 @@
+import { computeIndexRaster, differenceRaster, summarizeRaster } from './spectralIndices';
+
+test('computes NDVI per pixel from synthetic red and NIR rasters', () => {
+  const bands = {
+    B04: [0.1, 0.2, 0.05, 0.3],
+    B08: [0.5, 0.2, 0.45, 0.1],
+  };
+  const ndvi = computeIndexRaster('NDVI', bands);
+  expect(Array.from(ndvi)).toEqual([
+    expect.closeTo(0.4 / 0.6),
+    0,
+    expect.closeTo(0.4 / 0.5),
+    expect.closeTo(-0.2 / 0.4),
+  ]);
+});
+
+test('marks pixels with missing bands or zero denominators as NaN', () => {
+  const bands = {
+    B03: [0.1, NaN, 0, null],
+    B11: [0.3, 0.2, 0, 0.1],
+  };
+  const mndwi = computeIndexRaster('MNDWI', bands);
+  expect(mndwi[0]).toBeCloseTo(-0.5);
+  expect(Number.isNaN(mndwi[1])).toBe(true);
+  expect(Number.isNaN(mndwi[2])).toBe(true);
+  expect(Number.isNaN(mndwi[3])).toBe(true);
+});
+
+test('throws when a required band is not provided', () => {
+  expect(() => computeIndexRaster('NBR', { B08: [0.1] })).toThrow('B12');
+  expect(() => computeIndexRaster('XYZ', {})).toThrow('Unknown spectral index');
+});
+
+test('summarizes valid pixels and reports coverage', () => {
+  const stats = summarizeRaster(Float64Array.from([0.4, NaN, 0.1, 0.3, 0.2]));
+  expect(stats.mean).toBeCloseTo(0.25);
+  expect(stats.median).toBeCloseTo(0.25);
+  expect(stats.min).toBe(0.1);
+  expect(stats.max).toBe(0.4);
+  expect(stats.validPixels).toBe(4);
+  expect(stats.totalPixels).toBe(5);
+});
+
+test('returns null statistics for an all-NaN raster', () => {
+  expect(summarizeRaster([NaN, NaN])).toMatchObject({ mean: null, median: null, validPixels: 0 });
+});
+
+test('differences two rasters pixel by pixel', () => {
+  const diff = differenceRaster([0.5, 0.2, NaN], [0.1, 0.4, 0.3]);
+  expect(diff[0]).toBeCloseTo(-0.4);
+  expect(diff[1]).toBeCloseTo(0.2);
+  expect(Number.isNaN(diff[2])).toBe(true);
+});
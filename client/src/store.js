@@ -0,0 +1,744 @@
+// --- Central application state ---
+// One reducer holds the state the feature modules share (SearchForm, MapView, ComputationPanel,
+// ResultsPanel): the search inputs with their undo history, the scenes found, the computations,
+// the pixel inspector and the map view. Asynchronous work is started by a "...Requested"
+// action that records what to do; the module owning it carries it out and reports back with
+// the matching "...Loaded"/"...Finished"/"...Failed" action, which is ignored once a newer
+// request has replaced it. Nothing here touches the DOM or Leaflet, so every transition can
+// be tested by feeding actions to `reducer`.
+
+import { computationLabels, getComputation, supportedComputations } from './computationEngine';
+import { centroidOfVertices } from './aoi';
+import { wrapLongitude } from './coordinates';
+import { DEFAULT_SENSOR } from './sensors';
+import { DEFAULT_OVERLAY_SETTINGS, isOverlayAvailable } from './indexOverlay';
+import { DEFAULT_CLOUD_MASK, maskClassesFor } from './cloudMask';
+import { DEFAULT_CHANGE_SETTINGS, detectChange, resolveChangeSettings } from './changeDetection';
+import { DEFAULT_COMPOSITE_SETTINGS } from './composites';
+import { DEFAULT_SCENE_SELECTION, validateDateWindow } from './sceneSelection';
+import { EVENT_PRESETS, eventSearchInputs, summarizeImpact } from './eventPresets';
+
+export const DEFAULT_INPUTS = {
+  latitude: '35.4393',
+  longitude: '-82.2465',
+  date1: '2024-09-16',
+  date2: '2024-10-12',
+  cloudCover: 20,
+  sensor: DEFAULT_SENSOR, // Key of SENSORS searched by the next analysis
+  aoiVertices: null,
+  ...DEFAULT_SCENE_SELECTION,
+};
+
+// Undo steps kept for the inputs
+export const HISTORY_LIMIT = 50;
+
+// Display settings, and what the other analysis modes put on the map
+const DEFAULT_VIEW = {
+  mode: 'pair', // 'pair' (two dates) | 'series' | 'batch'
+  compareMode: 'toggle', // 'toggle' | 'swipe' | 'opacity' | 'dual'
+  isImage1Visible: true,
+  image1Opacity: 100,
+  swipePosition: 0.5,
+  overlaySettings: DEFAULT_OVERLAY_SETTINGS,
+  compositeSettings: DEFAULT_COMPOSITE_SETTINGS,
+  cloudMask: DEFAULT_CLOUD_MASK,
+  changeSettings: DEFAULT_CHANGE_SETTINGS,
+  selectedPatchId: null,
+  aoiDrawMode: null, // null | 'rectangle' | 'polygon'
+  isEditingAoi: false,
+  annotationTool: null, // null | key of ANNOTATION_TYPES (annotations.js) being drawn
+  selectedAnnotationId: null, // Annotation whose shape can be edited on the map
+  inspectFollowsCursor: false,
+  seriesScene: null, // Scene shown on the map in series mode
+  batchSites: [], // { site, state } per site of the batch run
+};
+
+const NO_CANDIDATES = { date1: [], date2: [] };
+const NO_REJECTED = { date1: 0, date2: 0 };
+
+/**
+ * State before anything was searched.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.inputs] - Search inputs to start from.
+ * @param {Object[]} [options.customIndices] - Registered custom index definitions (see customIndices.js).
+ */
+export function createInitialState({ inputs = DEFAULT_INPUTS, customIndices = [] } = {}) {
+  return followCoordinates({
+    inputs,
+    history: { past: [], future: [], lastField: null },
+    errors: {},
+    search: { isLoading: false, error: '', pending: null, lastRequestId: 0 },
+    scenes: { image1Info: null, image2Info: null, candidates: NO_CANDIDATES, rejected: NO_REJECTED },
+    overlay: { tileUrl: null, error: '' }, // Index overlay registered with the tile server
+    activeAnalysis: null, // Inputs of the last successful search
+    pushesHistory: false, // Whether the active analysis is a new browser history entry (see App)
+    // Guided disaster response run: { eventType, eventDate, stage: 'searching' | 'calculating' | 'done' | 'failed' }
+    workflow: null,
+    annotations: [], // Measurements, pins, damage outlines and notes of the active analysis (see annotations.js)
+    computation: { selected: [], results: {}, isCalculating: false, showResults: false, error: '', pending: null, lastRequestId: 0 },
+    customIndices: { definitions: customIndices, error: '' },
+    inspector: { active: false, point: null, reading: null, isLoading: false, error: '', pending: null, lastRequestId: 0 },
+    map: { center: null, marker: null, flyToZoom: 13, zoom: null, aoiFitRequest: 0 },
+    view: DEFAULT_VIEW,
+  }, null);
+}
+
+// --- Action creators ---
+
+export const inputChanged = (field, value) => ({ type: 'inputChanged', field, value });
+// A point picked on the map or found by the location search
+export const locationPicked = (latitude, longitude) => ({ type: 'locationPicked', latitude, longitude });
+// Moves the marker by a step in degrees (keyboard shortcuts)
+export const markerNudged = (latitudeStep, longitudeStep) => ({ type: 'markerNudged', latitudeStep, longitudeStep });
+export const aoiDrawn = (vertices) => ({ type: 'aoiDrawn', vertices });
+export const aoiEdited = (vertices) => ({ type: 'aoiEdited', vertices });
+export const aoiImported = (vertices) => ({ type: 'aoiImported', vertices });
+export const aoiCleared = () => ({ type: 'aoiCleared' });
+export const undo = () => ({ type: 'undo' });
+export const redo = () => ({ type: 'redo' });
+
+export const searchRequested = () => ({ type: 'searchRequested' });
+export const scenesLoaded = (requestId, { image1, image2, candidates1, candidates2, rejected = NO_REJECTED }) => ({
+  type: 'scenesLoaded', requestId, image1, image2, candidates1, candidates2, rejected,
+});
+export const searchFailed = (requestId, message) => ({ type: 'searchFailed', requestId, message });
+export const sceneSelected = (slot, scene) => ({ type: 'sceneSelected', slot, scene });
+export const analysisReset = () => ({ type: 'analysisReset' });
+// `link` is a state parsed by parseAnalysisState (permalink.js)
+export const analysisRestored = (link) => ({ type: 'analysisRestored', link });
+// `record` is an analysis from the saved library (savedAnalyses.js)
+export const savedAnalysisOpened = (record) => ({ type: 'savedAnalysisOpened', record });
+// Searches, displays and computes what the EVENT_PRESETS entry of `eventType` needs around `eventDate`
+export const annotationAdded = (annotation) => ({ type: 'annotationAdded', annotation });
+export const annotationChanged = (id, changes) => ({ type: 'annotationChanged', id, changes });
+export const annotationDeleted = (id) => ({ type: 'annotationDeleted', id });
+
+export const eventWorkflowStarted = (eventType, eventDate) => ({ type: 'eventWorkflowStarted', eventType, eventDate });
+
+export const computationToggled = (label, checked) => ({ type: 'computationToggled', labels: [label], checked });
+export const categoryToggled = (labels, checked) => ({ type: 'computationToggled', labels, checked });
+export const customIndicesChanged = (definitions, error = '') => ({ type: 'customIndicesChanged', definitions, error });
+export const computationRequested = () => ({ type: 'computationRequested' });
+export const computationFinished = (requestId, results) => ({ type: 'computationFinished', requestId, results });
+export const computationFailed = (requestId, message) => ({ type: 'computationFailed', requestId, message });
+export const changeSettingsChanged = (settings) => ({ type: 'changeSettingsChanged', settings });
+export const patchSelected = (patchId) => ({ type: 'patchSelected', patchId });
+
+export const inspectorToggled = () => ({ type: 'inspectorToggled' });
+export const pixelInspectionRequested = (latitude, longitude) => ({ type: 'pixelInspectionRequested', latitude, longitude });
+export const pixelInspected = (requestId, reading) => ({ type: 'pixelInspected', requestId, reading });
+export const pixelInspectionFailed = (requestId, message) => ({ type: 'pixelInspectionFailed', requestId, message });
+
+export const overlayLayerChanged = (tileUrl, error = '') => ({ type: 'overlayLayerChanged', tileUrl, error });
+export const mapZoomed = (zoom) => ({ type: 'mapZoomed', zoom });
+// Display settings without further effects, e.g. viewChanged({ compareMode: 'swipe' })
+export const viewChanged = (changes) => ({ type: 'viewChanged', changes });
+
+// --- Helpers ---
+
+/**
+ * Computation ids (used in permalinks and saved analyses) mapped back to their checkbox
+ * labels; read on use because custom indices join the registry at runtime.
+ */
+export const computationLabelsByKey = () => Object.fromEntries(
+  computationLabels().map(label => [getComputation(label).key, label])
+);
+
+/**
+ * Checks the inputs of a two-date search. With an AOI the search is centred on it rather
+ * than on the typed coordinates.
+ *
+ * @returns {{errors: Object, latitude: number, longitude: number}} errors by input field
+ */
+export function validateSearch({ latitude, longitude, date1, date2, aoiVertices, window1, window2 }) {
+  const errors = {};
+  const [latNum, lonNum] = aoiVertices
+    ? centroidOfVertices(aoiVertices)
+    : [parseFloat(latitude), parseFloat(longitude)];
+
+  if (isNaN(latNum) || (!aoiVertices && !latitude)) errors.latitude = 'Latitude is required and must be a number.';
+  else if (latNum < -90 || latNum > 90) errors.latitude = 'Must be between -90 and 90.';
+
+  if (isNaN(lonNum) || (!aoiVertices && !longitude)) errors.longitude = 'Longitude is required and must be a number.';
+  else if (lonNum < -180 || lonNum > 180) errors.longitude = 'Must be between -180 and 180.';
+
+  if (!date1) errors.date1 = 'Date 1 is required.';
+  if (!date2) errors.date2 = 'Date 2 is required.';
+
+  const window1Error = validateDateWindow(window1);
+  if (window1Error) errors.window1 = window1Error;
+  const window2Error = validateDateWindow(window2);
+  if (window2Error) errors.window2 = window2Error;
+
+  return { errors, latitude: latNum, longitude: lonNum };
+}
+
+const samePosition = (a, b) => Boolean(a && b && a[0] === b[0] && a[1] === b[1]);
+
+// Keeps the current array when it holds the same position, so the map doesn't fly again
+const moveTo = (current, position) => (samePosition(current, position) ? current : position);
+
+// The marker follows valid typed coordinates and the map centres on them
+function followCoordinates(state, previousInputs) {
+  const { latitude, longitude } = state.inputs;
+  if (previousInputs && previousInputs.latitude === latitude && previousInputs.longitude === longitude) return state;
+
+  const lat = parseFloat(latitude);
+  const lon = parseFloat(longitude);
+  if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return { ...state, map: { ...state.map, marker: null } };
+  }
+  const position = [lat, lon];
+  return { ...state, map: { ...state.map, marker: position, center: moveTo(state.map.center, position) } };
+}
+
+// Replaces the inputs, clearing the errors of fields that changed
+function applyInputs(state, inputs) {
+  const previous = state.inputs;
+  const errors = Object.fromEntries(Object.entries(state.errors).filter(([field]) => inputs[field] === previous[field]));
+  let next = followCoordinates({ ...state, inputs, errors }, previous);
+  // Results were computed over the previous area
+  if (inputs.aoiVertices !== previous.aoiVertices) {
+    next = { ...next, computation: { ...next.computation, showResults: false } };
+  }
+  return next;
+}
+
+// Input change recorded in the undo history. Consecutive changes of one field (typing,
+// dragging a vertex) make a single step.
+function changeInputs(state, changes, field) {
+  const { past, lastField } = state.history;
+  const history = {
+    past: field !== null && field === lastField ? past : [...past, state.inputs].slice(-HISTORY_LIMIT),
+    future: [],
+    lastField: field,
+  };
+  return applyInputs({ ...state, history }, { ...state.inputs, ...changes });
+}
+
+// Inputs replaced from outside (a permalink, a saved analysis): not an undo step, and the next edit starts a new one
+function replaceInputs(state, inputs) {
+  return applyInputs({ ...state, history: { ...state.history, lastField: null } }, inputs);
+}
+
+// New scenes invalidate the pixel reading, the registered overlay and an overlay index their sensor can't compute
+function withScenes(state, image1Info, image2Info, changes = {}) {
+  const sensor = image1Info?.sensor || DEFAULT_SENSOR;
+  const { overlaySettings } = state.view;
+  return {
+    ...state,
+    scenes: { ...state.scenes, image1Info, image2Info, ...changes },
+    overlay: { tileUrl: null, error: '' },
+    inspector: { ...state.inspector, point: null, reading: null, isLoading: false, error: '', pending: null },
+    view: isOverlayAvailable(overlaySettings, sensor) ? state.view : { ...state.view, overlaySettings: DEFAULT_OVERLAY_SETTINGS },
+  };
+}
+
+// New results replace the change areas, whose patch ids are ranks by size
+const withResults = (state, changes) => ({
+  ...state,
+  computation: { ...state.computation, ...changes },
+  view: { ...state.view, selectedPatchId: null },
+});
+
+function requestSearch(state, restore = null) {
+  const { errors, latitude, longitude } = validateSearch(state.inputs);
+  if (Object.keys(errors).length > 0) {
+    return {
+      ...withScenes(state, null, null),
+      errors,
+      activeAnalysis: null,
+      search: { ...state.search, error: '' },
+      map: { ...state.map, center: null, marker: null },
+      computation: { ...state.computation, showResults: false },
+    };
+  }
+
+  const id = state.search.lastRequestId + 1;
+  return {
+    ...withScenes(state, null, null),
+    errors: {},
+    // A new search supersedes one still in flight
+    search: {
+      isLoading: true,
+      error: '',
+      pending: { id, inputs: state.inputs, latitude, longitude, cloudMask: state.view.cloudMask, restore },
+      lastRequestId: id,
+    },
+    view: { ...state.view, isImage1Visible: true },
+    computation: { ...state.computation, showResults: false },
+  };
+}
+
+function requestComputation(state) {
+  const { image1Info, image2Info } = state.scenes;
+  // Over the area the scenes were searched for, not coordinates edited since
+  const { latitude, longitude, aoiVertices } = state.activeAnalysis;
+  const id = state.computation.lastRequestId + 1;
+  return withResults(state, {
+    results: {},
+    isCalculating: true,
+    error: '',
+    pending: {
+      id,
+      computations: state.computation.selected,
+      image1Info,
+      image2Info,
+      latitude,
+      longitude,
+      aoiVertices,
+      maskClasses: selectMaskClasses(state),
+    },
+    lastRequestId: id,
+  });
+}
+
+// Moves a guided run on to its next stage; a run that isn't at `from` is left alone
+const advanceWorkflow = (state, from, stage) => (
+  state.workflow?.stage === from ? { ...state, workflow: { ...state.workflow, stage } } : state
+);
+
+const isCurrent = (slice, requestId) => slice.pending?.id === requestId;
+
+/**
+ * Applies an action to the state.
+ */
+export function reducer(state, action) {
+  switch (action.type) {
+    // --- Inputs ---
+    case 'inputChanged':
+      return changeInputs(state, { [action.field]: action.value }, action.field);
+
+    case 'locationPicked': {
+      const position = [action.latitude, action.longitude];
+      const next = changeInputs(state, { latitude: action.latitude.toFixed(6), longitude: action.longitude.toFixed(6) }, null);
+      const { latitude, longitude, ...errors } = next.errors;
+      return { ...next, errors, map: { ...next.map, marker: position, center: position } };
+    }
+
+    case 'markerNudged': {
+      const latitude = parseFloat(state.inputs.latitude);
+      const longitude = parseFloat(state.inputs.longitude);
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return state;
+      // Consecutive steps are a single undo step, like typing in one field
+      return changeInputs(state, {
+        latitude: Math.min(90, Math.max(-90, latitude + action.latitudeStep)).toFixed(6),
+        longitude: wrapLongitude(longitude + action.longitudeStep).toFixed(6),
+      }, 'marker');
+    }
+
+    case 'aoiDrawn': {
+      const next = changeInputs(state, { aoiVertices: action.vertices }, null);
+      return { ...next, view: { ...next.view, aoiDrawMode: null } };
+    }
+
+    case 'aoiEdited':
+      return changeInputs(state, { aoiVertices: action.vertices }, 'aoiVertices');
+
+    case 'aoiImported': {
+      const next = changeInputs(state, { aoiVertices: action.vertices }, null);
+      return {
+        ...next,
+        view: { ...next.view, aoiDrawMode: null, isEditingAoi: false },
+        map: { ...next.map, aoiFitRequest: next.map.aoiFitRequest + 1 },
+      };
+    }
+
+    case 'aoiCleared': {
+      const next = changeInputs(state, { aoiVertices: null }, null);
+      return { ...next, view: { ...next.view, isEditingAoi: false } };
+    }
+
+    case 'undo': {
+      const { past, future } = state.history;
+      if (past.length === 0) return state;
+      const history = { past: past.slice(0, -1), future: [state.inputs, ...future], lastField: null };
+      return applyInputs({ ...state, history }, past[past.length - 1]);
+    }
+
+    case 'redo': {
+      const { past, future } = state.history;
+      if (future.length === 0) return state;
+      const history = { past: [...past, state.inputs], future: future.slice(1), lastField: null };
+      return applyInputs({ ...state, history }, future[0]);
+    }
+
+    // --- Search ---
+    case 'searchRequested':
+      return { ...requestSearch(state), workflow: null };
+
+    case 'scenesLoaded': {
+      if (!isCurrent(state.search, action.requestId)) return state;
+      const { inputs, latitude, longitude, restore } = state.search.pending;
+      const next = withScenes(state, action.image1, action.image2, {
+        candidates: { date1: action.candidates1, date2: action.candidates2 },
+        rejected: action.rejected,
+      });
+      const position = [latitude, longitude];
+      const loaded = {
+        ...next,
+        search: { ...state.search, isLoading: false, pending: null },
+        // A restored permalink keeps the view it was shared with
+        view: {
+          ...next.view,
+          isImage1Visible: restore ? restore.isImage1Visible : next.view.isImage1Visible,
+          selectedAnnotationId: null,
+        },
+        map: { ...state.map, center: moveTo(state.map.center, position), marker: position, flyToZoom: restore ? state.map.flyToZoom : 13 },
+        // Drop computations the new scenes' sensor can't run
+        computation: { ...state.computation, selected: supportedComputations(state.computation.selected, inputs.sensor) },
+        activeAnalysis: inputs,
+        // Annotations belong to the analysis they were drawn on
+        annotations: [],
+        // A new search is a new history entry; restoring one from the URL is not
+        pushesHistory: !restore,
+      };
+      // A guided run goes straight on to its computations
+      return loaded.workflow?.stage === 'searching'
+        ? advanceWorkflow(requestComputation(loaded), 'searching', 'calculating')
+        : loaded;
+    }
+
+    case 'searchFailed':
+      if (!isCurrent(state.search, action.requestId)) return state;
+      return {
+        ...advanceWorkflow(state, 'searching', 'failed'),
+        activeAnalysis: null,
+        search: { ...state.search, isLoading: false, error: action.message, pending: null },
+        map: { ...state.map, center: null, marker: null },
+      };
+
+    case 'sceneSelected': {
+      const { slot, scene } = action;
+      const { image1Info, image2Info, rejected } = state.scenes;
+      const next = withScenes(state, slot === 1 ? scene : image1Info, slot === 2 ? scene : image2Info, {
+        rejected: { ...rejected, [`date${slot}`]: 0 },
+      });
+      // Results belong to the previous scene pair
+      return withResults(next, { results: {}, showResults: false });
+    }
+
+    case 'analysisReset':
+      return {
+        ...withScenes(state, null, null, { candidates: NO_CANDIDATES, rejected: NO_REJECTED }),
+        errors: {},
+        search: { ...state.search, isLoading: false, error: '', pending: null },
+        view: {
+          ...state.view,
+          isImage1Visible: true,
+          compareMode: 'toggle',
+          image1Opacity: 100,
+          overlaySettings: DEFAULT_OVERLAY_SETTINGS,
+          compositeSettings: DEFAULT_COMPOSITE_SETTINGS,
+          changeSettings: DEFAULT_CHANGE_SETTINGS,
+          selectedPatchId: null,
+          annotationTool: null,
+          selectedAnnotationId: null,
+        },
+        computation: { ...state.computation, selected: [], results: {}, isCalculating: false, showResults: false, error: '', pending: null },
+        activeAnalysis: null,
+        workflow: null,
+        annotations: [],
+      };
+
+    case 'analysisRestored': {
+      const { link } = action;
+      const { computations, compareMode, zoom, ...inputs } = link;
+      const labelsByKey = computationLabelsByKey();
+      const next = replaceInputs(state, {
+        latitude: inputs.latitude,
+        longitude: inputs.longitude,
+        date1: inputs.date1,
+        date2: inputs.date2,
+        cloudCover: inputs.cloudCover,
+        sensor: inputs.sensor,
+        aoiVertices: inputs.aoiVertices,
+        ...Object.fromEntries(Object.entries(DEFAULT_SCENE_SELECTION).map(([field, value]) => [field, inputs[field] ?? value])),
+      });
+      return requestSearch({
+        ...next,
+        errors: {},
+        computation: { ...next.computation, selected: computations.map(key => labelsByKey[key]) },
+        view: { ...next.view, compareMode },
+        map: zoom != null ? { ...next.map, flyToZoom: zoom } : next.map,
+        workflow: null,
+      }, link);
+    }
+
+    case 'eventWorkflowStarted': {
+      const { eventType, eventDate } = action;
+      const preset = EVENT_PRESETS[eventType];
+      const labelsByKey = computationLabelsByKey();
+      const next = changeInputs(state, eventSearchInputs(preset, eventDate), null);
+      const searching = requestSearch({
+        ...next,
+        computation: { ...next.computation, selected: preset.computations.map(key => labelsByKey[key]) },
+        view: {
+          ...next.view,
+          compositeSettings: { ...next.view.compositeSettings, preset: preset.composite },
+          changeSettings: { ...DEFAULT_CHANGE_SETTINGS, resultKey: preset.impact.resultKey },
+        },
+      });
+      // Invalid inputs (e.g. no location) stop the run before it searches
+      return { ...searching, workflow: searching.search.pending ? { eventType, eventDate, stage: 'searching' } : null };
+    }
+
+    case 'savedAnalysisOpened': {
+      const { inputs, view = {}, results = {}, annotations = [] } = action.record;
+      const labelsByKey = computationLabelsByKey();
+      // Analyses saved before scene selection was configurable were searched with its defaults
+      const next = replaceInputs(state, { ...DEFAULT_SCENE_SELECTION, ...inputs, sensor: inputs.sensor || DEFAULT_SENSOR });
+      const center = inputs.aoiVertices
+        ? centroidOfVertices(inputs.aoiVertices)
+        : [parseFloat(inputs.latitude), parseFloat(inputs.longitude)];
+      const opened = withScenes({
+        ...next,
+        // The saved settings go in before the scenes, which drop an overlay index their sensor can't compute
+        view: {
+          ...next.view,
+          mode: 'pair',
+          compareMode: view.compareMode || 'toggle',
+          isImage1Visible: view.isImage1Visible !== false,
+          overlaySettings: view.overlaySettings || DEFAULT_OVERLAY_SETTINGS,
+          compositeSettings: view.compositeSettings || DEFAULT_COMPOSITE_SETTINGS,
+          cloudMask: view.cloudMask || DEFAULT_CLOUD_MASK,
+          changeSettings: view.changeSettings || DEFAULT_CHANGE_SETTINGS,
+          selectedAnnotationId: null,
+        },
+      }, action.record.image1Info, action.record.image2Info, {
+        candidates: action.record.sceneCandidates,
+        rejected: NO_REJECTED,
+      });
+      return {
+        ...withResults(opened, {
+          selected: (view.computations || []).map(key => labelsByKey[key]).filter(Boolean),
+          results,
+          showResults: Object.keys(results).length > 0,
+          error: '',
+        }),
+        errors: {},
+        search: { ...state.search, error: '' },
+        map: {
+          ...next.map,
+          center,
+          marker: center,
+          flyToZoom: view.zoom ?? 13,
+          aoiFitRequest: next.map.aoiFitRequest + (inputs.aoiVertices ? 1 : 0),
+        },
+        activeAnalysis: inputs,
+        pushesHistory: true,
+        workflow: null,
+        annotations,
+      };
+    }
+
+    // --- Annotations ---
+    case 'annotationAdded':
+      return {
+        ...state,
+        annotations: [...state.annotations, action.annotation],
+        view: { ...state.view, selectedAnnotationId: action.annotation.id },
+      };
+
+    case 'annotationChanged':
+      return {
+        ...state,
+        annotations: state.annotations.map(annotation => (annotation.id === action.id ? { ...annotation, ...action.changes } : annotation)),
+      };
+
+    case 'annotationDeleted':
+      return {
+        ...state,
+        annotations: state.annotations.filter(annotation => annotation.id !== action.id),
+        view: state.view.selectedAnnotationId === action.id ? { ...state.view, selectedAnnotationId: null } : state.view,
+      };
+
+    // --- Computations ---
+    case 'computationToggled': {
+      const { labels, checked } = action;
+      const { selected } = state.computation;
+      return {
+        ...state,
+        computation: {
+          ...state.computation,
+          selected: checked ? [...new Set([...selected, ...labels])] : selected.filter(label => !labels.includes(label)),
+          showResults: false, // Hide previous results when the selection changes
+        },
+      };
+    }
+
+    case 'customIndicesChanged':
+      return {
+        ...state,
+        customIndices: { definitions: action.definitions, error: action.error },
+        // A deleted or renamed index leaves the selection
+        computation: { ...state.computation, selected: state.computation.selected.filter(label => getComputation(label)) },
+      };
+
+    case 'computationRequested':
+      return requestComputation(state);
+
+    case 'computationFinished':
+      if (!isCurrent(state.computation, action.requestId)) return state;
+      return advanceWorkflow(
+        withResults(state, { results: action.results, isCalculating: false, showResults: true, pending: null }),
+        'calculating', 'done'
+      );
+
+    case 'computationFailed':
+      if (!isCurrent(state.computation, action.requestId)) return state;
+      return advanceWorkflow(
+        { ...state, computation: { ...state.computation, isCalculating: false, error: action.message, pending: null } },
+        'calculating', 'failed'
+      );
+
+    case 'changeSettingsChanged':
+      return { ...state, view: { ...state.view, changeSettings: action.settings, selectedPatchId: null } };
+
+    case 'patchSelected':
+      return { ...state, view: { ...state.view, selectedPatchId: action.patchId } };
+
+    // --- Pixel inspector ---
+    case 'inspectorToggled': {
+      const { active } = state.inspector;
+      // Switching off drops the marker and any reading in flight
+      const stopped = active ? { point: null, isLoading: false, pending: null } : {};
+      return { ...state, inspector: { ...state.inspector, ...stopped, active: !active } };
+    }
+
+    case 'pixelInspectionRequested': {
+      const { image1Info, image2Info } = state.scenes;
+      if (!image1Info || !image2Info) return state;
+      const id = state.inspector.lastRequestId + 1;
+      const point = [action.latitude, action.longitude];
+      return {
+        ...state,
+        inspector: {
+          ...state.inspector,
+          point,
+          isLoading: true,
+          error: '',
+          pending: { id, point, image1Info, image2Info },
+          lastRequestId: id,
+        },
+      };
+    }
+
+    case 'pixelInspected':
+      if (!isCurrent(state.inspector, action.requestId)) return state;
+      return { ...state, inspector: { ...state.inspector, reading: action.reading, isLoading: false, pending: null } };
+
+    case 'pixelInspectionFailed':
+      if (!isCurrent(state.inspector, action.requestId)) return state;
+      return { ...state, inspector: { ...state.inspector, reading: null, error: action.message, isLoading: false, pending: null } };
+
+    // --- Map and display ---
+    case 'overlayLayerChanged':
+      return { ...state, overlay: { tileUrl: action.tileUrl, error: action.error } };
+
+    case 'mapZoomed':
+      return { ...state, map: { ...state.map, zoom: action.zoom } };
+
+    case 'viewChanged':
+      return { ...state, view: { ...state.view, ...action.changes } };
+
+    default:
+      throw new Error(`Unknown action: ${action.type}`);
+  }
+}
+
+// --- Selectors ---
+
+// Caches the result for the last arguments, so components deriving a costly value on every render share it
+function memoizeLast(compute) {
+  let lastArgs = null;
+  let lastValue;
+  return (...args) => {
+    if (!lastArgs || args.some((arg, i) => arg !== lastArgs[i])) {
+      lastArgs = args;
+      lastValue = compute(...args);
+    }
+    return lastValue;
+  };
+}
+
+const maskClassesOf = memoizeLast(maskClassesFor);
+const resolveChange = memoizeLast(resolveChangeSettings);
+const impactOf = memoizeLast(summarizeImpact);
+const changeAreasOf = memoizeLast((resolved, results) => resolved && detectChange(results[resolved.resultKey].raster, resolved));
+
+export const selectCanUndo = (state) => state.history.past.length > 0;
+export const selectCanRedo = (state) => state.history.future.length > 0;
+
+// SCL classes masked out by the cloud mask settings
+export const selectMaskClasses = (state) => maskClassesOf(state.view.cloudMask);
+
+// Computations run on the sensor of the loaded scenes, which may differ from the one chosen for the next search
+export const selectAnalysisSensor = (state) => state.scenes.image1Info?.sensor || DEFAULT_SENSOR;
+
+export const selectHasScenes = (state) => Boolean(state.scenes.image1Info && state.scenes.image2Info);
+
+/**
+ * Ids of computations given by their labels, as used in permalinks and saved analyses.
+ */
+export const computationKeysOf = (labels) => labels.map(label => getComputation(label)?.key).filter(Boolean);
+
+export const selectComputationKeys = (state) => computationKeysOf(state.computation.selected);
+
+export const selectResolvedChangeSettings = (state) => resolveChange(state.view.changeSettings, state.computation.results);
+
+export const selectChangeAreas = (state) => changeAreasOf(selectResolvedChangeSettings(state), state.computation.results);
+
+/**
+ * Impact classes of the guided run's results (see summarizeImpact), or null outside one.
+ */
+export const selectImpactSummary = (state) => {
+  if (!state.workflow) return null;
+  const { impact } = EVENT_PRESETS[state.workflow.eventType];
+  return impactOf(state.computation.results[impact.resultKey], impact);
+};
+
+/**
+ * What the live region tells screen readers about the two-date search and its computations,
+ * '' when there is nothing to report. Errors are announced where they are shown.
+ */
+export function selectStatusMessage(state) {
+  const { search, computation, scenes } = state;
+  if (state.view.mode !== 'pair') return '';
+  if (search.isLoading) return 'Searching for images…';
+  if (computation.isCalculating) return 'Calculating the selected computations…';
+  const resultCount = Object.keys(computation.results).length;
+  if (computation.showResults && resultCount > 0) return `Results ready for ${resultCount} computation${resultCount === 1 ? '' : 's'}.`;
+  if (scenes.image1Info && scenes.image2Info) {
+    const acquired = (scene) => scene.dateAcquired?.slice(0, 10) || 'an unknown date';
+    return `Scenes found for both dates, acquired ${acquired(scenes.image1Info)} and ${acquired(scenes.image2Info)}.`;
+  }
+  return '';
+}
+
+/**
+ * Snapshot of the active analysis for the saved library, or null when there is none.
+ */
+export function selectSavableAnalysis(state) {
+  const { activeAnalysis, scenes, view } = state;
+  if (!activeAnalysis || !scenes.image1Info || !scenes.image2Info) return null;
+  return {
+    inputs: activeAnalysis,
+    view: {
+      computations: selectComputationKeys(state),
+      isImage1Visible: view.isImage1Visible,
+      compareMode: view.compareMode,
+      zoom: state.map.zoom,
+      overlaySettings: view.overlaySettings,
+      compositeSettings: view.compositeSettings,
+      cloudMask: view.cloudMask,
+      changeSettings: view.changeSettings,
+    },
+    image1Info: scenes.image1Info,
+    image2Info: scenes.image2Info,
+    sceneCandidates: scenes.candidates,
+    results: state.computation.results,
+    annotations: state.annotations,
+  };
+}
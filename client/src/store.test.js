@@ -0,0 +1,249 @@
+import {
+  annotationAdded, annotationChanged, annotationDeleted, aoiDrawn, aoiEdited, analysisReset, analysisRestored, computationFinished, computationRequested,
+  computationToggled, createInitialState, eventWorkflowStarted, inputChanged, locationPicked, pixelInspectionRequested, redo,
+  markerNudged, reducer, savedAnalysisOpened, sceneSelected, scenesLoaded, searchFailed, searchRequested, selectCanRedo, selectCanUndo,
+  selectImpactSummary, selectSavableAnalysis, selectStatusMessage, undo,
+} from './store';
+import { createAnnotation } from './annotations';
+
+const run = (state, ...actions) => actions.reduce(reducer, state);
+
+const scene = (id, sensor = 'sentinel-2') => ({ id, sensor, bounds: [[35, -83], [36, -82]], bands: {} });
+const SCENES = { image1: scene('a'), image2: scene('b'), candidates1: [scene('a')], candidates2: [scene('b')] };
+
+// A state with scenes loaded by a search over the default inputs
+const loadedState = () => {
+  const searching = run(createInitialState(), searchRequested());
+  return reducer(searching, scenesLoaded(searching.search.pending.id, SCENES));
+};
+
+test('puts the marker and the map centre on the initial coordinates', () => {
+  const state = createInitialState();
+  expect(state.map.marker).toEqual([35.4393, -82.2465]);
+  expect(state.map.center).toEqual([35.4393, -82.2465]);
+});
+
+test('moves the marker with valid typed coordinates and clears the field error', () => {
+  let state = run(createInitialState(), inputChanged('latitude', ''), searchRequested());
+  expect(state.errors.latitude).toBe('Latitude is required and must be a number.');
+
+  state = reducer(state, inputChanged('latitude', '40.5'));
+  expect(state.errors.latitude).toBeUndefined();
+  expect(state.map.marker).toEqual([40.5, -82.2465]);
+
+  state = reducer(state, inputChanged('longitude', '300'));
+  expect(state.map.marker).toBeNull();
+});
+
+test('nudges the marker from the typed coordinates, consecutive steps being one undo step', () => {
+  const state = run(createInitialState(), markerNudged(0.001, 0), markerNudged(0, -0.01));
+  expect(state.inputs).toMatchObject({ latitude: '35.440300', longitude: '-82.256500' });
+  expect(state.map.marker).toEqual([35.4403, -82.2565]);
+  expect(reducer(state, undo()).inputs.latitude).toBe('35.4393');
+
+  // Steps past the antimeridian wrap, and there is nothing to nudge without coordinates
+  expect(run(createInitialState(), inputChanged('longitude', '179.9995'), markerNudged(0, 0.001)).inputs.longitude).toBe('-179.999500');
+  const blank = reducer(createInitialState(), inputChanged('latitude', ''));
+  expect(reducer(blank, markerNudged(0.001, 0))).toBe(blank);
+});
+
+test('undoes and redoes input changes, typing in one field being a single step', () => {
+  let state = run(
+    createInitialState(),
+    inputChanged('latitude', '4'),
+    inputChanged('latitude', '40'),
+    inputChanged('date1', '2024-08-01'),
+    locationPicked(10.1234567, 20.7654321)
+  );
+  expect(state.inputs).toMatchObject({ latitude: '10.123457', longitude: '20.765432', date1: '2024-08-01' });
+
+  state = run(state, undo());
+  expect(state.inputs).toMatchObject({ latitude: '40', longitude: '-82.2465', date1: '2024-08-01' });
+  expect(state.map.marker).toEqual([40, -82.2465]);
+
+  state = run(state, undo(), undo());
+  expect(state.inputs).toEqual(createInitialState().inputs);
+  expect(selectCanUndo(state)).toBe(false);
+  expect(reducer(state, undo())).toBe(state);
+
+  state = run(state, redo(), redo());
+  expect(state.inputs).toMatchObject({ latitude: '40', date1: '2024-08-01' });
+  expect(selectCanRedo(state)).toBe(true);
+
+  // A new change drops the undone steps
+  state = reducer(state, inputChanged('cloudCover', 50));
+  expect(selectCanRedo(state)).toBe(false);
+});
+
+test('makes dragging AOI vertices a single undo step and hides results of the previous area', () => {
+  const square = [[35, -83], [35, -82], [36, -82], [36, -83]];
+  const searching = run(loadedState(), computationRequested());
+  let state = run(searching, computationFinished(searching.computation.pending.id, { NDVI: {} }), aoiDrawn(square));
+  expect(state.view.aoiDrawMode).toBeNull();
+  expect(state.computation.showResults).toBe(false);
+
+  state = run(state, aoiEdited([[35.1, -83], ...square.slice(1)]), aoiEdited([[35.2, -83], ...square.slice(1)]));
+  state = reducer(state, undo());
+  expect(state.inputs.aoiVertices).toBe(square);
+  state = reducer(state, undo());
+  expect(state.inputs.aoiVertices).toBeNull();
+});
+
+test('validates the inputs when a search is requested', () => {
+  const state = run(createInitialState(), inputChanged('longitude', '200'), inputChanged('date2', ''), searchRequested());
+  expect(state.errors).toEqual({ longitude: 'Must be between -180 and 180.', date2: 'Date 2 is required.' });
+  expect(state.search.pending).toBeNull();
+  expect(state.map.marker).toBeNull();
+});
+
+test('records a search centred on the AOI and applies its scenes', () => {
+  const triangle = [[35, -83], [35, -82], [36, -82]];
+  let state = run(createInitialState(), computationToggled('NDVI (Normalized Difference Vegetation Index)', true), aoiDrawn(triangle), searchRequested());
+  const { pending } = state.search;
+  expect(state.search.isLoading).toBe(true);
+  expect(pending.inputs.aoiVertices).toBe(triangle);
+  expect(pending.latitude).toBeCloseTo(35.333, 3);
+  expect(pending.longitude).toBeCloseTo(-82.333, 3);
+
+  state = reducer(state, scenesLoaded(pending.id, SCENES));
+  expect(state.search).toMatchObject({ isLoading: false, pending: null });
+  expect(state.scenes.image1Info.id).toBe('a');
+  expect(state.scenes.candidates.date2).toEqual(SCENES.candidates2);
+  expect(state.activeAnalysis).toBe(pending.inputs);
+  expect(state.pushesHistory).toBe(true);
+  expect(state.map.center).toEqual([pending.latitude, pending.longitude]);
+});
+
+test('describes the search and computation state for screen readers', () => {
+  const searching = run(createInitialState(), searchRequested());
+  expect(selectStatusMessage(createInitialState())).toBe('');
+  expect(selectStatusMessage(searching)).toBe('Searching for images…');
+
+  const scenes = { ...SCENES, image1: { ...scene('a'), dateAcquired: '2024-09-16T16:05:31Z' } };
+  let state = reducer(searching, scenesLoaded(searching.search.pending.id, scenes));
+  expect(selectStatusMessage(state)).toBe('Scenes found for both dates, acquired 2024-09-16 and an unknown date.');
+
+  state = run(state, computationToggled('NDVI (Normalized Difference Vegetation Index)', true), computationRequested());
+  expect(selectStatusMessage(state)).toBe('Calculating the selected computations…');
+  state = reducer(state, computationFinished(state.computation.pending.id, { NDVI: { label: 'NDVI' } }));
+  expect(selectStatusMessage(state)).toBe('Results ready for 1 computation.');
+});
+
+test('drops the outcome of a search superseded by a newer one', () => {
+  const first = run(createInitialState(), searchRequested());
+  const second = reducer(first, searchRequested());
+  expect(reducer(second, scenesLoaded(first.search.pending.id, SCENES))).toBe(second);
+  expect(reducer(second, searchFailed(first.search.pending.id, 'Timed out'))).toBe(second);
+
+  const failed = reducer(second, searchFailed(second.search.pending.id, 'No clear image found'));
+  expect(failed.search).toMatchObject({ isLoading: false, error: 'No clear image found', pending: null });
+  expect(failed.activeAnalysis).toBeNull();
+});
+
+test('runs the selected computations and drops results when a scene changes', () => {
+  let state = run(loadedState(), computationToggled('NDVI (Normalized Difference Vegetation Index)', true), computationRequested());
+  const { pending } = state.computation;
+  expect(state.computation.isCalculating).toBe(true);
+  expect(pending).toMatchObject({ computations: ['NDVI (Normalized Difference Vegetation Index)'], image1Info: SCENES.image1 });
+
+  const results = { NDVI: { label: 'NDVI' } };
+  state = reducer(state, computationFinished(pending.id, results));
+  expect(state.computation).toMatchObject({ results, isCalculating: false, showResults: true });
+  expect(selectSavableAnalysis(state)).toMatchObject({ view: { computations: ['NDVI'] }, results });
+
+  state = reducer(state, sceneSelected(2, scene('c')));
+  expect(state.scenes.image2Info.id).toBe('c');
+  expect(state.computation).toMatchObject({ results: {}, showResults: false });
+});
+
+test('computes over the searched area when the form was edited since', () => {
+  const square = [[35, -83], [35, -82], [36, -82], [36, -83]];
+  let state = run(createInitialState(), aoiDrawn(square), searchRequested());
+  state = run(
+    reducer(state, scenesLoaded(state.search.pending.id, SCENES)),
+    inputChanged('latitude', '40'),
+    inputChanged('date1', '2024-08-01'),
+    aoiEdited(square.map(([lat, lng]) => [lat + 1, lng])),
+    computationToggled('NDVI (Normalized Difference Vegetation Index)', true),
+    computationRequested()
+  );
+  expect(state.computation.pending).toMatchObject({ latitude: '35.4393', longitude: '-82.2465', aoiVertices: square });
+});
+
+test('clears the pixel reading when the scenes change', () => {
+  let state = run(loadedState(), pixelInspectionRequested(35.5, -82.5));
+  expect(state.inspector).toMatchObject({ point: [35.5, -82.5], isLoading: true });
+
+  state = reducer(state, sceneSelected(1, scene('d')));
+  expect(state.inspector).toMatchObject({ point: null, isLoading: false, pending: null });
+});
+
+test('restores a permalink and searches for the scenes it was shared with', () => {
+  const link = {
+    latitude: '10', longitude: '20', date1: '2024-01-01', date2: '2024-02-01', cloudCover: 30, sensor: 'landsat',
+    aoiVertices: null, computations: ['NDVI'], isImage1Visible: false, compareMode: 'swipe', zoom: 9, image1Id: 'a', image2Id: 'b',
+  };
+  let state = reducer(createInitialState(), analysisRestored(link));
+  expect(state.inputs).toMatchObject({ latitude: '10', longitude: '20', sensor: 'landsat', cloudCover: 30 });
+  expect(selectCanUndo(state)).toBe(false);
+  expect(state.computation.selected).toEqual(['NDVI (Normalized Difference Vegetation Index)']);
+  expect(state.view.compareMode).toBe('swipe');
+  expect(state.search.pending.restore).toBe(link);
+
+  state = reducer(state, scenesLoaded(state.search.pending.id, SCENES));
+  expect(state.view.isImage1Visible).toBe(false);
+  expect(state.map.flyToZoom).toBe(9);
+  expect(state.pushesHistory).toBe(false);
+});
+
+test('resets the analysis but keeps the inputs', () => {
+  const state = run(loadedState(), inputChanged('cloudCover', 40), analysisReset());
+  expect(state.scenes.image1Info).toBeNull();
+  expect(state.activeAnalysis).toBeNull();
+  expect(state.inputs.cloudCover).toBe(40);
+  expect(selectCanUndo(state)).toBe(true);
+});
+
+test('keeps annotations with their analysis, saved and reopened with it', () => {
+  const pin = createAnnotation('pin', [[35.5, -82.5]]);
+  let state = run(loadedState(), annotationAdded(pin), annotationChanged(pin.id, { label: 'Bridge out' }));
+  expect(state.annotations).toEqual([{ ...pin, label: 'Bridge out' }]);
+  expect(state.view.selectedAnnotationId).toBe(pin.id);
+
+  // Picking another scene keeps the analysis and its annotations
+  state = reducer(state, sceneSelected(2, scene('c')));
+  const saved = selectSavableAnalysis(state);
+  expect(saved.annotations).toBe(state.annotations);
+
+  state = reducer(state, annotationDeleted(pin.id));
+  expect(state.annotations).toEqual([]);
+  expect(state.view.selectedAnnotationId).toBeNull();
+
+  const reopened = run(state, analysisReset(), savedAnalysisOpened(saved));
+  expect(reopened.annotations).toEqual([{ ...pin, label: 'Bridge out' }]);
+  // The scenes of a new search start a new analysis without them
+  const searching = run(reopened, searchRequested());
+  expect(reducer(searching, scenesLoaded(searching.search.pending.id, SCENES)).annotations).toEqual([]);
+});
+
+test('runs a guided event analysis from the search to the impact summary', () => {
+  let state = reducer(createInitialState(), eventWorkflowStarted('wildfire', '2024-10-01'));
+  expect(state.inputs).toMatchObject({ date1: '2024-09-15', date2: '2024-10-17', window1: '15', window2: '15' });
+  expect(state.computation.selected).toEqual(['Differenced Normalized Burn Ratio (dNBR)', 'NDVI (Normalized Difference Vegetation Index)']);
+  expect(state.view.compositeSettings.preset).toBe('swir');
+  expect(state.view.changeSettings.resultKey).toBe('dNBR');
+  expect(state.workflow).toEqual({ eventType: 'wildfire', eventDate: '2024-10-01', stage: 'searching' });
+
+  state = reducer(state, scenesLoaded(state.search.pending.id, SCENES));
+  expect(state.workflow.stage).toBe('calculating');
+  expect(state.computation.pending.computations).toHaveLength(2);
+
+  const raster = { width: 1, height: 1, bbox: [-82.25, 35.44, -82.24, 35.45], date1: [0.6], date2: [-0.2], difference: [0.8] };
+  state = reducer(state, computationFinished(state.computation.pending.id, { dNBR: { label: 'dNBR', raster } }));
+  expect(state.workflow.stage).toBe('done');
+  expect(selectImpactSummary(state)).toMatchObject({ affectedPercent: 100 });
+
+  // Undo gives back the dates typed before the run; a manual search ends it
+  expect(reducer(state, undo()).inputs.date1).toBe('2024-09-16');
+  expect(selectImpactSummary(reducer(state, searchRequested()))).toBeNull();
+});
@@ -0,0 +1,46 @@
+// --- Browser-side tile cache: service worker registration and cache housekeeping ---
+// The worker itself lives in public/tile-cache-sw.js, outside the bundle.
+
+import { apiClient } from './apiClient';
+
+export const TILE_CACHE_NAME = 'geo-compare-tiles-v1'; // Must match the name in public/tile-cache-sw.js
+
+/**
+ * Registers the tile-caching service worker, unless the runtime config sets
+ * `offlineCache: false` or the browser has no service workers (or no secure context).
+ * Resolves to the registration, or null.
+ */
+export async function registerTileCache(
+  runtimeConfig = typeof window !== 'undefined' ? window.GEO_COMPARE_CONFIG : undefined,
+  serviceWorker = typeof navigator !== 'undefined' ? navigator.serviceWorker : undefined
+) {
+  if (runtimeConfig?.offlineCache === false || !serviceWorker) return null;
+  try {
+    return await serviceWorker.register(`${process.env.PUBLIC_URL}/tile-cache-sw.js`);
+  } catch (error) {
+    console.warn('Tile cache unavailable:', error);
+    return null;
+  }
+}
+
+/**
+ * Whether map tiles are currently served through the tile cache.
+ */
+export const isTileCacheActive = () => Boolean(typeof navigator !== 'undefined' && navigator.serviceWorker?.controller);
+
+/**
+ * Storage used by this site, in bytes, or null when the browser doesn't say.
+ */
+export async function storageUsage() {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+  const { usage } = await navigator.storage.estimate();
+  return usage ?? null;
+}
+
+/**
+ * Deletes cached tiles and cached API responses (saved analyses are kept).
+ */
+export async function clearOfflineData() {
+  if (typeof caches !== 'undefined') await caches.delete(TILE_CACHE_NAME);
+  await apiClient.clearCache();
+}
@@ -0,0 +1,11 @@
+// --- Time-series helpers shared by the series panel and its CSV export (exporters.js) ---
+
+/**
+ * Days between two YYYY-MM-DD (or ISO) dates, used to lay the series out on a time axis.
+ */
+export const daysBetween = (from, to) => (new Date(to) - new Date(from)) / 86400000;
+
+/**
+ * Date plotted for a step: the actual acquisition when there is one, else the step date.
+ */
+export const stepDate = (step) => (step.scene ? step.scene.dateAcquired.slice(0, 10) : step.targetDate);
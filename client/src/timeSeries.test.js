@@ -0,0 +1,11 @@
+import { stepDate } from './timeSeries';
+
+const steps = [
+  { targetDate: '2024-05-01', scene: { id: 'S2A_1', dateAcquired: '2024-05-02T16:04:00Z', cloudCover: 3.2 }, usable: true },
+  { targetDate: '2024-05-11', scene: { id: 'S2B_2', dateAcquired: '2024-05-10T16:04:00Z', cloudCover: 64 }, usable: false },
+  { targetDate: '2024-05-21', scene: null, usable: false },
+];
+
+test('plots steps at their acquisition date, or the target date when nothing was acquired', () => {
+  expect(steps.map(stepDate)).toEqual(['2024-05-02', '2024-05-10', '2024-05-21']);
+});
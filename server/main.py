@@ -7,7 +7,15 @@ from datetime import datetime, timedelta
 from rio_tiler.io import COGReader 
 from rio_tiler.errors import TileOutsideBounds
 from rio_tiler.models import ImageData
-from urllib.parse import urlencode
+from rio_tiler.constants import WGS84_CRS
+from urllib.parse import urlencode, urlparse
+from collections import OrderedDict
+from functools import wraps
+import hashlib
+import threading
+import uuid
+import os
+import numpy as np
 
 app = Flask(__name__)
 CORS(app)
@@ -16,12 +24,256 @@ logging.basicConfig(level=logging.INFO, format='%(asctime)s - %(levelname)s - %(
 
 STAC_API_URL = "https://earth-search.aws.element84.com/v1/search"
 
-# --- Helper function to fetch a single STAC feature ---
-def fetch_stac_feature(lat, lon, date_str, cloud_cover_lt=10, date_window_days=15):
+# Base URL the browser uses to reach this server, baked into the tile URL templates.
+# Set it when running behind a reverse proxy; by default the request's own host is used.
+PUBLIC_API_URL = os.environ.get("PUBLIC_API_URL", "").rstrip("/")
+
+def public_url(path):
+    return f"{PUBLIC_API_URL or request.host_url.rstrip('/')}{path}"
+
+# Sentinel-2 band ids (as used by the index formulas) -> Earth Search asset keys
+SENTINEL2_BAND_ASSETS = {
+    "B01": "coastal",
+    "B02": "blue",
+    "B03": "green",
+    "B04": "red",
+    "B05": "rededge1",
+    "B06": "rededge2",
+    "B07": "rededge3",
+    "B08": "nir",
+    "B8A": "nir08",
+    "B09": "nir09",
+    "B11": "swir16",
+    "B12": "swir22",
+    "SCL": "scl",
+}
+
+# Landsat Collection 2 Level-2 (Landsat 4-9) under the same band ids; Landsat 4-7 name
+# their single thermal band 'lwir' rather than 'lwir11'
+LANDSAT_BAND_ASSETS = {
+    "B01": "coastal",
+    "B02": "blue",
+    "B03": "green",
+    "B04": "red",
+    "B08": "nir08",
+    "B8A": "nir08",
+    "B11": "swir16",
+    "B12": "swir22",
+    "TIR": ("lwir11", "lwir"),
+}
+
+# Sentinel-1 GRD polarisations (amplitude digital numbers)
+SENTINEL1_BAND_ASSETS = {
+    "VV": "vv",
+    "VH": "vh",
+}
+
+# Harmonized Landsat Sentinel-2: the Sentinel-2 (S30) half uses the narrow NIR band B8A as
+# 'B08' so that it matches the Landsat (L30) half
+HLSS30_BAND_ASSETS = {
+    "B01": "B01",
+    "B02": "B02",
+    "B03": "B03",
+    "B04": "B04",
+    "B05": "B05",
+    "B06": "B06",
+    "B07": "B07",
+    "B08": "B8A",
+    "B8A": "B8A",
+    "B11": "B11",
+    "B12": "B12",
+}
+HLSL30_BAND_ASSETS = {
+    "B01": "B01",
+    "B02": "B02",
+    "B03": "B03",
+    "B04": "B04",
+    "B08": "B05",
+    "B8A": "B05",
+    "B11": "B06",
+    "B12": "B07",
+    "TIR": "B10",
+}
+
+HLS_STAC_API_URL = "https://cmr.earthdata.nasa.gov/stac/LPCLOUD/search"
+
+# Collections an analysis can run on, keyed by the client's sensor id. Every sensor maps the
+# band ids the index formulas use onto its own asset keys, so one formula serves all sensors
+# that have the bands. Other keys:
+#   stac_query      - whether the STAC API filters and sorts by cloud cover itself
+#   cloud_cover     - whether scenes have an 'eo:cloud_cover' to filter on at all
+#   display         - 'visual' for the true-colour asset, else the [r, g, b] bands composited
+#                     by /api/composite-tiles and stretched by 'display_rescale'
+#   default_scaling - (scale, offset) for assets without 'raster:bands' metadata
+#   asset_hosts     - hosts (S3 buckets for s3:// hrefs) the collections' COGs are served from
+# Thermal bands ('TIR') are scaled to Kelvin.
+SENSORS = {
+    "sentinel-2": {
+        "stac_url": STAC_API_URL,
+        "collections": {"sentinel-2-l2a": SENTINEL2_BAND_ASSETS},
+        "stac_query": True,
+        "cloud_cover": True,
+        "display": "visual",
+        "asset_hosts": ["sentinel-cogs.s3.us-west-2.amazonaws.com"],
+    },
+    "landsat": {
+        "stac_url": STAC_API_URL,
+        "collections": {"landsat-c2-l2": LANDSAT_BAND_ASSETS},
+        "stac_query": True,
+        "cloud_cover": True,
+        "display": ["B04", "B03", "B02"],
+        "display_rescale": "0,0.3",
+        "asset_hosts": ["usgs-landsat", "landsatlook.usgs.gov"],
+    },
+    # GRD assets are in a requester-pays bucket: the server needs AWS credentials and
+    # AWS_REQUEST_PAYER=requester in its environment to read them
+    "sentinel-1": {
+        "stac_url": STAC_API_URL,
+        "collections": {"sentinel-1-grd": SENTINEL1_BAND_ASSETS},
+        "stac_query": True,
+        "cloud_cover": False,
+        "display": ["VV", "VV", "VV"],
+        "display_rescale": "0,400",
+        "asset_hosts": ["sentinel-s1-l1c"],
+    },
+    # LP DAAC data needs an Earthdata login, e.g. in ~/.netrc with GDAL_HTTP_NETRC=YES
+    "hls": {
+        "stac_url": HLS_STAC_API_URL,
+        "collections": {"HLSS30_2.0": HLSS30_BAND_ASSETS, "HLSL30_2.0": HLSL30_BAND_ASSETS},
+        "stac_query": False,
+        "cloud_cover": True,
+        "display": ["B04", "B03", "B02"],
+        "display_rescale": "0,0.3",
+        # Reflectance is stored x10000 and brightness temperature in hundredths of a degree C
+        "default_scaling": {"TIR": (0.01, 273.15), "*": (0.0001, 0)},
+        "asset_hosts": ["data.lpdaac.earthdatacloud.nasa.gov", "lp-prod-protected"],
+    },
+}
+DEFAULT_SENSOR = "sentinel-2"
+
+# COG hrefs sent by the client are only read from these hosts, so the server can't be made to
+# fetch arbitrary (e.g. internal) URLs. ASSET_HOSTS adds hosts, comma-separated, such as a mirror.
+ASSET_HOSTS = frozenset(
+    [host for sensor in SENSORS.values() for host in sensor["asset_hosts"]]
+    + [host.strip().lower() for host in os.environ.get("ASSET_HOSTS", "").split(",") if host.strip()]
+)
+
+# Features requested for a scene search and ranked locally (see rank_features); also the
+# candidates a filtered scene search starts from
+MAX_UNFILTERED_FEATURES = 100
+
+# Largest pixel grid the band-pixels endpoint will return per side
+MAX_PIXEL_GRID_SIZE = 256
+
+# How many candidate scenes per date the change-detection endpoint returns for the scene picker
+MAX_SCENE_CANDIDATES = 20
+
+# Scene selection of the change-detection search: days searched either side of each date,
+# and how candidates are ordered. 'least-cloudy' breaks ties by days from the date, 'closest' by cloud
+# cover, and 'weighted' scores both, cloud cover counting for WEIGHTED_CLOUD_SHARE.
+DEFAULT_DATE_WINDOW_DAYS = 15
+MAX_DATE_WINDOW_DAYS = 90
+RANKING_STRATEGIES = ("least-cloudy", "closest", "weighted")
+DEFAULT_RANKING = "least-cloudy"
+WEIGHTED_CLOUD_SHARE = 0.5
+
+# Area around a searched point that scene coverage is measured over, as the client analyses
+# it (DEFAULT_AOI_HALF_SIZE in computationEngine.js), and the sample points per side doing so
+POINT_AREA_HALF_SIZE = 0.005
+COVERAGE_SAMPLES_PER_SIDE = 20
+
+# Sentinel-2 scene classification (SCL) values run from 0 (no data) to 11 (snow/ice)
+MAX_SCL_CLASS = 11
+
+# Index overlay layers registered by the client, kept in memory (oldest evicted first)
+INDEX_LAYERS = OrderedDict()
+MAX_INDEX_LAYERS = 100
+
+# Rendered tiles, keyed by request path and query (least recently used evicted first past
+# the byte limit), and optionally mirrored to TILE_CACHE_DIR so they survive a restart
+TILE_CACHE = OrderedDict()
+TILE_CACHE_LOCK = threading.Lock()
+tile_cache_bytes = 0
+TILE_CACHE_MAX_BYTES = int(os.environ.get("TILE_CACHE_MAX_BYTES", 256 * 1024 * 1024))
+TILE_CACHE_DIR = os.environ.get("TILE_CACHE_DIR")
+
+# Browser cache lifetimes: a tile URL names published COGs and fixed rendering options, so its
+# content never changes; scene searches go stale as new acquisitions are catalogued
+TILE_MAX_AGE_SECONDS = 7 * 24 * 3600
+SEARCH_MAX_AGE_SECONDS = 15 * 60
+
+def normalized_difference(a, b):
+    with np.errstate(divide="ignore", invalid="ignore"):
+        return (a - b) / (a + b)
+
+def amplitude_to_db(amplitude):
+    with np.errstate(divide="ignore", invalid="ignore"):
+        return 20 * np.log10(amplitude)
+
+# Band math for index overlays, mirroring client/src/spectralIndices.js
+SPECTRAL_INDICES = {
+    "NBR": (("B08", "B12"), lambda b: normalized_difference(b["B08"], b["B12"])),
+    "NDFI": (("B04", "B12"), lambda b: normalized_difference(b["B04"], b["B12"])),
+    "NDVI": (("B08", "B04"), lambda b: normalized_difference(b["B08"], b["B04"])),
+    "EVI": (("B08", "B04", "B02"), lambda b: 2.5 * (b["B08"] - b["B04"]) / (b["B08"] + 6 * b["B04"] - 7.5 * b["B02"] + 1)),
+    "NDMI": (("B08", "B11"), lambda b: normalized_difference(b["B08"], b["B11"])),
+    "CIRE": (("B07", "B05"), lambda b: b["B07"] / b["B05"] - 1),
+    "NDWI": (("B03", "B08"), lambda b: normalized_difference(b["B03"], b["B08"])),
+    "MNDWI": (("B03", "B11"), lambda b: normalized_difference(b["B03"], b["B11"])),
+    "NDTI": (("B04", "B03"), lambda b: normalized_difference(b["B04"], b["B03"])),
+    "NDBI": (("B11", "B08"), lambda b: normalized_difference(b["B11"], b["B08"])),
+    "LST": (("TIR",), lambda b: b["TIR"] - 273.15),
+    "VVDB": (("VV",), lambda b: amplitude_to_db(b["VV"])),
+}
+
+# Time-series limits: steps per series and STAC features fetched for the whole range
+MAX_TIME_SERIES_STEPS = 60
+MAX_TIME_SERIES_FEATURES = 250
+
+# --- Helper functions to fetch STAC features ---
+def feature_date(feature):
+    return datetime.fromisoformat(feature["properties"]["datetime"].replace("Z", "+00:00")).date()
+
+def rank_features(features, target_date, cloud_cover_lt=None, ranking=DEFAULT_RANKING, date_window_days=DEFAULT_DATE_WINDOW_DAYS):
     """
-    Fetches the best STAC feature (image metadata) for a given point and date range.
-    Returns the feature or None if not found.
+    Local stand-in for the STAC cloud-cover query and sort: keeps features below
+    'cloud_cover_lt' (when given) and orders them by the ranking strategy (see
+    RANKING_STRATEGIES). Without 'cloud_cover_lt' cloud cover plays no part.
+    """
+    if cloud_cover_lt is not None:
+        features = [f for f in features if f["properties"].get("eo:cloud_cover", 100) < cloud_cover_lt]
+
+    def score(feature):
+        days = abs((feature_date(feature) - target_date).days)
+        cloud = feature["properties"].get("eo:cloud_cover", 0) if cloud_cover_lt is not None else 0
+        if ranking == "closest":
+            return (days, cloud)
+        if ranking == "weighted":
+            return (WEIGHTED_CLOUD_SHARE * cloud / 100 + (1 - WEIGHTED_CLOUD_SHARE) * days / max(date_window_days, 1), days)
+        return (cloud, days)
+
+    return sorted(features, key=score)
+
+def post_stac_search(sensor, body):
+    """
+    Runs a STAC item search against the sensor's API and collections.
+    Raises requests.exceptions.RequestException on failure.
+    """
+    body = {**body, "collections": list(sensor["collections"])}
+    response = requests.post(sensor["stac_url"], json=body)
+    response.raise_for_status()
+    return response.json().get("features", [])
+
+def fetch_stac_features(lat, lon, date_str, cloud_cover_lt=10, date_window_days=DEFAULT_DATE_WINDOW_DAYS, intersects=None, limit=MAX_SCENE_CANDIDATES, sensor_id=DEFAULT_SENSOR, ranking=DEFAULT_RANKING):
+    """
+    Fetches up to 'limit' STAC features (image metadata) for a given point and date range,
+    best first by the ranking strategy (see rank_features). STAC APIs can't sort by distance
+    from a date, so features are ranked locally; for the default ranking the API still returns
+    the least cloudy first, so the features fetched are the best candidates.
+    If 'intersects' (a GeoJSON geometry) is given it is used instead of the point.
+    Returns a list of features, empty if none were found or the request failed.
     """
+    sensor = SENSORS[sensor_id]
     try:
         target_date = datetime.strptime(date_str, "%Y-%m-%d").date()
         window_start_date = target_date - timedelta(days=date_window_days)
@@ -29,69 +281,490 @@ def fetch_stac_feature(lat, lon, date_str, cloud_cover_lt=10, date_window_days=1
         datetime_range = f"{window_start_date.isoformat()}T00:00:00Z/{window_end_date.isoformat()}T23:59:59Z"
     except ValueError:
         logging.error(f"Invalid date format: {date_str}. Expected YYYY-MM-DD")
-        return None
+        return []
 
     stac_request_body = {
-        "collections": ["sentinel-2-l2a"],
-        "intersects": {
+        "intersects": intersects or {
             "type": "Point",
             "coordinates": [lon, lat],
         },
         "datetime": datetime_range,
-        "limit": 1,
-        "sortby": [
-            {"field": "properties.eo:cloud_cover", "direction": "asc"},
-            {"field": "properties.datetime", "direction": "desc"}
-        ],
-        "query": {
+        "limit": limit,
+    }
+    stac_request_body["limit"] = MAX_UNFILTERED_FEATURES
+    if sensor["stac_query"] and sensor["cloud_cover"] and ranking == DEFAULT_RANKING:
+        stac_request_body["sortby"] = [{"field": "properties.eo:cloud_cover", "direction": "asc"}]
+    if sensor["cloud_cover"] and sensor["stac_query"]:
+        stac_request_body["query"] = {
             "eo:cloud_cover": {"lt": cloud_cover_lt}
         }
-    }
 
-    logging.info(f"STAC Query for date {date_str}, Datetime Range: {datetime_range}")
+    logging.info(f"STAC Query ({sensor_id}) for date {date_str}, Datetime Range: {datetime_range}")
 
     try:
-        response = requests.post(STAC_API_URL, json=stac_request_body)
-        response.raise_for_status()
-        stac_response = response.json()
+        features = post_stac_search(sensor, stac_request_body)
     except requests.exceptions.RequestException as e:
         logging.error(f"Failed to call STAC API for {date_str}: {e}")
-        return None
+        return []
 
-    if not stac_response.get("features"):
+    features = rank_features(features, target_date, cloud_cover_lt if sensor["cloud_cover"] else None, ranking, date_window_days)[:limit]
+
+    if not features:
         logging.info(f"No features found for {date_str} with cloud_cover < {cloud_cover_lt}%")
-        return None
+        return []
+
+    return features
+
+def fetch_stac_feature(lat, lon, date_str, cloud_cover_lt=10, date_window_days=DEFAULT_DATE_WINDOW_DAYS, intersects=None, sensor_id=DEFAULT_SENSOR):
+    """
+    Fetches the best STAC feature for a given point and date range.
+    Returns the feature or None if not found.
+    """
+    features = fetch_stac_features(lat, lon, date_str, cloud_cover_lt, date_window_days, intersects, limit=1, sensor_id=sensor_id)
+    return features[0] if features else None
+
+def fetch_stac_features_in_range(lat, lon, start_date, end_date, intersects=None, limit=MAX_TIME_SERIES_FEATURES, sensor_id=DEFAULT_SENSOR):
+    """
+    Fetches all STAC features between two dates (inclusive), oldest first, regardless of
+    cloud cover so that cloudy acquisitions can still be shown as such in a time series.
+    Returns a list of features, empty if the request failed.
+    """
+    sensor = SENSORS[sensor_id]
+    stac_request_body = {
+        "intersects": intersects or {
+            "type": "Point",
+            "coordinates": [lon, lat],
+        },
+        "datetime": f"{start_date.isoformat()}T00:00:00Z/{end_date.isoformat()}T23:59:59Z",
+        "limit": limit,
+    }
+    if sensor["stac_query"]:
+        stac_request_body["sortby"] = [{"field": "properties.datetime", "direction": "asc"}]
+
+    logging.info(f"STAC time-series query ({sensor_id}) from {start_date} to {end_date}")
+
+    try:
+        features = post_stac_search(sensor, stac_request_body)
+    except requests.exceptions.RequestException as e:
+        logging.error(f"Failed to call STAC API for time series {start_date}/{end_date}: {e}")
+        return []
+    return sorted(features, key=feature_date)
+
+def pick_time_series_scenes(features, start_date, end_date, interval_days):
+    """
+    Splits [start_date, end_date] into steps of 'interval_days' and picks, for each step,
+    the least cloudy feature within half an interval of the step date (closest date breaks ties).
+    Returns a list of (step_date, feature or None).
+    """
+    half_window = timedelta(days=interval_days / 2)
+    steps = []
+    step_date = start_date
+    while step_date <= end_date:
+        in_window = [f for f in features if abs(feature_date(f) - step_date) <= half_window]
+        best = min(
+            in_window,
+            key=lambda f: (f["properties"].get("eo:cloud_cover", 100), abs(feature_date(f) - step_date)),
+            default=None,
+        )
+        steps.append((step_date, best))
+        step_date += timedelta(days=interval_days)
+    return steps
+
+def parse_aoi_param(aoi_str):
+    """
+    Parses the optional 'aoi' query parameter (a GeoJSON Polygon).
+    Returns (aoi, error message); both None when the parameter is absent.
+    """
+    if not aoi_str:
+        return None, None
+    try:
+        aoi = json.loads(aoi_str)
+    except ValueError:
+        return None, "AOI must be valid GeoJSON"
+    if not isinstance(aoi, dict) or aoi.get("type") != "Polygon" or not aoi.get("coordinates"):
+        return None, "AOI must be a GeoJSON Polygon"
+    return aoi, None
 
-    return stac_response["features"][0]
+def parse_sensor_param(value):
+    """
+    Parses the optional 'sensor' parameter. Returns (sensor id, error message).
+    """
+    sensor_id = value or DEFAULT_SENSOR
+    if sensor_id not in SENSORS:
+        return None, f"Unknown sensor '{sensor_id}'; expected one of {', '.join(SENSORS)}"
+    return sensor_id, None
+
+def parse_bounded_int(value, name, low, high, default):
+    """
+    Parses an optional integer query parameter between 'low' and 'high'.
+    Returns (number, error message); the number is 'default' when the parameter is absent.
+    """
+    if value is None or value == "":
+        return default, None
+    try:
+        number = int(value)
+    except ValueError:
+        return None, f"'{name}' must be a whole number"
+    if not (low <= number <= high):
+        return None, f"'{name}' must be between {low} and {high}"
+    return number, None
+
+# --- Scene footprint coverage ---
+def point_in_ring(x, y, ring):
+    inside = False
+    for (x1, y1), (x2, y2) in zip(ring, ring[1:] + ring[:1]):
+        if (y1 > y) != (y2 > y) and x < (x2 - x1) * (y - y1) / (y2 - y1) + x1:
+            inside = not inside
+    return inside
+
+def point_in_polygon(x, y, rings):
+    """
+    Whether (x, y) is inside a GeoJSON polygon's outer ring and outside its holes.
+    """
+    return point_in_ring(x, y, rings[0]) and not any(point_in_ring(x, y, hole) for hole in rings[1:])
+
+def footprint_polygons(feature):
+    """
+    The polygons (lists of rings) of a feature's footprint, its bbox when it has no geometry.
+    """
+    geometry = feature.get("geometry") or {}
+    if geometry.get("type") == "Polygon":
+        return [geometry["coordinates"]]
+    if geometry.get("type") == "MultiPolygon":
+        return geometry["coordinates"]
+    west, south, east, north = feature["bbox"][:4]
+    return [[[[west, south], [east, south], [east, north], [west, north]]]]
+
+def area_polygon(lat, lon, aoi):
+    """
+    Rings of the area a search analyses: the AOI, else the square the client analyses around the point.
+    """
+    if aoi:
+        return aoi["coordinates"]
+    h = POINT_AREA_HALF_SIZE
+    return [[[lon - h, lat - h], [lon + h, lat - h], [lon + h, lat + h], [lon - h, lat + h]]]
+
+def footprint_coverage(feature, area):
+    """
+    Percentage of 'area' (polygon rings) inside the feature's footprint, estimated on a grid
+    of COVERAGE_SAMPLES_PER_SIDE² points over the area's bounding box.
+    """
+    xs = [x for x, _ in area[0]]
+    ys = [y for _, y in area[0]]
+    n = COVERAGE_SAMPLES_PER_SIDE
+    samples = [
+        (min(xs) + (max(xs) - min(xs)) * (i + 0.5) / n, min(ys) + (max(ys) - min(ys)) * (j + 0.5) / n)
+        for i in range(n) for j in range(n)
+    ]
+    samples = [(x, y) for x, y in samples if point_in_polygon(x, y, area)]
+    if not samples:
+        return 0.0
+    polygons = footprint_polygons(feature)
+    covered = sum(1 for x, y in samples if any(point_in_polygon(x, y, rings) for rings in polygons))
+    return round(100 * covered / len(samples), 1)
+
+def orbit_key(scene):
+    """
+    Identifies the acquisition geometry of a scene: its tile and relative orbit.
+    """
+    return (scene.get("tileId"), scene.get("relativeOrbit"))
+
+def band_assets_for(feature, sensor_id):
+    """
+    The band id -> asset key(s) map of the sensor collection a feature belongs to.
+    """
+    collections = SENSORS[sensor_id]["collections"]
+    return collections.get(feature.get("collection")) or next(iter(collections.values()))
+
+def extract_band_assets(feature, sensor_id=DEFAULT_SENSOR):
+    """
+    Collects the href, scale and offset of every band asset in a STAC feature, keyed by
+    band id (B04, B08, ...). Scale/offset convert raw DNs to surface reflectance (Kelvin
+    for thermal bands), from the asset's 'raster:bands' or else the sensor's defaults.
+    """
+    assets = feature.get("assets", {})
+    default_scaling = SENSORS[sensor_id].get("default_scaling", {})
+    bands = {}
+    for band_id, asset_keys in band_assets_for(feature, sensor_id).items():
+        keys = (asset_keys,) if isinstance(asset_keys, str) else asset_keys
+        asset = next((assets[key] for key in keys if assets.get(key, {}).get("href")), None)
+        if not asset:
+            continue
+        raster_band = (asset.get("raster:bands") or [{}])[0]
+        scale, offset = default_scaling.get(band_id, default_scaling.get("*", (1, 0)))
+        bands[band_id] = {
+            "href": asset["href"],
+            "scale": raster_band.get("scale", scale),
+            "offset": raster_band.get("offset", offset),
+        }
+    return bands
 
 class ImageInfo:
-    def __init__(self, tile_url_template, bounds, date_acquired):
+    def __init__(self, tile_url_template, bounds, date_acquired, bands=None, scene=None):
         self.tileUrlTemplate = tile_url_template
         self.bounds = bounds
         self.date_acquired = date_acquired
+        self.bands = bands or {}
+        self.scene = scene or {}
 
     def to_dict(self):
         return {
             "tileUrlTemplate": self.tileUrlTemplate,
             "bounds": self.bounds,
-            "dateAcquired": self.date_acquired
+            "dateAcquired": self.date_acquired,
+            "bands": self.bands,
+            **self.scene
         }
 
+def build_image_info(feature, sensor_id=DEFAULT_SENSOR):
+    """
+    Converts a STAC feature into the image info dict sent to the frontend, or None if the
+    feature lacks what the sensor is displayed with (the 'visual' asset or its r/g/b bands).
+    """
+    sensor = SENSORS[sensor_id]
+    assets = feature.get("assets", {})
+    bands = extract_band_assets(feature, sensor_id)
+    cog_url = None
+
+    if sensor["display"] == "visual":
+        # Get the URL of the 'visual' asset (the TCI GeoTIFF)
+        cog_url = assets.get("visual", {}).get("href")
+        if not cog_url:
+            return None
+        # Create the tile URL template for the frontend
+        tile_server_url = public_url(f"/api/tiles/{{z}}/{{x}}/{{y}}?{urlencode({'url': cog_url})}")
+    else:
+        display_bands = [bands.get(band_id) for band_id in sensor["display"]]
+        if not all(display_bands):
+            return None
+        query = urlencode({
+            "r": display_bands[0]["href"],
+            "g": display_bands[1]["href"],
+            "b": display_bands[2]["href"],
+            "scale": ",".join(str(band["scale"]) for band in display_bands),
+            "offset": ",".join(str(band["offset"]) for band in display_bands),
+            "rescale": sensor["display_rescale"],
+        })
+        tile_server_url = public_url(f"/api/composite-tiles/{{z}}/{{x}}/{{y}}?{query}")
+
+    bbox = feature.get("bbox")
+    leaflet_bounds = [[bbox[1], bbox[0]], [bbox[3], bbox[2]]]
+    properties = feature.get("properties", {})
+    scene = {
+        "id": feature.get("id"),
+        "sensor": sensor_id,
+        "collection": feature.get("collection"),
+        "cloudCover": properties.get("eo:cloud_cover"),
+        "tileId": properties.get("s2:mgrs_tile") or properties.get("grid:code"),
+        "relativeOrbit": properties.get("sat:relative_orbit"),
+        "platform": properties.get("platform"),
+        "thumbnailUrl": assets.get("thumbnail", {}).get("href"),
+        "visualUrl": cog_url,
+    }
+    return ImageInfo(tile_server_url, leaflet_bounds, properties.get("datetime"), bands, scene).to_dict()
+
+def is_usable_scene(scene, cloud_cover_lt):
+    """
+    Whether a time-series scene is below the cloud threshold; scenes of sensors without
+    cloud cover (SAR) always are.
+    """
+    if not scene:
+        return False
+    if not SENSORS[scene["sensor"]]["cloud_cover"]:
+        return True
+    return scene["cloudCover"] is not None and scene["cloudCover"] < cloud_cover_lt
+
+def parse_mask_classes(value):
+    """
+    Parses SCL classes to mask, given as a list or a comma-separated string.
+    Returns (classes, error); classes is empty when nothing is masked.
+    """
+    if not value:
+        return [], None
+    try:
+        items = value.split(",") if isinstance(value, str) else value
+        classes = sorted({int(v) for v in items})
+    except (TypeError, ValueError):
+        return None, "Mask classes must be integers"
+    if any(c < 0 or c > MAX_SCL_CLASS for c in classes):
+        return None, f"Mask classes must be between 0 and {MAX_SCL_CLASS}"
+    return classes, None
+
+def check_asset_hrefs(hrefs):
+    """
+    Checks that every COG href is an https:// or s3:// URL on one of the ASSET_HOSTS.
+    Returns an error message, or None when all of them are.
+    """
+    for href in hrefs:
+        try:
+            parsed = urlparse(href) if isinstance(href, str) else None
+            allowed = parsed is not None and parsed.scheme in ("https", "s3") and parsed.port is None \
+                and not parsed.username and parsed.hostname in ASSET_HOSTS
+        except ValueError:
+            allowed = False
+        if not allowed:
+            return f"'{href}' is not on an allowed asset host"
+    return None
+
+def read_scl_clear(scl_href, mask_classes, x, y, z):
+    """
+    Reads the SCL band for one map tile and returns a 256x256 boolean array,
+    False where the pixel's class is masked or has no data.
+    """
+    with COGReader(scl_href) as cog:
+        # Nearest-neighbour resampling (the default) keeps the class values intact
+        scl_data, scl_mask = cog.tile(x, y, z, tilesize=256, indexes=1)
+    return (scl_mask > 0) & ~np.isin(scl_data[0], mask_classes)
+
+def parse_number_list(value, count, name):
+    """
+    Parses `count` comma-separated numbers. Returns (numbers, error).
+    """
+    try:
+        numbers = [float(v) for v in value.split(",")]
+    except (AttributeError, ValueError):
+        return None, f"'{name}' must be {count} comma-separated numbers"
+    if len(numbers) != count or not all(np.isfinite(numbers)):
+        return None, f"'{name}' must be {count} comma-separated numbers"
+    return numbers, None
+
+def parse_display_adjustment(args, default_rescale):
+    """
+    Reads the optional 'rescale' (min,max) and 'gamma' query parameters of a tile request.
+    Returns ((low, high), gamma, error).
+    """
+    rescale, error = parse_number_list(args.get("rescale", default_rescale), 2, "rescale")
+    if error:
+        return None, None, error
+    if rescale[0] >= rescale[1]:
+        return None, None, "'rescale' minimum must be below its maximum"
+    try:
+        gamma = float(args.get("gamma", 1))
+    except ValueError:
+        return None, None, "'gamma' must be a number"
+    if not np.isfinite(gamma) or gamma <= 0:
+        return None, None, "'gamma' must be positive"
+    return rescale, gamma, None
+
+def stretch_to_byte(values, low, high, gamma):
+    """
+    Linearly maps [low, high] to 0-255 with a gamma correction (above 1 brightens the midtones).
+    """
+    t = np.clip((values.astype("float64") - low) / (high - low), 0, 1)
+    return np.round(255 * t ** (1 / gamma)).astype(np.uint8)
+
+# --- Tile cache ---
+def tile_cache_path(key):
+    return os.path.join(TILE_CACHE_DIR, hashlib.sha256(key.encode("utf-8")).hexdigest())
+
+def tile_cache_get(key):
+    """
+    Cached (status, body) of a tile request, from memory or else from disk; None on a miss.
+    An empty body on disk stands for a 204 (tile outside the scene).
+    """
+    with TILE_CACHE_LOCK:
+        if key in TILE_CACHE:
+            TILE_CACHE.move_to_end(key)
+            return TILE_CACHE[key]
+    if TILE_CACHE_DIR:
+        try:
+            with open(tile_cache_path(key), "rb") as f:
+                body = f.read()
+        except OSError:
+            return None
+        entry = (200 if body else 204, body)
+        tile_cache_put(key, entry, write_to_disk=False)
+        return entry
+    return None
+
+def tile_cache_put(key, entry, write_to_disk=True):
+    global tile_cache_bytes
+    with TILE_CACHE_LOCK:
+        if key in TILE_CACHE:
+            tile_cache_bytes -= len(TILE_CACHE.pop(key)[1])
+        TILE_CACHE[key] = entry
+        tile_cache_bytes += len(entry[1])
+        while tile_cache_bytes > TILE_CACHE_MAX_BYTES and len(TILE_CACHE) > 1:
+            _, (_, evicted) = TILE_CACHE.popitem(last=False)
+            tile_cache_bytes -= len(evicted)
+    if TILE_CACHE_DIR and write_to_disk:
+        try:
+            os.makedirs(TILE_CACHE_DIR, exist_ok=True)
+            # Written under a temporary name first so a concurrent reader never sees half a tile
+            temp_path = f"{tile_cache_path(key)}.{uuid.uuid4().hex}.tmp"
+            with open(temp_path, "wb") as f:
+                f.write(entry[1])
+            os.replace(temp_path, tile_cache_path(key))
+        except OSError as e:
+            logging.warning(f"Could not write tile to the disk cache: {e}")
+
+def cached_tile(handler):
+    """
+    Serves a tile endpoint from the tile cache, caching its PNG (200) and empty (204)
+    responses, and lets browsers keep them with a long-lived Cache-Control header.
+    Errors are neither cached nor marked cacheable.
+    """
+    @wraps(handler)
+    def wrapper(*args, **kwargs):
+        key = request.full_path
+        entry = tile_cache_get(key)
+        cache_status = "HIT"
+        if entry is None:
+            cache_status = "MISS"
+            response = handler(*args, **kwargs)
+            if not isinstance(response, Response) or response.status_code not in (200, 204):
+                return response
+            entry = (response.status_code, response.get_data())
+            tile_cache_put(key, entry)
+
+        status, body = entry
+        response = Response(body, status=status, mimetype="image/png" if status == 200 else None)
+        response.headers["Cache-Control"] = f"public, max-age={TILE_MAX_AGE_SECONDS}, immutable"
+        response.headers["X-Cache"] = cache_status
+        return response
+    return wrapper
+
+def with_search_cache_headers(response, status):
+    """
+    Marks a successful scene search as reusable by the browser for a short while.
+    """
+    response.headers["Cache-Control"] = f"private, max-age={SEARCH_MAX_AGE_SECONDS}"
+    return response, status
+
 @app.route("/api/tiles/<int:z>/<int:x>/<int:y>", methods=["GET"])
+@cached_tile
 def tile_server(z, x, y):
     """
     This endpoint generates and serves a map tile on the fly.
-    It expects a 'url' query parameter with the COG URL.
+    It expects a 'url' query parameter with the COG URL, and optionally 'scl' (the
+    scene's SCL COG) with 'mask' (comma-separated SCL classes) to hide cloudy pixels,
+    and 'rescale' (min,max digital numbers) and 'gamma' to adjust the contrast.
     """
     cog_url = request.args.get("url")
     if not cog_url:
         return "Missing 'url' query parameter", 400
 
+    scl_url = request.args.get("scl")
+    mask_classes, mask_error = parse_mask_classes(request.args.get("mask"))
+    if mask_error:
+        return mask_error, 400
+    rescale, gamma, adjustment_error = parse_display_adjustment(request.args, "0,255")
+    if adjustment_error:
+        return adjustment_error, 400
+    href_error = check_asset_hrefs([cog_url] + ([scl_url] if scl_url else []))
+    if href_error:
+        return href_error, 400
+
     try:
         with COGReader(cog_url) as cog:
             # The 'visual' GeoTIFF is a simple RGB image, so we use bands 1, 2, and 3.
             tile_data, tile_mask = cog.tile(x, y, z, tilesize=256, indexes=(1, 2, 3))
 
+        if scl_url and mask_classes:
+            tile_mask = np.where(read_scl_clear(scl_url, mask_classes, x, y, z), tile_mask, 0).astype(np.uint8)
+        if rescale != [0, 255] or gamma != 1:
+            tile_data = stretch_to_byte(tile_data, rescale[0], rescale[1], gamma)
+
         # Create an ImageData object from the tile data
         img = ImageData(tile_data, tile_mask)
         
@@ -105,6 +778,320 @@ def tile_server(z, x, y):
         logging.error(f"Tile server error for URL {cog_url}: {e}")
         return "Failed to generate tile", 500
 
+@app.route("/api/composite-tiles/<int:z>/<int:x>/<int:y>", methods=["GET"])
+@cached_tile
+def composite_tile_server(z, x, y):
+    """
+    Renders a tile of a three-band composite (false colour, SWIR, ...) of one scene.
+    Expects 'r', 'g' and 'b' band COG URLs with their 'scale' and 'offset' (three
+    comma-separated values each) to convert DNs to reflectance, 'rescale' (the reflectance
+    min,max stretched to 0-255) and 'gamma', plus the optional 'scl'/'mask' cloud mask.
+    """
+    hrefs = [request.args.get(channel) for channel in ("r", "g", "b")]
+    if not all(hrefs):
+        return "Missing 'r', 'g' or 'b' query parameter", 400
+    scales, error = parse_number_list(request.args.get("scale", "1,1,1"), 3, "scale")
+    offsets, offset_error = parse_number_list(request.args.get("offset", "0,0,0"), 3, "offset")
+    rescale, gamma, adjustment_error = parse_display_adjustment(request.args, "0,0.3")
+    mask_classes, mask_error = parse_mask_classes(request.args.get("mask"))
+    scl_url = request.args.get("scl")
+    href_error = check_asset_hrefs(hrefs + ([scl_url] if scl_url else []))
+    error = error or offset_error or adjustment_error or mask_error or href_error
+    if error:
+        return error, 400
+
+    try:
+        channels = []
+        valid = np.ones((256, 256), dtype=bool)
+        for href, scale, offset in zip(hrefs, scales, offsets):
+            with COGReader(href) as cog:
+                # 20m bands are resampled onto the same 256px tile as the 10m ones
+                tile_data, tile_mask = cog.tile(x, y, z, tilesize=256, indexes=1)
+            reflectance = tile_data[0].astype("float64") * scale + offset
+            channels.append(stretch_to_byte(reflectance, rescale[0], rescale[1], gamma))
+            valid &= tile_mask > 0
+
+        if scl_url and mask_classes:
+            valid &= read_scl_clear(scl_url, mask_classes, x, y, z)
+
+        img = ImageData(np.stack(channels), np.where(valid, 255, 0).astype(np.uint8))
+        return Response(img.render(img_format="PNG"), mimetype="image/png")
+
+    except TileOutsideBounds:
+        return Response(b"", status=204)
+    except Exception as e:
+        logging.error(f"Composite tile error for {hrefs[0]}: {e}")
+        return "Failed to generate tile", 500
+
+def read_index_tile(index_id, bands, x, y, z, mask_classes=None):
+    """
+    Computes an index for one map tile from the band COGs of a single scene.
+    Returns (values, valid) 256x256 arrays; raises TileOutsideBounds outside the scene.
+    Pixels whose SCL class is in mask_classes are invalid, when the scene has an SCL band.
+    """
+    band_ids, formula = SPECTRAL_INDICES[index_id]
+    reflectance = {}
+    valid = np.ones((256, 256), dtype=bool)
+    for band_id in band_ids:
+        band = bands[band_id]
+        with COGReader(band["href"]) as cog:
+            # Every band is resampled to the same 256px tile, so 10m and 20m bands line up
+            tile_data, tile_mask = cog.tile(x, y, z, tilesize=256, indexes=1)
+        reflectance[band_id] = tile_data[0].astype("float64") * float(band.get("scale", 1)) + float(band.get("offset", 0))
+        valid &= tile_mask > 0
+
+    if mask_classes and (bands.get("SCL") or {}).get("href"):
+        valid &= read_scl_clear(bands["SCL"]["href"], mask_classes, x, y, z)
+
+    with np.errstate(divide="ignore", invalid="ignore"):
+        values = formula(reflectance)
+    return values, valid & np.isfinite(values)
+
+def hex_to_rgb(color):
+    color = color.lstrip("#")
+    return [int(color[i:i + 2], 16) for i in (0, 2, 4)]
+
+def colorize(values, valid, layer):
+    """
+    Maps index values to RGB either through discrete classes [{min, max, color}]
+    or by stretching [min, max] linearly across a list of colour stops.
+    """
+    rgb = np.zeros((3,) + values.shape, dtype=np.uint8)
+    classes = layer.get("classes")
+    if classes:
+        # Values beyond the outer classes take the colour of the nearest one
+        clipped = np.clip(values, classes[0]["min"], classes[-1]["max"])
+        for i, cls in enumerate(classes):
+            upper_ok = clipped <= cls["max"] if i == len(classes) - 1 else clipped < cls["max"]
+            selected = valid & (clipped >= cls["min"]) & upper_ok
+            for channel, value in enumerate(hex_to_rgb(cls["color"])):
+                rgb[channel][selected] = value
+    else:
+        low, high = layer["stretch"]
+        stops = np.array([hex_to_rgb(c) for c in layer["colors"]], dtype="float64")
+        with np.errstate(invalid="ignore"):
+            t = np.clip((values - low) / ((high - low) or 1), 0, 1)
+        positions = np.linspace(0, 1, len(stops))
+        for channel in range(3):
+            rgb[channel] = np.interp(np.nan_to_num(t), positions, stops[:, channel]).astype(np.uint8)
+    return rgb
+
+@app.route("/api/index-layers", methods=["POST"])
+def create_index_layer_handler():
+    """
+    Registers an index overlay and returns the tile URL template that renders it.
+    Expects JSON: {"index": "NDVI", "source": "date1" | "date2" | "difference",
+                   "differenceOrder": "date2-date1" | "date1-date2",
+                   "image1Bands": {...}, "image2Bands": {...},
+                   "colors": ["#hex", ...], "stretch": [min, max]}
+    or "classes": [{"min", "max", "color"}, ...] instead of colors/stretch for a classified layer,
+    and optionally "maskClasses": [3, 8, 9, ...] to leave out pixels by their SCL class.
+    """
+    payload = request.get_json(silent=True) or {}
+    index_id = payload.get("index")
+    source = payload.get("source", "date1")
+
+    if index_id not in SPECTRAL_INDICES:
+        return jsonify({"error": f"Unknown index '{index_id}'"}), 400
+    if source not in ("date1", "date2", "difference"):
+        return jsonify({"error": "Source must be 'date1', 'date2' or 'difference'"}), 400
+
+    band_ids = SPECTRAL_INDICES[index_id][0]
+    needed_images = {"date1": ["image1Bands"], "date2": ["image2Bands"], "difference": ["image1Bands", "image2Bands"]}[source]
+    for image_key in needed_images:
+        bands = payload.get(image_key) or {}
+        missing = [b for b in band_ids if not (bands.get(b) or {}).get("href")]
+        if missing:
+            return jsonify({"error": f"{index_id} requires band(s) {', '.join(missing)} in {image_key}"}), 400
+        href_error = check_asset_hrefs([band["href"] for band in bands.values() if isinstance(band, dict) and band.get("href")])
+        if href_error:
+            return jsonify({"error": href_error}), 400
+
+    classes = payload.get("classes")
+    if classes:
+        if not all(isinstance(c, dict) and {"min", "max", "color"} <= c.keys() for c in classes):
+            return jsonify({"error": "Each class needs 'min', 'max' and 'color'"}), 400
+    else:
+        colors = payload.get("colors")
+        stretch = payload.get("stretch")
+        if not colors or len(colors) < 2 or not stretch or len(stretch) != 2:
+            return jsonify({"error": "A continuous layer needs at least two 'colors' and a [min, max] 'stretch'"}), 400
+
+    mask_classes, mask_error = parse_mask_classes(payload.get("maskClasses"))
+    if mask_error:
+        return jsonify({"error": mask_error}), 400
+
+    layer_id = uuid.uuid4().hex
+    INDEX_LAYERS[layer_id] = {
+        "index": index_id,
+        "source": source,
+        "differenceOrder": payload.get("differenceOrder", "date2-date1"),
+        "image1Bands": payload.get("image1Bands"),
+        "image2Bands": payload.get("image2Bands"),
+        "classes": classes,
+        "colors": payload.get("colors"),
+        "stretch": payload.get("stretch"),
+        "maskClasses": mask_classes,
+    }
+    while len(INDEX_LAYERS) > MAX_INDEX_LAYERS:
+        INDEX_LAYERS.popitem(last=False)
+
+    return jsonify({
+        "layerId": layer_id,
+        "tileUrlTemplate": public_url(f"/api/index-tiles/{{z}}/{{x}}/{{y}}?{urlencode({'layer': layer_id})}"),
+    }), 201
+
+@app.route("/api/index-tiles/<int:z>/<int:x>/<int:y>", methods=["GET"])
+@cached_tile
+def index_tile_server(z, x, y):
+    """
+    Renders a tile of a registered index overlay as a colourised PNG,
+    transparent where pixels are missing.
+    """
+    layer = INDEX_LAYERS.get(request.args.get("layer"))
+    if not layer:
+        return "Unknown or expired index layer", 404
+
+    try:
+        if layer["source"] == "difference":
+            values1, valid1 = read_index_tile(layer["index"], layer["image1Bands"], x, y, z, layer["maskClasses"])
+            values2, valid2 = read_index_tile(layer["index"], layer["image2Bands"], x, y, z, layer["maskClasses"])
+            values = values1 - values2 if layer["differenceOrder"] == "date1-date2" else values2 - values1
+            valid = valid1 & valid2
+        else:
+            bands = layer["image1Bands"] if layer["source"] == "date1" else layer["image2Bands"]
+            values, valid = read_index_tile(layer["index"], bands, x, y, z, layer["maskClasses"])
+
+        img = ImageData(colorize(values, valid, layer), np.where(valid, 255, 0).astype(np.uint8))
+        return Response(img.render(img_format="PNG"), mimetype="image/png")
+
+    except TileOutsideBounds:
+        return Response(b"", status=204)
+    except Exception as e:
+        logging.error(f"Index tile error for layer {layer['index']}: {e}")
+        return "Failed to generate tile", 500
+
+@app.route("/api/band-pixels", methods=["POST"])
+def band_pixels_handler():
+    """
+    Reads a window of pixels from several band COGs and returns them resampled onto one
+    common grid, so the client can run per-pixel band math.
+    Expects JSON: {"bbox": [minLon, minLat, maxLon, maxLat], "size": 64,
+                   "bands": {"B04": {"href": ..., "scale": ..., "offset": ...}, ...}}
+    Returns {"width", "height", "bands": {"B04": [reflectance or null, ...]}} in row-major order.
+    """
+    payload = request.get_json(silent=True) or {}
+    bbox = payload.get("bbox")
+    bands = payload.get("bands")
+
+    if not bbox or len(bbox) != 4 or not bands:
+        return jsonify({"error": "Request body must include 'bbox' and 'bands'"}), 400
+
+    try:
+        bbox = [float(v) for v in bbox]
+        size = int(payload.get("size", 64))
+    except (TypeError, ValueError):
+        return jsonify({"error": "Invalid bbox or size"}), 400
+
+    if not (1 <= size <= MAX_PIXEL_GRID_SIZE):
+        return jsonify({"error": f"Size must be between 1 and {MAX_PIXEL_GRID_SIZE}"}), 400
+
+    href_error = check_asset_hrefs([band["href"] for band in bands.values() if isinstance(band, dict) and band.get("href")])
+    if href_error:
+        return jsonify({"error": href_error}), 400
+
+    result = {"width": size, "height": size, "bands": {}}
+    for band_id, band in bands.items():
+        href = band.get("href") if isinstance(band, dict) else None
+        if not href:
+            return jsonify({"error": f"Missing href for band {band_id}"}), 400
+
+        try:
+            with COGReader(href) as cog:
+                data, mask = cog.part(bbox, dst_crs=WGS84_CRS, bounds_crs=WGS84_CRS, width=size, height=size, indexes=1)
+        except Exception as e:
+            logging.error(f"Band read error for {band_id} ({href}): {e}")
+            return jsonify({"error": f"Failed to read band {band_id}"}), 502
+
+        values = data[0].astype("float64") * float(band.get("scale", 1)) + float(band.get("offset", 0))
+        valid = mask > 0
+        # NaN can't be serialized to JSON, so masked pixels are sent as null
+        result["bands"][band_id] = [
+            float(v) if ok else None for v, ok in zip(values.ravel(), valid.ravel())
+        ]
+
+    return jsonify(result), 200
+
+def read_composite_part(hrefs, scales, offsets, rescale, gamma, bbox, size):
+    """
+    Reads the 'r', 'g' and 'b' band COGs over bbox (at most `size` pixels a side) and stretches
+    them to 0-255 like /api/composite-tiles. Returns (data, mask) for ImageData.
+    """
+    channels = []
+    valid = None
+    for href, scale, offset in zip(hrefs, scales, offsets):
+        with COGReader(href) as cog:
+            if valid is None:
+                data, mask = cog.part(bbox, dst_crs=WGS84_CRS, bounds_crs=WGS84_CRS, max_size=size, indexes=1)
+                valid = mask > 0
+            else:
+                # Later bands are resampled onto the first one's grid, so 10m and 20m bands line up
+                height, width = valid.shape
+                data, mask = cog.part(bbox, dst_crs=WGS84_CRS, bounds_crs=WGS84_CRS, width=width, height=height, indexes=1)
+                valid &= mask > 0
+        reflectance = data[0].astype("float64") * scale + offset
+        channels.append(stretch_to_byte(reflectance, rescale[0], rescale[1], gamma))
+    return np.stack(channels), np.where(valid, 255, 0).astype(np.uint8)
+
+@app.route("/api/snapshot", methods=["GET"])
+def snapshot_handler():
+    """
+    Renders a true-colour PNG over a bounding box, for reports: of the 'visual' COG given as
+    'url', or for sensors without one, of the band composite given by the 'r', 'g', 'b',
+    'scale', 'offset' and 'rescale' parameters of /api/composite-tiles.
+    Expects 'bbox' (minLon,minLat,maxLon,maxLat) and an optional 'size' in pixels.
+    """
+    cog_url = request.args.get("url")
+    hrefs = [request.args.get(channel) for channel in ("r", "g", "b")]
+    bbox_str = request.args.get("bbox")
+    if not (cog_url or all(hrefs)) or not bbox_str:
+        return "Missing 'url' (or 'r', 'g' and 'b') or 'bbox' query parameter", 400
+
+    try:
+        bbox = [float(v) for v in bbox_str.split(",")]
+        size = int(request.args.get("size", 512))
+    except ValueError:
+        return "Invalid bbox or size", 400
+
+    if len(bbox) != 4 or not (1 <= size <= 1024):
+        return "bbox must have 4 values and size must be between 1 and 1024", 400
+
+    href_error = check_asset_hrefs([cog_url] if cog_url else hrefs)
+    if href_error:
+        return href_error, 400
+
+    if not cog_url:
+        scales, error = parse_number_list(request.args.get("scale", "1,1,1"), 3, "scale")
+        offsets, offset_error = parse_number_list(request.args.get("offset", "0,0,0"), 3, "offset")
+        rescale, gamma, adjustment_error = parse_display_adjustment(request.args, "0,0.3")
+        error = error or offset_error or adjustment_error
+        if error:
+            return error, 400
+
+    try:
+        if cog_url:
+            with COGReader(cog_url) as cog:
+                data, mask = cog.part(bbox, dst_crs=WGS84_CRS, bounds_crs=WGS84_CRS, max_size=size, indexes=(1, 2, 3))
+        else:
+            data, mask = read_composite_part(hrefs, scales, offsets, rescale, gamma, bbox, size)
+
+        img = ImageData(data, mask)
+        return Response(img.render(img_format="PNG"), mimetype="image/png")
+
+    except Exception as e:
+        logging.error(f"Snapshot error for URL {cog_url or hrefs[0]}: {e}")
+        return "Failed to render snapshot", 500
+
 # --- MODIFIED: Main API Endpoint ---
 @app.route("/api/change-detection", methods=["GET"])
 def get_change_detection_handler():
@@ -113,6 +1100,7 @@ def get_change_detection_handler():
     date1_str = request.args.get("date1")
     date2_str = request.args.get("date2")
     cloud_cover_str = request.args.get("cloudCover")
+    aoi_str = request.args.get("aoi")
 
     if not all([lat_str, lon_str, date1_str, date2_str]):
         return jsonify({"error": "Missing required query parameters"}), 400
@@ -132,39 +1120,146 @@ def get_change_detection_handler():
         except ValueError:
             return jsonify({"error": "Invalid cloud cover value"}), 400
 
-    feature1 = fetch_stac_feature(lat, lon, date1_str, cloud_cover_lt=cloud_cover)
-    if not feature1:
-        return jsonify({"error": f"No clear image found for Date 1 ({date1_str}) with cloud cover less than {cloud_cover}%."}), 404
+    aoi, aoi_error = parse_aoi_param(aoi_str)
+    if aoi_error:
+        return jsonify({"error": aoi_error}), 400
+    sensor_id, sensor_error = parse_sensor_param(request.args.get("sensor"))
+    if sensor_error:
+        return jsonify({"error": sensor_error}), 400
+
+    # Scene selection: window either side of each date, ranking, AOI coverage and orbit matching
+    window1, window1_error = parse_bounded_int(request.args.get("window1"), "window1", 1, MAX_DATE_WINDOW_DAYS, DEFAULT_DATE_WINDOW_DAYS)
+    window2, window2_error = parse_bounded_int(request.args.get("window2"), "window2", 1, MAX_DATE_WINDOW_DAYS, DEFAULT_DATE_WINDOW_DAYS)
+    min_coverage, coverage_error = parse_bounded_int(request.args.get("minCoverage"), "minCoverage", 0, 100, 0)
+    selection_error = window1_error or window2_error or coverage_error
+    if selection_error:
+        return jsonify({"error": selection_error}), 400
+    ranking = request.args.get("ranking") or DEFAULT_RANKING
+    if ranking not in RANKING_STRATEGIES:
+        return jsonify({"error": f"Unknown ranking '{ranking}'; expected one of {', '.join(RANKING_STRATEGIES)}"}), 400
+    same_orbit = request.args.get("sameOrbit") in ("1", "true")
+
+    area = area_polygon(lat, lon, aoi)
+    # Filtered searches rank every scene of the window so filtering leaves enough candidates
+    fetch_limit = MAX_UNFILTERED_FEATURES if min_coverage or same_orbit else MAX_SCENE_CANDIDATES
+
+    def find_candidates(date_str, window):
+        features = fetch_stac_features(lat, lon, date_str, cloud_cover_lt=cloud_cover, date_window_days=window, intersects=aoi, limit=fetch_limit, sensor_id=sensor_id, ranking=ranking)
+        candidates = []
+        for feature in features:
+            info = build_image_info(feature, sensor_id)
+            if not info:
+                continue
+            info["areaCoverage"] = footprint_coverage(feature, area)
+            if info["areaCoverage"] >= min_coverage:
+                candidates.append(info)
+        return candidates
+
+    def not_found(label, date_str, window):
+        conditions = [f"within {window} days"]
+        if SENSORS[sensor_id]["cloud_cover"]:
+            conditions.append(f"with cloud cover less than {cloud_cover}%")
+        if min_coverage:
+            conditions.append(f"covering at least {min_coverage}% of the area")
+        if same_orbit:
+            conditions.append("on the same tile and relative orbit as the other date")
+        return jsonify({"error": f"No clear image found for {label} ({date_str}) {', '.join(conditions)}."}), 404
 
-    feature2 = fetch_stac_feature(lat, lon, date2_str, cloud_cover_lt=cloud_cover)
-    if not feature2:
-        return jsonify({"error": f"No clear image found for Date 2 ({date2_str}) with cloud cover less than {cloud_cover}%."}), 404
+    candidates1 = find_candidates(date1_str, window1)
+    if not candidates1:
+        return not_found("Date 1", date1_str, window1)
 
-    # Get the URL of the 'visual' asset (the TCI GeoTIFF)
-    cog_url1 = feature1.get("assets", {}).get("visual", {}).get("href")
-    if not cog_url1:
-        return jsonify({"error": "No 'visual' asset URL found for Date 1."}), 404
+    candidates2 = find_candidates(date2_str, window2)
+    if same_orbit:
+        # Only geometries both dates were acquired with are kept, so any pairing is consistent
+        shared = {orbit_key(scene) for scene in candidates1} & {orbit_key(scene) for scene in candidates2}
+        candidates1 = [scene for scene in candidates1 if orbit_key(scene) in shared]
+        candidates2 = [scene for scene in candidates2 if orbit_key(scene) in shared]
+    if not candidates2:
+        return not_found("Date 2", date2_str, window2)
 
-    # Create the tile URL template for the frontend
-    tile_server_url1 = f"http://localhost:8080/api/tiles/{{z}}/{{x}}/{{y}}?{urlencode({'url': cog_url1})}"
+    image1 = candidates1[0]
+    # With matching orbits Image 2 is the best scene of Image 1's geometry
+    image2 = next((scene for scene in candidates2 if orbit_key(scene) == orbit_key(image1)), candidates2[0])
+
+    # The best candidate for each date is preselected; the rest feed the client's scene picker
+    api_response = {
+        "image1": image1,
+        "image2": image2,
+        "candidates1": candidates1[:MAX_SCENE_CANDIDATES],
+        "candidates2": candidates2[:MAX_SCENE_CANDIDATES],
+    }
+    return with_search_cache_headers(jsonify(api_response), 200)
+
+@app.route("/api/time-series", methods=["GET"])
+def get_time_series_handler():
+    """
+    Returns one scene per interval step between 'start' and 'end'. Each step holds the
+    chosen scene (or null when nothing was acquired) and whether it is usable, i.e. below
+    the 'cloudCover' threshold.
+    """
+    lat_str = request.args.get("lat")
+    lon_str = request.args.get("lon")
+    start_str = request.args.get("start")
+    end_str = request.args.get("end")
+    interval_str = request.args.get("interval", "10")
+    cloud_cover_str = request.args.get("cloudCover", "20")
+
+    if not all([lat_str, lon_str, start_str, end_str]):
+        return jsonify({"error": "Missing required query parameters"}), 400
+
+    try:
+        lat = float(lat_str)
+        lon = float(lon_str)
+    except ValueError:
+        return jsonify({"error": "Invalid coordinates"}), 400
+
+    try:
+        start_date = datetime.strptime(start_str, "%Y-%m-%d").date()
+        end_date = datetime.strptime(end_str, "%Y-%m-%d").date()
+    except ValueError:
+        return jsonify({"error": "Dates must be in YYYY-MM-DD format"}), 400
+    if end_date < start_date:
+        return jsonify({"error": "End date must not be before start date"}), 400
+
+    try:
+        interval_days = int(interval_str)
+        cloud_cover = int(cloud_cover_str)
+    except ValueError:
+        return jsonify({"error": "Invalid interval or cloud cover value"}), 400
+    if interval_days < 1:
+        return jsonify({"error": "Interval must be at least 1 day"}), 400
+    if (end_date - start_date).days // interval_days + 1 > MAX_TIME_SERIES_STEPS:
+        return jsonify({"error": f"A time series can have at most {MAX_TIME_SERIES_STEPS} steps; use a longer interval"}), 400
 
-    bbox1 = feature1.get("bbox")
-    leaflet_bounds1 = [[bbox1[1], bbox1[0]], [bbox1[3], bbox1[2]]]
-    image1_info = ImageInfo(tile_server_url1, leaflet_bounds1, feature1.get("properties", {}).get("datetime")).to_dict()
+    aoi, aoi_error = parse_aoi_param(request.args.get("aoi"))
+    if aoi_error:
+        return jsonify({"error": aoi_error}), 400
+    sensor_id, sensor_error = parse_sensor_param(request.args.get("sensor"))
+    if sensor_error:
+        return jsonify({"error": sensor_error}), 400
 
-    cog_url2 = feature2.get("assets", {}).get("visual", {}).get("href")
-    if not cog_url2:
-        return jsonify({"error": "No 'visual' asset URL found for Date 2."}), 404
+    # Fetch half an interval either side so the first and last steps have a full window
+    half_window = timedelta(days=interval_days / 2)
+    features = fetch_stac_features_in_range(lat, lon, start_date - half_window, end_date + half_window, intersects=aoi, sensor_id=sensor_id)
+    scenes_by_id = {f.get("id"): build_image_info(f, sensor_id) for f in features}
+    features = [f for f in features if scenes_by_id[f.get("id")]]
 
-    tile_server_url2 = f"http://localhost:8080/api/tiles/{{z}}/{{x}}/{{y}}?{urlencode({'url': cog_url2})}"
+    steps = []
+    for step_date, feature in pick_time_series_scenes(features, start_date, end_date, interval_days):
+        scene = scenes_by_id[feature.get("id")] if feature else None
+        steps.append({
+            "targetDate": step_date.isoformat(),
+            "scene": scene,
+            "usable": is_usable_scene(scene, cloud_cover),
+        })
 
-    bbox2 = feature2.get("bbox")
-    leaflet_bounds2 = [[bbox2[1], bbox2[0]], [bbox2[3], bbox2[2]]]
-    image2_info = ImageInfo(tile_server_url2, leaflet_bounds2, feature2.get("properties", {}).get("datetime")).to_dict()
+    if not any(step["scene"] for step in steps):
+        return jsonify({"error": f"No images found between {start_str} and {end_str}."}), 404
 
-    api_response = {"image1": image1_info, "image2": image2_info}
-    return jsonify(api_response), 200
+    return with_search_cache_headers(jsonify({"steps": steps}), 200)
 
 if __name__ == "__main__":
-    print("Starting server on port 8080...")
-    app.run(debug=True, port=8080)
\ No newline at end of file
+    port = int(os.environ.get("PORT", 8080))
+    print(f"Starting server on port {port}...")
+    app.run(debug=True, port=port)
\ No newline at end of file
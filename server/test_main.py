@@ -0,0 +1,40 @@
+from datetime import date
+
+from main import check_asset_hrefs, rank_features
+
+TARGET_DATE = date(2024, 9, 16)
+
+def feature(feature_id, day, cloud_cover):
+    return {"id": feature_id, "properties": {"datetime": f"{day}T16:00:00Z", "eo:cloud_cover": cloud_cover}}
+
+def ranked_ids(features, **kwargs):
+    return [f["id"] for f in rank_features(features, TARGET_DATE, **kwargs)]
+
+def test_least_cloudy_breaks_ties_by_days_from_the_date():
+    # Equally cloudy scenes: the one on the date beats a later one at the end of the window
+    features = [feature("late", "2024-09-30", 5), feature("on-date", "2024-09-16", 5), feature("clear", "2024-09-01", 1)]
+    assert ranked_ids(features, cloud_cover_lt=20) == ["clear", "on-date", "late"]
+
+def test_closest_breaks_ties_by_cloud_cover():
+    features = [feature("cloudy", "2024-09-18", 15), feature("clear", "2024-09-14", 2), feature("far", "2024-09-30", 0)]
+    assert ranked_ids(features, cloud_cover_lt=20, ranking="closest") == ["clear", "cloudy", "far"]
+
+def test_drops_scenes_over_the_cloud_limit():
+    features = [feature("cloudy", "2024-09-16", 40), feature("clear", "2024-09-20", 10)]
+    assert ranked_ids(features, cloud_cover_lt=20) == ["clear"]
+
+def test_accepts_cog_hrefs_on_the_asset_hosts_only():
+    assert check_asset_hrefs([
+        "https://sentinel-cogs.s3.us-west-2.amazonaws.com/sentinel-s2-l2a-cogs/17/S/NA/B04.tif",
+        "s3://usgs-landsat/collection02/level-2/SR_B4.TIF",
+    ]) is None
+    for href in [
+        "http://169.254.169.254/latest/meta-data/",
+        "https://internal.example/B04.tif",
+        "http://sentinel-cogs.s3.us-west-2.amazonaws.com/B04.tif",
+        "https://sentinel-cogs.s3.us-west-2.amazonaws.com:8443/B04.tif",
+        "https://sentinel-cogs.s3.us-west-2.amazonaws.com@internal.example/B04.tif",
+        "/vsicurl/https://internal.example/B04.tif",
+        None,
+    ]:
+        assert check_asset_hrefs([href]) is not None, href